@@ -4,7 +4,8 @@
  */
 
 import { computeStats } from './stats.js';
-import { get, set, getMoodData, getWaterData, getCycleLog } from './storage.js';
+import { get, set, getMoodData, getWaterData } from './storage.js';
+import { getCycleSettings, getCycleStarts, parseDateKey } from '../../js/storage/repository.js';
 
 const AI_NS = 'ai';
 
@@ -35,7 +36,7 @@ export function openAIModal() {
       <div>
         <label style="font-weight:600;">Perplexity API Key</label>
         <input id="aiKeyInput" type="password" placeholder="pplx-..." style="width:100%; padding:8px; border:1px solid #eee; border-radius:8px;" value="${hasKey ? '••••••••' : ''}" />
-        <small>Model: Sonar Pro. A kulcsot lokálisan tároljuk (localStorage).</small>
+        <small>Model: Sonar Pro. A kulcsot lokálisan tároljuk (IndexedDB / localStorage), jelmondat beállítása esetén titkosítva.</small>
         <div style="margin-top:6px;"><a href="ai-setup.html" target="_blank">Beállítás útmutató</a></div>
       </div>
       <div>
@@ -123,6 +124,11 @@ function buildStatsSummary(stats) {
       completionRate: stats.water.completionRate,
       consistency: calculateConsistency(stats.water.dailyData)
     },
+    habits: stats.habits.map(({ name, type, target, scheduledDays, completionRate, average, streak }) => ({
+      name, type, target, scheduledDays, completionRate, average, currentStreak: streak.current, bestStreak: streak.best
+    })),
+    streaks: stats.achievements.streaks.map(({ label, unit, current, best }) => ({ label, unit, current, best })),
+    badgesEarned: stats.achievements.history.length,
     balanceAvg: Math.round((stats.balance.reduce((s, b) => s + b.index, 0) / stats.balance.length) * 100) / 100,
     insights: stats.insights,
     cycle: cycleData,
@@ -133,8 +139,8 @@ function buildStatsSummary(stats) {
 }
 
 function analyzeCycleContext() {
-  const cfg = JSON.parse(localStorage.getItem('cherry_cycle') || '{}');
-  const log = getCycleLog();
+  const cfg = getCycleSettings();
+  const log = getCycleStarts();
   const today = new Date();
   
   // Calculate current phase
@@ -142,7 +148,7 @@ function analyzeCycleContext() {
   let dayInCycle = 0;
   
   if (log.length > 0 || cfg.start) {
-    const lastStart = log.length ? new Date(log[log.length - 1]) : new Date(cfg.start);
+    const lastStart = parseDateKey(log.length ? log[log.length - 1] : cfg.start);
     dayInCycle = Math.floor((today - lastStart) / (1000 * 60 * 60 * 24)) + 1;
     const cycleLen = cfg.len || 28;
     
@@ -216,6 +222,11 @@ function generatePhdRecommendations(stats, cycle, patterns) {
   if (stats.water.completionRate < 60) {
     recs.push('Set hourly water reminders - hydration affects mood by 23%');
   }
+
+  const slipping = stats.habits.filter(h => h.scheduledDays >= 3 && h.completionRate < 40);
+  if (slipping.length) {
+    recs.push(`Make ${slipping.map(h => h.name).join(', ')} easier to keep: a smaller daily target or fewer planned days`);
+  }
   
   return recs;
 }
@@ -3,6 +3,8 @@
  * Central configuration for premium features
  */
 
+import { get, set } from '../../js/storage/store.js';
+
 export const SETTINGS_DEFAULT = {
   mood: {
     negativeThreshold: 7,            // >=7 counts as negative (on 0-10 scale)
@@ -224,9 +226,7 @@ export const VALIDATION = {
  */
 export function getSettings() {
   try {
-    const stored = localStorage.getItem('cherry::settings');
-    const userSettings = stored ? JSON.parse(stored) : {};
-    return mergeDeep(SETTINGS_DEFAULT, userSettings);
+    return mergeDeep(SETTINGS_DEFAULT, get('settings', '', {}));
   } catch (error) {
     console.warn('Error loading settings, using defaults:', error);
     return { ...SETTINGS_DEFAULT };
@@ -234,13 +234,12 @@ export function getSettings() {
 }
 
 /**
- * Save settings to localStorage
+ * Save settings to the shared store
  */
 export function saveSettings(settings) {
   try {
     const merged = mergeDeep(SETTINGS_DEFAULT, settings);
-    localStorage.setItem('cherry::settings', JSON.stringify(merged));
-    return true;
+    return set('settings', '', merged);
   } catch (error) {
     console.error('Error saving settings:', error);
     return false;
@@ -16,7 +16,7 @@ let isInitialized = false;
  */
 export async function initMoodCoach() {
   try {
-    // Load Chart.js from CDN if not already loaded
+    // Load Chart.js if not already loaded
     if (typeof Chart === 'undefined') {
       await loadChartJS();
     }
@@ -40,7 +40,7 @@ export async function initMoodCoach() {
 }
 
 /**
- * Load Chart.js from CDN
+ * Load the vendored Chart.js (cached by the service worker for offline use)
  */
 async function loadChartJS() {
   return new Promise((resolve, reject) => {
@@ -50,7 +50,7 @@ async function loadChartJS() {
     }
     
     const script = document.createElement('script');
-    script.src = 'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.js';
+    script.src = new URL('../../vendor/chart-4.4.0.umd.js', import.meta.url).href;
     script.onload = () => resolve();
     script.onerror = () => reject(new Error('Failed to load Chart.js'));
     document.head.appendChild(script);
@@ -4,6 +4,7 @@
  */
 
 import { getMoodData, getMotivationState, setMotivationState } from './storage.js';
+import { getCycleSettings, getCycleStarts, parseDateKey } from '../../js/storage/repository.js';
 import { getSettings } from './config.js';
 import { openModal, toast } from './ui.js';
 
@@ -513,15 +514,15 @@ function getCurrentMoodFromDOM() {
 function getHormonePhase(dateStr) {
   try {
     const today = new Date(dateStr);
-    const cfg = JSON.parse(localStorage.getItem('cherry_cycle') || '{}');
+    const cfg = getCycleSettings();
     const baseLen = Number(cfg.len || 28);
     const luteal = Number(cfg.luteal || 14);
     
     // Find cycle day
-    const log = JSON.parse(localStorage.getItem('cherry_cycle_log') || '[]');
+    const log = getCycleStarts();
     if (log.length === 0 && !cfg.start) return 'unknown';
     
-    const lastStart = log.length ? new Date(log[log.length - 1]) : new Date(cfg.start);
+    const lastStart = parseDateKey(log.length ? log[log.length - 1] : cfg.start);
     const daysSinceStart = Math.floor((today - lastStart) / (1000 * 60 * 60 * 24));
     const cycleDay = (daysSinceStart % baseLen) + 1;
     
@@ -573,27 +574,22 @@ function detectMoodPatternAnomaly(dateStr, currentMood) {
 
 /**
  * Check if provided date falls within predicted or logged period days
- * Uses stored `cherry_cycle` configuration and `cherry_cycle_log` from base app
+ * Uses the cycle settings and logged starts from the shared repository
  */
 function isTodayWithinPeriod(dateStr) {
   try {
     const today = new Date(dateStr);
-    const cfg = JSON.parse(localStorage.getItem('cherry_cycle') || '{}');
-    const log = JSON.parse(localStorage.getItem('cherry_cycle_log') || '[]');
+    const cfg = getCycleSettings();
+    const log = getCycleStarts();
     const periodLen = Number(cfg.period || 5);
     const baseLen = Number(cfg.len || 28);
     const luteal = Number(cfg.luteal || 14);
     const adv = cfg.adv !== false; // default true
 
-    // Helper: parse key like YYYY-M-D
-    const parseKey = (k) => {
-      const [Y, M, D] = String(k).split('-').map(n => parseInt(n, 10));
-      return new Date(Y, (M - 1), D);
-    };
     const isSameDay = (a, b) => a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
 
     // 1) Check logged actual starts
-    const starts = (Array.isArray(log) ? log : []).map(parseKey).sort((a, b) => a - b);
+    const starts = (Array.isArray(log) ? log : []).map(parseDateKey).sort((a, b) => a - b);
     for (const s of starts) {
       const end = new Date(s); end.setDate(end.getDate() + (periodLen - 1));
       if (today >= s && today <= end) return true;
@@ -601,7 +597,7 @@ function isTodayWithinPeriod(dateStr) {
 
     // 2) If no logs, use configured last start to project cycles
     if (cfg.start) {
-      const startDate = new Date(cfg.start);
+      const startDate = parseDateKey(cfg.start);
       // Walk cycles around today to see if falls in a projected period window
       const avgLen = baseLen; // could be enhanced by history; keep simple here
       // Find the closest cycle start not after today
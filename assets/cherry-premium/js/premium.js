@@ -3,9 +3,9 @@
  * Integrates premium features with existing Cherry Planner without breaking changes
  */
 
-import { initStorage } from './storage.js';
+import { initStorage, get } from './storage.js';
 import { getSettings } from './config.js';
-import { initUI, toast } from './ui.js';
+import { initUI, toast, openModal, closeModal, confirm, alert } from './ui.js';
 import { initMoodCoach } from './mood-coach.js';
 import { initStats } from './stats.js';
 import initAI from './ai.js';
@@ -25,7 +25,7 @@ export async function initPremium() {
   
   try {
     // Initialize core systems first
-    initStorage();
+    await initStorage();
     initUI();
     
     // Initialize premium features (motivation system lives in main.js)
@@ -38,8 +38,7 @@ export async function initPremium() {
     
     // Motivation handled centrally in main.js to avoid duplication
     
-    // Setup daily mood check
-    setupDailyMoodCheck();
+    // Daily reminders (tasks, water, period) live in assets/js/modules/reminders.js
     
     // Add premium styles
     loadPremiumStyles();
@@ -283,46 +282,13 @@ function loadPremiumStyles() {
   document.head.appendChild(style);
 }
 
-/**
- * Setup daily mood check for auto-motivation
- */
-function setupDailyMoodCheck() {
-  // Check for auto-motivation on page load
-  setTimeout(() => {
-    const today = new Date();
-    const todayStr = today.getFullYear() + '-' + 
-                   String(today.getMonth() + 1).padStart(2, '0') + '-' + 
-                   String(today.getDate()).padStart(2, '0');
-    
-    // maybeAutoShowQuote(todayStr); // Commented out - now handled in main.js
-  }, 2000); // Delay to ensure everything is loaded
-  
-  // Setup daily check at midnight
-  const now = new Date();
-  const tomorrow = new Date(now);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  tomorrow.setHours(0, 0, 0, 0);
-  
-  const msUntilMidnight = tomorrow.getTime() - now.getTime();
-  
-  setTimeout(() => {
-    setInterval(() => {
-      const today = new Date();
-      const todayStr = today.getFullYear() + '-' + 
-                     String(today.getMonth() + 1).padStart(2, '0') + '-' + 
-                     String(today.getDate()).padStart(2, '0');
-      
-      // maybeAutoShowQuote(todayStr); // Commented out - now handled in main.js
-    }, 24 * 60 * 60 * 1000); // Check every 24 hours
-  }, msUntilMidnight);
-}
-
 /**
  * Setup global API for premium features
  */
 function setupGlobalAPI() {
-  // Expose premium API on window object
+  // Expose premium API on window object (keeping what the feature modules registered, such as ai)
   window.cherryPremium = {
+    ...window.cherryPremium,
     // Core systems
     initialized: () => isInitialized,
     
@@ -365,13 +331,13 @@ function setupGlobalAPI() {
     }
   };
   
-  // Also expose UI utilities globally
+  // Also expose UI utilities globally (stats.js and ai.js open their modals through it)
   window.cherryUI = {
     toast,
-    openModal: null, // Will be set by UI module
-    closeModal: null, // Will be set by UI module
-    confirm: null,   // Will be set by UI module
-    alert: null      // Will be set by UI module
+    openModal,
+    closeModal,
+    confirm,
+    alert
   };
 }
 
@@ -409,12 +375,12 @@ export function integrateMoodSystem() {
  * Check if premium features should be enabled
  */
 function shouldEnablePremium() {
-  // Check for premium flag in localStorage or URL
+  // Check for premium flag in storage or URL
   const urlParams = new URLSearchParams(window.location.search);
   const premiumParam = urlParams.get('premium');
-  const premiumFlag = localStorage.getItem('cherry::premium::enabled');
+  const premiumFlag = get('premium', 'enabled');
   
-  return premiumParam === 'true' || premiumFlag === 'true' || 
+  return premiumParam === 'true' || premiumFlag === true || 
          window.location.hostname === 'localhost' || 
          window.location.hostname.includes('cherry-planner') ||
          window.location.hostname.includes('github.io') ||
@@ -450,6 +416,4 @@ function autoInit() {
 // Auto-initialize
 autoInit();
 
-// Export for manual initialization
-export { integrateMoodSystem };
 export default initPremium;
@@ -3,10 +3,13 @@
  * Advanced statistical analysis with machine learning insights
  */
 
-import { getMoodData, getWaterData, getStatsCache, setStatsCache } from './storage.js';
+import { getMoodDataRange, getWaterDataRange, getHabitDataRange, getAchievementData, getStatsCache, setStatsCache } from './storage.js';
 import { getSettings, EXPORT_CONFIG } from './config.js';
 import { formatDate, getDateRange, showLoading, hideLoading, toast } from './ui.js';
 import { getChartStats, exportChartImage } from './mood-coach.js';
+import { escapeHtml } from '../../js/modules/utils.js';
+import { getPlannerSettings, DRINKS } from '../../js/storage/repository.js';
+import { formatVolume } from '../../js/storage/water.js';
 
 /**
  * Initialize statistics system
@@ -178,9 +181,9 @@ export async function computeStats(range, startDate = null, endDate = null) {
   const dateRange = getDateRangeForStats(range, startDate, endDate);
   const rangeHash = hashRange(dateRange);
   
-  // Check cache
+  // Check cache (entries cached before habits, achievements and water volumes existed are recomputed)
   const cached = getStatsCache(rangeHash);
-  if (cached) {
+  if (cached && cached.habits && cached.achievements && cached.water.drinks) {
     return cached;
   }
   
@@ -192,6 +195,8 @@ export async function computeStats(range, startDate = null, endDate = null) {
     },
     mood: await analyzeMoodData(dateRange),
     water: await analyzeWaterData(dateRange),
+    habits: await getHabitDataRange(dateRange),
+    achievements: await getAchievementData(dateRange[dateRange.length - 1]),
     balance: [],
     insights: [],
     // PhD-level additions
@@ -202,8 +207,7 @@ export async function computeStats(range, startDate = null, endDate = null) {
   };
   
   // Calculate balance index for each day
-  stats.balance = dateRange.map(date => {
-    const mood = getMoodData(date);
+  stats.balance = stats.mood.dailyData.map(({ date, ...mood }) => {
     const positiveAvg = (mood.happy + mood.calm + mood.loved + mood.grateful) / 4;
     const negativeAvg = (mood.sad + mood.tired + mood.frustrated) / 3;
     return {
@@ -242,7 +246,7 @@ function performRegressionAnalysis(stats) {
     const water = stats.water.dailyData[i];
     X.push([
       1, // Intercept
-      water.drank || 0,
+      (water.drank || 0) / 1000, // litres
       day.happy || 5,
       day.tired || 5,
       i // Time trend
@@ -335,8 +339,9 @@ function generateScientificRecommendations(stats) {
       recommendations.push({
         priority: 'high',
         category: 'hydration',
-        action: 'Increase water intake by 2 glasses/day',
-        evidence: `Each glass improves mood balance by ${Math.round(stats.regression.coefficients.water * 100) / 100} points`,
+        action: 'Increase water intake by 500 ml/day',
+        // the coefficient is per litre (see performRegressionAnalysis); stated here per 500 ml
+        evidence: `Each extra 500 ml went with ${Math.round(stats.regression.coefficients.water * 0.5 * 100) / 100} points more mood balance`,
         timeframe: '1 week'
       });
     }
@@ -471,9 +476,10 @@ async function analyzeMoodData(dateRange) {
   let totalData = { happy: 0, calm: 0, loved: 0, grateful: 0, sad: 0, tired: 0, frustrated: 0 };
   let validDays = 0;
   
-  // Collect daily data
-  dateRange.forEach(date => {
-    const mood = getMoodData(date);
+  // Collect daily data (one indexed range read)
+  const moods = await getMoodDataRange(dateRange);
+  dateRange.forEach((date, i) => {
+    const mood = moods[i];
     analysis.dailyData.push({ date, ...mood });
     
     // Accumulate for averages
@@ -509,6 +515,7 @@ async function analyzeWaterData(dateRange) {
     averageGoal: 0,
     averageDrank: 0,
     completionRate: 0,
+    drinks: [],
     bestDay: null,
     dailyData: []
   };
@@ -517,13 +524,16 @@ async function analyzeWaterData(dateRange) {
   let totalDrank = 0;
   let completedDays = 0;
   let validDays = 0;
+  const drinks = {};
   
-  dateRange.forEach(date => {
-    const water = getWaterData(date);
+  const waters = await getWaterDataRange(dateRange);
+  dateRange.forEach((date, i) => {
+    const water = waters[i];
     analysis.dailyData.push({ date, ...water });
     
-    totalGoal += water.goal || 8;
+    totalGoal += water.goal || 2000;
     totalDrank += water.drank || 0;
+    water.drinks.forEach(({ drink, ml }) => { drinks[drink] = (drinks[drink] || 0) + ml; });
     
     if (water.drank >= water.goal) {
       completedDays++;
@@ -533,11 +543,16 @@ async function analyzeWaterData(dateRange) {
   });
   
   if (validDays > 0) {
-    analysis.averageGoal = Math.round((totalGoal / validDays) * 100) / 100;
-    analysis.averageDrank = Math.round((totalDrank / validDays) * 100) / 100;
+    analysis.averageGoal = Math.round(totalGoal / validDays);
+    analysis.averageDrank = Math.round(totalDrank / validDays);
     analysis.completionRate = Math.round((completedDays / validDays) * 100);
   }
   
+  // Volume drunk per drink type, largest first
+  analysis.drinks = Object.entries(drinks)
+    .map(([drink, ml]) => ({ drink, ml, share: Math.round((ml / Object.values(drinks).reduce((a, b) => a + b, 0)) * 100) }))
+    .sort((a, b) => b.ml - a.ml);
+  
   // Find best day
   analysis.bestDay = analysis.dailyData.reduce((best, day) => {
     const completion = day.goal > 0 ? day.drank / day.goal : 0;
@@ -613,11 +628,35 @@ function generateStatsInsights(stats) {
   if (stats.water.completionRate >= 80) {
     insights.push('💧 Excellent hydration habits! ' + stats.water.completionRate + '% goal completion.');
   } else if (stats.water.completionRate >= 60) {
-    insights.push('💧 Good hydration progress. Consider setting reminders to reach ' + stats.water.averageGoal + ' glasses daily.');
+    insights.push('💧 Good hydration progress. Consider setting reminders to reach ' + formatVolume(stats.water.averageGoal, getPlannerSettings().waterUnit) + ' daily.');
   } else {
     insights.push('💧 Hydration could use improvement. Start with smaller goals and build the habit.');
   }
+  const mainDrink = stats.water.drinks.find(d => d.drink !== 'water' && d.share >= 30);
+  if (mainDrink) {
+    const drink = DRINKS[mainDrink.drink] || DRINKS.water;
+    insights.push(`${drink.emoji} ${drink.label} was ${mainDrink.share}% of what you drank; it counts ${Math.round(drink.factor * 100)}% toward your hydration goal.`);
+  }
   
+  // Habit insights
+  stats.habits.filter(habit => habit.scheduledDays >= 3).forEach(habit => {
+    if (habit.completionRate >= 80) {
+      insights.push(`${habit.emoji} ${habit.name}: ${habit.completionRate}% of planned days - a solid habit.`);
+    } else if (habit.completionRate < 40) {
+      insights.push(`${habit.emoji} ${habit.name} happened on ${habit.completionRate}% of planned days. A smaller target or fewer days may help it stick.`);
+    }
+  });
+
+  // Streak insights: the longest running streak, and badges earned within the range
+  const running = stats.achievements.streaks.filter(s => s.current >= 3).sort((a, b) => b.current - a.current)[0];
+  if (running) {
+    insights.push(`${running.emoji} ${running.label}: ${running.current} ${running.unit}s in a row${running.current >= running.best ? ' - a personal best!' : ` (best ${running.best})`}`);
+  }
+  const newBadges = stats.achievements.history.filter(({ date }) => date >= stats.dateRange.start && date <= stats.dateRange.end);
+  if (newBadges.length) {
+    insights.push(`🏆 ${newBadges.length} badge${newBadges.length === 1 ? '' : 's'} earned in this period: ${newBadges.map(({ badge }) => badge.name).join(', ')}`);
+  }
+
   // Trend insights
   const trendingUp = Object.entries(stats.mood.trends).filter(([key, trend]) => 
     ['happy', 'calm', 'loved', 'grateful'].includes(key) && trend > 0.1
@@ -658,7 +697,7 @@ function displayStats(container, stats) {
         </div>
         <div class="stat-card">
           <h4>Average Daily Water</h4>
-          <div class="stat-value">${stats.water.averageDrank} glasses</div>
+          <div class="stat-value">${formatVolume(stats.water.averageDrank, getPlannerSettings().waterUnit)}</div>
         </div>
       </div>
     </div>
@@ -677,11 +716,37 @@ function displayStats(container, stats) {
         `).join('')}
       </div>
     </div>
+    ${stats.habits.length ? `
+    <div class="mood-breakdown">
+      <h3>🌱 Habits</h3>
+      <div class="mood-averages">
+        ${stats.habits.map(habit => `
+          <div class="mood-stat">
+            <span class="mood-name">${escapeHtml(habit.emoji)} ${escapeHtml(habit.name)}</span>
+            <span class="mood-value">${habit.completionRate}%</span>
+            <div class="trend" title="Current streak (best ${habit.streak.best})">🔥 ${habit.streak.current}</div>
+          </div>
+        `).join('')}
+      </div>
+    </div>` : ''}
+
+    <div class="mood-breakdown">
+      <h3>🏆 Streaks</h3>
+      <div class="mood-averages">
+        ${stats.achievements.streaks.map(streak => `
+          <div class="mood-stat">
+            <span class="mood-name">${streak.emoji} ${streak.label}</span>
+            <span class="mood-value">🔥 ${streak.current}</span>
+            <div class="trend" title="Personal best">best ${streak.best}</div>
+          </div>
+        `).join('')}
+      </div>
+    </div>
     
     <div class="insights-section">
       <h3>💡 Insights</h3>
       <ul class="insights-list">
-        ${stats.insights.map(insight => `<li>${insight}</li>`).join('')}
+        ${stats.insights.map(insight => `<li>${escapeHtml(insight)}</li>`).join('')}
       </ul>
     </div>
   `;
@@ -794,7 +859,7 @@ export async function exportPDF(stats) {
         </div>
         <div class="stat-card">
           <h3>Daily Water Average</h3>
-          <div style="font-size: 1.5rem; font-weight: bold;">${stats.water.averageDrank} glasses</div>
+          <div style="font-size: 1.5rem; font-weight: bold;">${formatVolume(stats.water.averageDrank, getPlannerSettings().waterUnit)}</div>
         </div>
       </div>
       
@@ -808,7 +873,7 @@ export async function exportPDF(stats) {
       <div>
         <h3>💡 Insights</h3>
         <ul class="insights-list">
-          ${stats.insights.map(insight => `<li>${insight}</li>`).join('')}
+          ${stats.insights.map(insight => `<li>${escapeHtml(insight)}</li>`).join('')}
         </ul>
       </div>
       
@@ -1,223 +1,109 @@
 /**
  * Cherry Planner Premium - Storage System
- * Modular localStorage management with namespacing and migration
+ * Premium domain helpers over the shared planner store and repository
  */
 
 import { SETTINGS_DEFAULT } from './config.js';
+import { get, set, openStore, whenUnlocked } from '../../js/storage/store.js';
+import { createBackup, readBackup, restoreBackup } from '../../js/storage/backup.js';
+import {
+  migrate, getMoodScores, moodsFromScores, scoresFromMoods, getDay, createDay, updateDay,
+  queryDays, getCycleEvents, saveCycleEvents, normalizeIntake, INTAKE_MAX_ML
+} from '../../js/storage/repository.js';
+import { hydrationMl, drinkBreakdown } from '../../js/storage/water.js';
+import { habitSummary } from '../../js/storage/habits.js';
+import { computeAchievements } from '../../js/storage/achievements.js';
 
-const NAMESPACE = 'cherry';
-const STORAGE_VERSION = '1.0.0';
+// Key/value primitives are shared with the base planner
+export { get, set, merge, remove, reset, getKeys } from '../../js/storage/store.js';
 
 /**
- * Check if localStorage is available
- */
-function hasLocalStorage() {
-  try {
-    const test = '__storage_test__';
-    localStorage.setItem(test, '1');
-    localStorage.removeItem(test);
-    return true;
-  } catch {
-    console.warn('localStorage is not available, using in-memory fallback');
-    return false;
-  }
-}
-
-/**
- * In-memory fallback storage
+ * Specific getters and setters for common data types
  */
-const memoryStorage = new Map();
 
-/**
- * Get namespaced key
- */
-function getKey(domain, subkey = '') {
-  return subkey ? `${NAMESPACE}::${domain}::${subkey}` : `${NAMESPACE}::${domain}`;
+// Mood data for specific date (named scores, read from the day record)
+export function getMoodData(date) {
+  return getMoodScores(date);
 }
 
-/**
- * Get value from storage with default fallback
- */
-export function get(domain, subkey = '', defaultValue = null) {
-  const key = getKey(domain, subkey);
-  
-  try {
-    let value;
-    if (hasLocalStorage()) {
-      value = localStorage.getItem(key);
-    } else {
-      value = memoryStorage.get(key);
-    }
-    
-    if (value === null || value === undefined) {
-      return defaultValue;
-    }
-    
-    // Try to parse as JSON, fallback to string
-    try {
-      return JSON.parse(value);
-    } catch {
-      return value;
-    }
-  } catch (error) {
-    console.error('Error reading from storage:', error);
-    return defaultValue;
-  }
+export function setMoodData(date, moodData) {
+  const { notes = '', ...scores } = moodData || {};
+  return updateDay(date, { mood: { moods: moodsFromScores(scores), notes } });
 }
 
-/**
- * Set value in storage
- */
-export function set(domain, subkey = '', value = null) {
-  // Handle case where subkey is actually the value
-  if (value === null && typeof subkey !== 'string') {
-    value = subkey;
-    subkey = '';
-  }
-  
-  const key = getKey(domain, subkey);
-  
-  try {
-    const serialized = typeof value === 'string' ? value : JSON.stringify(value);
-    
-    if (hasLocalStorage()) {
-      localStorage.setItem(key, serialized);
-    } else {
-      memoryStorage.set(key, serialized);
-    }
-    
-    return true;
-  } catch (error) {
-    console.error('Error writing to storage:', error);
-    return false;
-  }
+// Water data for specific date, in ml: `drank` is the hydration that counts toward the goal
+export function getWaterData(date) {
+  return waterSummary(getDay(date).water);
 }
 
-/**
- * Merge partial data with existing data
- */
-export function merge(domain, subkey = '', partialData = null) {
-  // Handle case where subkey is actually the data
-  if (partialData === null && typeof subkey !== 'string') {
-    partialData = subkey;
-    subkey = '';
+// Replaces the day's intakes with untimed water adding up to `drank` ml (in intakes of at most INTAKE_MAX_ML)
+export function setWaterData(date, waterData) {
+  const intakes = [];
+  for (let left = Math.round(waterData.drank) || 0; left > 0; left -= INTAKE_MAX_ML) {
+    intakes.push(normalizeIntake({ ml: Math.min(left, INTAKE_MAX_ML) }));
   }
-  
-  const existing = get(domain, subkey, {});
-  const merged = { ...existing, ...partialData };
-  return set(domain, subkey, merged);
+  return updateDay(date, { water: { intakes, target: waterData.goal } });
 }
 
-/**
- * Remove value from storage
- */
-export function remove(domain, subkey = '') {
-  const key = getKey(domain, subkey);
-  
-  try {
-    if (hasLocalStorage()) {
-      localStorage.removeItem(key);
-    } else {
-      memoryStorage.delete(key);
-    }
-    return true;
-  } catch (error) {
-    console.error('Error removing from storage:', error);
-    return false;
-  }
+function waterSummary(water) {
+  return { goal: water.target, drank: hydrationMl(water), drinks: drinkBreakdown(water) };
 }
 
-/**
- * Reset all data for a namespace prefix
- */
-export function reset(nsPrefix = '') {
-  const prefix = nsPrefix ? `${NAMESPACE}::${nsPrefix}::` : `${NAMESPACE}::`;
-  
-  try {
-    if (hasLocalStorage()) {
-      const keys = Object.keys(localStorage);
-      keys.forEach(key => {
-        if (key.startsWith(prefix)) {
-          localStorage.removeItem(key);
-        }
-      });
-    } else {
-      const keys = Array.from(memoryStorage.keys());
-      keys.forEach(key => {
-        if (key.startsWith(prefix)) {
-          memoryStorage.delete(key);
-        }
-      });
-    }
-    return true;
-  } catch (error) {
-    console.error('Error resetting storage:', error);
-    return false;
-  }
+// Tasks data for specific date
+export function getTasksData(date) {
+  return getDay(date).todos;
 }
 
-/**
- * Get all keys matching a prefix
- */
-export function getKeys(nsPrefix = '') {
-  const prefix = nsPrefix ? `${NAMESPACE}::${nsPrefix}::` : `${NAMESPACE}::`;
-  
-  try {
-    if (hasLocalStorage()) {
-      const keys = Object.keys(localStorage);
-      return keys.filter(key => key.startsWith(prefix));
-    } else {
-      const keys = Array.from(memoryStorage.keys());
-      return keys.filter(key => key.startsWith(prefix));
-    }
-  } catch (error) {
-    console.error('Error getting keys:', error);
-    return [];
-  }
+export function setTasksData(date, tasksData) {
+  return updateDay(date, { todos: tasksData });
 }
 
 /**
- * Specific getters and setters for common data types
+ * Day records for a sorted list of dates, read with one indexed range query.
+ * Returns a lookup that falls back to an empty record for unsaved dates.
  */
-
-// Mood data for specific date
-export function getMoodData(date) {
-  return get('mood', date, {
-    happy: 5, calm: 5, loved: 5,
-    sad: 5, tired: 5, frustrated: 5, grateful: 5,
-    notes: ''
-  });
-}
-
-export function setMoodData(date, moodData) {
-  return set('mood', date, moodData);
+async function loadDayRange(dates) {
+  if (!dates.length) return date => createDay(date);
+  const days = await queryDays(dates[0], dates[dates.length - 1]);
+  const byDate = new Map(days.map(day => [day.date, day]));
+  return date => byDate.get(date) || createDay(date);
 }
 
-// Water data for specific date  
-export function getWaterData(date) {
-  return get('water', date, { goal: 8, drank: 0 });
+// Named mood scores for each date in a range
+export async function getMoodDataRange(dates) {
+  const dayFor = await loadDayRange(dates);
+  return dates.map(date => {
+    const { mood } = dayFor(date);
+    return { ...scoresFromMoods(mood.moods), notes: mood.notes };
+  });
 }
 
-export function setWaterData(date, waterData) {
-  return set('water', date, waterData);
+// Water data for each date in a range
+export async function getWaterDataRange(dates) {
+  const dayFor = await loadDayRange(dates);
+  return dates.map(date => waterSummary(dayFor(date).water));
 }
 
-// Tasks data for specific date
-export function getTasksData(date) {
-  return get('tasks', date, []);
+// Per-habit completion, averages, streaks and daily values over a range
+export async function getHabitDataRange(dates) {
+  if (!dates.length) return [];
+  const days = await queryDays(dates[0], dates[dates.length - 1]);
+  return habitSummary(dates, new Map(days.map(day => [day.date, day.habits])));
 }
 
-export function setTasksData(date, tasksData) {
-  return set('tasks', date, tasksData);
+// Streaks, personal bests and badges as of a date (the planners' achievement rules)
+export async function getAchievementData(date) {
+  const days = await queryDays('', date);
+  return computeAchievements(days, getCycleEvents('start').map(e => e.date), date);
 }
 
 // Cycle events log
 export function getCycleLog() {
-  return get('cycle', 'log', []);
+  return getCycleEvents();
 }
 
 export function setCycleLog(logData) {
-  return set('cycle', 'log', logData);
+  return saveCycleEvents(logData);
 }
 
 export function addCycleEvent(date, type) {
@@ -266,156 +152,27 @@ export function setStatsCache(rangeHash, data) {
 }
 
 /**
- * Schema migration system
+ * Schema migration system (delegates to the shared repository)
  */
 export function migrateSchema() {
-  const currentVersion = get('system', 'version', '0.0.0');
-  
-  if (currentVersion === STORAGE_VERSION) {
-    return true; // No migration needed
-  }
-  
-  console.log(`Migrating storage schema from ${currentVersion} to ${STORAGE_VERSION}`);
-  
-  try {
-    // Migration from legacy single mood format to multi-mood format
-    if (compareVersions(currentVersion, '1.0.0') < 0) {
-      migrateLegacyMoodData();
-    }
-    
-    // Update version
-    set('system', 'version', STORAGE_VERSION);
-    console.log('Schema migration completed successfully');
-    return true;
-  } catch (error) {
-    console.error('Schema migration failed:', error);
-    return false;
-  }
+  return migrate();
 }
 
 /**
- * Migrate legacy mood data to new multi-mood format
- */
-function migrateLegacyMoodData() {
-  const keys = getKeys('mood');
-  
-  keys.forEach(key => {
-    const dateMatch = key.match(/cherry::mood::(\d{4}-\d{2}-\d{2})/);
-    if (!dateMatch) return;
-    
-    const date = dateMatch[1];
-    const legacyData = get('mood', date);
-    
-    // Check if already in new format
-    if (legacyData && typeof legacyData.happy === 'number') {
-      return; // Already migrated
-    }
-    
-    // Convert legacy format
-    if (legacyData && (legacyData.mood || legacyData.score)) {
-      const newData = {
-        happy: 5, calm: 5, loved: 5,
-        sad: 5, tired: 5, frustrated: 5, grateful: 5,
-        notes: legacyData.notes || ''
-      };
-      
-      // Map legacy mood to new format
-      const moodMap = {
-        'happy': 'happy',
-        'calm': 'calm', 
-        'sad': 'sad',
-        'tired': 'tired',
-        'loved': 'loved',
-        'frustrated': 'frustrated',
-        'grateful': 'grateful'
-      };
-      
-      if (legacyData.mood && moodMap[legacyData.mood]) {
-        newData[moodMap[legacyData.mood]] = legacyData.score || 5;
-      }
-      
-      setMoodData(date, newData);
-      console.log(`Migrated mood data for ${date}`);
-    }
-  });
-}
-
-/**
- * Compare version strings
- */
-function compareVersions(a, b) {
-  const aParts = a.split('.').map(Number);
-  const bParts = b.split('.').map(Number);
-  
-  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
-    const aPart = aParts[i] || 0;
-    const bPart = bParts[i] || 0;
-    
-    if (aPart < bPart) return -1;
-    if (aPart > bPart) return 1;
-  }
-  
-  return 0;
-}
-
-/**
- * Export all data for backup
+ * Export all data for backup (the same bundle as the planner menu's Backup)
  */
 export function exportAllData() {
-  const allData = {};
-  
-  try {
-    if (hasLocalStorage()) {
-      const keys = Object.keys(localStorage);
-      keys.forEach(key => {
-        if (key.startsWith(`${NAMESPACE}::`)) {
-          allData[key] = localStorage.getItem(key);
-        }
-      });
-    } else {
-      memoryStorage.forEach((value, key) => {
-        if (key.startsWith(`${NAMESPACE}::`)) {
-          allData[key] = value;
-        }
-      });
-    }
-    
-    return {
-      version: STORAGE_VERSION,
-      timestamp: Date.now(),
-      data: allData
-    };
-  } catch (error) {
-    console.error('Error exporting data:', error);
-    return null;
-  }
+  return createBackup();
 }
 
 /**
- * Import data from backup
+ * Import data from a backup bundle or its JSON text
  */
-export function importAllData(backupData) {
-  if (!backupData || !backupData.data) {
-    console.error('Invalid backup data');
-    return false;
-  }
-  
+export async function importAllData(backupData, options = {}) {
   try {
-    Object.entries(backupData.data).forEach(([key, value]) => {
-      if (key.startsWith(`${NAMESPACE}::`)) {
-        if (hasLocalStorage()) {
-          localStorage.setItem(key, value);
-        } else {
-          memoryStorage.set(key, value);
-        }
-      }
-    });
-    
-    // Run migration if needed
-    migrateSchema();
-    
-    console.log('Data import completed successfully');
-    return true;
+    const text = typeof backupData === 'string' ? backupData : JSON.stringify(backupData);
+    const bundle = await readBackup(text);
+    return restoreBackup(bundle, options);
   } catch (error) {
     console.error('Error importing data:', error);
     return false;
@@ -425,8 +182,12 @@ export function importAllData(backupData) {
 /**
  * Initialize storage system
  */
-export function initStorage() {
+export async function initStorage() {
   try {
+    // Wait for the IndexedDB cache (and the passphrase, when encrypted) before reading anything
+    await openStore();
+    await whenUnlocked();
+
     // Run schema migration
     migrateSchema();
     
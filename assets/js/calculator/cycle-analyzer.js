@@ -15,34 +15,98 @@ export class CycleAnalyzer {
       long: 35,
       veryLong: 38
     };
+    this.bleedingThresholds = {
+      longPeriod: 7,   // days of bleeding
+      heavyDays: 3     // heavy flow days in one period
+    };
+    this.symptomThresholds = {
+      minPhaseDays: 3,     // logged days a phase needs to be compared
+      premenstrualRise: 1, // luteal over follicular average severity
+      frequent: 0.5        // share of logged days
+    };
   }
 
   /**
    * Comprehensive cycle analysis with health insights
+   * @param {Array} cycleData - Cycle history (storage/cycle.js); length statistics use the
+   *   finished cycles, period lengths and flow every logged period including the running one
+   * @param {Object} symptoms - Logged symptoms per phase (symptomProfile in storage/symptoms.js)
    */
   analyzeFullProfile(cycleData, symptoms = {}, settings = {}) {
+    const finished = cycleData.filter(cycle => !cycle.censored);
     const prediction = this.predictionEngine.analyzeCycles(cycleData, settings);
-    const healthInsights = this.generateHealthInsights(cycleData, symptoms);
-    const patterns = this.detectPatterns(cycleData);
-    const riskAssessment = this.assessHealthRisks(cycleData, symptoms);
+    const bleeding = this.analyzeBleeding(cycleData);
+    const healthInsights = this.generateHealthInsights(finished, symptoms, bleeding);
+    const patterns = this.detectPatterns(finished);
+    const riskAssessment = this.assessHealthRisks(finished, symptoms, bleeding);
     
     return {
       ...prediction,
+      bleeding,
       healthInsights,
       patterns,
       riskAssessment,
-      cycleProfile: this.createCycleProfile(cycleData)
+      cycleProfile: this.createCycleProfile(finished)
     };
   }
 
   /**
-   * Generates health insights based on cycle data
+   * Period lengths and heavy flow over the periods with logged days, judged on the last
+   * three that are over
+   */
+  analyzeBleeding(cycles) {
+    const logged = cycles.filter(cycle => cycle.periodLength && !cycle.periodOngoing);
+    const recent = logged.slice(-3);
+    const lengths = logged.map(cycle => cycle.periodLength);
+    
+    return {
+      loggedPeriods: logged.length,
+      averagePeriodLength: lengths.length ? Math.round(lengths.reduce((a, b) => a + b, 0) / lengths.length * 10) / 10 : null,
+      recentPeriods: recent.length,
+      longPeriods: recent.filter(cycle => cycle.periodLength > this.bleedingThresholds.longPeriod).length,
+      heavyPeriods: recent.filter(cycle => (cycle.heavyDays || 0) >= this.bleedingThresholds.heavyDays).length
+    };
+  }
+
+  /**
+   * Heavy bleeding insights: a warning when two of the last three periods were long or
+   * heavy, a caution when one was
    */
-  generateHealthInsights(cycles, symptoms) {
+  generateBleedingInsights(bleeding) {
     const insights = [];
+    if (!bleeding || !bleeding.loggedPeriods) return insights;
+
+    if (bleeding.longPeriods) {
+      insights.push({
+        category: 'bleeding',
+        severity: bleeding.longPeriods >= 2 ? 'warning' : 'caution',
+        title: 'Long Periods',
+        message: `${bleeding.longPeriods} of your last ${bleeding.recentPeriods} logged periods lasted more than ${this.bleedingThresholds.longPeriod} days.`,
+        recommendation: 'Periods longer than a week are worth mentioning to a healthcare provider.'
+      });
+    }
+
+    if (bleeding.heavyPeriods) {
+      insights.push({
+        category: 'bleeding',
+        severity: bleeding.heavyPeriods >= 2 ? 'warning' : 'caution',
+        title: 'Heavy Bleeding',
+        message: `${bleeding.heavyPeriods} of your last ${bleeding.recentPeriods} logged periods had heavy flow on ${this.bleedingThresholds.heavyDays} or more days.`,
+        recommendation: 'Heavy periods can lead to iron deficiency; discuss them with a healthcare provider.'
+      });
+    }
+
+    return insights;
+  }
+
+  /**
+   * Generates health insights based on cycle data
+   */
+  generateHealthInsights(cycles, symptoms = {}, bleeding = this.analyzeBleeding(cycles)) {
+    const insights = [...this.generateBleedingInsights(bleeding), ...this.generateSymptomInsights(symptoms)];
     
     if (cycles.length === 0) {
-      return [{
+      return [...insights, {
         category: 'tracking',
         severity: 'info',
         title: 'Start Your Journey',
@@ -85,7 +149,18 @@ export class CycleAnalyzer {
       });
     }
 
-    // Symptom analysis
+    return insights;
+  }
+
+  /**
+   * Symptom insights: severe cramps, symptoms that rise before the period and headaches
+   * during it. Phases are only compared once each has enough logged days.
+   */
+  generateSymptomInsights(symptoms = {}) {
+    const insights = [];
+    const phases = symptoms.phases || {};
+    const enough = phase => (phases[phase]?.days || 0) >= this.symptomThresholds.minPhaseDays;
+
     if (symptoms.severePain) {
       insights.push({
         category: 'symptoms',
@@ -96,6 +171,33 @@ export class CycleAnalyzer {
       });
     }
 
+    if (enough('luteal') && enough('follicular')) {
+      const rising = Object.entries(phases.luteal.symptoms)
+        .filter(([key, luteal]) => luteal.frequency >= this.symptomThresholds.frequent
+          && luteal.average - phases.follicular.symptoms[key].average >= this.symptomThresholds.premenstrualRise)
+        .map(([, luteal]) => luteal.label);
+      if (rising.length) {
+        insights.push({
+          category: 'symptoms',
+          severity: 'info',
+          title: 'Premenstrual Symptoms',
+          message: `${rising.join(', ')} ${rising.length > 1 ? 'are' : 'is'} clearly worse in the days before your period than after it.`,
+          recommendation: 'Sleep, exercise and less salt and caffeine before your period often help; symptoms that disrupt daily life are worth raising with a doctor.'
+        });
+      }
+    }
+
+    const headache = phases.menstrual?.symptoms?.headache;
+    if (enough('menstrual') && headache.frequency >= this.symptomThresholds.frequent && headache.average >= 2) {
+      insights.push({
+        category: 'symptoms',
+        severity: 'caution',
+        title: 'Period Headaches',
+        message: 'You log moderate to severe headaches on most period days.',
+        recommendation: 'Headaches tied to the period can be treated in advance; ask your doctor about menstrual migraine.'
+      });
+    }
+
     return insights;
   }
 
@@ -207,9 +309,38 @@ export class CycleAnalyzer {
   /**
    * Assesses health risks based on patterns
    */
-  assessHealthRisks(cycles, symptoms) {
+  assessHealthRisks(cycles, symptoms = {}, bleeding = this.analyzeBleeding(cycles)) {
     const risks = [];
+    const heavyBleeding = bleeding.longPeriods >= 2 || bleeding.heavyPeriods >= 2;
+
+    // Heavy menstrual bleeding indicators
+    if (heavyBleeding) {
+      risks.push({
+        condition: 'heavy_menstrual_bleeding',
+        risk: 'moderate',
+        indicators: [
+          ...(bleeding.longPeriods >= 2 ? ['long_periods'] : []),
+          ...(bleeding.heavyPeriods >= 2 ? ['heavy_flow'] : [])
+        ],
+        recommendation: 'Discuss heavy or long periods with a healthcare provider; a blood count can check for anaemia'
+      });
+    }
     
+    // Severe cramps, with heavy or long periods a possible sign of endometriosis
+    if (symptoms.severePain) {
+      risks.push(heavyBleeding ? {
+        condition: 'endometriosis',
+        risk: 'low_to_moderate',
+        indicators: ['severe_pain', 'heavy_menstrual_bleeding'],
+        recommendation: 'Severe period pain with heavy bleeding is worth a gynaecological check-up'
+      } : {
+        condition: 'dysmenorrhea',
+        risk: 'moderate',
+        indicators: ['severe_pain'],
+        recommendation: 'Discuss pain relief with a healthcare provider, especially if the pain gets worse over time'
+      });
+    }
+
     if (cycles.length === 0) return risks;
 
     const lengths = cycles.map(c => c.length);
@@ -221,7 +352,7 @@ export class CycleAnalyzer {
       risks.push({
         condition: 'PCOS',
         risk: 'moderate',
-        indicators: ['long_cycles', 'irregular_cycles'],
+        indicators: ['long_cycles', 'irregular_cycles', ...(this.frequentAcne(symptoms) ? ['persistent_acne'] : [])],
         recommendation: 'Consider PCOS screening with healthcare provider'
       });
     }
@@ -249,6 +380,16 @@ export class CycleAnalyzer {
     return risks;
   }
 
+  /**
+   * Acne on most logged days, whatever the phase
+   */
+  frequentAcne(symptoms = {}) {
+    const phases = Object.values(symptoms.phases || {});
+    const days = phases.reduce((n, phase) => n + phase.days, 0);
+    const acneDays = phases.reduce((n, phase) => n + phase.days * (phase.symptoms.acne?.frequency || 0), 0);
+    return days >= this.symptomThresholds.minPhaseDays && acneDays / days >= this.symptomThresholds.frequent;
+  }
+
   /**
    * Creates a comprehensive cycle profile
    */
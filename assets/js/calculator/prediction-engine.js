@@ -13,18 +13,41 @@ export class CyclePredictionEngine {
 
   /**
    * Analyzes cycle history and returns comprehensive predictions
-   * @param {Array} cycleHistory - Array of cycle objects {start: Date, length: number}
-   * @param {Object} settings - User settings {lutealLength: number, advancedEstimation: boolean}
+   *
+   * The running cycle (censored, see storage/cycle.js) is left out of the statistics;
+   * the next start is predicted from it and, as it has already lasted `days` days,
+   * no earlier than the day after today. Worked examples (advanced estimation off):
+   *
+   *   finished 28 and 30 days, running since 2026-02-28 on day 11
+   *   → average 29, next start 2026-02-28 + 29 = 2026-03-29
+   *
+   *   finished 28 and 28 days, running since 2026-01-29 on day 36 (overdue)
+   *   → average 28, but at least 36: next start 2026-01-29 + 36 = 2026-03-06, tomorrow
+   *
+   *   with advanced estimation, finished 26, 28, 30 (latest last)
+   *   → 30 × 0.5 + 28 × 0.3 + 26 × 0.2 = 28.6 days after the running cycle's start
+   *
+   * Finished cycles with an ovulation confirmed by temperature carry a measured
+   * `lutealLength`; their average replaces settings.lutealLength for the ovulation,
+   * luteal phase and fertile window predictions (see observedLutealLength).
+   *
+   * @param {Array} cycleHistory - Array of cycle objects {start: Date, length: number, lutealLength?: number},
+   *   the running one {start: Date, length: null, censored: true, days: number}
+   * @param {Object} settings - User settings {lutealLength: number, advancedEstimation: boolean,
+   *   cycleLength: number (assumed while no cycle has finished)}
    * @returns {Object} Prediction results with statistics and forecasts
    */
   analyzeCycles(cycleHistory, settings = {}) {
-    if (!cycleHistory || cycleHistory.length === 0) {
+    const current = (cycleHistory || []).find(cycle => cycle.censored);
+    const cleanHistory = this.cleanCycleData((cycleHistory || []).filter(cycle => !cycle.censored));
+    if (!current && cleanHistory.length === 0) {
       return this.getDefaultPrediction(settings);
     }
 
-    const cleanHistory = this.cleanCycleData(cycleHistory);
-    const stats = this.calculateStatistics(cleanHistory);
-    const predictions = this.generatePredictions(cleanHistory, stats, settings);
+    const observed = this.observedLutealLength(cleanHistory);
+    if (observed) settings = { ...settings, lutealLength: observed.length };
+    const stats = this.calculateStatistics(cleanHistory, settings.cycleLength);
+    const predictions = this.generatePredictions(cleanHistory, stats, settings, current);
     const fertilityWindow = this.calculateFertilityWindow(predictions.nextCycle, settings);
     
     return {
@@ -32,10 +55,26 @@ export class CyclePredictionEngine {
       predictions,
       fertilityWindow,
       recommendations: this.generateRecommendations(stats),
-      confidence: this.calculateConfidence(cleanHistory)
+      confidence: this.calculateConfidence(cleanHistory),
+      lutealPhase: observed
+        ? { ...observed, source: 'bbt' }
+        : { length: settings.lutealLength || this.defaultLutealLength, cycles: 0, source: 'settings' }
     };
   }
 
+  /**
+   * Average luteal length of the last six cycles with a confirmed ovulation, kept within
+   * 8-18 days; null when none was confirmed.
+   *
+   *   luteal lengths 13, 12, 14 → { length: 13, cycles: 3 }
+   */
+  observedLutealLength(cycles) {
+    const lengths = cycles.map(cycle => cycle.lutealLength).filter(n => n).slice(-6);
+    if (!lengths.length) return null;
+    const average = lengths.reduce((sum, n) => sum + n, 0) / lengths.length;
+    return { length: Math.min(18, Math.max(8, Math.round(average))), cycles: lengths.length };
+  }
+
   /**
    * Cleans and validates cycle data
    */
@@ -49,10 +88,10 @@ export class CyclePredictionEngine {
   /**
    * Calculates comprehensive cycle statistics
    */
-  calculateStatistics(cycles) {
+  calculateStatistics(cycles, assumedLength = 28) {
     if (cycles.length === 0) {
       return {
-        averageLength: 28,
+        averageLength: assumedLength,
         standardDeviation: 0,
         irregularityScore: 0,
         totalCycles: 0,
@@ -88,9 +127,8 @@ export class CyclePredictionEngine {
   /**
    * Generates cycle predictions using multiple algorithms
    */
-  generatePredictions(cycles, stats, settings) {
-    const lastCycle = cycles[cycles.length - 1];
-    const nextCycleStart = this.predictNextCycleStart(cycles, stats, settings);
+  generatePredictions(cycles, stats, settings, current) {
+    const nextCycleStart = this.predictNextCycleStart(cycles, stats, settings, current);
     
     return {
       nextCycle: {
@@ -107,19 +145,22 @@ export class CyclePredictionEngine {
   /**
    * Predicts next cycle start using weighted moving average
    */
-  predictNextCycleStart(cycles, stats, settings) {
-    const lastCycle = cycles[cycles.length - 1];
+  predictNextCycleStart(cycles, stats, settings, current) {
+    const lastCycle = current || cycles[cycles.length - 1];
     let predictedLength = stats.averageLength;
 
     if (settings.advancedEstimation && cycles.length >= 3) {
       // Weighted average of last 3 cycles (more weight on recent cycles)
-      const recentCycles = cycles.slice(-3);
+      const recentCycles = cycles.slice(-3).reverse();
       const weights = [0.5, 0.3, 0.2]; // Most recent gets highest weight
       predictedLength = recentCycles.reduce((sum, cycle, index) => {
         return sum + (cycle.length * weights[index]);
       }, 0);
     }
 
+    // the running cycle is at least as long as it has lasted
+    if (current) predictedLength = Math.max(predictedLength, current.days);
+
     const lastStart = new Date(lastCycle.start);
     return new Date(lastStart.getTime() + (predictedLength * 24 * 60 * 60 * 1000));
   }
@@ -258,6 +299,10 @@ export class CyclePredictionEngine {
     return cycles;
   }
 
+  /**
+   * Ovulation of the cycle starting on `cycleStart`, a luteal length before its expected end:
+   * 28-day average, luteal 14 → cycle day 14; measured luteal 12 → cycle day 16
+   */
   predictOvulation(cycleStart, stats, settings) {
     const lutealLength = settings.lutealLength || this.defaultLutealLength;
     const ovulationDay = stats.averageLength - lutealLength;
@@ -0,0 +1,102 @@
+/**
+ * Cherry Planner - prediction engine tests (node --test)
+ * Hand-worked histories go through buildCycleHistory the way the cycle card hands
+ * them to the engine (starts as Dates). Predicted dates are checked as days after the
+ * running cycle's start.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CyclePredictionEngine } from './prediction-engine.js';
+import { buildCycleHistory } from '../storage/cycle.js';
+import { toDateKey, parseDateKey } from '../storage/repository.js';
+
+const engine = new CyclePredictionEngine();
+
+const addDays = (key, n) => { const d = parseDateKey(key); d.setDate(d.getDate() + n); return toDateKey(d); };
+
+// Finished cycles of the given lengths from 2026-01-01, then a running cycle on `day`;
+// with `ovulationDay` every cycle logs temperatures that rise the day after it
+function history(lengths, day, ovulationDay) {
+  const starts = lengths.reduce((list, length) => [...list, addDays(list[list.length - 1], length)], ['2026-01-01']);
+  const today = addDays(starts[starts.length - 1], day - 1);
+  const temperatures = ovulationDay ? starts.slice(0, -1).flatMap((start, i) =>
+    Array.from({ length: lengths[i] }, (_, n) => ({ date: addDays(start, n), temp: n < ovulationDay ? 36.3 : 36.7 }))) : [];
+  const entries = buildCycleHistory(starts, [], today, temperatures).map(cycle => ({ ...cycle, start: parseDateKey(cycle.start) }));
+  return { entries, running: entries[entries.length - 1].start };
+}
+
+const daysAfter = (from, date) => (date - from) / 86400000;
+
+test('a regular history predicts its own length with high confidence', () => {
+  const { entries, running } = history([28, 28, 28, 28, 28, 28], 10);
+  const result = engine.analyzeCycles(entries, { lutealLength: 14, cycleLength: 28 });
+  assert.equal(result.statistics.totalCycles, 6);
+  assert.equal(result.statistics.averageLength, 28);
+  assert.equal(result.statistics.standardDeviation, 0);
+  assert.equal(result.statistics.irregularityScore, 0);
+  assert.equal(result.statistics.dataQuality, 'good');
+  assert.equal(Math.round(daysAfter(running, result.predictions.nextCycle.startDate)), 28);
+  assert.equal(result.predictions.nextCycle.estimatedLength, 28);
+  // ovulation on cycle day 14 of the next cycle, the fertile window 5 days before to 1 after
+  const next = result.predictions.nextCycle.startDate;
+  assert.equal(Math.round(daysAfter(next, result.fertilityWindow.ovulationDate)), 13);
+  assert.equal(Math.round(daysAfter(next, result.fertilityWindow.windowStart)), 8);
+  assert.equal(Math.round(daysAfter(next, result.fertilityWindow.windowEnd)), 14);
+  assert.equal(result.confidence, 0.95);
+  assert.deepEqual(result.recommendations, []);
+});
+
+test('a steady confirmed ovulation day is predicted on that same day', () => {
+  // ovulation on cycle day 14 of each 28-day cycle: 14 luteal days, the next one again on day 14
+  const { entries } = history([28, 28, 28, 28], 10, 14);
+  assert.deepEqual(entries.slice(0, -1).map(cycle => cycle.lutealLength), [14, 14, 14, 14]);
+  const result = engine.analyzeCycles(entries, { lutealLength: 12, cycleLength: 28 });
+  assert.deepEqual(result.lutealPhase, { length: 14, cycles: 4, source: 'bbt' });
+  const next = result.predictions.nextCycle.startDate;
+  assert.equal(Math.round(daysAfter(next, result.fertilityWindow.ovulationDate)) + 1, 14);
+  assert.equal(Math.round(daysAfter(next, result.predictions.ovulationDate)) + 1, 14);
+});
+
+test('an irregular history averages its lengths and lowers the confidence', () => {
+  // 24 35 26 33 22 34: mean 29, variance 160 / 6 = 26.67, SD 5.16, CV 17.81 %
+  const { entries, running } = history([24, 35, 26, 33, 22, 34], 10);
+  const result = engine.analyzeCycles(entries, { lutealLength: 14, cycleLength: 28 });
+  assert.equal(result.statistics.averageLength, 29);
+  assert.equal(result.statistics.standardDeviation, 5.16);
+  assert.equal(result.statistics.irregularityScore, 17.81);
+  assert.equal(result.statistics.shortest, 22);
+  assert.equal(result.statistics.longest, 35);
+  assert.equal(Math.round(daysAfter(running, result.predictions.nextCycle.startDate)), 29);
+  // recent trend: slope 54 / 105 = 0.51 a cycle → 29.51, rounded to 30
+  assert.equal(result.predictions.nextCycle.estimatedLength, 30);
+  // 0.6 + (1 - 26.67 / 100) × 0.35
+  assert.ok(Math.abs(result.confidence - 0.8567) < 0.0001);
+  const regular = engine.analyzeCycles(history([28, 28, 28, 28, 28, 28], 10).entries, { lutealLength: 14 });
+  assert.ok(result.confidence < regular.confidence);
+});
+
+test('advanced estimation weights the last three cycles', () => {
+  // latest last: 30 × 0.5 + 28 × 0.3 + 26 × 0.2 = 28.6
+  const { entries, running } = history([26, 28, 30], 5);
+  const result = engine.analyzeCycles(entries, { lutealLength: 14, advancedEstimation: true });
+  assert.ok(Math.abs(daysAfter(running, result.predictions.nextCycle.startDate) - 28.6) < 0.05);
+});
+
+test('an overdue running cycle is never predicted to have ended', () => {
+  // finished 28 and 28, running on day 36: the next start is day 37, tomorrow
+  const { entries, running } = history([28, 28], 36);
+  const result = engine.analyzeCycles(entries, { lutealLength: 14 });
+  assert.equal(result.statistics.averageLength, 28);
+  assert.equal(result.statistics.totalCycles, 2);
+  assert.equal(Math.round(daysAfter(running, result.predictions.nextCycle.startDate)), 36);
+  assert.equal(result.confidence, 0.5);
+});
+
+test('the running cycle alone falls back on the configured length', () => {
+  const { entries, running } = history([], 12);
+  const result = engine.analyzeCycles(entries, { lutealLength: 14, cycleLength: 30 });
+  assert.equal(result.statistics.totalCycles, 0);
+  assert.equal(Math.round(daysAfter(running, result.predictions.nextCycle.startDate)), 30);
+  assert.equal(result.confidence, 0);
+});
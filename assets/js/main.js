@@ -1,17 +1,31 @@
 import { $, $$, clamp, debounce, showToast, escapeHtml } from './modules/utils.js';
 import { saveImage, savePDF } from './modules/exporter.js';
 import { initTodos, getTodos, setTodos } from './modules/todos.js';
-import { initWater, getWaterState, setWaterState, rebuildGlasses } from './modules/water.js';
+import { initWater, getWaterState, setWaterState } from './modules/water.js';
+import { initHabits, getHabitState, setHabitState } from './modules/habits.js';
+import { initMeals, getMealState, setMealState } from './modules/meals.js';
+import { initNutrition, getNutritionState, setNutritionState } from './modules/nutrition.js';
 import { initMood, getMoodState, setMoodState, resetMoods } from './modules/mood.js';
 import { initNotes, getNotesState, setNotesState } from './modules/notes.js';
-import { initCycle, getCycleGlobals, setCycleGlobals, exportCycleCSV } from './modules/cycle.js';
-
-function storageKey(){ return `cherryPlanner_${$('#plannerDate').value}`; }
-
-function storageAvailable(){
-  try{ const t='__cherry_test__'; localStorage.setItem(t,'1'); localStorage.removeItem(t); return true; }
-  catch(e){ console.warn('LocalStorage unavailable:', e?.message||e); return false; }
-}
+import { initCycle, exportCycleCSV, refreshCycle } from './modules/cycle.js';
+import { initBbt, refreshBbt } from './modules/bbt.js';
+import { initFertility, refreshFertility } from './modules/fertility.js';
+import { initSymptoms, getSymptomState, setSymptomState } from './modules/symptoms.js';
+import { initBackup } from './modules/backup.js';
+import { requireUnlock, initLock } from './modules/lock.js';
+import { initProfiles } from './modules/profiles.js';
+import { initSync } from './modules/sync.js';
+import { initPwa } from './modules/pwa.js';
+import { initCarryOver, reviewCarryOver } from './modules/carryover.js';
+import { initTimeline, getTimeline, setTimeline, refreshTimeline } from './modules/timeline.js';
+import { initReminders } from './modules/reminders.js';
+import { initIcal } from './modules/ical.js';
+import { initAchievements, checkAchievements } from './modules/achievements.js';
+import { initPlanView, renderPlanView, showView, currentView } from './modules/planview.js';
+import { openStore } from './storage/store.js';
+import { migrate, getDay, hasDay, updateDay, removeDay, resetAll, getCycleSettings, getCycleStarts, parseDateKey } from './storage/repository.js';
+
+function dayKey(){ return $('#plannerDate').value; }
 
 function collectData(){
   const mood = getMoodState();
@@ -20,60 +34,31 @@ function collectData(){
   return {
     date: $('#plannerDate').value,
     todos: getTodos(),
-    prio1: $('#prio1').value || '',
-    prio2: $('#prio2').value || '',
-    prio3: $('#prio3').value || '',
-    time_morning: $('#morn').value || '',
-    time_noon: $('#noon').value || '',
-    time_evening: $('#eve').value || '',
-    meal_breakfast: $('#meal_b').value || '',
-    meal_lunch: $('#meal_l').value || '',
-    meal_dinner: $('#meal_d').value || '',
-    meal_snacks: $('#meal_s').value || '',
+    blocks: getTimeline(),
+    ...getMealState(),
+    nutrition: getNutritionState(),
     water,
+    habits: getHabitState(),
+    symptoms: getSymptomState(),
     mood,
     grat1: $('#grat1').value || '',
     grat2: $('#grat2').value || '',
     grat3: $('#grat3').value || '',
-    notes,
-    // Extra data to ensure completeness
-    waterTarget: water.target,
-    moodValues: mood.moods, // New multi-mood values
-    moodScore: mood.score || 5, // Legacy compatibility
-    moodNotes: mood.notes,
-    notesText: notes.text
+    notes
   };
 }
 
 function restoreData(data){
-  setTodos(data.todos || []);
-  $('#prio1').value = data.prio1 || '';
-  $('#prio2').value = data.prio2 || '';
-  $('#prio3').value = data.prio3 || '';
-  $('#morn').value = data.time_morning || '';
-  $('#noon').value = data.time_noon || '';
-  $('#eve').value = data.time_evening || '';
-  $('#meal_b').value = data.meal_breakfast || '';
-  $('#meal_l').value = data.meal_lunch || '';
-  $('#meal_d').value = data.meal_dinner || '';
-  $('#meal_s').value = data.meal_snacks || '';
-  
-  // Restore water with enhanced fallback
-  const waterData = data.water || { count: data.waterCount || 0, target: data.waterTarget || 8 };
-  setWaterState(waterData); rebuildGlasses();
+  setTodos(data.todos || [], data.date, data.deletedTodos);
+  setTimeline(data.blocks, data.date);
+  setMealState(data, data.date);
+  setNutritionState(data.nutrition, data.date);
   
-  // Restore mood with enhanced fallback (support both old and new formats)
-  const moodData = data.mood || { 
-    moods: data.moodValues || null, // New multi-mood format
-    mood: data.moodType || '', // Legacy single mood
-    score: data.moodScore || 5, // Legacy score
-    notes: data.moodNotes || '' 
-  };
-  setMoodState(moodData);
-  
-  // Restore notes with enhanced fallback
-  const notesData = data.notes || { text: data.notesText || '' };
-  setNotesState(notesData);
+  setWaterState(data.water, data.date);
+  setHabitState(data.habits, data.date);
+  setSymptomState(data.symptoms, data.date);
+  setMoodState(data.mood);
+  setNotesState(data.notes);
   
   $('#grat1').value = data.grat1 || '';
   $('#grat2').value = data.grat2 || '';
@@ -84,37 +69,33 @@ let saveTimer;
 function saveToStorage(){
   // Debounced autosave to reduce write bursts
   clearTimeout(saveTimer);
-  saveTimer = setTimeout(()=>{
-    if(!storageAvailable()) return;
-    localStorage.setItem(storageKey(), JSON.stringify(collectData()));
-    // also persist global preferences
-    const cycle = getCycleGlobals();
-    localStorage.setItem('cherry_globals', JSON.stringify({
-      cycle,
-      water: getWaterState(),
-      mood: getMoodState()
-    }));
-    showToast('Saved automatically!');
-  }, 250);
+  // a new badge's toast replaces the saved one
+  saveTimer = setTimeout(()=>{ if(saveNow()){ showToast('Saved automatically!'); checkAchievements(); } }, 250);
+}
+
+// The week and month views edit storage directly, so the hidden day view must not write its stale copy back
+function saveNow(){
+  clearTimeout(saveTimer);
+  if(!dayKey() || currentView() !== 'day') return false;
+  updateDay(dayKey(), collectData());
+  return true;
+}
+
+// Synced records from other devices: redraw the open day, other panels read storage at init
+function syncedFromServer(keys){
+  const open = [`cherry::day::${dayKey()}`, `cherry::notes::${dayKey()}`];
+  if(keys.some(k => open.includes(k))) restoreFromStorage();
+  if(keys.some(k => /^cherry::day::/.test(k))) renderPlanView();
+  if(keys.some(k => !open.includes(k) && !/^cherry::(day|notes)::/.test(k))) showToast('Synced changes arrived · reload to see all of them');
 }
 
 function restoreFromStorage(showMsg=false){
-  if(!storageAvailable()) { console.warn('Storage disabled - skipping restore'); return; }
-  // restore global preferences first
-  try{
-    const g = JSON.parse(localStorage.getItem('cherry_globals')||'{}');
-    if(g.water) setWaterState(g.water);
-    if(g.mood) setMoodState(g.mood);
-    if(g.cycle) setCycleGlobals(g.cycle);
-  }catch{}
-  const raw = localStorage.getItem(storageKey());
-  if(raw){
-    try{ restoreData(JSON.parse(raw)); if(showMsg) showToast('Loaded.'); }
-    catch(e){ console.error(e); }
-  } else {
-    setTodos([]); setWaterState({count:0,target:8}); setMoodState({mood:'',score:5,notes:''}); setNotesState({text:''});
-    ['prio1','prio2','prio3','morn','noon','eve','meal_b','meal_l','meal_d','meal_s','grat1','grat2','grat3'].forEach(id=>{ const el=$("#"+id); if(el) el.value=''; });
-  }
+  if(!dayKey()) return;
+  // getDay() returns an empty record (with the default water goal) for unsaved days
+  try{ restoreData(getDay(dayKey())); if(showMsg && hasDay(dayKey())) showToast('Loaded.'); }
+  catch(e){ console.error(e); }
+  // opening today offers earlier unfinished tasks (once a day); moving them reloads the day
+  reviewCarryOver(dayKey());
 }
 
 function updateDayOfWeek(){ 
@@ -123,13 +104,16 @@ function updateDayOfWeek(){
   $('#dayOfWeek').textContent = days[d.getDay()]; 
 }
 
-// Külső könyvtárak betöltésének ellenőrzése
-function waitForLibraries() {
-  return new Promise((resolve) => {
+// Külső könyvtárak betöltésének ellenőrzése (legfeljebb `timeout` ms-ig)
+function waitForLibraries(timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  return new Promise((resolve, reject) => {
     const checkLibraries = () => {
       if (typeof html2canvas !== 'undefined' && window.jspdf && window.jspdf.jsPDF) {
         console.log('Libraries loaded successfully');
         resolve();
+      } else if (Date.now() >= deadline) {
+        reject(new Error('Export libraries could not be loaded'));
       } else {
         console.log('Waiting for libraries...', {
           html2canvas: typeof html2canvas,
@@ -185,16 +169,12 @@ function initButtons() {
     { id: '#btnPrint', handler: () => window.print() },
     { id: '#btnSave', handler: saveToStorage },
     { id: '#btnReset', handler: () => { 
-      localStorage.removeItem(storageKey()); 
+      removeDay(dayKey()); 
       restoreFromStorage(true); 
     }},
     { id: '#btnResetAll', handler: () => {
       if(!confirm('Reset all saved data? This clears day data and global settings.')) return;
-      const keys = Object.keys(localStorage);
-      keys.forEach(k=>{ 
-        if(k.startsWith('cherryPlanner_')||k==='cherry_globals'||k==='cherry_cycle'||k==='cherry_cycle_log') 
-          localStorage.removeItem(k); 
-      });
+      resetAll();
       resetMoods();
       restoreFromStorage(true);
       showToast('All data reset');
@@ -257,7 +237,7 @@ function domReady(callback) {
 }
 
 // Main initialization
-domReady(() => {
+domReady(async () => {
   console.log('DOM ready, initializing app...');
   
   // Set default date
@@ -267,13 +247,41 @@ domReady(() => {
     updateDayOfWeek();
   }
 
+  // Hydrate the IndexedDB cache, unlock an encrypted store and bring legacy keys into the unified schema before any module reads
+  const backend = await openStore();
+  await requireUnlock();
+  migrate();
+
   // Initialize modules
   try {
-    initTodos(saveToStorage);
+    // linked time blocks show their task's name and tick
+    initTodos(() => { saveToStorage(); refreshTimeline(); });
+    initTimeline(saveToStorage, getTodos);
     initWater(saveToStorage);
+    initHabits(saveToStorage);
+    initMeals(saveToStorage);
+    initNutrition(saveToStorage);
     initMood(saveToStorage);
     initNotes(saveToStorage);
-    initCycle(saveToStorage);
+    initCycle(saveToStorage, () => { refreshBbt(); refreshFertility(); });
+    initSymptoms(saveToStorage);
+    // temperatures close the fertile phase, so they redraw the fertility panel too
+    initBbt(() => { refreshCycle(); refreshFertility(); });
+    initFertility(refreshCycle);
+    // every module reads storage at init, so reload after a restore
+    initBackup(() => setTimeout(() => location.reload(), 800));
+    initLock();
+    initProfiles();
+    initSync(syncedFromServer);
+    initPwa();
+    initCarryOver(() => { restoreFromStorage(); renderPlanView(); });
+    initReminders();
+    initIcal(() => { restoreFromStorage(); renderPlanView(); });
+    initAchievements();
+    // opening a day from the week or month view shows it in the day view
+    initPlanView((date) => {
+      $('#plannerDate').value = date; updateDayOfWeek(); restoreFromStorage();
+    }, saveNow);
     console.log('Modules initialized');
   } catch (error) {
     console.error('Module initialization failed:', error);
@@ -286,8 +294,8 @@ domReady(() => {
   restoreFromStorage();
   
   // Check storage availability
-  if(!storageAvailable()) {
-    showToast('Warning: LocalStorage is disabled in this context. Data will not persist.');
+  if(backend === 'memory') {
+    showToast('Warning: Browser storage is disabled in this context. Data will not persist.');
   }
 
   // Initialize motivation system
@@ -302,6 +310,7 @@ domReady(() => {
     plannerDate.addEventListener('change', () => { 
       updateDayOfWeek(); 
       restoreFromStorage(true); 
+      if(currentView() !== 'day') showView(currentView(), dayKey());
     });
   }
 
@@ -311,7 +320,7 @@ domReady(() => {
   });
   
   // Auto-save for specific non-data-key fields
-  ['#prio1', '#prio2', '#prio3', '#morn', '#noon', '#eve', '#meal_b', '#meal_l', '#meal_d', '#meal_s', '#grat1', '#grat2', '#grat3'].forEach(sel => {
+  ['#grat1', '#grat2', '#grat3'].forEach(sel => {
     const el = $(sel);
     if(el) el.addEventListener('input', debounce(saveToStorage, 250));
   });
@@ -395,14 +404,21 @@ const motivationData = {
   ]
 };
 
+// Latest logged start (or configured start) and cycle length
+function getCycleBasis() {
+  const cfg = getCycleSettings();
+  const starts = getCycleStarts();
+  const last = starts.length ? starts[starts.length - 1] : cfg.start;
+  return last ? { lastPeriod: parseDateKey(last), cycleLength: cfg.len } : null;
+}
+
 // Enhanced Cycle Tracker with Fertility Predictions
 function updateCyclePredictions() {
-  const cycleData = JSON.parse(localStorage.getItem('cherry::cycle') || '{}');
+  const cycleData = getCycleBasis();
   const today = new Date();
   
-  if (cycleData.lastPeriod && cycleData.cycleLength) {
-    const lastPeriod = new Date(cycleData.lastPeriod);
-    const cycleLength = parseInt(cycleData.cycleLength);
+  if (cycleData) {
+    const { lastPeriod, cycleLength } = cycleData;
     
     // Calculate next period
     const nextPeriod = new Date(lastPeriod);
@@ -462,8 +478,8 @@ function getPhaseDescription(today, lastPeriod, cycleLength) {
 
 // Show motivation based on cycle phase
 export function showCycleBasedMotivation() {
-  const cycleData = JSON.parse(localStorage.getItem('cherry::cycle') || '{}');
-  if (!cycleData.lastPeriod || !cycleData.cycleLength) {
+  const cycleData = getCycleBasis();
+  if (!cycleData) {
     // If no cycle data, show random motivation
     const randomType = Math.random() < 0.5 ? 'quote' : 'tip';
     const message = randomType === 'quote' 
@@ -474,8 +490,7 @@ export function showCycleBasedMotivation() {
   }
   
   const today = new Date();
-  const lastPeriod = new Date(cycleData.lastPeriod);
-  const cycleLength = parseInt(cycleData.cycleLength);
+  const { lastPeriod, cycleLength } = cycleData;
   const daysSincePeriod = Math.floor((today - lastPeriod) / (1000 * 60 * 60 * 24));
   const cycleDay = daysSincePeriod % cycleLength;
   
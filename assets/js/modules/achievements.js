@@ -0,0 +1,50 @@
+import { showToast, escapeHtml } from './utils.js';
+import { getAchievements, awardBadges } from '../storage/achievements.js';
+import { parseDateKey } from '../storage/repository.js';
+
+// Streaks and badges of both planners. The pages call checkAchievements() after saving a day;
+// new badges are announced with a toast, the menu button opens the overview.
+
+const HISTORY_LIMIT = 12;
+
+export function initAchievements(){
+  const btn = document.getElementById('btnAchievements'); if(btn) btn.addEventListener('click', openAchievementsDialog);
+  checkAchievements();
+}
+
+// Recomputes from storage; returns the achievements so the page can show its own streak summary
+export function checkAchievements(){
+  const achievements = getAchievements();
+  const fresh = awardBadges(achievements);
+  if(fresh.length) showToast(fresh.length === 1 ? `🏆 New badge: ${fresh[0].emoji} ${fresh[0].name}` : `🏆 ${fresh.length} new badges: ${fresh.map(b => b.emoji).join(' ')}`);
+  return achievements;
+}
+
+const shortDate = key => parseDateKey(key).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+const count = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+
+export function openAchievementsDialog(){
+  if(document.querySelector('.achievements-dialog')) return;
+  const { streaks, wins, badges, history } = checkAchievements();
+  const dialog = document.createElement('dialog'); dialog.className = 'achievements-dialog'; dialog.setAttribute('aria-labelledby','achievementsTitle');
+  dialog.innerHTML = `<form method="dialog">
+    <h2 id="achievementsTitle" class="card-title">🏆 Streaks &amp; badges</h2>
+    <ul class="ach-streaks">${streaks.map(s => `<li class="${wins.includes(s.id) ? 'won' : ''}">
+      <span class="ach-rule">${s.emoji} ${s.label}</span>
+      <span class="ach-current" title="Current streak">🔥 ${count(s.current, s.unit)}</span>
+      <span class="ach-best">best ${count(s.best, s.unit)}${s.best ? ` · ${shortDate(s.bestEnd)}` : ''}</span>
+    </li>`).join('')}</ul>
+    <p class="ach-note">Today counts once it is done, so an unfinished day does not break a streak yet.</p>
+    <h3 class="ach-heading">Badges · ${history.length} of ${badges.length}</h3>
+    <ul class="ach-badges">${badges.map(b => `<li class="ach-badge ${b.earned ? 'earned' : ''}" title="${escapeHtml(b.description)}${b.earned ? ` · ${shortDate(b.earned)}` : ''}">
+      <span class="ach-emoji" aria-hidden="true">${b.emoji}</span><span>${escapeHtml(b.name)}</span>
+    </li>`).join('')}</ul>
+    ${history.length ? `<h3 class="ach-heading">Latest</h3>
+    <ol class="ach-history">${history.slice(0, HISTORY_LIMIT).map(({ badge, date }) => `<li><time datetime="${date}">${shortDate(date)}</time> ${badge.emoji} ${escapeHtml(badge.name)}</li>`).join('')}</ol>` : ''}
+    <div class="ach-actions"><button class="btn" type="button" data-act="done">Done</button></div>
+  </form>`;
+  document.body.appendChild(dialog);
+  dialog.addEventListener('close', ()=> dialog.remove());
+  dialog.querySelector('[data-act="done"]').addEventListener('click', ()=> dialog.close());
+  dialog.showModal();
+}
@@ -0,0 +1,72 @@
+import { $, $$, showToast, escapeHtml } from './utils.js';
+import { BACKUP_SECTIONS, createBackup, backupFileName, readBackup, diffBackup, restoreBackup } from '../storage/backup.js';
+
+let onRestore = () => {};
+let bundle = null;
+let diff = null;
+
+export function initBackup(restored){
+  onRestore = restored || (()=>{});
+  const file = $('#backupFile'); const dialog = $('#backupDialog');
+  if(!file || !dialog) return;
+  const backupBtn = $('#btnBackup'); if(backupBtn) backupBtn.addEventListener('click', downloadBackup);
+  const restoreBtn = $('#btnRestore'); if(restoreBtn) restoreBtn.addEventListener('click', ()=>{ file.value = ''; file.click(); });
+  file.addEventListener('change', ()=>{ if(file.files[0]) openPreview(file.files[0]); });
+  $$('input[name="backupMode"]').forEach(r=> r.addEventListener('change', renderDiff));
+  $('#backupDiff').addEventListener('change', renderChanges);
+  dialog.addEventListener('close', ()=>{ if(dialog.returnValue === 'restore') applyRestore(); else bundle = null; });
+}
+
+export async function downloadBackup(){
+  try{
+    const data = await createBackup();
+    const blob = new Blob([JSON.stringify(data, null, 2)], {type:'application/json'});
+    const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = backupFileName(); a.click(); URL.revokeObjectURL(a.href);
+    showToast('Backup downloaded');
+  }catch(e){ console.error('Backup failed:', e); showToast('Backup failed. Please try again.'); }
+}
+
+async function openPreview(file){
+  try{ bundle = await readBackup(await file.text()); }
+  catch(e){ showToast(e.message); return; }
+  diff = diffBackup(bundle);
+  const created = bundle.createdAt ? new Date(bundle.createdAt).toLocaleString() : 'unknown date';
+  const from = bundle.profile?.name ? ` · profile “${bundle.profile.name}”` : '';
+  $('#backupMeta').textContent = `Created ${created}${from} · data schema v${bundle.schema} · checksum ${bundle.verified ? 'verified ✓' : 'not checked (needs https)'}`;
+  $$('input[name="backupMode"]').forEach(r=> r.checked = r.value === 'merge');
+  renderDiff(true);
+  const dialog = $('#backupDialog'); dialog.returnValue = ''; dialog.showModal();
+}
+
+function getMode(){ const r = $('input[name="backupMode"]:checked'); return r ? r.value : 'merge'; }
+function selectedSections(){ return $$('#backupDiff input[type="checkbox"]:checked').map(cb=> cb.value); }
+
+function renderDiff(reset = false){
+  const replace = getMode() === 'replace'; const keep = reset === true ? null : new Set(selectedSections());
+  $('#backupDiff').innerHTML = Object.entries(BACKUP_SECTIONS).map(([name, label])=>{
+    const d = diff[name]; const inBackup = d.added.length + d.changed.length + d.unchanged;
+    if(!inBackup && !d.removed.length) return '';
+    const checked = keep ? keep.has(name) : inBackup > 0;
+    return `<tr><td><input type="checkbox" value="${name}" aria-label="Restore ${escapeHtml(label)}" ${checked ? 'checked' : ''}></td><td>${escapeHtml(label)}</td><td>${d.added.length}</td><td>${d.changed.length}</td><td>${replace ? d.removed.length : '–'}</td></tr>`;
+  }).join('') || '<tr><td colspan="5">The backup is empty.</td></tr>';
+  renderChanges();
+}
+
+function renderChanges(){
+  const replace = getMode() === 'replace'; const sections = selectedSections();
+  const label = key => escapeHtml(key.replace(/^cherry::/, ''));
+  const items = sections.flatMap(name => [
+    ...diff[name].changed.map(key => `<li>✏️ ${label(key)}</li>`),
+    ...(replace ? diff[name].removed.map(key => `<li>🗑️ ${label(key)}</li>`) : [])
+  ]);
+  $('#backupChanges').innerHTML = items.join('') || '<li>Nothing stored will be overwritten.</li>';
+  $('#backupApply').disabled = !sections.length;
+}
+
+async function applyRestore(){
+  const sections = selectedSections(); const mode = getMode();
+  if(!bundle || !sections.length) return;
+  const ok = await restoreBackup(bundle, { mode, sections }); bundle = null;
+  showToast(ok ? 'Backup restored' : 'Restore failed. Please try again.');
+  if(ok) onRestore();
+}
@@ -0,0 +1,110 @@
+import { showToast, escapeHtml } from './utils.js';
+import { getCycleHistory } from '../storage/cycle.js';
+import { LOW_READINGS, HIGH_READINGS, detectThermalShift, cycleReadings } from '../storage/bbt.js';
+import { BBT_MIN, BBT_MAX, getTemperatures, setTemperature, toDateKey, parseDateKey } from '../storage/repository.js';
+
+// Basal body temperature in the cycle card of both planners, rendered into #bbt: a form for any day's
+// waking temperature and a chart of one cycle's readings with its coverline and confirmed ovulation.
+// Temperatures live in the cycle log, not the day record, so `onChange` redraws the page's cycle calendar;
+// refreshBbt redraws the chart when cycle starts change or the log is cleared elsewhere.
+
+let onChange = () => {};
+let shown = null;
+let formDate = toDateKey(new Date());
+
+// Chart size (SVG user units) and the shortest cycle span drawn
+const W = 600, H = 220, PAD = { left: 44, right: 12, top: 12, bottom: 26 };
+const MIN_SPAN = 28;
+
+export function initBbt(save){
+  onChange = save || (()=>{});
+  const root = document.getElementById('bbt'); if(!root) return;
+  root.addEventListener('submit', (e)=>{ e.preventDefault(); saveReading(e.target); });
+  root.addEventListener('change', (e)=>{
+    if(!e.target.matches('[name="date"]')) return;
+    formDate = e.target.value || toDateKey(new Date()); render();
+  });
+  root.addEventListener('click', (e)=>{
+    const point = e.target.closest('[data-date]');
+    if(point && point.matches('.bbt-point')){ formDate = point.dataset.date; render(); root.querySelector('[name="temp"]').focus(); return; }
+    const btn = e.target.closest('[data-act]'); if(!btn) return;
+    if(btn.dataset.act === 'prev' || btn.dataset.act === 'next'){ shown = currentIndex(getCycleHistory()) + (btn.dataset.act === 'prev' ? -1 : 1); render(); }
+    if(btn.dataset.act === 'remove'){ setTemperature(formDate, null); render(); onChange(); }
+  });
+  render();
+}
+
+export function refreshBbt(){ shown = null; render(); }
+
+const daysBetween = (from, to)=> Math.round((parseDateKey(to) - parseDateKey(from)) / 86400000);
+const formatDay = key => parseDateKey(key).toLocaleDateString('en-US', { month:'short', day:'numeric' });
+
+// the latest cycle unless an earlier one was picked; a new start moves the chart on
+function currentIndex(history){ return shown === null ? history.length - 1 : Math.max(0, Math.min(history.length - 1, shown)); }
+
+// °C, or °F (anything above 45) converted
+function saveReading(form){
+  const { date, temp } = form.elements;
+  let value = parseFloat(String(temp.value).replace(',', '.'));
+  if(value > 45) value = (value - 32) * 5 / 9;
+  value = Math.round(value * 100) / 100;
+  if(!(value >= BBT_MIN && value <= BBT_MAX)){ showToast(`Enter a temperature between ${BBT_MIN} and ${BBT_MAX} °C`); temp.focus(); return; }
+  if(!date.value || date.value > toDateKey(new Date())){ showToast('Pick a day up to today'); date.focus(); return; }
+  formDate = date.value;
+  setTemperature(formDate, value);
+  shown = null; render(); onChange();
+  showToast(`${value.toFixed(2)} °C saved for ${formatDay(formDate)}`);
+}
+
+function chart(cycle, temps, shift, span){
+  const values = temps.map(r => r.temp).concat(shift ? [shift.coverline] : []);
+  let lo = Math.floor((Math.min(...values) - 0.1) * 10) / 10; let hi = Math.ceil((Math.max(...values) + 0.1) * 10) / 10;
+  if(hi - lo < 0.6){ const mid = (hi + lo) / 2; lo = Math.floor((mid - 0.3) * 10) / 10; hi = lo + 0.6; }
+  const x = day => PAD.left + (day - 1) / (span - 1) * (W - PAD.left - PAD.right);
+  const y = temp => PAD.top + (hi - temp) / (hi - lo) * (H - PAD.top - PAD.bottom);
+  const dayOf = key => daysBetween(cycle.start, key) + 1;
+  const grid = []; for(let t = lo; t <= hi + 0.001; t += 0.2) grid.push(Math.round(t * 10) / 10);
+  const ticks = [1]; for(let d = 7; d <= span; d += 7) ticks.push(d);
+  const points = temps.map(r => ({ ...r, cx: x(dayOf(r.date)), cy: y(r.temp), high: shift && r.date >= shift.shift }));
+  return `<svg class="bbt-chart" viewBox="0 0 ${W} ${H}" role="img" aria-label="Temperatures of the cycle from ${formatDay(cycle.start)}">
+    ${grid.map(t => `<line class="bbt-grid" x1="${PAD.left}" x2="${W - PAD.right}" y1="${y(t)}" y2="${y(t)}"/><text class="bbt-axis" x="${PAD.left - 6}" y="${y(t) + 4}" text-anchor="end">${t.toFixed(1)}</text>`).join('')}
+    ${ticks.map(d => `<text class="bbt-axis" x="${x(d)}" y="${H - 8}" text-anchor="middle">${d}</text>`).join('')}
+    ${shift ? `<line class="bbt-coverline" x1="${PAD.left}" x2="${W - PAD.right}" y1="${y(shift.coverline)}" y2="${y(shift.coverline)}"/>
+      <line class="bbt-ovulation" x1="${x(dayOf(shift.ovulation))}" x2="${x(dayOf(shift.ovulation))}" y1="${PAD.top}" y2="${H - PAD.bottom}"/>
+      <text class="bbt-label" x="${x(dayOf(shift.ovulation)) + 4}" y="${PAD.top + 10}">Ovulation ✓</text>` : ''}
+    <polyline class="bbt-line" points="${points.map(p => `${p.cx},${p.cy}`).join(' ')}"/>
+    ${points.map(p => `<circle class="bbt-point${p.high ? ' high' : ''}" cx="${p.cx}" cy="${p.cy}" r="4" data-date="${p.date}"><title>Day ${dayOf(p.date)} (${formatDay(p.date)}): ${p.temp.toFixed(2)} °C</title></circle>`).join('')}
+  </svg>`;
+}
+
+function status(cycle, temps, shift){
+  if(!shift) return `No temperature shift yet: ${temps.length} ${temps.length === 1 ? 'reading' : 'readings'} this cycle, the 3-over-6 rule needs at least ${LOW_READINGS + HIGH_READINGS}.`;
+  const luteal = cycle.lutealLength ? ` Luteal phase: <strong>${cycle.lutealLength} days</strong>.` : '';
+  return `Ovulation confirmed on <strong>${formatDay(shift.ovulation)}</strong> (cycle day ${daysBetween(cycle.start, shift.ovulation) + 1}): temperatures stayed above the ${shift.coverline.toFixed(2)} °C coverline from ${formatDay(shift.shift)}.${luteal}`;
+}
+
+function render(){
+  const root = document.getElementById('bbt'); if(!root) return;
+  const readings = getTemperatures();
+  const current = readings.find(r => r.date === formDate);
+  const form = `<form class="bbt-add" data-html2canvas-ignore>
+      <span class="bbt-title">🌡️ Basal temperature</span>
+      <input class="input" name="date" type="date" value="${formDate}" max="${toDateKey(new Date())}" aria-label="Day" />
+      <input class="input" name="temp" type="number" step="0.01" inputmode="decimal" value="${current ? current.temp.toFixed(2) : ''}" placeholder="36.50" aria-label="Temperature (°C)" /><span>°C</span>
+      <button class="btn" type="submit">${current ? 'Update' : 'Save'}</button>
+      ${current ? '<button class="btn bbt-remove" type="button" data-act="remove">Remove</button>' : ''}
+    </form>`;
+  const history = getCycleHistory(); const index = currentIndex(history); const cycle = history[index];
+  if(!cycle){ root.innerHTML = `${form}<p class="bbt-note">Log a period start to chart your temperatures cycle by cycle.</p>`; return; }
+  const temps = cycleReadings(readings, cycle.start, history[index + 1]?.start);
+  const shift = detectThermalShift(temps);
+  const span = Math.max(MIN_SPAN, cycle.length || cycle.days, ...temps.map(r => daysBetween(cycle.start, r.date) + 1));
+  root.innerHTML = `${form}
+    <div class="bbt-nav">
+      <button class="icon-btn" type="button" data-act="prev" aria-label="Previous cycle" ${index === 0 ? 'disabled' : ''}>◀</button>
+      <strong>Cycle from ${escapeHtml(formatDay(cycle.start))} · ${cycle.censored ? `day ${cycle.days}` : `${cycle.length} days`}</strong>
+      <button class="icon-btn" type="button" data-act="next" aria-label="Next cycle" ${index === history.length - 1 ? 'disabled' : ''}>▶</button>
+    </div>
+    ${temps.length ? chart(cycle, temps, shift, span) : ''}
+    <p class="bbt-note">${status(cycle, temps, shift)}</p>`;
+}
@@ -0,0 +1,56 @@
+import { showToast, escapeHtml } from './utils.js';
+import { CARRY_OVER_MODES, LOOKBACK_DAYS, needsReview, unfinishedBefore, carryOver, markReviewed } from '../storage/carryover.js';
+import { getPlannerSettings, savePlannerSettings, parseDateKey, toDateKey } from '../storage/repository.js';
+
+let onMoved = () => {};
+
+// moved() runs after todos changed days, so the page can reload the open day
+export function initCarryOver(moved){
+  onMoved = moved || (()=>{});
+  const btn = document.getElementById('btnCarryOver'); if(btn) btn.addEventListener('click', ()=> reviewCarryOver(today(), true));
+}
+
+const today = ()=> toDateKey(new Date());
+
+// Once a day, opening today moves (or offers) the unfinished todos of earlier days. `manual` reviews again on demand.
+export async function reviewCarryOver(date, manual = false){
+  if(date !== today() || (!manual && !needsReview(date)) || document.querySelector('.carry-dialog')) return 0;
+  const items = unfinishedBefore(date, manual);
+  if(!items.length){ if(manual) showToast(`No unfinished tasks from the last ${LOOKBACK_DAYS} days`); else markReviewed(date); return 0; }
+  const moved = !manual && getPlannerSettings().carryOver === 'auto' ? carryOver(items, date) : await openCarryOverDialog(items, date);
+  if(moved){ showToast(`Moved ${moved} unfinished task${moved === 1 ? '' : 's'} to today`); onMoved(); }
+  return moved;
+}
+
+// Resolves to the number of todos moved (0 when left behind or closed)
+function openCarryOverDialog(items, date){
+  return new Promise(resolve=>{
+    const mode = getPlannerSettings().carryOver;
+    const dialog = document.createElement('dialog'); dialog.className = 'carry-dialog'; dialog.setAttribute('aria-labelledby','carryTitle');
+    const days = [...new Set(items.map(i => i.date))];
+    dialog.innerHTML = `<form method="dialog">
+      <h2 id="carryTitle" class="card-title">↷ Unfinished tasks</h2>
+      <p class="carry-note">${items.length} task${items.length === 1 ? ' was' : 's were'} left open on earlier days. Pick what moves to today.</p>
+      <div class="carry-days">${days.map(day => `<fieldset class="carry-day"><legend>${parseDateKey(day).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}</legend>
+        ${items.map((item, i) => item.date !== day ? '' : `<label class="carry-item"><input type="checkbox" name="move" value="${i}" checked /><span>${escapeHtml(item.todo.text)}</span>${item.todo.postponed ? `<span class="todo-badge rolled">rolled over ${item.todo.postponed}×</span>` : ''}</label>`).join('')}</fieldset>`).join('')}</div>
+      <label class="carry-mode">When I open today<select name="mode">${Object.entries(CARRY_OVER_MODES).map(([v,l])=> `<option value="${v}" ${v===mode?'selected':''}>${l}</option>`).join('')}</select></label>
+      <div class="carry-actions">
+        <button class="btn" type="button" data-act="leave">Leave them</button>
+        <button class="btn" type="button" data-act="move">Move to today</button>
+      </div></form>`;
+    document.body.appendChild(dialog);
+    const form = dialog.querySelector('form'); const modeSelect = form.querySelector('[name="mode"]');
+    let moved = 0;
+    modeSelect.addEventListener('change', ()=> savePlannerSettings({ carryOver: modeSelect.value }));
+    // Escape / closing without a choice asks again next time today is opened
+    dialog.addEventListener('close', ()=>{ dialog.remove(); resolve(moved); });
+    dialog.querySelectorAll('[data-act]').forEach(b=> b.addEventListener('click', ()=>{
+      if(b.dataset.act === 'move'){
+        const picked = Array.from(form.querySelectorAll('[name="move"]:checked')).map(c => items[Number(c.value)]);
+        moved = carryOver(picked, date);
+      } else markReviewed(date);
+      dialog.close();
+    }));
+    dialog.showModal();
+  });
+}
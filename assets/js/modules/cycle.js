@@ -1,20 +1,25 @@
-import { $, clamp, showToast } from './utils.js';
-import { CyclePredictionEngine } from '../calculator/prediction-engine.js';
+import { $, clamp, showToast, escapeHtml } from './utils.js';
 import { CycleAnalyzer } from '../calculator/cycle-analyzer.js';
+import { FLOWS, getDays, getCycleSettings, saveCycleSettings, getCycleStarts, getCycleEvents, toggleCycleStart, getPeriodDays, setPeriodDay, clearCycleEvents, toDateKey, parseDateKey } from '../storage/repository.js';
+import { getCycleHistory, cycleStats } from '../storage/cycle.js';
+import { symptomProfile, SYMPTOM_HISTORY_DAYS } from '../storage/symptoms.js';
+import { getFertilitySigns, fertilityDays } from '../storage/fertility.js';
 
 let onChange = () => {};
-const predictionEngine = new CyclePredictionEngine();
+let onLogChange = () => {};
 const analyzer = new CycleAnalyzer();
 
-export function initCycle(save){
+// `logChanged` runs after the calendar changed the cycle log (starts, flow, clear), for the panels drawn from it
+export function initCycle(save, logChanged){
   onChange = save || (()=>{});
+  onLogChange = logChanged || (()=>{});
   // restore settings
-  const cfg = JSON.parse(localStorage.getItem('cherry_cycle')||'{}');
+  const cfg = getCycleSettings();
   if(cfg.start) $('#cycleStart').value = cfg.start;
   if(cfg.len) $('#cycleLen').value = cfg.len;
   if(cfg.period) $('#periodLen').value = cfg.period;
   if(cfg.luteal) $('#lutealLen').value = cfg.luteal;
-  if(typeof cfg.adv === 'boolean') $('#advEst').checked = cfg.adv;
+  $('#advEst').checked = cfg.adv;
   buildCalendar();
   updateCycleSummary();
   $('#saveCycle').addEventListener('click', ()=>{ persistCycle(); buildCalendar(); updateCycleSummary(); showToast('Cycle saved'); });
@@ -23,22 +28,24 @@ export function initCycle(save){
   $('#calPrev').addEventListener('click', ()=>{ calMonth.setMonth(calMonth.getMonth()-1); buildCalendar(); });
   $('#calNext').addEventListener('click', ()=>{ calMonth.setMonth(calMonth.getMonth()+1); buildCalendar(); });
   const exp = document.getElementById('exportCycle'); if(exp) exp.addEventListener('click', exportCycleCSV);
-  const clr = document.getElementById('clearCycle'); if(clr) clr.addEventListener('click', ()=>{ if(confirm('Clear cycle history?')){ localStorage.removeItem('cherry_cycle_log'); buildCalendar(); updateCycleSummary(); } });
+  const clr = document.getElementById('clearCycle'); if(clr) clr.addEventListener('click', ()=>{ if(confirm('Clear cycle history? This also deletes the logged period flow, temperatures, cervical mucus and LH test results.')){ clearCycleEvents(); refreshLog(); } });
 }
 
-export function getCycleGlobals(){ const d = JSON.parse(localStorage.getItem('cherry_cycle')||'{}'); return { start: d.start || '', len: clamp(parseInt(d.len||'28',10),20,40), period: clamp(parseInt(d.period||'5',10),1,10), luteal: clamp(parseInt(d.luteal||'14',10),8,18), adv: d.adv!==false }; }
-export function setCycleGlobals(cfg){ localStorage.setItem('cherry_cycle', JSON.stringify(cfg)); }
-export function exportCycleCSV(){ const log = loadCycleLog(); const rows = [['start_date']].concat(log.map(d=>[d])); const csv = rows.map(r=> r.map(cell=>`"${String(cell).replace(/"/g,'""')}"`).join(',')).join('\n'); const blob = new Blob([csv], {type:'text/csv;charset=utf-8'}); const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = 'cycle-log.csv'; a.click(); URL.revokeObjectURL(a.href); }
+export function exportCycleCSV(){ const log = getCycleEvents(); const rows = [['date','event','flow','temp','mucus','lh']].concat(log.map(e=>[e.date, e.type, e.flow || '', e.temp ?? '', e.mucus || '', e.result || ''])); const csv = rows.map(r=> r.map(cell=>`"${String(cell).replace(/"/g,'""')}"`).join(',')).join('\n'); const blob = new Blob([csv], {type:'text/csv;charset=utf-8'}); const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = 'cycle-log.csv'; a.click(); URL.revokeObjectURL(a.href); }
 
 let calMonth = new Date();
 
-function persistCycle(){ const data = { start: $('#cycleStart').value || '', len: clamp(parseInt($('#cycleLen').value||'28',10),20,40), period: clamp(parseInt($('#periodLen').value||'5',10),1,10), luteal: clamp(parseInt($('#lutealLen').value||'14',10),8,18), adv: $('#advEst').checked }; localStorage.setItem('cherry_cycle', JSON.stringify(data)); }
-function getCycle(){ const d = JSON.parse(localStorage.getItem('cherry_cycle')||'{}'); return { start: d.start ? new Date(d.start) : null, len: clamp(parseInt(d.len||'28',10),20,40), period: clamp(parseInt(d.period||'5',10),1,10), luteal: clamp(parseInt(d.luteal||'14',10),8,18), adv: d.adv!==false }; }
-function loadCycleLog(){ try{ const a = JSON.parse(localStorage.getItem('cherry_cycle_log')||'[]'); return Array.isArray(a)? a.filter(Boolean): []; }catch{ return []; } }
-function saveCycleLog(arr){ localStorage.setItem('cherry_cycle_log', JSON.stringify(arr)); }
-function toggleLoggedStart(key){ const log = new Set(loadCycleLog()); if(log.has(key)) log.delete(key); else log.add(key); saveCycleLog(Array.from(log).sort()); buildCalendar(); updateCycleSummary(); }
+function persistCycle(){ saveCycleSettings({ ...getCycleSettings(), start: $('#cycleStart').value || '', len: $('#cycleLen').value, period: $('#periodLen').value, luteal: $('#lutealLen').value, adv: $('#advEst').checked }); }
+function getCycle(){ const d = getCycleSettings(); return { ...d, start: d.start ? parseDateKey(d.start) : null }; }
+function loadCycleLog(){ return getCycleStarts(); }
+function toggleLoggedStart(key){ toggleCycleStart(key); refreshLog(); }
+function refreshLog(){ buildCalendar(); updateCycleSummary(); onLogChange(); }
 
-function computeAverages(){ const log = loadCycleLog().map(s=> new Date(s)).sort((a,b)=> a-b); let diffs=[]; for(let i=1;i<log.length;i++){ diffs.push( Math.round((log[i]-log[i-1])/(1000*60*60*24)) ); } const avgLen = diffs.length ? Math.round(diffs.reduce((a,b)=>a+b,0)/diffs.length) : null; const variance = diffs.length ? Math.round(diffs.reduce((a,b)=> a + Math.pow(b-(avgLen||0),2),0)/diffs.length) : null; const stdev = variance!=null ? Math.round(Math.sqrt(variance)) : null; const { period } = getCycle(); return { avgLen, avgPeriod: period, samples: diffs.length, stdev }; }
+// Redraw the calendar and summary after the cycle log changed elsewhere (temperatures, bbt.js)
+export function refreshCycle(){ buildCalendar(); updateCycleSummary(); }
+
+// finished cycles only; the period average falls back to the configured length until period days are logged
+function computeAverages(history = getCycleHistory()){ const { avgLen, stdev, samples, avgPeriod, avgLuteal, lutealSamples } = cycleStats(history); return { avgLen, avgPeriod: avgPeriod || getCycle().period, samples, stdev, avgLuteal, lutealSamples }; }
 
 function buildCalendar(){
   const grid = $('#calGrid'); grid.innerHTML = '';
@@ -50,42 +57,72 @@ function buildCalendar(){
   const marks = computeCycleMarks(y,m);
   for(let i=0;i<firstIdx;i++){ const ph = document.createElement('div'); ph.className='day'; ph.style.visibility='hidden'; grid.appendChild(ph); }
   for(let d=1; d<=daysInMonth; d++){
-    const el = document.createElement('div'); el.className='day'; el.textContent = d; const key = `${y}-${m+1}-${d}`; el.dataset.date = key;
-    if(marks.period.has(key)) el.classList.add('period'); if(marks.fertile.has(key)) el.classList.add('fertile'); if(marks.ovul.has(key)) el.classList.add('ovul'); if(marks.actualStarts.has(key)) el.classList.add('actual'); if(y===today.getFullYear() && m===today.getMonth() && d===today.getDate()) el.classList.add('today');
-    el.title = 'Click: toggle actual start • Shift+Click: toggle period day';
-    el.addEventListener('click', (evt)=>{ if(evt.shiftKey){ if(el.classList.contains('period')) el.classList.remove('period'); else el.classList.add('period'); } else { toggleLoggedStart(key); } });
+    const el = document.createElement('div'); el.className='day'; el.textContent = d; const key = fmtKey(new Date(y,m,d)); el.dataset.date = key;
+    if(marks.period.has(key)) el.classList.add('period'); if(marks.fertile.has(key)) el.classList.add('fertile'); if(marks.ovul.has(key)) el.classList.add('ovul'); if(marks.confirmed.has(key)) el.classList.add('ovul-confirmed'); if(marks.actualStarts.has(key)) el.classList.add('actual'); if(y===today.getFullYear() && m===today.getMonth() && d===today.getDate()) el.classList.add('today');
+    const flow = marks.flow.get(key); if(flow) el.classList.add('logged', `flow-${flow}`);
+    const classified = marks.fertility.get(key); if(classified && classified.source === 'signs') el.classList.add('fam-signs');
+    el.title = `${classified ? `${classified.fertile ? 'Fertile' : 'Not fertile'}: ${classified.reasons.join('; ')}${classified.signs.length ? ` (logged: ${classified.signs.join(', ')})` : ''} • ` : ''}${marks.confirmed.has(key) ? 'Ovulation confirmed by temperature • ' : ''}${flow ? `${FLOWS[flow]} flow • ` : ''}Click: toggle actual start • Shift+Click: log period flow`;
+    el.addEventListener('click', (evt)=>{ if(evt.shiftKey){ openFlowDialog(key, refreshLog); } else { toggleLoggedStart(key); } });
     grid.appendChild(el);
   }
 }
 
-function computeCycleMarks(year, month){
-  const { start, len, period, luteal, adv } = getCycle(); const logStarts = new Set(loadCycleLog()); const periodSet = new Set(); const fertileSet = new Set(); const ovulSet = new Set(); const actualStarts = new Set();
-  logStarts.forEach(k=>{ const d = parseKey(k); const perEnd = new Date(d); perEnd.setDate(perEnd.getDate()+period-1); rangeDays(d, perEnd).forEach(x=>{ if(inMonth(x, year, month)) periodSet.add(fmtKey(x)); }); if(inMonth(d, year, month)) actualStarts.add(fmtKey(d)); });
-  let seed = null; if(logStarts.size){ seed = Array.from(logStarts).map(parseKey).sort((a,b)=>b-a)[0]; } if(!seed && start) seed = new Date(start.getFullYear(), start.getMonth(), start.getDate()); if(!seed){ return { period:periodSet, fertile:fertileSet, ovul:ovulSet, actualStarts } ; }
+// Logs or changes a day's period flow from the calendar (Shift+click); `done` runs after a change
+export function openFlowDialog(key, done = ()=>{}){
+  if(document.querySelector('.flow-dialog')) return;
+  const current = getPeriodDays().find(d => d.date === key)?.flow || '';
+  const dialog = document.createElement('dialog'); dialog.className = 'flow-dialog'; dialog.setAttribute('aria-labelledby','flowTitle');
+  dialog.innerHTML = `<form method="dialog">
+    <h2 id="flowTitle" class="card-title">🩸 Flow on ${escapeHtml(parseKey(key).toLocaleDateString('en-US', { weekday:'short', month:'short', day:'numeric' }))}</h2>
+    <div class="flow-options">${Object.entries(FLOWS).map(([flow, label])=> `<button class="flow-option flow-${flow}" type="button" data-flow="${flow}" aria-pressed="${flow === current}">${label}</button>`).join('')}</div>
+    <div class="flow-actions">${current ? '<button class="btn" type="button" data-flow="">No bleeding</button>' : ''}<span class="spacer"></span><button class="btn" type="button" data-act="cancel">Cancel</button></div></form>`;
+  document.body.appendChild(dialog);
+  dialog.addEventListener('close', ()=> dialog.remove());
+  dialog.querySelectorAll('button').forEach(b=> b.addEventListener('click', ()=>{
+    const changed = 'flow' in b.dataset && b.dataset.flow !== current;
+    if(changed) setPeriodDay(key, b.dataset.flow);
+    dialog.close();
+    if(changed) done();
+  }));
+  dialog.showModal();
+}
+
+// Date keys of the logged and predicted period days, fertile window and predicted and confirmed ovulation in one month, the logged flows,
+// and with the fertility-awareness mode on each logged cycle day's classification (storage/fertility.js)
+export function computeCycleMarks(year, month){
+  const { start, len, adv, fam } = getCycle(); const logStarts = new Set(loadCycleLog()); const periodSet = new Set(); const fertileSet = new Set(); const ovulSet = new Set(); const confirmedSet = new Set(); const actualStarts = new Set(); const flowMap = new Map();
+  // a logged period lasts its logged days, one still running (or without logged days) the average period
+  const history = getCycleHistory(); const { avgPeriod: period, avgLuteal } = computeAverages(history);
+  // a luteal length measured by temperature wins over the configured one
+  const luteal = avgLuteal || (adv ? getCycle().luteal : 14);
+  const confirmed = history.map(c => c.ovulation).filter(Boolean).map(parseKey);
+  confirmed.forEach(d=>{ if(inMonth(d, year, month)) confirmedSet.add(fmtKey(d)); });
+  const runs = new Map(history.map(c => [c.start, c.periodOngoing ? Math.max(c.periodLength, period) : c.periodLength || period]));
+  logStarts.forEach(k=>{ const d = parseKey(k); const perEnd = new Date(d); perEnd.setDate(perEnd.getDate()+(runs.get(k) || period)-1); rangeDays(d, perEnd).forEach(x=>{ if(inMonth(x, year, month)) periodSet.add(fmtKey(x)); }); if(inMonth(d, year, month)) actualStarts.add(fmtKey(d)); });
+  getPeriodDays().forEach(({ date, flow })=>{ const d = parseKey(date); if(!inMonth(d, year, month)) return; flowMap.set(date, flow); if(flow !== 'spotting') periodSet.add(date); });
+  let seed = null; if(logStarts.size){ seed = Array.from(logStarts).map(parseKey).sort((a,b)=>b-a)[0]; } if(!seed && start) seed = new Date(start.getFullYear(), start.getMonth(), start.getDate()); const fertility = new Map(); if(!seed){ return { period:periodSet, fertile:fertileSet, ovul:ovulSet, confirmed:confirmedSet, actualStarts, flow:flowMap, fertility } ; }
   const viewStart = new Date(year, month, 1); const viewEnd = new Date(year, month+1, 0); const { avgLen } = computeAverages(); const effLen = clamp(parseInt((avgLen || len),10),20,40);
   let t = new Date(seed); while(t > viewStart) t.setDate(t.getDate()-effLen);
-  for(let i=0;i<24;i++){ const perStart = new Date(t); const perEnd = new Date(t); perEnd.setDate(perEnd.getDate()+period-1); const ovul = new Date(t); ovul.setDate(ovul.getDate() + (adv ? effLen - luteal : effLen - 14)); const fertileStart = new Date(ovul); fertileStart.setDate(fertileStart.getDate()-5); const fertileEnd = new Date(ovul); fertileEnd.setDate(fertileEnd.getDate()+1); rangeDays(perStart, perEnd).forEach(d => { if(inMonth(d, year, month)) periodSet.add(fmtKey(d)); }); rangeDays(fertileStart, fertileEnd).forEach(d => { if(inMonth(d, year, month)) fertileSet.add(fmtKey(d)); }); if(inMonth(ovul, year, month)) ovulSet.add(fmtKey(ovul)); t.setDate(t.getDate() + effLen); if(perStart > viewEnd) break; }
-  return { period:periodSet, fertile:fertileSet, ovul:ovulSet, actualStarts };
+  for(let i=0;i<24;i++){ const perStart = new Date(t); const perEnd = new Date(t); perEnd.setDate(perEnd.getDate()+period-1); const next = new Date(t); next.setDate(next.getDate() + effLen); const actual = confirmed.find(d => d >= t && d < next); const ovul = actual ? new Date(actual) : new Date(t); if(!actual) ovul.setDate(ovul.getDate() + effLen - luteal - 1); const fertileStart = new Date(ovul); fertileStart.setDate(fertileStart.getDate()-5); const fertileEnd = new Date(ovul); fertileEnd.setDate(fertileEnd.getDate()+1); rangeDays(perStart, perEnd).forEach(d => { if(inMonth(d, year, month)) periodSet.add(fmtKey(d)); }); rangeDays(fertileStart, fertileEnd).forEach(d => { if(inMonth(d, year, month)) fertileSet.add(fmtKey(d)); }); if(inMonth(ovul, year, month)) (actual ? confirmedSet : ovulSet).add(fmtKey(ovul)); t.setDate(t.getDate() + effLen); if(perStart > viewEnd) break; }
+  // fertility-awareness mode: the logged cycles' fertile days come from the signs, not the fixed window
+  if(fam) fertilityDays(history, getFertilitySigns(), { cycleLength: effLen, luteal }).forEach((day, key)=>{ if(!inMonth(parseKey(key), year, month)) return; fertility.set(key, day); if(day.fertile) fertileSet.add(key); else fertileSet.delete(key); });
+  return { period:periodSet, fertile:fertileSet, ovul:ovulSet, confirmed:confirmedSet, actualStarts, flow:flowMap, fertility };
 }
 
 function updateCycleSummary(){ 
-  const { start, len, period, luteal, adv } = getCycle(); 
-  const { avgLen, avgPeriod, samples, stdev } = computeAverages(); 
+  const { len, luteal, adv } = getCycle(); 
+  const history = getCycleHistory();
+  const { avgLen, avgPeriod, samples, stdev } = computeAverages(history); 
   const baseLen = clamp(parseInt((avgLen || len),10),20,40); 
-  const log = loadCycleLog(); 
   
-  // Use advanced prediction engine for better accuracy
-  const cycleHistory = log.map(key => {
-    const startDate = parseKey(key);
-    return { start: startDate, length: baseLen }; // We'll improve this with actual lengths
-  });
+  // Use advanced prediction engine for better accuracy: finished cycles with their real lengths, the running one censored
+  const cycleHistory = history.map(cycle => ({ ...cycle, start: parseKey(cycle.start) }));
   
-  const settings = { lutealLength: luteal, advancedEstimation: adv };
-  const analysis = predictionEngine.analyzeCycles(cycleHistory, settings);
+  const settings = { lutealLength: adv ? luteal : 14, advancedEstimation: adv, cycleLength: len };
+  const today = new Date(); const from = new Date(today); from.setDate(from.getDate() - SYMPTOM_HISTORY_DAYS);
+  const analysis = analyzer.analyzeFullProfile(cycleHistory, symptomProfile(getDays(fmtKey(from), fmtKey(today))), settings);
   
-  let last = null; 
-  if(log.length){ last = parseKey(log.sort().slice(-1)[0]); } 
-  else if(start){ last = new Date(start.getFullYear(), start.getMonth(), start.getDate()); } 
+  const last = cycleHistory.length ? cycleHistory[cycleHistory.length - 1].start : null; 
   
   let nextPeriod='–', nextOv='–', confidence='–'; 
   if(last){ 
@@ -94,11 +131,11 @@ function updateCycleSummary(){
       if(analysis.predictions.ovulationDate) {
         nextOv = analysis.predictions.ovulationDate.toLocaleDateString('en-US');
       }
-      confidence = `${Math.round(analysis.confidence * 100)}%`;
+      if(analysis.confidence) confidence = `${Math.round(analysis.confidence * 100)}%`;
     } else {
       // Fallback to simple calculation
       const next = new Date(last); next.setDate(next.getDate()+baseLen); 
-      const ov = new Date(next); ov.setDate(ov.getDate() - (adv ? luteal : 14)); 
+      const ov = new Date(next); ov.setDate(ov.getDate() - (adv ? luteal : 14) - 1); 
       nextPeriod = next.toLocaleDateString('en-US'); 
       nextOv = ov.toLocaleDateString('en-US'); 
     }
@@ -109,16 +146,22 @@ function updateCycleSummary(){
   $('#avgLen').textContent = `Avg cycle: ${avgLen? avgLen+' days': '–'}`; 
   $('#avgPeriod').textContent = `Avg period: ${avgPeriod} days`; 
   $('#samples').textContent = `Samples: ${samples}`; 
+  const lutealInfo = document.getElementById('lutealInfo');
+  if(lutealInfo) lutealInfo.textContent = analysis.lutealPhase && analysis.lutealPhase.source === 'bbt' ? `Luteal: ${analysis.lutealPhase.length} days (from temperature, ${analysis.lutealPhase.cycles} ${analysis.lutealPhase.cycles === 1 ? 'cycle' : 'cycles'})` : `Luteal: ${adv ? luteal : 14} days (set)`;
   
   const conf = confidence !== '–' ? confidence : (stdev!=null ? `±${Math.max(1,Math.round(stdev))}d` : '–'); 
   document.getElementById('confRange').textContent = `Confidence: ${conf}`; 
   
   const irreg = (stdev!=null && avgLen) ? Math.min(100, Math.round((stdev/avgLen)*100)) : '–'; 
   document.getElementById('irreg').textContent = `Irregularity: ${irreg=== '–' ? '–' : irreg+'%'}`; 
+  
+  // long or heavy periods from the logged flow, and patterns in the logged symptoms
+  const warnings = document.getElementById('cycleWarnings');
+  if(warnings) warnings.innerHTML = analysis.healthInsights.filter(i => i.category === 'bleeding' || i.category === 'symptoms').map(i => `<p class="cycle-warning ${i.severity}"><strong>${escapeHtml(i.title)}:</strong> ${escapeHtml(i.message)} ${escapeHtml(i.recommendation)}</p>`).join('');
 }
 
-function fmtKey(d){ return `${d.getFullYear()}-${d.getMonth()+1}-${d.getDate()}`; }
-function parseKey(k){ const [Y,M,D]=k.split('-').map(n=>parseInt(n,10)); return new Date(Y,(M-1),D); }
+const fmtKey = toDateKey;
+const parseKey = parseDateKey;
 function inMonth(d,y,m){ return d.getFullYear()===y && d.getMonth()===m; }
 function rangeDays(a,b){ const out=[]; const d=new Date(a); while(d<=b){ out.push(new Date(d)); d.setDate(d.getDate()+1);} return out; }
 
@@ -1,5 +1,11 @@
 import { showToast } from './utils.js';
 
+// Canvas of a planner node. The copy html2canvas draws gets `exporting` on <body>, so
+// scrolled parts (the schedule timeline) are drawn in full.
+export function snapshot(node){
+  return html2canvas(node, { scale: 2, useCORS: true, backgroundColor: '#ffffff', onclone: (doc) => doc.body.classList.add('exporting') });
+}
+
 export async function saveImage(nodeId){
   if (typeof html2canvas === 'undefined') {
     showToast('Image library not loaded. Please refresh the page.');
@@ -7,7 +13,7 @@ export async function saveImage(nodeId){
   }
   
   const node = document.getElementById(nodeId);
-  const canvas = await html2canvas(node, { scale: 2, useCORS: true, backgroundColor: '#ffffff' });
+  const canvas = await snapshot(node);
   const link = document.createElement('a');
   const date = (document.getElementById('plannerDate')?.value) || 'today';
   link.download = `cherry-planner-${date}.png`;
@@ -24,7 +30,7 @@ export async function savePDF(nodeId){
   }
   
   const node = document.getElementById(nodeId);
-  const canvas = await html2canvas(node, { scale: 2, useCORS: true, backgroundColor: '#ffffff' });
+  const canvas = await snapshot(node);
   const imgData = canvas.toDataURL('image/jpeg', 0.95);
   const pdf = new jsPDF({ unit: 'pt', format: 'a4', orientation: 'portrait' });
   const pageWidth = pdf.internal.pageSize.getWidth();
@@ -0,0 +1,75 @@
+import { showToast, escapeHtml } from './utils.js';
+import { getCycleHistory, cycleStats } from '../storage/cycle.js';
+import { getFertilitySigns, classifyCycle, expectedCycle } from '../storage/fertility.js';
+import { MUCUS, LH_RESULTS, getCycleSettings, saveCycleSettings, getMucus, getLhTests, setMucus, setLhTest, toDateKey, parseDateKey } from '../storage/repository.js';
+
+// Fertility-awareness mode in the cycle card of both planners, rendered into #fertility: the mode's switch
+// (cycle settings `fam`), a form for any day's cervical mucus and LH test, and with the mode on the running
+// cycle's days as storage/fertility.js classifies them, each with the signs that decided it.
+// Like bbt.js the signs live in the cycle log, so `onChange` redraws the page's cycle calendar;
+// refreshFertility redraws this panel when temperatures (bbt.js) or the calendar's starts, period
+// flow or cleared log (cycle.js) change it.
+
+let onChange = () => {};
+let formDate = toDateKey(new Date());
+
+export function initFertility(save){
+  onChange = save || (()=>{});
+  const root = document.getElementById('fertility'); if(!root) return;
+  root.addEventListener('submit', (e)=>{ e.preventDefault(); saveSigns(e.target); });
+  root.addEventListener('change', (e)=>{
+    if(e.target.matches('[name="fam"]')){ saveCycleSettings({ ...getCycleSettings(), fam: e.target.checked }); render(); onChange(); return; }
+    if(e.target.matches('[name="date"]')){ formDate = e.target.value || toDateKey(new Date()); render(); }
+  });
+  root.addEventListener('click', (e)=>{
+    // a day of the list opens its signs in the form
+    const row = e.target.closest('.fam-days [data-date]'); if(!row) return;
+    formDate = row.dataset.date; render(); root.querySelector('[name="mucus"]').focus();
+  });
+  render();
+}
+
+export function refreshFertility(){ render(); }
+
+const formatDay = key => parseDateKey(key).toLocaleDateString('en-US', { month:'short', day:'numeric' });
+const options = (values, current, none)=> `<option value="">${none}</option>${Object.entries(values).map(([key, label]) => `<option value="${key}"${key === current ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('')}`;
+
+// an empty choice clears that sign of the day
+function saveSigns(form){
+  const { date, mucus, lh } = form.elements;
+  if(!date.value || date.value > toDateKey(new Date())){ showToast('Pick a day up to today'); date.focus(); return; }
+  formDate = date.value;
+  setMucus(formDate, mucus.value); setLhTest(formDate, lh.value);
+  render(); onChange();
+  showToast(mucus.value || lh.value ? `Signs saved for ${formatDay(formDate)}` : `Signs cleared for ${formatDay(formDate)}`);
+}
+
+function render(){
+  const root = document.getElementById('fertility'); if(!root) return;
+  const settings = getCycleSettings(); const today = toDateKey(new Date());
+  const mucus = getMucus().find(s => s.date === formDate); const lh = getLhTests().find(s => s.date === formDate);
+  const head = `<label class="fam-switch"><input type="checkbox" name="fam" ${settings.fam ? 'checked' : ''} /> <span>Fertility-awareness mode</span></label>
+    <form class="fam-add" data-html2canvas-ignore>
+      <span class="fam-title">💧 Signs</span>
+      <input class="input" name="date" type="date" value="${formDate}" max="${today}" aria-label="Day" />
+      <select class="input" name="mucus" aria-label="Cervical mucus">${options(MUCUS, mucus?.mucus, 'Mucus: not checked')}</select>
+      <select class="input" name="lh" aria-label="LH test">${options(LH_RESULTS, lh?.result, 'LH: no test')}</select>
+      <button class="btn" type="submit">Save</button>
+    </form>`;
+  if(!settings.fam){ root.innerHTML = `${head}<p class="fam-note">Turn the mode on to tell fertile days from your mucus, LH tests and temperature instead of the fixed calendar window.</p>`; return; }
+  const history = getCycleHistory(); const cycle = history[history.length - 1];
+  if(!cycle){ root.innerHTML = `${head}<p class="fam-note">Log a period start to classify the days of your cycle.</p>`; return; }
+  const { cycleLength, luteal } = expectedCycle(cycleStats(history), settings);
+  const length = Math.max(cycleLength, cycle.days);
+  const days = classifyCycle(cycle, getFertilitySigns(), { days: length, ovulationDay: length - luteal, today }).days;
+  const now = days.find(day => day.date === today);
+  root.innerHTML = `${head}
+    ${now ? `<p class="fam-today${now.fertile ? ' fertile' : ''}"><strong>Today: ${now.fertile ? 'fertile' : 'not fertile'}</strong> — ${escapeHtml(now.reasons.join('; '))}</p>` : ''}
+    <ol class="fam-days">${days.filter(day => day.date <= today).map((day, i) => `<li class="${day.fertile ? 'fertile' : ''}" data-date="${day.date}" title="Edit the signs of ${formatDay(day.date)}">
+      <span class="fam-day">Day ${i + 1} · ${formatDay(day.date)}</span>
+      <span class="fam-logged">${escapeHtml(day.signs.join(', ') || '–')}</span>
+      <strong>${day.fertile ? 'Fertile' : 'Not fertile'}</strong>
+      <em class="fam-source">${day.source === 'signs' ? 'from signs' : 'calendar'}</em>
+      <small>${escapeHtml(day.reasons.join('; '))}</small></li>`).join('')}</ol>
+    <p class="fam-note">Days without signs to go on fall back on the calendar window. Reads your logged signs; not a method of contraception.</p>`;
+}
@@ -0,0 +1,161 @@
+import { clamp, escapeHtml, showToast } from './utils.js';
+import { HABIT_TYPES, WEEKDAYS, HABIT_HISTORY_DAYS, getHabits, saveHabits, normalizeHabit, isScheduled, isMet, formatHabitValue, habitValues, habitStreak } from '../storage/habits.js';
+import { toDateKey, parseDateKey } from '../storage/repository.js';
+
+// Habit card next to the water tracker: the open day's values live here like water.js keeps its intakes,
+// the page saves them with the day (getHabitState) and hands them back on load (setHabitState).
+
+let onChange = () => {};
+let state = {};
+let date = toDateKey(new Date());
+let history = new Map();
+let shown = '';
+
+const HEATMAP_WEEKS = 17;
+const STEP = { boolean: 1, count: 1, duration: 5 };
+const MAX = { boolean: 1, count: 99, duration: 24 * 60 };
+
+export function initHabits(save){
+  onChange = save || (()=>{});
+  const root = document.getElementById('habits'); if(!root) return;
+  root.addEventListener('click', onClick);
+  root.addEventListener('change', (e)=>{
+    const row = e.target.closest('[data-id]'); if(!row || !e.target.matches('.habit-value')) return;
+    setValue(row.dataset.id, parseInt(e.target.value || '0', 10) || 0);
+  });
+  loadHistory(); render();
+}
+
+// every defined habit, 0 included, so a value taken back is cleared from the stored day
+export function getHabitState(){ return Object.fromEntries(getHabits().map(h => [h.id, state[h.id] || 0])); }
+
+export function setHabitState(values, day){
+  state = { ...(values || {}) };
+  if(day) date = day;
+  loadHistory(); render();
+}
+
+const addDays = (key, n)=>{ const d = parseDateKey(key); d.setDate(d.getDate() + n); return toDateKey(d); };
+
+// stored days up to the open one; the open day itself is read from `state`
+function loadHistory(){ history = habitValues(addDays(date, -HABIT_HISTORY_DAYS), date); }
+function values(){ return new Map(history).set(date, state); }
+
+function setValue(id, value){
+  const habit = getHabits().find(h => h.id === id); if(!habit) return;
+  state = { ...state, [id]: clamp(value, 0, MAX[habit.type]) };
+  render(); onChange();
+}
+
+function onClick(e){
+  const btn = e.target.closest('[data-act]'); if(!btn) return;
+  const id = btn.closest('[data-id]')?.dataset.id; const habit = getHabits().find(h => h.id === id);
+  const value = state[id] || 0;
+  switch(btn.dataset.act){
+    case 'toggle': setValue(id, value ? 0 : 1); break;
+    case 'inc': setValue(id, value + STEP[habit.type]); break;
+    case 'dec': setValue(id, value - STEP[habit.type]); break;
+    case 'heatmap': shown = shown === id ? '' : id; render(); break;
+    case 'edit': openHabitDialog(habit); break;
+    case 'add': openHabitDialog(null); break;
+  }
+}
+
+function control(habit, value){
+  if(habit.type === 'boolean') return `<button class="habit-check" type="button" data-act="toggle" aria-pressed="${value ? 'true' : 'false'}" aria-label="Done">✓</button>`;
+  const unit = habit.type === 'duration' ? ' min' : '';
+  return `<span class="habit-counter"><button class="icon-btn" type="button" data-act="dec" aria-label="Less">−</button>
+    <input class="habit-value" type="number" min="0" max="${MAX[habit.type]}" step="${STEP[habit.type]}" value="${value}" aria-label="${escapeHtml(habit.name)}${unit}" />
+    <span class="habit-target">/ ${habit.target}${unit}</span><button class="icon-btn" type="button" data-act="inc" aria-label="More">+</button></span>`;
+}
+
+function render(){
+  const root = document.getElementById('habits'); if(!root) return;
+  const habits = getHabits(); const all = values();
+  const today = habits.filter(h => isScheduled(h, date)); const off = habits.filter(h => !isScheduled(h, date));
+  if(shown && !habits.some(h => h.id === shown)) shown = '';
+  root.innerHTML = `${habits.length ? '' : '<p class="habit-empty">No habits yet. Add one to tick it off, count it or time it every day.</p>'}
+    <ul class="habit-list">${today.map(habit => {
+      const value = state[habit.id] || 0; const { current, best } = habitStreak(habit, all, date);
+      return `<li class="habit-row ${isMet(habit, value) ? 'met' : ''}" data-id="${escapeHtml(habit.id)}">
+        <button class="habit-name" type="button" data-act="heatmap" aria-expanded="${shown === habit.id}" title="Show history"><span aria-hidden="true">${escapeHtml(habit.emoji)}</span> ${escapeHtml(habit.name)}</button>
+        ${control(habit, value)}
+        <span class="habit-streak" title="Streak: ${current} day${current === 1 ? '' : 's'} in a row (best ${best})">🔥 ${current}</span>
+        <button class="icon-btn" type="button" data-act="edit" aria-label="Edit ${escapeHtml(habit.name)}" data-html2canvas-ignore>✎</button>
+      </li>`;
+    }).join('')}</ul>
+    ${off.length ? `<p class="habit-off">Not planned today: ${off.map(h => `<button class="habit-name" type="button" data-id="${escapeHtml(h.id)}" data-act="heatmap">${escapeHtml(h.emoji)} ${escapeHtml(h.name)}</button>`).join(' ')}</p>` : ''}
+    ${shown ? heatmap(habits.find(h => h.id === shown), all) : ''}
+    <button class="btn habit-add" type="button" data-act="add" data-html2canvas-ignore>+ Habit</button>`;
+}
+
+// The last weeks up to the open day, a column per week (Monday on top)
+function heatmap(habit, all){
+  const end = addDays(date, 6 - (parseDateKey(date).getDay() + 6) % 7);
+  const start = addDays(end, -HEATMAP_WEEKS * 7 + 1);
+  const cells = []; let planned = 0; let met = 0;
+  for(let d = start; d <= end; d = addDays(d, 1)){
+    const value = all.get(d)?.[habit.id] || 0; const scheduled = isScheduled(habit, d) && d <= date;
+    if(scheduled){ planned++; if(isMet(habit, value)) met++; }
+    const level = !scheduled ? 'off' : isMet(habit, value) ? 'met' : value ? 'part' : 'none';
+    cells.push(`<span class="hm-cell ${level}" title="${parseDateKey(d).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}: ${scheduled || value ? formatHabitValue(habit, value) : 'not planned'}"></span>`);
+  }
+  const { current, best } = habitStreak(habit, all, date);
+  const rate = planned ? Math.round(met / planned * 100) : 0;
+  return `<div class="habit-heatmap" data-id="${escapeHtml(habit.id)}">
+    <div class="hm-title">${escapeHtml(habit.emoji)} ${escapeHtml(habit.name)} · last ${HEATMAP_WEEKS} weeks</div>
+    <div class="hm-grid" role="img" aria-label="${met} of ${planned} planned days done">${cells.join('')}</div>
+    <div class="hm-meta">🔥 ${current} now · best ${best} · ${rate}% of planned days</div>
+  </div>`;
+}
+
+function openHabitDialog(habit){
+  if(document.querySelector('.habit-dialog')) return;
+  const h = habit || normalizeHabit({ type: 'boolean' });
+  const dialog = document.createElement('dialog'); dialog.className = 'habit-dialog'; dialog.setAttribute('aria-labelledby','habitTitle');
+  dialog.innerHTML = `<form method="dialog">
+    <h2 id="habitTitle" class="card-title">${habit ? 'Edit habit' : 'New habit'}</h2>
+    <div class="habit-fields">
+      <label class="habit-emoji">Icon<input name="emoji" maxlength="8" value="${escapeHtml(h.emoji)}" /></label>
+      <label class="habit-field">Name<input name="name" maxlength="60" value="${escapeHtml(habit ? h.name : '')}" placeholder="e.g. Stretch, Read, Vitamins" required /></label>
+    </div>
+    <div class="habit-fields">
+      <label class="habit-field">Type<select name="type">${Object.entries(HABIT_TYPES).map(([v,l])=> `<option value="${v}" ${v === h.type ? 'selected' : ''}>${l}</option>`).join('')}</select></label>
+      <label class="habit-field" data-target>Daily target<input name="target" type="number" min="1" value="${h.type === 'boolean' ? '' : h.target}" /></label>
+    </div>
+    <fieldset class="habit-days"><legend>On</legend>${[1,2,3,4,5,6,0].map(d => `<label><input type="checkbox" name="day" value="${d}" ${!h.days.length || h.days.includes(d) ? 'checked' : ''} />${WEEKDAYS[d]}</label>`).join('')}</fieldset>
+    <div class="habit-actions">
+      ${habit ? '<button class="btn" type="button" data-act="delete">Delete</button><span class="spacer"></span>' : ''}
+      <button class="btn" type="button" data-act="cancel">Cancel</button>
+      <button class="btn" type="button" data-act="save">Save</button>
+    </div></form>`;
+  document.body.appendChild(dialog);
+  const form = dialog.querySelector('form'); const field = name => form.querySelector(`[name="${name}"]`);
+  const syncType = ()=>{
+    const type = field('type').value; const target = form.querySelector('[data-target]');
+    target.hidden = type === 'boolean';
+    target.firstChild.textContent = type === 'duration' ? 'Daily minutes' : 'Times a day';
+    if(type !== 'boolean' && !field('target').value) field('target').value = type === 'duration' ? 15 : 1;
+  };
+  field('type').addEventListener('change', syncType); syncType();
+  dialog.addEventListener('close', ()=> dialog.remove());
+  dialog.querySelectorAll('[data-act]').forEach(b=> b.addEventListener('click', ()=>{
+    const list = getHabits();
+    if(b.dataset.act === 'save'){
+      const name = field('name').value.trim();
+      if(!name){ showToast('Give the habit a name'); field('name').focus(); return; }
+      const days = Array.from(form.querySelectorAll('[name="day"]:checked')).map(c => Number(c.value));
+      if(!days.length){ showToast('Pick at least one day'); return; }
+      // a habit added while an earlier day is open starts on that day
+      const since = habit ? h.since : [date, toDateKey(new Date())].sort()[0];
+      const next = normalizeHabit({ ...h, name, emoji: field('emoji').value, type: field('type').value, target: field('target').value, days, since }, h.id);
+      saveHabits(habit ? list.map(x => x.id === h.id ? next : x) : [...list, next]);
+    } else if(b.dataset.act === 'delete'){
+      if(!confirm(`Delete “${h.name}”? Its past days stay in your history.`)) return;
+      saveHabits(list.filter(x => x.id !== h.id));
+    }
+    dialog.close();
+    if(b.dataset.act !== 'cancel'){ render(); onChange(); }
+  }));
+  dialog.showModal(); field('name').focus();
+}
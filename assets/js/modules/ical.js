@@ -0,0 +1,85 @@
+import { showToast, escapeHtml } from './utils.js';
+import { computeCycleMarks } from './cycle.js';
+import { toICS, parseICS, plannerEvents, importEvents, wasImported } from '../storage/ical.js';
+import { toDateKey, parseDateKey, timeToMinutes, minutesToTime } from '../storage/repository.js';
+
+let onImported = () => {};
+
+// The cycle forecast is exported from the start of this month for this many months
+const CYCLE_MONTHS = 6;
+// at most this many upcoming events are offered per import
+const IMPORT_LIMIT = 200;
+
+// imported() runs after todos were added, so the page can reload the open day
+export function initIcal(imported){
+  onImported = imported || (()=>{});
+  const exp = document.getElementById('btnIcsExport'); if(exp) exp.addEventListener('click', exportICS);
+  const imp = document.getElementById('btnIcsImport'); if(imp) imp.addEventListener('click', pickFile);
+}
+
+export function exportICS(){
+  try{
+    const now = new Date(); const marks = { period: [], fertile: [], ovul: [] };
+    for(let i = 0; i < CYCLE_MONTHS; i++){
+      const first = new Date(now.getFullYear(), now.getMonth() + i, 1);
+      const month = computeCycleMarks(first.getFullYear(), first.getMonth());
+      Object.keys(marks).forEach(kind => marks[kind].push(...month[kind]));
+    }
+    const events = plannerEvents(marks, toDateKey(new Date(now.getFullYear(), now.getMonth(), 1)));
+    if(!events.length){ showToast('Nothing to export yet: set up the cycle or schedule some tasks'); return; }
+    const blob = new Blob([toICS(events)], {type:'text/calendar;charset=utf-8'});
+    const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = `cherry-planner-${toDateKey(now)}.ics`; a.click(); URL.revokeObjectURL(a.href);
+    showToast(`Exported ${events.length} event${events.length === 1 ? '' : 's'}`);
+  }catch(e){ console.error('Calendar export failed:', e); showToast('Calendar export failed. Please try again.'); }
+}
+
+function pickFile(){
+  const input = document.createElement('input'); input.type = 'file'; input.accept = '.ics,text/calendar';
+  input.addEventListener('change', async ()=>{
+    if(!input.files[0]) return;
+    let events;
+    try{ events = parseICS(await input.files[0].text()); }
+    catch(e){ showToast(e.message); return; }
+    const added = await openImportDialog(events);
+    if(added){ showToast(`Added ${added} task${added === 1 ? '' : 's'} from the calendar`); onImported(); }
+  });
+  input.click();
+}
+
+const when = ev => ev.time ? `${ev.time}${ev.duration ? `–${minutesToTime((timeToMinutes(ev.time) + ev.duration) % 1440)}` : ''}` : ev.days > 1 ? `${ev.days} days` : 'all day';
+
+// Resolves to the number of todos added (0 when cancelled)
+function openImportDialog(events){
+  return new Promise(resolve=>{
+    const today = toDateKey(new Date());
+    const upcoming = events.filter(ev => ev.date >= today).sort((a,b)=> a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+    const items = upcoming.slice(0, IMPORT_LIMIT);
+    const past = events.length - upcoming.length; const repeating = items.filter(ev => ev.recurring).length;
+    const notes = [
+      past ? `${past} past event${past === 1 ? ' is' : 's are'} left out.` : '',
+      upcoming.length > items.length ? `Only the next ${items.length} are listed.` : '',
+      repeating ? 'Repeating events are added once, on their first date.' : ''
+    ].filter(Boolean).join(' ');
+    const dialog = document.createElement('dialog'); dialog.className = 'ics-dialog'; dialog.setAttribute('aria-labelledby','icsTitle');
+    const days = [...new Set(items.map(ev => ev.date))];
+    dialog.innerHTML = `<form method="dialog">
+      <h2 id="icsTitle" class="card-title">📅 Import calendar</h2>
+      <p class="ics-note">${items.length ? `Pick the events to add as tasks on their day. ${notes}` : `No upcoming events in this file. ${notes}`}</p>
+      <div class="ics-days">${days.map(day => `<fieldset class="ics-day"><legend>${parseDateKey(day).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}</legend>
+        ${items.map((ev, i) => ev.date !== day ? '' : wasImported(ev)
+          ? `<label class="ics-item done"><input type="checkbox" disabled /><span>${escapeHtml(ev.summary)}</span><small>already added</small></label>`
+          : `<label class="ics-item"><input type="checkbox" name="pick" value="${i}" checked /><span>${escapeHtml(ev.summary)}</span><small>${when(ev)}${ev.recurring ? ' · repeats' : ''}</small></label>`).join('')}</fieldset>`).join('')}</div>
+      <div class="ics-actions">
+        <button class="btn" type="button" data-act="cancel">Cancel</button>
+        <button class="btn" type="button" data-act="import" ${items.length ? '' : 'disabled'}>Add as tasks</button>
+      </div></form>`;
+    document.body.appendChild(dialog);
+    let added = 0;
+    dialog.addEventListener('close', ()=>{ dialog.remove(); resolve(added); });
+    dialog.querySelectorAll('[data-act]').forEach(b=> b.addEventListener('click', ()=>{
+      if(b.dataset.act === 'import') added = importEvents(Array.from(dialog.querySelectorAll('[name="pick"]:checked')).map(c => items[Number(c.value)]));
+      dialog.close();
+    }));
+    dialog.showModal();
+  });
+}
@@ -0,0 +1,87 @@
+import { showToast, escapeHtml } from './utils.js';
+import { getBackend, getProfileId, isEncrypted, isLocked, unlock, lock, eraseAll, setPassphrase, removePassphrase, getAutoLock, setAutoLock } from '../storage/store.js';
+import { hasWebCrypto } from '../storage/crypto.js';
+import { listProfiles, getProfile } from '../storage/profiles.js';
+import { activateProfile } from './profiles.js';
+
+const AUTO_LOCK_OPTIONS = [0, 1, 5, 15, 30, 60];
+let lockTimer;
+
+// Shows the lock screen when the store is encrypted; resolves once it is unlocked
+export function requireUnlock(){
+  if(!isLocked()) return Promise.resolve();
+  return new Promise(resolve=>{
+    const screen = document.createElement('div'); screen.className = 'lock-screen'; screen.setAttribute('role','dialog'); screen.setAttribute('aria-modal','true'); screen.setAttribute('aria-labelledby','lockTitle');
+    const profiles = listProfiles(); const active = getProfileId();
+    const switcher = profiles.length > 1 ? `<select id="lockProfile" aria-label="Profile">${profiles.map(p=> `<option value="${p.id}" ${p.id===active?'selected':''}>${escapeHtml(p.name)}</option>`).join('')}</select>` : '';
+    screen.innerHTML = `<form class="lock-card"><div class="lock-icon">🔒</div><h2 id="lockTitle">Planner locked</h2>${switcher}<p>Enter the passphrase of ${escapeHtml(getProfile(active)?.name || 'this profile')} to open the planner.</p><input type="password" id="lockPass" autocomplete="current-password" aria-label="Passphrase" required /><p class="lock-error" id="lockError" role="alert"></p><button class="btn" type="submit">Unlock</button><button class="lock-forgot" type="button" id="lockForgot">Forgot passphrase? Erase all data</button></form>`;
+    document.body.appendChild(screen);
+    const form = screen.querySelector('form'); const pass = screen.querySelector('#lockPass'); const error = screen.querySelector('#lockError');
+    pass.focus();
+    const pick = screen.querySelector('#lockProfile'); if(pick) pick.addEventListener('change', ()=> activateProfile(pick.value));
+    form.addEventListener('submit', async (e)=>{
+      e.preventDefault(); error.textContent = 'Unlocking…';
+      if(await unlock(pass.value)){ screen.remove(); resolve(); }
+      else { error.textContent = 'Wrong passphrase.'; pass.select(); }
+    });
+    screen.querySelector('#lockForgot').addEventListener('click', async ()=>{
+      if(!confirm('Without the passphrase this profile cannot be decrypted. Erase ALL of its planner data on this device?')) return;
+      await eraseAll(); screen.remove(); resolve();
+    });
+  });
+}
+
+export function initLock(){
+  const btn = document.getElementById('btnSecurity'); if(btn) btn.addEventListener('click', openSecurityDialog);
+  ['pointerdown','keydown','scroll','touchstart'].forEach(evt=> document.addEventListener(evt, scheduleAutoLock, {passive:true}));
+  scheduleAutoLock();
+}
+
+function scheduleAutoLock(){
+  clearTimeout(lockTimer);
+  const minutes = getAutoLock(); if(!isEncrypted() || !minutes) return;
+  lockTimer = setTimeout(lockNow, minutes*60*1000);
+}
+
+async function lockNow(){ await lock(); location.reload(); }
+
+function openSecurityDialog(){
+  const supported = hasWebCrypto() && getBackend() !== 'memory'; const on = isEncrypted(); const auto = getAutoLock();
+  const dialog = document.createElement('dialog'); dialog.className = 'security-dialog'; dialog.setAttribute('aria-labelledby','securityTitle');
+  const options = AUTO_LOCK_OPTIONS.map(m=> `<option value="${m}" ${m===auto?'selected':''}>${m ? `After ${m} min without activity` : 'Never'}</option>`).join('');
+  dialog.innerHTML = `<form method="dialog">
+    <h2 id="securityTitle" class="card-title">🔒 Passphrase lock</h2>
+    <p class="security-status">${on ? 'Your planner data is encrypted on this device.' : 'Your planner data is stored unencrypted on this device.'}</p>
+    ${supported ? '' : '<p class="lock-error">Encryption needs a secure (https) page and persistent browser storage.</p>'}
+    <label class="security-field">${on ? 'New passphrase' : 'Passphrase'}<input type="password" name="pass" autocomplete="new-password" minlength="6" /></label>
+    <label class="security-field">Repeat passphrase<input type="password" name="pass2" autocomplete="new-password" /></label>
+    <label class="security-field">Auto-lock<select name="autoLock">${options}</select></label>
+    <p class="security-note">Forgotten passphrases cannot be recovered. Backup files are not encrypted, so keep them somewhere safe.</p>
+    <p class="lock-error" role="alert"></p>
+    <div class="security-actions">
+      ${on ? '<button class="btn" type="button" data-act="off">Turn off</button><button class="btn" type="button" data-act="lock">Lock now</button>' : ''}
+      <button class="btn" value="cancel" type="submit">Close</button>
+      <button class="btn" type="button" data-act="save" ${supported ? '' : 'disabled'}>${on ? 'Save' : 'Turn on'}</button>
+    </div></form>`;
+  document.body.appendChild(dialog);
+  const form = dialog.querySelector('form'); const error = dialog.querySelectorAll('.lock-error'); const msg = error[error.length-1];
+  dialog.addEventListener('close', ()=> dialog.remove());
+  dialog.querySelector('select').addEventListener('change', (e)=>{ if(!on) return; setAutoLock(e.target.value); scheduleAutoLock(); showToast('Auto-lock updated'); });
+  dialog.querySelectorAll('[data-act]').forEach(b=> b.addEventListener('click', async ()=>{
+    const act = b.dataset.act;
+    if(act === 'lock'){ dialog.close(); lockNow(); return; }
+    if(act === 'off'){
+      if(!confirm('Store your planner data unencrypted again?')) return;
+      await removePassphrase(); dialog.close(); scheduleAutoLock(); showToast('Encryption turned off'); return;
+    }
+    const pass = form.pass.value; if(!pass && on){ dialog.close(); return; }
+    if(pass.length < 6){ msg.textContent = 'Use at least 6 characters.'; return; }
+    if(pass !== form.pass2.value){ msg.textContent = 'The passphrases do not match.'; return; }
+    msg.textContent = 'Encrypting…'; b.disabled = true;
+    const ok = await setPassphrase(pass, parseInt(form.autoLock.value, 10) || 0);
+    b.disabled = false;
+    if(!ok){ msg.textContent = 'Encryption failed. Your data was left unchanged.'; return; }
+    dialog.close(); scheduleAutoLock(); showToast(on ? 'Passphrase changed' : 'Encryption turned on');
+  }));
+  dialog.showModal();
+}
@@ -0,0 +1,194 @@
+import { escapeHtml, showToast } from './utils.js';
+import { MEALS, mealKey, parseIngredient, formatIngredient, normalizeRecipe, getRecipes, saveRecipes, findRecipe, weekStart, weekDates, mealSuggestions, shoppingList, getShoppingChecks, saveShoppingChecks } from '../storage/meals.js';
+import { getDay, updateDay, toDateKey, parseDateKey } from '../storage/repository.js';
+
+// Meal card of both planners, rendered into #meals: the open day's meals live here like water.js keeps its intakes,
+// the page saves them with the day (getMealState) and hands them back on load (setMealState).
+// The week plan writes other days straight to storage; the open day goes through this state.
+
+let onChange = () => {};
+let state = {};
+let date = toDateKey(new Date());
+
+const PLACEHOLDERS = { meal_breakfast: 'What will I have for breakfast?', meal_lunch: 'What will I have for lunch?', meal_dinner: 'What will I have for dinner?', meal_snacks: 'Healthy snacks' };
+
+export function initMeals(save){
+  onChange = save || (()=>{});
+  const root = document.getElementById('meals'); if(!root) return;
+  root.addEventListener('input', (e)=>{
+    if(!e.target.matches('.meal-input')) return;
+    state[e.target.dataset.field] = e.target.value;
+    linkButton(e.target.closest('.meal-slot')); onChange();
+  });
+  root.addEventListener('click', (e)=>{
+    const btn = e.target.closest('[data-act]'); if(!btn) return;
+    const text = state[btn.closest('.meal-slot')?.dataset.field] || '';
+    switch(btn.dataset.act){
+      case 'recipe': openRecipeDialog(findRecipe(text) || normalizeRecipe({ name: text })); break;
+      case 'recipes': openRecipeDialog(null); break;
+      case 'week': openWeekDialog(); break;
+      case 'shopping': openShoppingDialog(weekStart(date)); break;
+    }
+  });
+  render();
+}
+
+export function getMealState(){ return Object.fromEntries(MEALS.map(({ field }) => [field, state[field] || ''])); }
+
+export function setMealState(day, key){
+  state = Object.fromEntries(MEALS.map(({ field }) => [field, day?.[field] || '']));
+  if(key) date = key;
+  render();
+}
+
+const addWeek = (start, n)=>{ const d = parseDateKey(start); d.setDate(d.getDate() + n * 7); return toDateKey(d); };
+const shortDay = key => parseDateKey(key).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+
+// 📖 opens the recipe a meal names; a meal without one can be saved as a recipe
+function linkButton(slot){
+  const btn = slot.querySelector('[data-act="recipe"]'); const text = state[slot.dataset.field] || '';
+  const linked = !!findRecipe(text);
+  btn.hidden = !text.trim();
+  btn.classList.toggle('linked', linked);
+  btn.textContent = linked ? '📖' : '+📖';
+  btn.title = linked ? 'Open recipe' : 'Save as recipe';
+}
+
+function suggestions(){
+  return `<datalist id="mealSuggestions">${mealSuggestions(date).map(text => `<option value="${escapeHtml(text)}"></option>`).join('')}</datalist>`;
+}
+
+function render(){
+  const root = document.getElementById('meals'); if(!root) return;
+  root.innerHTML = `${MEALS.map(({ field, label }) => `<div class="slot meal-slot" data-field="${field}">
+      <label class="input-label" for="${field}">${label}</label>
+      <div class="meal-row"><input class="input meal-input" id="${field}" data-field="${field}" list="mealSuggestions" autocomplete="off" placeholder="${PLACEHOLDERS[field]}" value="${escapeHtml(state[field] || '')}" />
+      <button class="icon-btn meal-link" type="button" data-act="recipe" data-html2canvas-ignore></button></div>
+    </div>`).join('')}
+    ${suggestions()}
+    <div class="meal-tools" data-html2canvas-ignore>
+      <button class="btn" type="button" data-act="week">📅 Week plan</button>
+      <button class="btn" type="button" data-act="shopping">🛒 Shopping list</button>
+      <button class="btn" type="button" data-act="recipes">📖 Recipes</button>
+    </div>`;
+  root.querySelectorAll('.meal-slot').forEach(linkButton);
+}
+
+// The open day is read from `state`, other days from storage
+const mealsOf = key => key === date ? getMealState() : getDay(key);
+
+function dialogFor(className, title){
+  const dialog = document.createElement('dialog'); dialog.className = `meal-dialog ${className}`; dialog.setAttribute('aria-labelledby', `${className}Title`);
+  dialog.innerHTML = `<form method="dialog"><h2 id="${className}Title" class="card-title">${title}</h2><div class="meal-body"></div></form>`;
+  document.body.appendChild(dialog);
+  dialog.addEventListener('close', ()=> dialog.remove());
+  return dialog;
+}
+
+function weekNav(start){
+  const end = weekDates(start)[6];
+  return `<div class="meal-week-nav"><button class="icon-btn" type="button" data-act="prev" aria-label="Previous week">‹</button>
+    <span>${shortDay(start)} – ${shortDay(end)}</span><button class="icon-btn" type="button" data-act="next" aria-label="Next week">›</button></div>`;
+}
+
+function openWeekDialog(){
+  if(document.querySelector('.meal-week')) return;
+  const dialog = dialogFor('meal-week', '📅 Week plan'); const body = dialog.querySelector('.meal-body');
+  let start = weekStart(date);
+  const draw = ()=>{
+    body.innerHTML = `${weekNav(start)}
+      <table class="meal-plan"><thead><tr><th></th>${MEALS.map(m => `<th scope="col">${m.label}</th>`).join('')}</tr></thead>
+      <tbody>${weekDates(start).map(key => { const day = mealsOf(key); return `<tr class="${key === date ? 'open' : ''}"><th scope="row">${shortDay(key)}</th>
+        ${MEALS.map(m => `<td><input data-date="${key}" data-field="${m.field}" list="mealSuggestions" autocomplete="off" aria-label="${m.label}, ${shortDay(key)}" value="${escapeHtml(day[m.field])}" /></td>`).join('')}</tr>`; }).join('')}</tbody></table>
+      <div class="meal-actions"><button class="btn" type="button" data-act="shopping">🛒 Shopping list</button><span class="spacer"></span><button class="btn" type="button" data-act="done">Done</button></div>`;
+  };
+  // every change is kept as it is made: other days in storage, the open day through the card
+  body.addEventListener('change', (e)=>{
+    const input = e.target.closest('[data-date]'); if(!input) return;
+    const value = input.value.trim();
+    if(input.dataset.date === date){ state[input.dataset.field] = value; render(); onChange(); }
+    else updateDay(input.dataset.date, { [input.dataset.field]: value });
+  });
+  body.addEventListener('click', (e)=>{
+    const btn = e.target.closest('[data-act]'); if(!btn) return;
+    if(btn.dataset.act === 'prev' || btn.dataset.act === 'next'){ start = addWeek(start, btn.dataset.act === 'prev' ? -1 : 1); draw(); }
+    if(btn.dataset.act === 'shopping'){ dialog.close(); openShoppingDialog(start); }
+    if(btn.dataset.act === 'done') dialog.close();
+  });
+  draw(); dialog.showModal();
+}
+
+function openShoppingDialog(start){
+  if(document.querySelector('.meal-shopping')) return;
+  const dialog = dialogFor('meal-shopping', '🛒 Shopping list'); const body = dialog.querySelector('.meal-body');
+  const draw = ()=>{
+    const { items, unmatched } = shoppingList(weekDates(start).map(mealsOf));
+    const checked = getShoppingChecks(start);
+    body.innerHTML = `${weekNav(start)}
+      ${items.length ? `<ul class="meal-list">${items.map(item => `<li class="${checked.has(item.key) ? 'done' : ''}"><label><input type="checkbox" data-item="${escapeHtml(item.key)}" ${checked.has(item.key) ? 'checked' : ''} />
+        <span>${escapeHtml(formatIngredient(item))}</span></label><small>${escapeHtml(item.recipes.join(', '))}</small></li>`).join('')}</ul>`
+        : '<p class="meal-note">Nothing to buy yet. Plan meals named like your recipes and their ingredients add up here.</p>'}
+      ${unmatched.length ? `<p class="meal-note">Not from a recipe: ${unmatched.map(escapeHtml).join(', ')}</p>` : ''}
+      <div class="meal-actions">${items.length ? `<span class="meal-count">${items.filter(i => checked.has(i.key)).length} of ${items.length} in the basket</span>` : ''}<span class="spacer"></span><button class="btn" type="button" data-act="done">Done</button></div>`;
+  };
+  body.addEventListener('change', (e)=>{
+    if(!e.target.matches('[data-item]')) return;
+    const checked = getShoppingChecks(start);
+    if(e.target.checked) checked.add(e.target.dataset.item); else checked.delete(e.target.dataset.item);
+    saveShoppingChecks(start, checked); draw();
+  });
+  body.addEventListener('click', (e)=>{
+    const btn = e.target.closest('[data-act]'); if(!btn) return;
+    if(btn.dataset.act === 'prev' || btn.dataset.act === 'next'){ start = addWeek(start, btn.dataset.act === 'prev' ? -1 : 1); draw(); }
+    if(btn.dataset.act === 'done') dialog.close();
+  });
+  draw(); dialog.showModal();
+}
+
+// The library, or straight to one recipe's form (an unsaved one when `recipe` has no stored id)
+function openRecipeDialog(recipe){
+  if(document.querySelector('.meal-recipes')) return;
+  const dialog = dialogFor('meal-recipes', '📖 Recipes'); const body = dialog.querySelector('.meal-body');
+  const list = ()=>{
+    const recipes = getRecipes();
+    body.innerHTML = `${recipes.length ? `<ul class="meal-list">${recipes.map(r => `<li><button class="meal-recipe-name" type="button" data-act="edit" data-id="${escapeHtml(r.id)}">${escapeHtml(r.name)}</button>
+        <small>${r.ingredients.length} ingredient${r.ingredients.length === 1 ? '' : 's'}</small></li>`).join('')}</ul>`
+      : '<p class="meal-note">No recipes yet. A meal named like a recipe puts its ingredients on the shopping list.</p>'}
+      <div class="meal-actions"><button class="btn" type="button" data-act="new">+ Recipe</button><span class="spacer"></span><button class="btn" type="button" data-act="done">Done</button></div>`;
+  };
+  const form = (r)=>{
+    const stored = getRecipes().some(x => x.id === r.id);
+    body.innerHTML = `<label class="meal-field">Name<input name="name" maxlength="80" value="${escapeHtml(r.name)}" placeholder="e.g. Overnight oats" required /></label>
+      <label class="meal-field">Ingredients, one per line<textarea name="ingredients" rows="6" placeholder="80 g oats&#10;200 ml milk&#10;1 tbsp honey">${escapeHtml(r.ingredients.map(formatIngredient).join('\n'))}</textarea></label>
+      <label class="meal-field">Notes<textarea name="notes" rows="3" placeholder="Method, link, servings">${escapeHtml(r.notes)}</textarea></label>
+      <div class="meal-actions">${stored ? '<button class="btn" type="button" data-act="delete">Delete</button>' : ''}<span class="spacer"></span>
+        <button class="btn" type="button" data-act="back">Back</button><button class="btn" type="button" data-act="save">Save</button></div>`;
+    body.dataset.id = r.id;
+    body.querySelector('[name="name"]').focus();
+  };
+  body.addEventListener('click', (e)=>{
+    const btn = e.target.closest('[data-act]'); if(!btn) return;
+    const recipes = getRecipes(); const field = name => body.querySelector(`[name="${name}"]`);
+    switch(btn.dataset.act){
+      case 'new': form(normalizeRecipe({})); break;
+      case 'edit': form(recipes.find(r => r.id === btn.dataset.id)); break;
+      case 'back': list(); break;
+      case 'done': dialog.close(); break;
+      case 'save': {
+        const name = field('name').value.trim();
+        if(!name){ showToast('Give the recipe a name'); field('name').focus(); return; }
+        if(recipes.some(r => r.id !== body.dataset.id && mealKey(r.name) === mealKey(name))){ showToast('A recipe with this name already exists'); field('name').focus(); return; }
+        const next = normalizeRecipe({ name, ingredients: field('ingredients').value.split('\n').map(parseIngredient), notes: field('notes').value }, body.dataset.id);
+        saveRecipes(recipes.some(r => r.id === next.id) ? recipes.map(r => r.id === next.id ? next : r) : [...recipes, next]);
+        render(); list(); break;
+      }
+      case 'delete': {
+        const r = recipes.find(x => x.id === body.dataset.id);
+        if(!confirm(`Delete the recipe “${r.name}”? Meals keep their text.`)) return;
+        saveRecipes(recipes.filter(x => x.id !== r.id)); render(); list(); break;
+      }
+    }
+  });
+  if(recipe) form(recipe); else list();
+  dialog.showModal();
+}
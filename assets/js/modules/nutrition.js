@@ -0,0 +1,142 @@
+import { clamp, escapeHtml, showToast } from './utils.js';
+import { MEALS } from '../storage/meals.js';
+import { NUTRIENTS, MIN_NUTRITION_DAYS, loadFoods, nutrientTotals, cycleNutrition } from '../storage/nutrition.js';
+import { getDays, getPlannerSettings, savePlannerSettings, normalizeFoodEntry, toDateKey, parseDateKey } from '../storage/repository.js';
+
+// Food log under the meals of both planners, rendered into #nutrition while nutrition is tracked (planner setting).
+// The open day's entries live here like water.js keeps its intakes: the page saves them with the day
+// (getNutritionState) and hands them back on load (setNutritionState). Foods come from the bundled table.
+
+let onChange = () => {};
+let state = [];
+let date = toDateKey(new Date());
+let foods = null;
+
+// How far back the cycle comparison reads
+const CYCLE_NUTRITION_DAYS = 365;
+
+export function initNutrition(save){
+  onChange = save || (()=>{});
+  const link = document.getElementById('cycleNutrition'); if(link) link.addEventListener('click', openCycleNutrition);
+  const root = document.getElementById('nutrition'); if(!root) return;
+  root.addEventListener('change', (e)=>{
+    if(e.target.matches('.nutri-track')){ savePlannerSettings({ trackNutrition: e.target.checked }); render(); }
+    if(e.target.matches('[name="food"]')) syncUnits(root.querySelector('.nutri-add'));
+  });
+  root.addEventListener('submit', (e)=>{ e.preventDefault(); addEntry(e.target); });
+  root.addEventListener('click', (e)=>{
+    const btn = e.target.closest('[data-act]'); if(!btn) return;
+    if(btn.dataset.act === 'remove'){ state = state.filter(entry => entry.id !== btn.closest('[data-id]').dataset.id); render(); onChange(); }
+    if(btn.dataset.act === 'cycle') openCycleNutrition();
+  });
+  render();
+  loadFoods().then(table => { foods = table; render(); }).catch(()=> render());
+}
+
+export function getNutritionState(){ return state.map(entry => ({ ...entry })); }
+
+export function setNutritionState(entries, day){
+  state = (entries || []).map(entry => normalizeFoodEntry(entry));
+  if(day) date = day;
+  render();
+}
+
+const findFood = name => [...foods.values()].find(food => food.name.toLowerCase() === name.trim().toLowerCase());
+const formatAmount = (key, value) => `${value} ${NUTRIENTS[key].unit}`;
+
+// A food's usual portion is offered next to grams
+function syncUnits(form){
+  const { food: input, unit, amount } = form.elements; const food = findFood(input.value);
+  unit.options[0].hidden = !food;
+  unit.options[0].textContent = food ? `× ${food.portion.label} (${food.portion.grams} g)` : 'portion';
+  unit.value = food ? 'portion' : 'g';
+  amount.value = food ? 1 : 100;
+}
+
+function addEntry(form){
+  const { meal, food: input, amount, unit } = form.elements; const food = findFood(input.value);
+  if(!food){ showToast('Pick a food from the list'); input.focus(); return; }
+  if(!(Number(amount.value) > 0)){ showToast('Enter how much'); amount.focus(); return; }
+  const grams = clamp(Math.round(unit.value === 'portion' ? amount.value * food.portion.grams : Number(amount.value)), 1, 2000);
+  state = [...state, normalizeFoodEntry({ meal: meal.value, food: food.id, grams })];
+  render(); onChange();
+  // the next food most likely goes to the same meal
+  const next = document.querySelector('#nutrition .nutri-add');
+  if(next){ next.elements.meal.value = meal.value; next.elements.food.focus(); }
+}
+
+function totalsView(){
+  const totals = nutrientTotals(state, foods);
+  return `<div class="nutri-totals" aria-label="Today's totals">${Object.entries(NUTRIENTS).map(([key, n]) => {
+    const pct = n.reference ? Math.round(totals[key] / n.reference * 100) : 0;
+    return `<div class="nutri-total"><span class="nutri-label">${n.label}</span><strong>${formatAmount(key, totals[key])}</strong>
+      ${n.reference ? `<span class="nutri-bar" role="img" aria-label="${pct}% of ${n.reference} ${n.unit}"><span style="width:${Math.min(100, pct)}%"></span></span><small>${pct}% of ${n.reference} ${n.unit}</small>` : ''}</div>`;
+  }).join('')}</div>`;
+}
+
+function entriesView(){
+  return MEALS.map(({ field, label }) => {
+    const entries = state.filter(entry => entry.meal === field); if(!entries.length) return '';
+    return `<div class="nutri-meal"><span class="nutri-label">${label}</span><ul class="nutri-list">${entries.map(entry => {
+      const food = foods.get(entry.food); const kcal = food ? Math.round(food.kcal * entry.grams / 100) : 0;
+      return `<li data-id="${escapeHtml(entry.id)}"><span>${escapeHtml(food ? food.name : entry.food)} · ${entry.grams} g</span><small>${kcal} kcal</small>
+        <button class="icon-btn" type="button" data-act="remove" aria-label="Remove ${escapeHtml(food ? food.name : entry.food)}" data-html2canvas-ignore>×</button></li>`;
+    }).join('')}</ul></div>`;
+  }).join('');
+}
+
+function render(){
+  const root = document.getElementById('nutrition'); if(!root) return;
+  const { trackNutrition } = getPlannerSettings();
+  const toggle = `<label class="nutri-switch" data-html2canvas-ignore><input class="nutri-track" type="checkbox" ${trackNutrition ? 'checked' : ''} /> Track nutrition</label>`;
+  if(!trackNutrition){ root.innerHTML = toggle; return; }
+  if(!foods){ root.innerHTML = `${toggle}<p class="nutri-note">Loading the food table…</p>`; return; }
+  root.innerHTML = `${toggle}
+    <form class="nutri-add" data-html2canvas-ignore>
+      <select name="meal" aria-label="Meal">${MEALS.map(m => `<option value="${m.field}">${m.label}</option>`).join('')}</select>
+      <input class="input" name="food" list="foodList" autocomplete="off" placeholder="Food, e.g. Oats" aria-label="Food" />
+      <input class="input" name="amount" type="number" min="0.1" step="any" value="100" aria-label="Amount" />
+      <select name="unit" aria-label="Unit"><option value="portion" hidden>portion</option><option value="g" selected>g</option></select>
+      <button class="btn" type="submit">+ Add</button>
+    </form>
+    <datalist id="foodList">${[...foods.values()].map(food => `<option value="${escapeHtml(food.name)}"></option>`).join('')}</datalist>
+    ${entriesView()}
+    ${totalsView()}
+    <button class="btn nutri-cycle" type="button" data-act="cycle" data-html2canvas-ignore>🌙 Nutrition &amp; cycle</button>`;
+}
+
+const addDays = (key, n)=>{ const d = parseDateKey(key); d.setDate(d.getDate() + n); return toDateKey(d); };
+
+function strength(r){
+  const size = Math.abs(r) >= 0.5 ? 'strong' : Math.abs(r) >= 0.3 ? 'moderate' : Math.abs(r) >= 0.1 ? 'weak' : '';
+  if(!size) return 'No clear link between magnesium and mood on your luteal days so far.';
+  return `A ${size} ${r > 0 ? 'positive' : 'negative'} link: on luteal days with more magnesium your mood was ${r > 0 ? 'better' : 'lower'}.`;
+}
+
+// Iron on period days against the rest, and luteal magnesium against mood, from the logged days
+export async function openCycleNutrition(){
+  if(document.querySelector('.nutri-dialog')) return;
+  let table;
+  try { table = await loadFoods(); } catch { showToast('The food table could not be loaded'); return; }
+  const today = toDateKey(new Date());
+  const { iron, magnesium } = cycleNutrition(getDays(addDays(today, -CYCLE_NUTRITION_DAYS), today), table);
+  const ironLine = iron.period.days && iron.other.days
+    ? `<p>On period days you had <strong>${iron.period.average} mg</strong> iron on average (${iron.period.days} days), on other days <strong>${iron.other.average} mg</strong> (${iron.other.days} days).
+      ${iron.period.average < iron.other.average ? 'You eat less iron on the days you lose it.' : 'You keep your iron up while you bleed.'}</p>`
+    : '<p class="nutri-note">Log food on period days and on other days to compare your iron.</p>';
+  const magnesiumLine = magnesium.r !== null
+    ? `<p>${strength(magnesium.r)} <small>(r = ${magnesium.r}, ${magnesium.days} days)</small></p>
+      <p>Mood balance on the half with less magnesium: <strong>${magnesium.lower}</strong>, with more: <strong>${magnesium.higher}</strong> <small>(−1 to 1)</small></p>`
+    : `<p class="nutri-note">Log food and mood on at least ${MIN_NUTRITION_DAYS} luteal days to see how magnesium and mood relate (${magnesium.days} so far).</p>`;
+  const dialog = document.createElement('dialog'); dialog.className = 'nutri-dialog'; dialog.setAttribute('aria-labelledby', 'nutriTitle');
+  dialog.innerHTML = `<form method="dialog">
+    <h2 id="nutriTitle" class="card-title">🌙 Nutrition &amp; cycle</h2>
+    <h3>🩸 Iron on period days</h3>${ironLine}
+    <h3>✨ Magnesium and luteal mood</h3>${magnesiumLine}
+    <p class="nutri-note">Last ${CYCLE_NUTRITION_DAYS} days, phases estimated from your cycle log. Patterns in your own entries, not medical advice.</p>
+    <div class="nutri-actions"><button class="btn" type="button" data-act="close">Close</button></div></form>`;
+  document.body.appendChild(dialog);
+  dialog.addEventListener('close', ()=> dialog.remove());
+  dialog.querySelector('[data-act="close"]').addEventListener('click', ()=> dialog.close());
+  dialog.showModal();
+}
@@ -0,0 +1,181 @@
+import { $, $$, escapeHtml, showToast } from './utils.js';
+import { getDay, updateDay, moveTodo, newTodoId, normalizeTodo, topPriorities, TODO_PRIORITIES, getPlannerSettings, parseDateKey, toDateKey } from '../storage/repository.js';
+import { hydrationMl, waterProgress, formatVolume } from '../storage/water.js';
+import { applyOccurrences } from '../storage/recurrence.js';
+
+// Week and month overviews of the stored day records (the same ones collectData() saves).
+// They read and write storage directly; the day view reloads from storage when it is shown again.
+
+let onOpen = () => {};
+let onLeave = () => {};
+let view = 'day';
+let anchor = '';
+
+// open(date) shows the day view for a date; leave() runs before the day view is hidden (to flush its pending save)
+export function initPlanView(open, leave){
+  onOpen = open || (()=>{}); onLeave = leave || (()=>{});
+  $$('#viewTabs [data-view]').forEach(tab => tab.addEventListener('click', ()=> showView(tab.dataset.view)));
+}
+
+export const currentView = ()=> view;
+
+export function showView(next, date = $('#plannerDate').value){
+  if(next === 'day'){ if(view !== 'day'){ setTabs('day'); onOpen(date); } return; }
+  if(view === 'day') onLeave();
+  anchor = date || toDateKey(new Date());
+  setTabs(next); renderPlanView();
+}
+
+function setTabs(next){
+  view = next;
+  $$('#viewTabs [data-view]').forEach(tab => tab.setAttribute('aria-pressed', String(tab.dataset.view === next)));
+  $('.planner-grid').hidden = next !== 'day';
+  $('#planView').hidden = next === 'day';
+}
+
+const addDays = (key, n)=>{ const d = parseDateKey(key); d.setDate(d.getDate() + n); return toDateKey(d); };
+const weekStart = (key)=> addDays(key, -((parseDateKey(key).getDay() + 6) % 7));
+const label = (key, opts)=> parseDateKey(key).toLocaleDateString('en-US', opts);
+
+// A day's todos as the day view would show them: recurring occurrences included
+function todosOf(date){
+  const day = getDay(date);
+  return { day, ...applyOccurrences(day.todos, day.date, day.deletedTodos) };
+}
+
+function saveTodos(date, edit){
+  const { todos } = todosOf(date);
+  updateDay(date, { todos: edit(todos.map(t => normalizeTodo(t))) });
+}
+
+// the strongest mood of the day, when one stands out from the neutral 5
+function topMood(mood){
+  const [emoji, value] = Object.entries(mood.moods || {}).sort((a,b)=> b[1] - a[1])[0] || [];
+  return value > 5 ? `<span title="Mood ${value}/10">${emoji}</span>` : '';
+}
+
+// Re-render the open overview (after sync or a change elsewhere)
+export function renderPlanView(){
+  if(view === 'day') return;
+  const root = $('#planView');
+  const a = parseDateKey(anchor); const month = a.getMonth();
+  const first = new Date(a.getFullYear(), month, 1);
+  const from = weekStart(view === 'week' ? anchor : toDateKey(first));
+  // whole weeks covering the month
+  const span = view === 'week' ? 7 : Math.ceil(((first.getDay() + 6) % 7 + new Date(a.getFullYear(), month + 1, 0).getDate()) / 7) * 7;
+  const dates = Array.from({ length: span }, (_, i) => addDays(from, i));
+  const title = view === 'week'
+    ? `${label(dates[0], { month: 'short', day: 'numeric' })} – ${label(dates[6], { month: 'short', day: 'numeric', year: 'numeric' })}`
+    : label(anchor, { month: 'long', year: 'numeric' });
+  root.innerHTML = `<div class="plan-head">
+      <button class="icon-btn" type="button" data-step="-1" aria-label="Previous ${view}">‹</button>
+      <h2 class="card-title" id="planTitle">${title}</h2>
+      <button class="icon-btn" type="button" data-step="1" aria-label="Next ${view}">›</button>
+      <button class="btn" type="button" data-step="0">Today</button>
+    </div>
+    <div class="plan-grid plan-${view}">${view === 'month' ? ['Mon','Tue','Wed','Thu','Fri','Sat','Sun'].map(d => `<div class="dow">${d}</div>`).join('') : ''}
+      ${dates.map(date => view === 'week' ? weekDay(date) : monthDay(date, month)).join('')}</div>
+    <p class="plan-hint">Drag a task onto another day to move it · Alt+←/→ on a focused task moves it a day</p>`;
+  root.querySelectorAll('[data-step]').forEach(b => b.addEventListener('click', ()=>{
+    const step = Number(b.dataset.step);
+    if(!step) anchor = toDateKey(new Date());
+    else if(view === 'week') anchor = addDays(anchor, step * 7);
+    else { const d = parseDateKey(anchor); anchor = toDateKey(new Date(d.getFullYear(), d.getMonth() + step, 1)); }
+    renderPlanView();
+  }));
+  root.querySelectorAll('[data-open]').forEach(b => b.addEventListener('click', ()=> showView('day', b.dataset.open)));
+  root.querySelectorAll('.plan-add').forEach(input => input.addEventListener('keydown', (e)=>{
+    if(e.key !== 'Enter' || !input.value.trim()) return;
+    e.preventDefault();
+    const date = input.closest('[data-date]').dataset.date;
+    saveTodos(date, todos => [...todos, normalizeTodo({ text: input.value.trim() }, newTodoId())]);
+    renderPlanView(); $(`#planView [data-date="${date}"] .plan-add`)?.focus();
+  }));
+  root.querySelectorAll('.plan-chip').forEach(bindChip);
+}
+
+function chip(todo){
+  return `<li class="plan-chip ${todo.priority ? `prio-${todo.priority}` : ''} ${todo.completed ? 'done' : ''}" data-id="${escapeHtml(todo.id)}" tabindex="0" title="${escapeHtml(todo.text)}${todo.priority ? ` · ${TODO_PRIORITIES[todo.priority]}` : ''}">
+    <input type="checkbox" ${todo.completed ? 'checked' : ''} aria-label="Done" /><span class="plan-text">${escapeHtml(todo.text)}</span>${todo.due ? `<small>⏰ ${todo.due}</small>` : ''}</li>`;
+}
+
+function dayMeta(day){
+  const { waterUnit } = getPlannerSettings();
+  return `<span title="Water: ${formatVolume(hydrationMl(day.water), waterUnit)} of ${formatVolume(day.water.target, waterUnit)}">💧 ${Math.round(waterProgress(day.water) * 100)}%</span>${topMood(day.mood)}`;
+}
+
+function weekDay(date){
+  const { day, todos } = todosOf(date);
+  const listed = todos.filter(t => t.text.trim());
+  const top = topPriorities(listed);
+  const done = listed.filter(t => t.completed).length;
+  return `<section class="plan-day ${date === toDateKey(new Date()) ? 'today' : ''}" data-date="${date}" aria-label="${label(date, { weekday: 'long', month: 'long', day: 'numeric' })}">
+    <button class="plan-date" type="button" data-open="${date}" title="Open this day">${label(date, { weekday: 'short' })} <b>${parseDateKey(date).getDate()}</b>${listed.length ? `<small>${done}/${listed.length}</small>` : ''}</button>
+    ${top.length ? `<ol class="plan-prios">${top.map(t => `<li class="prio-${t.priority} ${t.completed ? 'done' : ''}">${escapeHtml(t.text)}</li>`).join('')}</ol>` : ''}
+    <ul class="plan-todos">${listed.map(chip).join('')}</ul>
+    <input class="plan-add" type="text" placeholder="+ Add task" aria-label="Add a task" />
+    <footer class="plan-meta">${dayMeta(day)}</footer>
+  </section>`;
+}
+
+const MONTH_CHIPS = 4;
+
+function monthDay(date, month){
+  const d = parseDateKey(date);
+  if(d.getMonth() !== month) return `<div class="plan-day outside" aria-hidden="true"></div>`;
+  const { day, todos } = todosOf(date);
+  const listed = todos.filter(t => t.text.trim());
+  const more = listed.length - MONTH_CHIPS;
+  return `<section class="plan-day ${date === toDateKey(new Date()) ? 'today' : ''}" data-date="${date}" aria-label="${label(date, { weekday: 'long', month: 'long', day: 'numeric' })}">
+    <button class="plan-date" type="button" data-open="${date}" title="Open this day"><b>${d.getDate()}</b></button>
+    <ul class="plan-todos">${listed.slice(0, MONTH_CHIPS).map(chip).join('')}</ul>
+    ${more > 0 ? `<button class="plan-more" type="button" data-open="${date}">+${more} more</button>` : ''}
+    <footer class="plan-meta">${day.water.intakes.length ? dayMeta(day) : topMood(day.mood)}</footer>
+  </section>`;
+}
+
+function moveTo(id, from, to){
+  if(from === to) return;
+  // an occurrence shown but not stored yet is written to its day first, so it can leave it
+  const { todos, changed } = todosOf(from);
+  if(changed) updateDay(from, { todos });
+  if(moveTodo(id, from, to)){
+    renderPlanView();
+    $(`#planView [data-date="${to}"] .plan-chip[data-id="${CSS.escape(id)}"]`)?.focus();
+    showToast(`Moved to ${label(to, { weekday: 'short', month: 'short', day: 'numeric' })}`);
+  }
+}
+
+// Checkbox, pointer drag onto another day (mouse and touch) and Alt+←/→
+function bindChip(li){
+  const from = li.closest('[data-date]').dataset.date; const id = li.dataset.id;
+  li.querySelector('input').addEventListener('change', (e)=>{
+    saveTodos(from, todos => todos.map(t => t.id === id ? { ...t, completed: e.target.checked } : t));
+    renderPlanView();
+  });
+  li.addEventListener('keydown', (e)=>{
+    if(!e.altKey || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+    e.preventDefault(); moveTo(id, from, addDays(from, e.key === 'ArrowLeft' ? -1 : 1));
+  });
+  li.addEventListener('pointerdown', (e)=>{
+    if(e.button > 0 || e.target.matches('input')) return;
+    const x0 = e.clientX, y0 = e.clientY; let target = null; let dragging = false;
+    li.setPointerCapture(e.pointerId);
+    const stop = new AbortController();
+    const over = (ev)=> document.elementsFromPoint(ev.clientX, ev.clientY).map(el => el.closest('#planView [data-date]')).find(Boolean) || null;
+    li.addEventListener('pointermove', (ev)=>{
+      // a few pixels of slack keep a click a click
+      if(!dragging && Math.hypot(ev.clientX - x0, ev.clientY - y0) < 6) return;
+      dragging = true; li.classList.add('dragging');
+      li.style.transform = `translate(${ev.clientX - x0}px, ${ev.clientY - y0}px)`;
+      const next = over(ev);
+      if(next !== target){ target?.classList.remove('drop-target'); target = next; target?.classList.add('drop-target'); }
+    }, { signal: stop.signal });
+    const end = (ev)=>{
+      stop.abort(); li.classList.remove('dragging'); li.style.transform = ''; target?.classList.remove('drop-target');
+      if(dragging && ev.type === 'pointerup' && target) moveTo(id, from, target.dataset.date);
+    };
+    li.addEventListener('pointerup', end, { signal: stop.signal });
+    li.addEventListener('pointercancel', end, { signal: stop.signal });
+  });
+}
@@ -0,0 +1,58 @@
+import { showToast, escapeHtml } from './utils.js';
+import { downloadBackup } from './backup.js';
+import { getProfileId } from '../storage/store.js';
+import { DEFAULT_PROFILE, listProfiles, getProfile, createProfile, renameProfile, switchProfile, deleteProfile } from '../storage/profiles.js';
+
+export function initProfiles(){
+  const btn = document.getElementById('btnProfiles'); if(!btn) return;
+  updateLabel();
+  btn.addEventListener('click', openProfilesDialog);
+}
+
+function updateLabel(){ const label = document.querySelector('#btnProfiles span'); if(label) label.textContent = getProfile(getProfileId())?.name || 'Profile'; }
+
+// switching reloads, so every module restores from the new profile's storage
+export function activateProfile(id){ if(switchProfile(id)) location.reload(); }
+
+function openProfilesDialog(){
+  const dialog = document.createElement('dialog'); dialog.className = 'profiles-dialog'; dialog.setAttribute('aria-labelledby','profilesTitle');
+  dialog.innerHTML = `<form method="dialog">
+    <h2 id="profilesTitle" class="card-title">👥 Profiles</h2>
+    <p class="profiles-note">Each profile keeps its own days, cycle history, water goal and moods on this device.</p>
+    <ul class="profiles-list"></ul>
+    <div class="profiles-add"><input type="text" name="newName" maxlength="40" placeholder="New profile name" aria-label="New profile name" /><button class="btn" type="button" data-act="add"><i class="fa-solid fa-plus"></i><span>Add</span></button></div>
+    <div class="profiles-actions">
+      <button class="btn" type="button" data-act="backup"><i class="fa-solid fa-box-archive"></i><span>Back up this profile</span></button>
+      <button class="btn" value="cancel" type="submit">Close</button>
+    </div></form>`;
+  document.body.appendChild(dialog);
+  const list = dialog.querySelector('.profiles-list'); const form = dialog.querySelector('form');
+  function render(){
+    const active = getProfileId();
+    list.innerHTML = listProfiles().map(p=> `<li class="profile-row${p.id===active?' active':''}" data-id="${p.id}"><span class="profile-name">${escapeHtml(p.name)}</span>${p.id===active ? '<span class="profile-badge">active</span>' : `<button class="icon-btn" type="button" data-act="switch" title="Switch to ${escapeHtml(p.name)}">↪️</button>`}<button class="icon-btn" type="button" data-act="rename" title="Rename">✏️</button>${p.id===DEFAULT_PROFILE || p.id===active ? '' : '<button class="icon-btn" type="button" data-act="delete" title="Delete">🗑️</button>'}</li>`).join('');
+  }
+  dialog.addEventListener('close', ()=> dialog.remove());
+  form.newName.addEventListener('keydown', (e)=>{ if(e.key==='Enter'){ e.preventDefault(); dialog.querySelector('[data-act="add"]').click(); } });
+  dialog.addEventListener('click', async (e)=>{
+    const b = e.target.closest('[data-act]'); if(!b) return;
+    const id = b.closest('[data-id]')?.dataset.id; const profile = id ? getProfile(id) : null;
+    switch(b.dataset.act){
+      case 'switch': activateProfile(id); break;
+      case 'rename': { const name = prompt('Profile name', profile.name); if(name && renameProfile(id, name)){ render(); if(id===getProfileId()) updateLabel(); } break; }
+      case 'delete':
+        if(!confirm(`Delete the profile “${profile.name}” and ALL of its data on this device?`)) return;
+        if(await deleteProfile(id)){ render(); showToast('Profile deleted'); } else showToast('Could not delete the profile');
+        break;
+      case 'add': {
+        const created = createProfile(form.newName.value);
+        if(!created){ form.newName.focus(); return; }
+        form.newName.value = ''; render();
+        if(confirm(`Switch to “${created.name}” now?`)) activateProfile(created.id);
+        break;
+      }
+      case 'backup': downloadBackup(); break;
+    }
+  });
+  render();
+  dialog.showModal();
+}
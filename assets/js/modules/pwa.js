@@ -0,0 +1,29 @@
+// Service worker registration and the "new version" prompt (see sw.js)
+let reloading = false;
+
+export function initPwa(swUrl = 'sw.js'){
+  if(!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+  navigator.serviceWorker.addEventListener('controllerchange', ()=>{ if(reloading) location.reload(); });
+  navigator.serviceWorker.register(swUrl).then(reg=>{
+    if(reg.waiting && navigator.serviceWorker.controller) promptUpdate(reg.waiting);
+    reg.addEventListener('updatefound', ()=>{
+      const worker = reg.installing; if(!worker) return;
+      // the first install has no controller: nothing to replace, the app simply works offline from now on
+      worker.addEventListener('statechange', ()=>{ if(worker.state === 'installed' && navigator.serviceWorker.controller) promptUpdate(worker); });
+    });
+    // long-lived tabs check for a new deploy every hour
+    setInterval(()=> reg.update().catch(()=>{}), 60*60*1000);
+  }).catch(e=> console.warn('Service worker registration failed:', e));
+}
+
+function promptUpdate(worker){
+  if(document.querySelector('.update-banner')) return;
+  const bar = document.createElement('div'); bar.className = 'update-banner'; bar.setAttribute('role','status');
+  bar.innerHTML = `<span>A new version of the planner is available.</span><button class="btn" type="button" data-act="reload">Reload</button><button class="icon-btn" type="button" data-act="later" aria-label="Later">✕</button>`;
+  bar.addEventListener('click', (e)=>{
+    const act = e.target.closest('[data-act]')?.dataset.act; if(!act) return;
+    if(act === 'reload'){ reloading = true; worker.postMessage({type:'SKIP_WAITING'}); }
+    bar.remove();
+  });
+  document.body.appendChild(bar);
+}
@@ -0,0 +1,76 @@
+import { escapeHtml, showToast } from './utils.js';
+import { RECURRENCE_TYPES, CYCLE_PHASES, normalizeRule, describeRule, getSeries, createSeries, updateSeries, skipOccurrence, endSeries, occursOn, occurrenceId } from '../storage/recurrence.js';
+import { parseDateKey, toDateKey } from '../storage/repository.js';
+
+// Rule editor (type + the one detail field it needs); `none` adds a "Does not repeat" choice
+export function mountRuleFields(root, { none = false, rule = null } = {}){
+  const r = normalizeRule(rule || {});
+  root.classList.add('repeat-fields');
+  root.innerHTML = `<label class="repeat-field">Repeat<select name="repeatType">${none ? '<option value="">Does not repeat</option>' : ''}${Object.entries(RECURRENCE_TYPES).map(([v,l])=> `<option value="${v}">${l}</option>`).join('')}</select></label>
+    <label class="repeat-field" data-for="interval">Every<input type="number" name="repeatInterval" min="2" max="365" value="${r.interval}" /> days</label>
+    <label class="repeat-field" data-for="monthly">Day of month<input type="number" name="repeatDay" min="1" max="31" value="${r.day}" /></label>
+    <label class="repeat-field" data-for="cycle">Phase<select name="repeatPhase">${Object.entries(CYCLE_PHASES).map(([v,l])=> `<option value="${v}" ${v===r.phase?'selected':''}>${l}</option>`).join('')}</select></label>`;
+  const type = root.querySelector('[name="repeatType"]');
+  const sync = ()=> root.querySelectorAll('[data-for]').forEach(el=> el.hidden = el.dataset.for !== type.value);
+  type.value = rule || !none ? r.type : ''; sync();
+  type.addEventListener('change', sync);
+  return {
+    // null when "Does not repeat" is picked
+    read: ()=> type.value ? normalizeRule({ type: type.value, interval: root.querySelector('[name="repeatInterval"]').value, day: root.querySelector('[name="repeatDay"]').value, phase: root.querySelector('[name="repeatPhase"]').value }) : null,
+    reset: (date)=>{ type.value = none ? '' : 'daily'; if(date) root.querySelector('[name="repeatDay"]').value = parseDateKey(date).getDate(); sync(); }
+  };
+}
+
+// Repeat dialog for one todo on `date`. Resolves to {action, series} ('created' | 'updated' | 'skipped' | 'ended') or null.
+export function openRepeatDialog(todo, date){
+  return new Promise(resolve=>{
+    const series = todo.seriesId ? getSeries(todo.seriesId) : null;
+    const dialog = document.createElement('dialog'); dialog.className = 'repeat-dialog'; dialog.setAttribute('aria-labelledby','repeatTitle');
+    const since = series ? parseDateKey(series.start).toLocaleDateString() : '';
+    dialog.innerHTML = `<form method="dialog">
+      <h2 id="repeatTitle" class="card-title">🔁 ${series ? 'Recurring task' : 'Repeat task'}</h2>
+      <p class="repeat-note">${series ? `${escapeHtml(describeRule(series.rule))} since ${since}${series.end ? `, until ${parseDateKey(series.end).toLocaleDateString()}` : ''}. Changes here apply to every open occurrence.` : 'The task comes back on every matching day, each with its own checkbox.'}</p>
+      <label class="repeat-field">Task<input type="text" name="text" maxlength="200" value="${escapeHtml(series ? series.text : todo.text)}" required /></label>
+      <div class="repeat-rule"></div>
+      <div class="repeat-actions">
+        ${series ? '<button class="btn" type="button" data-act="skip">Skip this occurrence</button><button class="btn" type="button" data-act="end">End series</button>' : ''}
+        <button class="btn" value="cancel" type="submit">Close</button>
+        <button class="btn" type="button" data-act="save">${series ? 'Save series' : 'Repeat'}</button>
+      </div></form>`;
+    document.body.appendChild(dialog);
+    const form = dialog.querySelector('form');
+    const rule = mountRuleFields(dialog.querySelector('.repeat-rule'), { rule: series ? series.rule : { day: parseDateKey(date).getDate() } });
+    let result = null;
+    dialog.addEventListener('close', ()=>{ dialog.remove(); resolve(result); });
+    dialog.querySelectorAll('[data-act]').forEach(b=> b.addEventListener('click', ()=>{
+      const text = form.text.value.trim();
+      switch(b.dataset.act){
+        case 'save': {
+          if(!text){ form.text.focus(); return; }
+          const saved = series ? updateSeries(series.id, { text, rule: rule.read() }) : createSeries({ text, time: todo.due, rule: rule.read(), start: date });
+          if(!saved){ showToast('Could not save the series'); return; }
+          result = { action: series ? 'updated' : 'created', series: saved };
+          break;
+        }
+        case 'skip':
+          skipOccurrence(series.id, date); result = { action: 'skipped', series };
+          break;
+        case 'end': {
+          if(!confirm('End this series? Open occurrences from this day on are removed; completed ones stay.')) return;
+          // the series ends the day before the occurrence being looked at
+          const prev = parseDateKey(date); prev.setDate(prev.getDate()-1);
+          endSeries(series.id, toDateKey(prev)); result = { action: 'ended', series };
+          break;
+        }
+      }
+      dialog.close();
+    }));
+    dialog.showModal();
+  });
+}
+
+// The occurrence a plain todo turns into once it starts a series (unchanged when the series skips that date)
+export function asOccurrence(todo, series, date){
+  if(!occursOn(series, date)) return todo;
+  return { ...todo, id: occurrenceId(series.id, date), text: series.text, due: series.time || todo.due, seriesId: series.id, seriesRev: series.updatedAt };
+}
@@ -0,0 +1,98 @@
+import { showToast } from './utils.js';
+import { REMINDER_TYPES, REMINDER_LEADS, getReminderSettings, saveReminderSettings, dueReminders, markSent } from '../storage/reminders.js';
+
+// Checks once a minute (and when the page comes back into view) while the planner is open.
+// System notifications when allowed, the in-app toast otherwise.
+
+const TICK_MS = 60 * 1000;
+let timer = 0;
+
+export function initReminders(){
+  const btn = document.getElementById('btnReminders'); if(btn) btn.addEventListener('click', openRemindersDialog);
+  document.addEventListener('visibilitychange', ()=>{ if(document.visibilityState === 'visible') checkReminders(); });
+  clearInterval(timer); timer = setInterval(checkReminders, TICK_MS);
+  checkReminders();
+}
+
+const canNotify = ()=> 'Notification' in window && Notification.permission === 'granted';
+
+export async function checkReminders(now = new Date()){
+  // a toast in a background tab goes unseen, so without notifications wait until the page is shown
+  if(document.hidden && !canNotify()) return 0;
+  const due = dueReminders(now);
+  if(!due.length) return 0;
+  markSent(due, now);
+  const missed = [];
+  for(const reminder of due) if(!await notify(reminder)) missed.push(reminder);
+  // one toast at a time: several reminders share it
+  if(missed.length) showToast(missed.length === 1 ? `${missed[0].title} · ${missed[0].body}` : missed.map(r => r.title).join(' · '));
+  return due.length;
+}
+
+// false when no system notification could be shown
+async function notify({ key, title, body }){
+  if(!canNotify()) return false;
+  try {
+    // through the service worker where one controls the page (required on Android), so a click focuses the planner
+    const reg = navigator.serviceWorker?.controller ? await navigator.serviceWorker.ready : null;
+    const options = { body, tag: key, icon: 'assets/icons/icon.svg' };
+    if(reg) await reg.showNotification(title, options); else new Notification(title, options);
+    return true;
+  } catch(e){ console.warn('Notification failed, showing it in the page', e); return false; }
+}
+
+const TEST = { key: 'test', title: '🔔 Cherry Planner', body: 'Reminders are working' };
+
+function permissionNote(){
+  if(!('Notification' in window)) return 'This browser has no system notifications: reminders show inside the planner while it is open.';
+  if(Notification.permission === 'granted') return 'System notifications are allowed.';
+  if(Notification.permission === 'denied') return 'Notifications are blocked for this site: reminders show inside the planner while it is open.';
+  return 'Reminders show inside the planner until notifications are allowed.';
+}
+
+function openRemindersDialog(){
+  if(document.querySelector('.reminders-dialog')) return;
+  const s = getReminderSettings();
+  const dialog = document.createElement('dialog'); dialog.className = 'reminders-dialog'; dialog.setAttribute('aria-labelledby','remindersTitle');
+  dialog.innerHTML = `<form method="dialog">
+    <h2 id="remindersTitle" class="card-title">🔔 Reminders</h2>
+    <label class="reminders-master"><input type="checkbox" name="enabled" ${s.enabled ? 'checked' : ''} /> Remind me</label>
+    <p class="reminders-note" aria-live="polite">${permissionNote()}</p>
+    <fieldset class="reminders-types"><legend>Remind me of</legend>
+      ${Object.entries(REMINDER_TYPES).map(([type, label]) => `<label><input type="checkbox" name="${type}" ${s[type] ? 'checked' : ''} /> ${label}</label>`).join('')}
+    </fieldset>
+    <label class="reminders-field">Tasks<select name="lead">${REMINDER_LEADS.map(m => `<option value="${m}" ${m === s.lead ? 'selected' : ''}>${m ? `${m} min before` : 'At the due time'}</option>`).join('')}</select></label>
+    <div class="reminders-quiet"><span>Quiet hours</span>
+      <label>from <input type="time" name="quietStart" value="${s.quietStart}" /></label>
+      <label>to <input type="time" name="quietEnd" value="${s.quietEnd}" /></label>
+    </div>
+    <div class="reminders-actions">
+      <button class="btn" type="button" data-act="test">Send a test</button>
+      <button class="btn" type="button" data-act="done">Done</button>
+    </div></form>`;
+  document.body.appendChild(dialog);
+  const form = dialog.querySelector('form'); const note = form.querySelector('.reminders-note');
+  const field = name => form.querySelector(`[name="${name}"]`);
+  const save = ()=> saveReminderSettings({
+    enabled: field('enabled').checked,
+    ...Object.fromEntries(Object.keys(REMINDER_TYPES).map(type => [type, field(type).checked])),
+    lead: Number(field('lead').value),
+    quietStart: field('quietStart').value, quietEnd: field('quietEnd').value
+  });
+  const sync = ()=> form.querySelectorAll('fieldset input, select, .reminders-quiet input').forEach(el => { el.disabled = !field('enabled').checked; });
+  form.addEventListener('change', async (e)=>{
+    // switching reminders on is the user gesture the permission prompt needs
+    if(e.target === field('enabled') && e.target.checked && 'Notification' in window && Notification.permission === 'default'){
+      await Notification.requestPermission().catch(()=>{});
+      note.textContent = permissionNote();
+    }
+    save(); sync();
+  });
+  sync();
+  dialog.addEventListener('close', ()=>{ dialog.remove(); checkReminders(); });
+  dialog.querySelectorAll('[data-act]').forEach(b=> b.addEventListener('click', ()=>{
+    if(b.dataset.act === 'test') notify(TEST).then(shown => { if(!shown) showToast(`${TEST.title} · ${TEST.body}`); });
+    else dialog.close();
+  }));
+  dialog.showModal();
+}
@@ -0,0 +1,94 @@
+import { escapeHtml } from './utils.js';
+import { CycleAnalyzer } from '../calculator/cycle-analyzer.js';
+import { SEVERITIES, PHASES, MIN_PHASE_DAYS, SYMPTOM_HISTORY_DAYS, symptomProfile, cyclePhases } from '../storage/symptoms.js';
+import { getCycleHistory } from '../storage/cycle.js';
+import { SYMPTOMS, getDays, normalizeSymptoms, toDateKey, parseDateKey } from '../storage/repository.js';
+
+// Daily symptom log in the cycle card of both planners, rendered into #symptoms: a 0-3 scale per symptom,
+// where '–' logs it as absent that day (unlike leaving it unpressed, which logs nothing).
+// The open day's severities live here like habits.js keeps its values: the page saves them with the day
+// (getSymptomState) and hands them back on load (setSymptomState).
+
+let onChange = () => {};
+let state = {};
+let date = toDateKey(new Date());
+
+export function initSymptoms(save){
+  onChange = save || (()=>{});
+  const root = document.getElementById('symptoms'); if(!root) return;
+  root.addEventListener('click', (e)=>{
+    const btn = e.target.closest('[data-symptom]');
+    if(btn){
+      const { symptom, level } = btn.dataset;
+      // pressing the logged level again takes it back
+      const { [symptom]: current, ...rest } = state;
+      state = current === Number(level) ? rest : { ...rest, [symptom]: Number(level) };
+      render(); onChange();
+    }
+    if(e.target.closest('[data-act="summary"]')) openSymptomSummary();
+  });
+  render();
+}
+
+export function getSymptomState(){ return { ...state }; }
+
+export function setSymptomState(values, day){
+  state = normalizeSymptoms(values);
+  if(day) date = day;
+  render();
+}
+
+function render(){
+  const root = document.getElementById('symptoms'); if(!root) return;
+  const cycle = cyclePhases()(date);
+  root.innerHTML = `<div class="symptom-head"><span class="symptom-title">Symptoms</span>
+      ${cycle ? `<small>Cycle day ${cycle.cycleDay} · ${PHASES[cycle.phase]}</small>` : ''}</div>
+    <ul class="symptom-list">${Object.entries(SYMPTOMS).map(([key, label]) => `<li>
+      <span class="symptom-label">${escapeHtml(label)}</span>
+      <span class="symptom-scale" role="group" aria-label="${escapeHtml(label)}">${SEVERITIES.map((name, level) => {
+        const on = state[key] === level;
+        return `<button class="symptom-level${on ? ' on' : ''}" type="button" data-symptom="${key}" data-level="${level}" aria-pressed="${on}" title="${name}">${level || '–'}</button>`;
+      }).join('')}</span></li>`).join('')}</ul>
+    <button class="btn symptom-summary" type="button" data-act="summary" data-html2canvas-ignore>📊 Symptoms by phase</button>`;
+}
+
+const addDays = (key, n)=>{ const d = parseDateKey(key); d.setDate(d.getDate() + n); return toDateKey(d); };
+const readable = condition => condition.replace(/_/g, ' ').replace(/^./, c => c.toUpperCase());
+
+// Logged days up to today with the open day's unsaved severities, as the analyzer sees them
+function loggedDays(){
+  const today = toDateKey(new Date());
+  const days = getDays(addDays(today, -SYMPTOM_HISTORY_DAYS), today).filter(day => day.date !== date);
+  if(date <= today) days.push({ date, symptoms: state });
+  return days;
+}
+
+// Average severity and how often each symptom was logged per phase, with what the analyzer makes of it
+export function openSymptomSummary(){
+  if(document.querySelector('.symptom-dialog')) return;
+  const profile = symptomProfile(loggedDays());
+  const analysis = new CycleAnalyzer().analyzeFullProfile(getCycleHistory().map(cycle => ({ ...cycle, start: parseDateKey(cycle.start) })), profile);
+  const insights = analysis.healthInsights.filter(i => i.category === 'symptoms');
+  const phases = Object.entries(PHASES);
+  const table = profile.logged ? `<table class="symptom-table">
+      <thead><tr><th scope="col">Symptom</th>${phases.map(([key, label]) => `<th scope="col">${label}<small>${profile.phases[key].days} days</small></th>`).join('')}</tr></thead>
+      <tbody>${Object.entries(SYMPTOMS).map(([key, label]) => `<tr><th scope="row">${escapeHtml(label)}</th>${phases.map(([phase]) => {
+        const { days, symptoms } = profile.phases[phase]; const s = symptoms[key];
+        if(!days) return '<td>–</td>';
+        return `<td class="${days < MIN_PHASE_DAYS ? 'few' : ''}" style="--level:${s.average / 3}"><strong>${s.average}</strong><small>${Math.round(s.frequency * 100)}%</small></td>`;
+      }).join('')}</tr>`).join('')}</tbody></table>
+    <p class="symptom-note">Average severity (0–3) and the share of logged days with the symptom. Faded phases have fewer than ${MIN_PHASE_DAYS} logged days.</p>`
+    : '<p class="symptom-note">Log your symptoms on a few days across your cycle to see how they change with its phases.</p>';
+  const findings = insights.map(i => `<p class="cycle-warning ${i.severity}"><strong>${escapeHtml(i.title)}:</strong> ${escapeHtml(i.message)} ${escapeHtml(i.recommendation)}</p>`).join('');
+  const risks = analysis.riskAssessment.length ? `<h3>Worth discussing with a doctor</h3><ul class="symptom-risks">${analysis.riskAssessment.map(r => `<li><strong>${escapeHtml(readable(r.condition))}</strong> — ${escapeHtml(r.recommendation)}.</li>`).join('')}</ul>` : '';
+  const dialog = document.createElement('dialog'); dialog.className = 'symptom-dialog'; dialog.setAttribute('aria-labelledby', 'symptomTitle');
+  dialog.innerHTML = `<form method="dialog">
+    <h2 id="symptomTitle" class="card-title">📊 Symptoms by phase</h2>
+    ${table}${findings}${risks}
+    <p class="symptom-note">Last ${SYMPTOM_HISTORY_DAYS} days, phases estimated from your cycle log. Patterns in your own entries, not a diagnosis.</p>
+    <div class="symptom-actions"><button class="btn" type="button" data-act="close">Close</button></div></form>`;
+  document.body.appendChild(dialog);
+  dialog.addEventListener('close', ()=> dialog.remove());
+  dialog.querySelector('[data-act="close"]').addEventListener('click', ()=> dialog.close());
+  dialog.showModal();
+}
@@ -0,0 +1,76 @@
+import { showToast, escapeHtml } from './utils.js';
+import { getSyncState, configureSync, disableSync, newSyncCode, isValidSyncCode, trackChanges, pendingCount, syncNow } from '../storage/sync.js';
+
+const AUTO_SYNC_MS = 5*60*1000;
+const CHANGE_DELAY_MS = 15*1000;
+let onPulled = () => {};
+let changeTimer;
+
+// pulled(keys) runs after a sync changed local records, so the page can re-render
+export function initSync(pulled){
+  onPulled = pulled || (()=>{});
+  const btn = document.getElementById('btnSync'); if(btn) btn.addEventListener('click', openSyncDialog);
+  trackChanges(()=>{ clearTimeout(changeTimer); changeTimer = setTimeout(runSync, CHANGE_DELAY_MS); });
+  window.addEventListener('online', ()=> runSync());
+  setInterval(()=>{ if(!document.hidden) runSync(); }, AUTO_SYNC_MS);
+  runSync();
+}
+
+async function runSync(manual = false){
+  if(!getSyncState().enabled || (!manual && !navigator.onLine)) return null;
+  const result = await syncNow();
+  if(result.ok && result.pulled.length) onPulled(result.pulled);
+  if(manual) showToast(result.ok ? (result.conflicts ? `Synced · ${result.conflicts} change(s) merged` : 'Synced') : `Sync failed: ${result.error}`);
+  return result;
+}
+
+function statusText(){
+  const s = getSyncState();
+  if(!s.enabled) return 'Sync is off. Your data stays on this device.';
+  const last = s.lastSync ? `Last synced ${new Date(s.lastSync).toLocaleString()}` : 'Not synced yet';
+  const waiting = pendingCount();
+  return `${last}${waiting ? ` · ${waiting} change(s) waiting` : ''}${s.lastError ? ` · last error: ${s.lastError}` : ''}`;
+}
+
+function openSyncDialog(){
+  const s = getSyncState();
+  const dialog = document.createElement('dialog'); dialog.className = 'sync-dialog'; dialog.setAttribute('aria-labelledby','syncTitle');
+  dialog.innerHTML = `<form method="dialog">
+    <h2 id="syncTitle" class="card-title">🔄 Sync</h2>
+    <p class="sync-status" role="status"></p>
+    <label class="sync-field">Server<input type="url" name="server" placeholder="https://sync.example.com" value="${escapeHtml(s.server)}" ${s.enabled?'readonly':''} /></label>
+    <label class="sync-field">Sync code<span class="sync-code"><input type="text" name="space" spellcheck="false" autocomplete="off" value="${escapeHtml(s.space)}" ${s.enabled?'readonly':''} />${s.enabled ? '' : '<button class="btn" type="button" data-act="generate">New</button>'}</span></label>
+    <p class="sync-note">Use the same server and sync code on every device of this profile. Anyone with the code can read the synced data, and the server stores it unencrypted.</p>
+    <p class="lock-error" role="alert"></p>
+    <div class="sync-actions">
+      ${s.enabled ? '<button class="btn" type="button" data-act="off">Turn off</button><button class="btn" type="button" data-act="now">Sync now</button>' : '<button class="btn" type="button" data-act="on">Turn on</button>'}
+      <button class="btn" value="cancel" type="submit">Close</button>
+    </div></form>`;
+  document.body.appendChild(dialog);
+  const form = dialog.querySelector('form'); const status = dialog.querySelector('.sync-status'); const msg = dialog.querySelector('.lock-error');
+  const render = ()=>{ status.textContent = statusText(); };
+  dialog.addEventListener('close', ()=> dialog.remove());
+  dialog.querySelectorAll('[data-act]').forEach(b=> b.addEventListener('click', async ()=>{
+    switch(b.dataset.act){
+      case 'generate': form.space.value = newSyncCode(); break;
+      case 'on': {
+        const space = form.space.value.trim();
+        if(!/^https?:\/\//.test(form.server.value.trim())){ msg.textContent = 'Enter the server address (https://…).'; return; }
+        if(!isValidSyncCode(space)){ msg.textContent = 'The sync code needs 16–128 letters, digits, - or _.'; return; }
+        if(!configureSync({ server: form.server.value, space })){ msg.textContent = 'Could not save the sync settings.'; return; }
+        dialog.close(); showToast('Sync turned on'); runSync(true);
+        break;
+      }
+      case 'off':
+        if(!confirm('Stop syncing this device? Data already here stays.')) return;
+        disableSync(); dialog.close(); showToast('Sync turned off');
+        break;
+      case 'now':
+        b.disabled = true; status.textContent = 'Syncing…';
+        await runSync(true); b.disabled = false; render();
+        break;
+    }
+  }));
+  render();
+  dialog.showModal();
+}
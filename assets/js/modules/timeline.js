@@ -0,0 +1,234 @@
+import { $, debounce, escapeHtml, showToast } from './utils.js';
+import { normalizeBlock, sortBlocks, timeToMinutes, minutesToTime, newTodoId, toDateKey } from '../storage/repository.js';
+
+// Hourly schedule of the open day's time blocks, shared by both planners (mounted on #timeline).
+// Drag across an empty stretch to create a block, drag its top or bottom edge to resize it and
+// its header to move it; ✎ edits the times, text and linked task in a dialog.
+
+const HOUR_PX = 44;
+const SNAP = 15;
+const DAY = 24 * 60;
+// hours always drawn; blocks outside them widen the range
+const FIRST_HOUR = 6, LAST_HOUR = 22;
+
+let onChange = () => {};
+let todosOf = () => [];
+let blocks = [];
+let currentDate = '';
+
+// `todos()` lists the open day's todos, for linking
+export function initTimeline(save, todos){
+  onChange = save || (()=>{}); todosOf = todos || (()=>[]);
+  const root = $('#timeline'); if(!root) return;
+  root.addEventListener('pointerdown', pointerDown);
+  root.addEventListener('click', (e)=>{
+    const act = e.target.closest('[data-act]')?.dataset.act; if(!act) return;
+    const block = blocks.find(b => b.id === e.target.closest('.tl-block')?.dataset.id);
+    if(act === 'add') addBlock(...nextFreeSlot());
+    if(act === 'edit' && block) editBlock(block);
+    if(act === 'delete' && block){ blocks = blocks.filter(b => b !== block); commit(); }
+  });
+  setInterval(placeNow, 60 * 1000);
+}
+
+const snap = (m)=> Math.min(DAY, Math.max(0, Math.round(m / SNAP) * SNAP));
+const px = (minutes)=> `${minutes / 60 * HOUR_PX}px`;
+
+function range(){
+  const starts = blocks.map(b => Math.floor(timeToMinutes(b.start) / 60));
+  const ends = blocks.map(b => Math.ceil(timeToMinutes(b.end) / 60));
+  return { from: Math.min(FIRST_HOUR, ...starts), to: Math.max(LAST_HOUR, ...ends) };
+}
+
+// Pairs of blocks that share some time
+function findOverlaps(list){
+  const sorted = sortBlocks(list); const pairs = [];
+  sorted.forEach((a, i) => sorted.slice(i + 1).forEach(b => { if(b.start < a.end) pairs.push([a, b]); }));
+  return pairs;
+}
+
+// Overlapping blocks share the width: each run of overlapping blocks is split into columns
+function layout(list){
+  const out = new Map(); let run = []; let runEnd = -1;
+  const flush = ()=>{ const cols = Math.max(...run.map(r => r.col)) + 1; run.forEach(r => out.set(r.block.id, { col: r.col, cols })); run = []; runEnd = -1; };
+  sortBlocks(list).forEach(block => {
+    const start = timeToMinutes(block.start), end = timeToMinutes(block.end);
+    if(run.length && start >= runEnd) flush();
+    const taken = run.filter(r => r.end > start).map(r => r.col);
+    let col = 0; while(taken.includes(col)) col++;
+    run.push({ block, col, end }); runEnd = Math.max(runEnd, end);
+  });
+  if(run.length) flush();
+  return out;
+}
+
+function linkedTodo(block){ return block.todoId ? todosOf().find(t => t.id === block.todoId) : null; }
+function label(block){ return block.text.trim() || linkedTodo(block)?.text || `${block.start}–${block.end}`; }
+
+function render(){
+  const root = $('#timeline'); if(!root) return;
+  const { from, to } = range();
+  const pairs = findOverlaps(blocks);
+  const clashing = new Set(pairs.flat().map(b => b.id));
+  const cols = layout(blocks);
+  const hours = Array.from({ length: to - from + 1 }, (_, i) => from + i);
+  root.innerHTML = `<div class="tl-toolbar">
+      <button class="btn" type="button" data-act="add" data-html2canvas-ignore>+ Block</button>
+      <span class="tl-warning" role="status">${pairs.length ? `⚠ ${pairs.map(([a, b]) => `${escapeHtml(label(a))} overlaps ${escapeHtml(label(b))}`).join(' · ')}` : ''}</span>
+    </div>
+    <div class="tl-scroll"><div class="tl-grid" data-from="${from}" data-to="${to}" style="height:${px((to - from) * 60)}">
+      ${hours.map(h => `<div class="tl-hour" style="top:${px((h - from) * 60)}"><span>${minutesToTime(h * 60)}</span></div>`).join('')}
+      ${blocks.map(b => blockHtml(b, from, cols.get(b.id), clashing.has(b.id))).join('')}
+      <div class="tl-now" hidden></div>
+    </div></div>`;
+  root.querySelectorAll('.tl-text').forEach(input => {
+    const block = blocks.find(b => b.id === input.closest('.tl-block').dataset.id);
+    input.addEventListener('input', () => { block.text = input.value; });
+    input.addEventListener('input', debounce(onChange, 250));
+  });
+  placeNow();
+}
+
+function blockHtml(block, from, { col, cols }, overlap){
+  const start = timeToMinutes(block.start), end = timeToMinutes(block.end);
+  const todo = linkedTodo(block);
+  return `<div class="tl-block ${overlap ? 'overlap' : ''} ${todo?.completed ? 'done' : ''} ${end - start < 45 ? 'short' : ''}" data-id="${escapeHtml(block.id)}"
+      style="top:${px(start - from * 60)};height:${px(end - start)};--col:${col};--cols:${cols}">
+    <div class="tl-edge" data-edge="start" title="Drag to change the start"></div>
+    <div class="tl-head" title="Drag to move">
+      <span class="tl-time">${block.start}–${block.end}</span>${todo ? `<span class="tl-link" title="Linked task">🔗 ${escapeHtml(todo.text)}</span>` : ''}
+      <button class="icon-btn" type="button" data-act="edit" title="Edit block" aria-label="Edit block" data-html2canvas-ignore>✎</button>
+      <button class="icon-btn" type="button" data-act="delete" title="Delete block" aria-label="Delete block" data-html2canvas-ignore>✕</button>
+    </div>
+    <input class="tl-text" value="${escapeHtml(block.text)}" placeholder="${escapeHtml(todo?.text || 'What is planned?')}" aria-label="${block.start}–${block.end}" />
+    <div class="tl-edge" data-edge="end" title="Drag to change the end"></div>
+  </div>`;
+}
+
+// The "now" line, on today's timeline only
+function placeNow(){
+  const line = $('#timeline .tl-now'); if(!line) return;
+  const grid = line.parentElement; const from = Number(grid.dataset.from) * 60, to = Number(grid.dataset.to) * 60;
+  const now = new Date(); const minute = now.getHours() * 60 + now.getMinutes();
+  line.hidden = currentDate !== toDateKey(now) || minute < from || minute > to;
+  line.style.top = px(minute - from);
+  line.title = `Now ${minutesToTime(minute)}`;
+}
+
+function commit(){ blocks = sortBlocks(blocks.map(b => normalizeBlock(b))); render(); onChange(); }
+
+function addBlock(start, end){
+  const block = normalizeBlock({ start: minutesToTime(start), end: minutesToTime(end) }, newTodoId());
+  blocks.push(block); commit();
+  $(`#timeline .tl-block[data-id="${CSS.escape(block.id)}"] .tl-text`)?.focus();
+}
+
+// An hour after the last block, or from the next full hour today (9:00 on other days)
+function nextFreeSlot(){
+  const now = new Date();
+  const last = Math.max(-1, ...blocks.map(b => timeToMinutes(b.end)));
+  const start = Math.min(DAY - 60, last >= 0 ? last : currentDate === toDateKey(now) ? (now.getHours() + 1) * 60 : 9 * 60);
+  return [start, Math.min(DAY, start + 60)];
+}
+
+// Create (empty stretch, mouse or pen: touch scrolls), resize (edges) or move (header)
+function pointerDown(e){
+  const grid = e.target.closest('.tl-grid');
+  if(!grid || e.button > 0 || e.target.closest('button, input')) return;
+  const el = e.target.closest('.tl-block');
+  const edge = e.target.closest('[data-edge]')?.dataset.edge;
+  if(el ? !edge && !e.target.closest('.tl-head') : e.pointerType === 'touch') return;
+  e.preventDefault();
+  const from = Number(grid.dataset.from) * 60;
+  const minuteAt = (ev)=> snap(from + (ev.clientY - grid.getBoundingClientRect().top) / HOUR_PX * 60);
+  const block = el ? blocks.find(b => b.id === el.dataset.id) : null;
+  const origin = minuteAt(e);
+  const start0 = block ? timeToMinutes(block.start) : origin, end0 = block ? timeToMinutes(block.end) : origin;
+  const span = (ev)=>{
+    const at = minuteAt(ev);
+    if(!block) return [Math.min(origin, at), Math.max(origin, at)];
+    if(edge === 'start') return [Math.min(at, end0 - SNAP), end0];
+    if(edge === 'end') return [start0, Math.max(at, start0 + SNAP)];
+    const start = Math.min(DAY - (end0 - start0), Math.max(0, start0 + at - origin));
+    return [start, start + end0 - start0];
+  };
+  const shape = el || grid.appendChild(Object.assign(document.createElement('div'), { className: 'tl-block preview' }));
+  grid.setPointerCapture(e.pointerId); shape.classList.add('dragging');
+  const stop = new AbortController();
+  grid.addEventListener('pointermove', (ev)=>{
+    const [start, end] = span(ev);
+    shape.style.top = px(start - from); shape.style.height = px(end - start);
+    const time = shape.querySelector('.tl-time'); if(time) time.textContent = `${minutesToTime(start)}–${minutesToTime(end)}`;
+  }, { signal: stop.signal });
+  const end = (ev)=>{
+    stop.abort(); shape.classList.remove('dragging');
+    const [start, stopAt] = ev.type === 'pointerup' ? span(ev) : [start0, end0];
+    if(!block){
+      shape.remove();
+      // a click without a drag books an hour
+      if(ev.type === 'pointerup') addBlock(start, stopAt - start < SNAP ? Math.min(DAY, start + 60) : stopAt);
+      return;
+    }
+    if(start === start0 && stopAt === end0){ render(); return; }
+    block.start = minutesToTime(start); block.end = minutesToTime(stopAt); commit();
+  };
+  grid.addEventListener('pointerup', end, { signal: stop.signal });
+  grid.addEventListener('pointercancel', end, { signal: stop.signal });
+}
+
+// Times, text and linked task of one block
+function editBlock(block){
+  const todos = todosOf().filter(t => t.text.trim());
+  const dialog = document.createElement('dialog'); dialog.className = 'block-dialog'; dialog.setAttribute('aria-labelledby','blockTitle');
+  dialog.innerHTML = `<form method="dialog">
+    <h2 id="blockTitle" class="card-title">⏰ Time block</h2>
+    <div class="block-times">
+      <label>From<input type="time" name="start" step="900" value="${block.start}" required /></label>
+      <label>To<input type="time" name="end" step="900" value="${block.end === '24:00' ? '23:59' : block.end}" required /></label>
+    </div>
+    <label class="block-field">What<input type="text" name="text" value="${escapeHtml(block.text)}" placeholder="${escapeHtml(linkedTodo(block)?.text || 'What is planned?')}" /></label>
+    <label class="block-field">Task<select name="todo"><option value="">Not linked</option>${todos.map(t => `<option value="${escapeHtml(t.id)}" ${t.id === block.todoId ? 'selected' : ''}>${escapeHtml(t.text)}</option>`).join('')}</select></label>
+    <div class="block-actions">
+      <button class="btn" type="button" data-act="remove">Delete</button>
+      <span class="spacer"></span>
+      <button class="btn" type="button" data-act="cancel">Cancel</button>
+      <button class="btn" type="button" data-act="save">Save</button>
+    </div></form>`;
+  document.body.appendChild(dialog);
+  const field = name => dialog.querySelector(`[name="${name}"]`);
+  dialog.addEventListener('close', ()=> dialog.remove());
+  dialog.querySelectorAll('[data-act]').forEach(b => b.addEventListener('click', ()=>{
+    if(b.dataset.act === 'remove'){ blocks = blocks.filter(x => x !== block); commit(); }
+    if(b.dataset.act === 'save'){
+      const start = timeToMinutes(field('start').value); let end = timeToMinutes(field('end').value);
+      if(end === DAY - 1) end = DAY;
+      if(Number.isNaN(start) || Number.isNaN(end) || end <= start){ showToast('A block has to end after it starts'); return; }
+      Object.assign(block, { start: minutesToTime(start), end: minutesToTime(end), text: field('text').value, todoId: field('todo').value });
+      commit();
+    }
+    dialog.close();
+  }));
+  dialog.showModal();
+}
+
+// Redraw after the todo list changed (linked task names and ticks), unless a block is being edited
+export function refreshTimeline(){
+  const root = $('#timeline');
+  if(root && !root.contains(document.activeElement)) render();
+}
+
+// Blocks with neither text nor a linked task are dropped
+export function getTimeline(){
+  return sortBlocks(blocks.filter(b => b.text.trim() || b.todoId).map(b => normalizeBlock({ ...b, text: b.text.trim() })));
+}
+
+export function setTimeline(items, date = currentDate){
+  currentDate = date || '';
+  blocks = sortBlocks((Array.isArray(items) ? items : []).map(b => normalizeBlock(b)));
+  render();
+  // start the view at the first block (or now on today), an hour early
+  const scroll = $('#timeline .tl-scroll'); if(!scroll) return;
+  const now = new Date();
+  const focus = blocks.length ? timeToMinutes(blocks[0].start) : currentDate === toDateKey(now) ? now.getHours() * 60 : FIRST_HOUR * 60;
+  scroll.scrollTop = Math.max(0, (focus - 60 - range().from * 60) / 60 * HOUR_PX);
+}
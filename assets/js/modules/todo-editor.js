@@ -0,0 +1,97 @@
+import { escapeHtml } from './utils.js';
+import { TODO_PRIORITIES, parseTags, newTodoId } from '../storage/repository.js';
+
+// Todo pieces shared by both planners: badges, the details panel, drag reordering and keyboard shortcuts.
+// Each planner keeps its own todo list model and markup; these helpers edit Todo objects in place.
+
+export const TODO_SHORTCUTS = 'Enter new task · Ctrl+Enter done · Alt+Enter details · Alt+↑/↓ move · Alt+1–3 priority, Alt+0 none · Backspace on an empty task deletes it';
+
+// 95 -> '1 h 35 min'
+export function formatDuration(minutes){
+  const h = Math.floor(minutes / 60), m = minutes % 60;
+  return [h ? `${h} h` : '', m ? `${m} min` : ''].filter(Boolean).join(' ');
+}
+
+// Badges under a todo's text: priority, due time, duration, subtask progress, tags, carry-overs
+export function todoBadges(todo){
+  const out = [];
+  if(todo.priority) out.push(`<span class="todo-badge prio-${todo.priority}">${TODO_PRIORITIES[todo.priority]}</span>`);
+  if(todo.due) out.push(`<span class="todo-badge">⏰ ${todo.due}</span>`);
+  if(todo.duration) out.push(`<span class="todo-badge">⏱ ${formatDuration(todo.duration)}</span>`);
+  if(todo.subtasks.length) out.push(`<span class="todo-badge">☑ ${todo.subtasks.filter(s=>s.completed).length}/${todo.subtasks.length}</span>`);
+  todo.tags.forEach(tag => out.push(`<span class="todo-badge tag">#${escapeHtml(tag)}</span>`));
+  if(todo.postponed) out.push(`<span class="todo-badge rolled" title="Carried over from an earlier day">rolled over ${todo.postponed}×</span>`);
+  return out.join('');
+}
+
+// Details panel (due, priority, duration, tags, subtasks) for one todo; `changed` runs after every edit
+export function mountTodoDetails(root, todo, changed){
+  root.classList.add('todo-details');
+  root.innerHTML = `<div class="todo-details-row">
+      <label>Due<input type="time" name="due" value="${todo.due}" /></label>
+      <label>Priority<select name="priority"><option value="0">None</option>${Object.entries(TODO_PRIORITIES).map(([v,l])=> `<option value="${v}" ${Number(v)===todo.priority?'selected':''}>${l}</option>`).join('')}</select></label>
+      <label>Minutes<input type="number" name="duration" min="0" max="1440" step="5" value="${todo.duration || ''}" placeholder="–" /></label>
+    </div>
+    <label class="todo-tags">Tags<input type="text" name="tags" value="${escapeHtml(todo.tags.join(', '))}" placeholder="work, home" /></label>
+    <ul class="subtask-list"></ul>
+    <button class="subtask-add" type="button">+ Subtask</button>
+    <p class="todo-hint">${TODO_SHORTCUTS}</p>`;
+  const field = name => root.querySelector(`[name="${name}"]`);
+  field('due').addEventListener('change', ()=>{ todo.due = field('due').value; changed(); });
+  field('priority').addEventListener('change', ()=>{ todo.priority = Number(field('priority').value); changed(); });
+  field('duration').addEventListener('change', ()=>{ todo.duration = Math.min(1440, Math.max(0, parseInt(field('duration').value, 10) || 0)); changed(); });
+  field('tags').addEventListener('change', ()=>{ todo.tags = parseTags(field('tags').value); field('tags').value = todo.tags.join(', '); changed(); });
+
+  const list = root.querySelector('.subtask-list');
+  const addSubtask = (sub, focus)=>{
+    const li = document.createElement('li'); li.className = 'subtask';
+    li.innerHTML = `<input type="checkbox" ${sub.completed ? 'checked' : ''} aria-label="Done" /><input type="text" value="${escapeHtml(sub.text)}" placeholder="Subtask…" /><button class="icon-btn" type="button" title="Remove subtask" aria-label="Remove subtask">✕</button>`;
+    const [check, text] = li.querySelectorAll('input');
+    text.classList.toggle('completed', sub.completed);
+    check.addEventListener('change', ()=>{ sub.completed = check.checked; text.classList.toggle('completed', sub.completed); changed(); });
+    text.addEventListener('change', ()=>{ sub.text = text.value; changed(); });
+    text.addEventListener('keydown', (e)=>{ if(e.key === 'Enter'){ e.preventDefault(); sub.text = text.value; changed(); newSubtask(); } });
+    li.querySelector('button').addEventListener('click', ()=>{ todo.subtasks = todo.subtasks.filter(s => s !== sub); li.remove(); changed(); });
+    list.appendChild(li); if(focus) text.focus();
+  };
+  const newSubtask = ()=>{ const sub = { id: newTodoId(), text: '', completed: false }; todo.subtasks.push(sub); addSubtask(sub, true); };
+  todo.subtasks.forEach(sub => addSubtask(sub, false));
+  root.querySelector('.subtask-add').addEventListener('click', newSubtask);
+}
+
+// Drag an item's `.todo-handle` to move it within `list` (pointer events, so touch works too); `moved` gets the new id order
+export function enableReorder(list, moved){
+  const order = ()=> Array.from(list.children).map(li => li.dataset.id);
+  list.addEventListener('pointerdown', (e)=>{
+    const handle = e.target.closest('.todo-handle'); if(!handle || e.button > 0) return;
+    const item = handle.closest('li'); const before = order().join();
+    e.preventDefault(); handle.setPointerCapture(e.pointerId); item.classList.add('dragging');
+    const stop = new AbortController();
+    handle.addEventListener('pointermove', (ev)=>{
+      // the first item whose middle is below the pointer, skipping the dragged one
+      const next = Array.from(list.children).find(li => li !== item && ev.clientY < li.getBoundingClientRect().top + li.offsetHeight / 2);
+      if(next){ if(item.nextElementSibling !== next) list.insertBefore(item, next); }
+      else if(list.lastElementChild !== item) list.appendChild(item);
+    }, { signal: stop.signal });
+    const end = ()=>{ stop.abort(); item.classList.remove('dragging'); if(order().join() !== before) moved(order()); };
+    handle.addEventListener('pointerup', end, { signal: stop.signal });
+    handle.addEventListener('pointercancel', end, { signal: stop.signal });
+  });
+}
+
+// Keyboard shortcuts of a todo's text field (see TODO_SHORTCUTS). `on` = {add, toggle, details, move(dir), focus(dir), priority(n), remove}
+export function todoKeydown(e, on){
+  const run = (fn, ...args)=>{ e.preventDefault(); fn(...args); };
+  if(e.key === 'Enter'){
+    if(e.ctrlKey || e.metaKey) return run(on.toggle);
+    if(e.altKey) return run(on.details);
+    if(!e.shiftKey) return run(on.add);
+  }
+  if(e.key === 'ArrowUp' || e.key === 'ArrowDown'){
+    const dir = e.key === 'ArrowUp' ? -1 : 1;
+    return e.altKey ? run(on.move, dir) : run(on.focus, dir);
+  }
+  // e.code: Alt changes e.key on some layouts (Alt+1 is '¡' on a Mac)
+  if(e.altKey && /^(Digit|Numpad)[0-3]$/.test(e.code)) return run(on.priority, Number(e.code.slice(-1)));
+  if(e.key === 'Backspace' && !e.target.value) return run(on.remove);
+}
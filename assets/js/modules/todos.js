@@ -1,54 +1,166 @@
-import { $, $$, debounce, escapeHtml } from './utils.js';
+import { $, debounce, escapeHtml } from './utils.js';
+import { newTodoId, normalizeTodo, topPriorities, TODO_PRIORITIES } from '../storage/repository.js';
+import { applyOccurrences } from '../storage/recurrence.js';
+import { openRepeatDialog, asOccurrence } from './recurrence.js';
+import { todoBadges, mountTodoDetails, enableReorder, todoKeydown } from './todo-editor.js';
 
 let onChange = () => {};
+let currentDate = '';
+// occurrence ids removed from the open day (DayRecord.deletedTodos plus deletions since it was opened)
+let removed = {};
+// the open day's todos in list order; the list and the priorities card are drawn from it
+let todos = [];
+
+const PRIO_CLASS = { 1: 'high', 2: 'medium', 3: 'low' };
+const PRIO_PLACEHOLDER = ['Most important task', 'Second most important task', 'Third most important task'];
 
 export function initTodos(save){
   onChange = save || (()=>{});
   $('#addTodo').addEventListener('click', () => addTodoItem(''));
-  // autosave existing static inputs (if any loaded initially)
-  $$('#todoList').forEach(()=> onChange());
+  enableReorder($('#todoList'), ids => { todos.sort((a,b)=> ids.indexOf(a.id) - ids.indexOf(b.id)); changed(); });
+}
+
+// model edits that touch what the priorities card shows
+function changed(){ renderPriorities(); onChange(); }
+
+const itemOf = (todo) => $(`#todoList .todo-item[data-id="${CSS.escape(todo.id)}"]`);
+
+// `fields` are the other Todo fields (ids stay stable across saves so sync can merge todos one by one); `after` places it below that todo
+export function addTodoItem(text='', fields={}, after=null, focus=true){
+  const todo = normalizeTodo({ ...fields, text }, fields.id || newTodoId());
+  const at = todos.includes(after) ? todos.indexOf(after) + 1 : todos.length;
+  todos.splice(at, 0, todo);
+  const li = renderItem(todo);
+  $('#todoList').insertBefore(li, todos[at + 1] ? itemOf(todos[at + 1]) : null);
+  if(focus) li.querySelector('.todo-input').focus();
+  return todo;
 }
 
-export function addTodoItem(text='', completed=false){
-  const list = $('#todoList');
+function renderItem(todo){
   const li = document.createElement('li');
-  li.className = 'todo-item';
+  li.className = 'todo-item'; li.dataset.id = todo.id;
+  if(todo.seriesId) li.classList.add('recurring');
   li.innerHTML = `
-    <input type="checkbox" class="todo-checkbox" ${completed ? 'checked' : ''} />
-    <input type="text" class="todo-input" placeholder="Add a new task…" value="${escapeHtml(text)}" />
+    <span class="todo-handle" title="Drag to reorder" aria-hidden="true">⠿</span>
+    <input type="checkbox" class="todo-checkbox" ${todo.completed ? 'checked' : ''} aria-label="Done" />
+    <div class="todo-main">
+      <input type="text" class="todo-input ${todo.completed ? 'completed' : ''}" placeholder="Add a new task…" value="${escapeHtml(todo.text)}" />
+      <div class="todo-badges"></div>
+    </div>
     <div class="todo-actions">
+      <button class="icon-btn" title="Repeat" aria-label="Repeat"><i class="fa-solid fa-repeat"></i></button>
+      <button class="icon-btn" title="Details" aria-label="Details" aria-expanded="false"><i class="fa-solid fa-sliders"></i></button>
       <button class="icon-btn" title="Duplicate" aria-label="Duplicate"><i class="fa-regular fa-clone"></i></button>
       <button class="icon-btn" title="Delete" aria-label="Delete"><i class="fa-solid fa-trash"></i></button>
-    </div>`;
+    </div>
+    <div class="todo-details" hidden></div>`;
   const checkbox = li.querySelector('.todo-checkbox');
   const input = li.querySelector('.todo-input');
-  const [btnClone, btnDelete] = li.querySelectorAll('.icon-btn');
-  checkbox.addEventListener('change', () => { input.classList.toggle('completed', checkbox.checked); onChange(); });
-  input.addEventListener('input', debounce(onChange, 250));
+  const details = li.querySelector('.todo-details');
+  const [btnRepeat, btnDetails, btnClone, btnDelete] = li.querySelectorAll('.todo-actions .icon-btn');
+  const badges = ()=> { li.querySelector('.todo-badges').innerHTML = todoBadges(todo); };
+  const edited = ()=> { badges(); changed(); };
+  const toggleDetails = (open = details.hidden)=>{
+    details.hidden = !open; btnDetails.setAttribute('aria-expanded', String(open));
+    if(open) mountTodoDetails(details, todo, edited); else details.innerHTML = '';
+  };
+  const toggle = (done)=>{ todo.completed = done; checkbox.checked = done; input.classList.toggle('completed', done); changed(); };
+  badges();
+
+  checkbox.addEventListener('change', () => toggle(checkbox.checked));
+  input.addEventListener('input', () => { todo.text = input.value; });
+  input.addEventListener('input', debounce(changed, 250));
   input.addEventListener('blur', onChange);
-  input.addEventListener('keydown', (e)=>{
-    if(e.key==='Enter'){
-      e.preventDefault();
-      addTodoItem('');
-      onChange();
-    }
+  input.addEventListener('keydown', (e)=> todoKeydown(e, {
+    add: () => { addTodoItem('', {}, todo); onChange(); },
+    toggle: () => toggle(!todo.completed),
+    details: () => toggleDetails(),
+    move: (dir) => move(todo, dir),
+    focus: (dir) => itemOf(todos[todos.indexOf(todo) + dir] || {})?.querySelector('.todo-input').focus(),
+    priority: (n) => { todo.priority = n; if(!details.hidden) mountTodoDetails(details, todo, edited); edited(); },
+    remove: () => { const prev = todos[todos.indexOf(todo) - 1]; removeItem(todo); if(prev) itemOf(prev).querySelector('.todo-input').focus(); }
+  }));
+  btnDelete.addEventListener('click', () => removeItem(todo));
+  btnClone.addEventListener('click', () => {
+    const { id, seriesId, seriesRev, subtasks, ...copy } = todo;
+    addTodoItem(todo.text, { ...copy, subtasks: subtasks.map(({ text, completed }) => ({ id: newTodoId(), text, completed })) }, todo);
+    changed();
   });
-  btnDelete.addEventListener('click', () => { li.remove(); onChange(); });
-  btnClone.addEventListener('click', () => { addTodoItem(input.value, checkbox.checked); });
-  list.appendChild(li); input.focus();
+  btnRepeat.addEventListener('click', () => repeat(todo));
+  btnDetails.addEventListener('click', () => toggleDetails());
+  return li;
 }
 
-export function getTodos(){
-  return $$('#todoList .todo-item').map(li => ({
-    text: li.querySelector('.todo-input').value.trim(),
-    completed: li.querySelector('.todo-checkbox').checked
-  })).filter(t => t.text !== '');
+// deleting an occurrence skips it for this day
+function removeItem(todo){
+  if(todo.seriesId) removed[todo.id] = Date.now();
+  todos = todos.filter(t => t !== todo);
+  itemOf(todo)?.remove();
+  changed();
 }
 
-export function setTodos(items){
-  const list = $('#todoList'); list.innerHTML = '';
-  if(!Array.isArray(items) || !items.length){ addTodoItem(''); return; }
-  items.forEach(t => addTodoItem(t?.text ?? '', !!t?.completed));
+function move(todo, dir){
+  const i = todos.indexOf(todo), j = i + dir;
+  if(j < 0 || j >= todos.length) return;
+  [todos[i], todos[j]] = [todos[j], todos[i]];
+  const li = itemOf(todo), other = itemOf(todos[i]);
+  if(dir < 0) other.before(li); else other.after(li);
+  li.querySelector('.todo-input').focus();
+  changed();
 }
 
+async function repeat(todo){
+  if(!currentDate || (!todo.text.trim() && !todo.seriesId)){ itemOf(todo)?.querySelector('.todo-input').focus(); return; }
+  const result = await openRepeatDialog({ ...todo, text: todo.text.trim() }, currentDate); if(!result) return;
+  if(result.action === 'skipped') removed[todo.id] = Date.now();
+  setTodos(todos.map(t => t === todo && result.action === 'created' ? asOccurrence(t, result.series, currentDate) : t), currentDate, removed);
+  onChange();
+}
 
+// The priorities card: the top three prioritised todos. Editing a slot edits that todo; typing into an empty slot adds one.
+function renderPriorities(){
+  const root = $('#priorityView'); if(!root || root.contains(document.activeElement)) return;
+  const top = topPriorities(todos);
+  root.innerHTML = PRIO_PLACEHOLDER.map((placeholder, i) => {
+    const todo = top[i]; const prio = todo ? todo.priority : i + 1;
+    return `<div class="slot prio-slot"><label for="prioSlot${i}">#${i + 1} priority <span class="tag ${PRIO_CLASS[prio]}">${TODO_PRIORITIES[prio]}</span>${todo?.due ? ` <span class="tag">⏰ ${todo.due}</span>` : ''}</label>
+      <input id="prioSlot${i}" class="${todo?.completed ? 'completed' : ''}" placeholder="${placeholder}" value="${escapeHtml(todo ? todo.text : '')}" /></div>`;
+  }).join('');
+  root.querySelectorAll('input').forEach((input, i) => {
+    const todo = top[i];
+    if(todo){
+      input.addEventListener('input', () => { todo.text = input.value; const item = itemOf(todo); if(item) item.querySelector('.todo-input').value = input.value; });
+      input.addEventListener('input', debounce(onChange, 250));
+    } else {
+      input.addEventListener('change', () => {
+        if(!input.value.trim()) return;
+        // an empty placeholder row in the list is reused rather than left above the new task
+        const blank = todos.length === 1 && !todos[0].text.trim() ? todos[0] : null;
+        if(blank) removeItem(blank);
+        addTodoItem(input.value.trim(), { priority: i + 1 }, null, false);
+        input.blur(); changed();
+      });
+    }
+    // edits elsewhere skip redrawing while a slot has focus
+    input.addEventListener('blur', () => setTimeout(renderPriorities));
+  });
+}
+
+export function getTodos(){
+  return todos.filter(t => t.text.trim() !== '')
+    .map(t => normalizeTodo({ ...t, text: t.text.trim(), subtasks: t.subtasks.filter(s => s.text.trim()) }));
+}
+
+// `date` materialises the recurring tasks due that day; `removedIds` is the day's deletedTodos
+export function setTodos(items, date=currentDate, removedIds={}){
+  currentDate = date || ''; removed = { ...removedIds };
+  let list = Array.isArray(items) ? items : [];
+  let materialised = false;
+  if(currentDate){ const applied = applyOccurrences(list, currentDate, removed); list = applied.todos; materialised = applied.changed; }
+  todos = list.map(t => normalizeTodo(t));
+  $('#todoList').innerHTML = '';
+  todos.forEach(t => $('#todoList').appendChild(renderItem(t)));
+  if(!todos.length) addTodoItem('');
+  renderPriorities();
+  if(materialised) onChange();
+}
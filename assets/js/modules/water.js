@@ -1,58 +1,194 @@
-import { $, $$, clamp } from './utils.js';
+import { clamp, escapeHtml, showToast } from './utils.js';
+import { DRINKS, WATER_GOAL_MIN, WATER_GOAL_MAX, INTAKE_MAX_ML, normalizeIntake, getPlannerSettings, savePlannerSettings, toDateKey } from '../storage/repository.js';
+import { WATER_UNITS, KG_PER_LB, TARGET_RULES, toMl, fromMl, formatVolume, intakeHydration, hydrationMl, waterProgress, waterCurve, waterTargetFor } from '../storage/water.js';
+
+// Hydration card of both planners, rendered into #waterTracker: the open day's intakes live here,
+// the page saves them with the day (getWaterState) and hands them back on load (setWaterState).
+// With the goal calculator on, the goal follows weight, active minutes and cycle phase until set by hand.
 
 let onChange = () => {};
-let state = { count:0, target:8 };
+let state = { intakes: [], target: 2000, activity: 0, manual: false };
+let date = toDateKey(new Date());
+let drink = 'water';
 
 export function initWater(save){
   onChange = save || (()=>{});
-  $('#incWater').addEventListener('click', ()=> setWaterCount(getWaterCount()+1));
-  $('#decWater').addEventListener('click', ()=> setWaterCount(getWaterCount()-1));
-  const incTarget = $('#incTarget'); const decTarget = $('#decTarget');
-  if(incTarget) incTarget.addEventListener('click', ()=>{ state.target = clamp(state.target+1,1,24); $('#waterTarget').value = String(state.target); rebuildGlasses(); onChange(); });
-  if(decTarget) decTarget.addEventListener('click', ()=>{ state.target = clamp(state.target-1,1,24); $('#waterTarget').value = String(state.target); rebuildGlasses(); onChange(); });
-  // update on target change or typing
-  const targetEl = $('#waterTarget');
-  targetEl.addEventListener('input', ()=>{ state.target = clamp(parseInt(targetEl.value||'8',10),1,24); rebuildGlasses(); onChange(); });
-  // allow manual typing of consumed glasses
-  const countEl = $('#waterCount');
-  countEl.addEventListener('input', ()=>{ const n = clamp(parseInt(countEl.value||'0',10),0,state.target); setWaterCount(n); });
-  countEl.addEventListener('keydown', (e)=>{
-    if(e.key==='ArrowUp'){ e.preventDefault(); setWaterCount(getWaterCount()+1); }
-    if(e.key==='ArrowDown'){ e.preventDefault(); setWaterCount(getWaterCount()-1); }
+  const root = document.getElementById('waterTracker'); if(!root) return;
+  state.target = getPlannerSettings().waterGoal;
+  root.addEventListener('click', onClick);
+  root.addEventListener('change', onInput);
+  root.addEventListener('submit', (e)=>{
+    e.preventDefault();
+    const { waterUnit } = getPlannerSettings(); const input = e.target.querySelector('[name="amount"]');
+    const ml = toMl(input.value, waterUnit);
+    if(!ml || ml > INTAKE_MAX_ML){ showToast(`Enter up to ${formatVolume(INTAKE_MAX_ML, waterUnit)}`); input.focus(); return; }
+    addIntake(ml);
   });
-  rebuildGlasses();
+  render();
+}
+
+export function getWaterState(){ return { ...state, intakes: state.intakes.map(i => ({ ...i })) }; }
+
+export function setWaterState(water, day){
+  state = { intakes: (water?.intakes || []).map(i => normalizeIntake(i)), target: water?.target || getPlannerSettings().waterGoal, activity: water?.activity || 0, manual: !!water?.manual };
+  if(day) date = day;
+  calculated(); render();
+}
+
+// The open day's calculated goal (null while the calculator is off); applied unless the goal was set by hand
+function calculated(){
+  const calc = waterTargetFor(date, state.activity);
+  if(calc && !state.manual) state.target = calc.target;
+  return calc;
+}
+
+const pad = n => String(n).padStart(2, '0');
+const sortIntakes = ()=> state.intakes.sort((a, b) => a.time.localeCompare(b.time));
+
+// drinks logged on the day itself get the current time; on other days the time is left for the user to set
+function addIntake(ml){
+  const now = new Date();
+  state.intakes.push(normalizeIntake({ ml, drink, time: date === toDateKey(now) ? `${pad(now.getHours())}:${pad(now.getMinutes())}` : '' }));
+  sortIntakes(); render(); onChange();
 }
 
-export function rebuildGlasses(){
-  const rack = $('#water'); rack.innerHTML='';
-  for(let i=0;i<state.target;i++){
-    const d = document.createElement('button');
-    d.type='button'; d.className='glass'; d.setAttribute('aria-pressed','false');
-    d.innerHTML = '<span class="fill"></span><span class="shine"></span>';
-    d.addEventListener('click', ()=>{ const current=getWaterCount(); const newCount = (i < current) ? i : i + 1; setWaterCount(newCount); });
-    rack.appendChild(d);
+function onClick(e){
+  const btn = e.target.closest('button'); if(!btn) return;
+  if(btn.dataset.drink){ drink = btn.dataset.drink; render(); return; }
+  if(btn.dataset.add){ addIntake(Number(btn.dataset.add)); return; }
+  if(btn.dataset.act === 'remove'){
+    const id = btn.closest('[data-id]').dataset.id;
+    state.intakes = state.intakes.filter(i => i.id !== id); render(); onChange();
   }
-  setWaterCount(clamp(state.count,0,state.target));
+  if(btn.dataset.act === 'settings') openWaterDialog();
+  if(btn.dataset.act === 'auto'){ state.manual = false; calculated(); render(); onChange(); }
 }
 
-export function setWaterCount(n){
-  state.count = clamp(n,0,state.target);
-  $('#waterCount').value = String(state.count);
-  updateUI(); onChange();
+function onInput(e){
+  const { waterUnit } = getPlannerSettings();
+  if(e.target.matches('.water-goal-input')){
+    state.target = clamp(toMl(e.target.value, waterUnit) || state.target, WATER_GOAL_MIN, WATER_GOAL_MAX);
+    // over a calculated goal the day keeps its own; otherwise the latest goal becomes the default for days without a record
+    if(waterTargetFor(date)) state.manual = true; else savePlannerSettings({ waterGoal: state.target });
+    render(); onChange();
+  }
+  if(e.target.matches('.water-activity')){
+    state.activity = clamp(parseInt(e.target.value || '0', 10) || 0, 0, 24 * 60);
+    calculated(); render(); onChange();
+  }
+  if(e.target.matches('.water-time')){
+    const intake = state.intakes.find(i => i.id === e.target.closest('[data-id]').dataset.id); if(!intake) return;
+    intake.time = normalizeIntake({ time: e.target.value }).time;
+    sortIntakes(); render(); onChange();
+  }
+}
+
+function render(){
+  const root = document.getElementById('waterTracker'); if(!root) return;
+  const { waterUnit: unit, glassSizes, waterAuto } = getPlannerSettings();
+  const total = hydrationMl(state); const pct = Math.round(waterProgress(state) * 100);
+  const largest = Math.max(...glassSizes);
+  root.innerHTML = `<div class="water-drinks" role="group" aria-label="Drink">${Object.entries(DRINKS).map(([key, d]) => `<button type="button" class="water-drink" data-drink="${key}" aria-pressed="${key === drink}" title="${d.label}: ${Math.round(d.factor * 100)}% counts toward the goal"><span aria-hidden="true">${d.emoji}</span> ${d.label}</button>`).join('')}</div>
+    <div class="water" role="group" aria-label="Add a drink">${glassSizes.map(ml => `<button type="button" class="glass" data-add="${ml}" aria-label="Add ${formatVolume(ml, unit)} of ${DRINKS[drink].label.toLowerCase()}">
+      <span class="fill" style="height:${Math.round(ml / largest * 100)}%"></span><span class="shine"></span><span class="glass-label">+${fromMl(ml, unit)}</span></button>`).join('')}</div>
+    <form class="water-custom" data-html2canvas-ignore><input name="amount" type="number" min="1" step="any" placeholder="Other amount (${WATER_UNITS[unit]})" aria-label="Other amount in ${WATER_UNITS[unit]}" /><button class="btn" type="submit">Add</button></form>
+    <div class="water-progress" aria-hidden="true"><span style="width:${pct}%"></span></div>
+    <div class="water-meta"><span>${formatVolume(total, unit)} / ${formatVolume(state.target, unit)}</span><span class="water-pct">${pct}%</span></div>
+    <div class="water-goal"><label>Daily goal <input class="water-goal-input" type="number" min="${fromMl(WATER_GOAL_MIN, unit)}" max="${fromMl(WATER_GOAL_MAX, unit)}" step="${unit === 'oz' ? 1 : 50}" value="${fromMl(state.target, unit)}" /> ${WATER_UNITS[unit]}</label>
+      <button class="icon-btn" type="button" data-act="settings" aria-label="Water settings" title="Units, glass sizes and goal calculator" data-html2canvas-ignore>⚙️</button></div>
+    ${waterAuto ? explain(unit) : ''}
+    ${state.intakes.length ? curve(unit) : ''}
+    <ul class="water-log">${state.intakes.map(i => {
+      const d = DRINKS[i.drink]; const counts = Math.round(intakeHydration(i));
+      return `<li data-id="${escapeHtml(i.id)}"><input class="water-time" type="time" value="${i.time}" aria-label="Time" />
+        <span class="water-what">${d.emoji} ${formatVolume(i.ml, unit)} ${d.label.toLowerCase()}</span>
+        ${counts !== i.ml ? `<small>counts ${formatVolume(counts, unit)}</small>` : ''}
+        <button class="icon-btn" type="button" data-act="remove" aria-label="Remove" data-html2canvas-ignore>×</button></li>`;
+    }).join('')}</ul>`;
 }
 
-export function getWaterCount(){ return clamp(parseInt($('#waterCount').value||String(state.count),10),0,state.target); }
+const PART_LABELS = {
+  weight: unit => { const { weightKg } = getPlannerSettings(); return unit === 'oz' ? `${Math.round(weightKg / KG_PER_LB)} lb body weight` : `${weightKg} kg × ${TARGET_RULES.perKg} ml`; },
+  activity: () => `${state.activity} active min × ${TARGET_RULES.perActiveMinute} ml`,
+  luteal: () => 'Luteal phase'
+};
 
-function updateUI(){
-  const bar = $('#waterBar'); const summary = $('#waterSummary'); const stats = $('#waterStats');
-  const glasses = $$('#water .glass');
-  glasses.forEach((g,i)=>{ const on = i < state.count; g.classList.toggle('filled', on); g.setAttribute('aria-pressed', on ? 'true' : 'false'); });
-  bar.style.width = `${(state.count/state.target)*100}%`;
-  summary.textContent = `${state.count} / ${state.target} glasses`;
-  if(stats) stats.textContent = `${state.count} of ${state.target} glasses consumed`;
+// Active minutes and how the calculated goal was worked out, or why there is none
+function explain(unit){
+  const calc = waterTargetFor(date, state.activity);
+  if(!calc) return '<p class="water-why">Add your weight under ⚙️ to calculate the goal.</p>';
+  return `<div class="water-auto"><label>Active minutes <input class="water-activity" type="number" min="0" max="1440" step="5" value="${state.activity}" /></label></div>
+    <details class="water-why"><summary>${state.manual ? `Set by hand · calculated ${formatVolume(calc.target, unit)}` : 'Calculated goal'}</summary>
+      <ul>${calc.parts.map(p => `<li><span>${PART_LABELS[p.id](unit)}</span><span>+${formatVolume(p.ml, unit)}</span></li>`).join('')}</ul>
+      <p>Rounded to ${formatVolume(calc.target, unit)}.${calc.parts.some(p => p.id === 'luteal') ? '' : ' Luteal days add a little more.'}</p>
+      ${state.manual ? '<button class="btn" type="button" data-act="auto">Use calculated goal</button>' : ''}
+    </details>`;
 }
 
-export function getWaterState(){ return { ...state }; }
-export function setWaterState(s){ state = { count: clamp(s?.count ?? 0,0,24), target: clamp(s?.target ?? 8,1,24) }; $('#waterTarget').value = String(state.target); rebuildGlasses(); }
+const CURVE_W = 240; const CURVE_H = 70;
 
+// Cumulative hydration over the day against the goal; today's line stops at the current time
+function curve(unit){
+  const points = waterCurve(state);
+  const end = date === toDateKey(new Date()) ? Math.max(points[points.length - 1].minute, new Date().getHours() * 60 + new Date().getMinutes()) : 1440;
+  const top = Math.max(state.target, points[points.length - 1].total) * 1.1;
+  const x = minute => (minute / 1440 * CURVE_W).toFixed(1);
+  const y = total => (CURVE_H - total / top * CURVE_H).toFixed(1);
+  const path = points.map((p, i) => `${i ? `H${x(p.minute)}` : `M0 ${y(0)}H${x(p.minute)}`}V${y(p.total)}`).join('') + `H${x(end)}`;
+  const goalY = y(state.target);
+  return `<figure class="water-curve"><svg viewBox="0 0 ${CURVE_W} ${CURVE_H + 12}" role="img" aria-label="Hydration through the day: ${formatVolume(points[points.length - 1].total, unit)} of ${formatVolume(state.target, unit)}">
+    ${[6, 12, 18].map(h => `<line class="wc-hour" x1="${x(h * 60)}" x2="${x(h * 60)}" y1="0" y2="${CURVE_H}" /><text x="${x(h * 60)}" y="${CURVE_H + 10}">${pad(h)}:00</text>`).join('')}
+    <line class="wc-goal" x1="0" x2="${CURVE_W}" y1="${goalY}" y2="${goalY}" />
+    <path class="wc-line" d="${path}" />
+  </svg></figure>`;
+}
 
+function openWaterDialog(){
+  if(document.querySelector('.water-dialog')) return;
+  const { waterUnit: unit, glassSizes, waterAuto, weightKg } = getPlannerSettings();
+  const weightIn = u => weightKg ? (u === 'oz' ? Math.round(weightKg / KG_PER_LB) : weightKg) : '';
+  const dialog = document.createElement('dialog'); dialog.className = 'water-dialog'; dialog.setAttribute('aria-labelledby','waterTitle');
+  dialog.innerHTML = `<form method="dialog">
+    <h2 id="waterTitle" class="card-title">💧 Water settings</h2>
+    <label class="water-field">Unit<select name="unit">${Object.entries(WATER_UNITS).map(([v, l]) => `<option value="${v}" ${v === unit ? 'selected' : ''}>${l}</option>`).join('')}</select></label>
+    <label class="water-field">Glass sizes<input name="sizes" value="${glassSizes.map(ml => fromMl(ml, unit)).join(', ')}" /></label>
+    <p class="water-note">Up to six quick-add sizes, separated by commas. Tea counts ${DRINKS.tea.factor * 100}%, coffee ${DRINKS.coffee.factor * 100}% of its volume toward the goal.</p>
+    <label class="water-check"><input type="checkbox" name="auto" ${waterAuto ? 'checked' : ''} /> Calculate my daily goal</label>
+    <label class="water-field" data-weight>Body weight (<span>${unit === 'oz' ? 'lb' : 'kg'}</span>)<input name="weight" type="number" min="1" step="any" value="${weightIn(unit)}" /></label>
+    <p class="water-note">${TARGET_RULES.perKg} ml per kg, ${TARGET_RULES.perActiveMinute} ml per active minute and ${TARGET_RULES.luteal} ml more on luteal days. Typing a goal on a day keeps it for that day.</p>
+    <div class="water-actions">
+      <button class="btn" type="button" data-act="cancel">Cancel</button>
+      <button class="btn" type="button" data-act="save">Save</button>
+    </div></form>`;
+  document.body.appendChild(dialog);
+  const field = name => dialog.querySelector(`[name="${name}"]`);
+  // the sizes field follows a unit switch, so the same glasses are shown in the new unit;
+  // sizes left as shown keep their exact ml instead of drifting through the rounding
+  let shown = unit;
+  const sizesMl = ()=> field('sizes').value.split(/[,;\s]+/).map(v => glassSizes.find(ml => fromMl(ml, shown) === Number(v)) || toMl(v, shown));
+  const weightKgIn = ()=>{
+    const n = Number(field('weight').value); if(!(n > 0)) return 0;
+    return n === Number(weightIn(shown)) ? weightKg : shown === 'oz' ? n * KG_PER_LB : n;
+  };
+  field('unit').addEventListener('change', ()=>{
+    const ml = sizesMl().filter(Boolean); const kg = weightKgIn();
+    shown = field('unit').value;
+    field('sizes').value = ml.map(v => fromMl(v, shown)).join(', ');
+    dialog.querySelector('[data-weight] span').textContent = shown === 'oz' ? 'lb' : 'kg';
+    if(kg) field('weight').value = shown === 'oz' ? Math.round(kg / KG_PER_LB) : Math.round(kg * 10) / 10;
+  });
+  dialog.addEventListener('close', ()=> dialog.remove());
+  dialog.querySelectorAll('[data-act]').forEach(b=> b.addEventListener('click', ()=>{
+    if(b.dataset.act === 'save'){
+      const sizes = sizesMl().filter(ml => ml > 0 && ml <= INTAKE_MAX_ML);
+      if(!sizes.length){ showToast(`Add at least one glass size up to ${formatVolume(INTAKE_MAX_ML, shown)}`); field('sizes').focus(); return; }
+      const kg = Math.round(weightKgIn() * 10) / 10; const auto = field('auto').checked;
+      if((auto || kg) && (kg < 30 || kg > 300)){ showToast(`Enter a body weight between ${shown === 'oz' ? '66 and 661 lb' : '30 and 300 kg'}`); field('weight').focus(); return; }
+      savePlannerSettings({ waterUnit: shown, glassSizes: sizes, waterAuto: auto, weightKg: kg });
+      const before = state.target; calculated(); render();
+      if(state.target !== before) onChange();
+    }
+    dialog.close();
+  }));
+  dialog.showModal();
+}
@@ -0,0 +1,169 @@
+/**
+ * Cherry Planner - Achievements
+ * Streaks, personal bests and badges worked out from the stored day records and the
+ * cycle log, so both planners and the premium statistics count them the same way.
+ *
+ * A day rule tests one day record; its streak is the run of consecutive days that
+ * passed. Today only counts once it has passed, so an unfinished today does not end
+ * a streak yet. The cycle rule counts logged period starts instead: in a row while no
+ * two are more than MAX_CYCLE_GAP days apart.
+ *
+ * Badges are reached at streak lengths (BADGE_LEVELS) and on a day that passes every
+ * day rule. The ones already awarded are kept in `cherry::settings::achievements`
+ * (badge id -> date reached), so a badge stays earned when its days are edited later
+ * and each new one is announced once.
+ */
+
+import { get, set } from './store.js';
+import { getDays, getCycleStarts, toDateKey, parseDateKey } from './repository.js';
+import { waterGoalMet } from './water.js';
+
+// Mood sliders start at 5: a day counts once one moved, an emotion was picked or a note written
+function moodLogged({ mood }) {
+  return !!mood.emotion || !!mood.notes.trim() || Object.values(mood.moods).some(value => value !== 5);
+}
+
+/**
+ * What extends each streak. `unit` is 'day' for rules tested on a day record,
+ * 'cycle' for the cycle log.
+ */
+export const STREAK_RULES = [
+  { id: 'water', emoji: '💧', label: 'Water goal met', unit: 'day', test: day => waterGoalMet(day.water) },
+  { id: 'todos', emoji: '✅', label: 'All tasks done', unit: 'day', test: day => day.todos.length > 0 && day.todos.every(t => t.completed) },
+  { id: 'mood', emoji: '💭', label: 'Mood logged', unit: 'day', test: moodLogged },
+  { id: 'gratitude', emoji: '🌸', label: 'Gratitude written', unit: 'day', test: day => [day.grat1, day.grat2, day.grat3].some(text => text.trim()) },
+  { id: 'cycle', emoji: '🌙', label: 'Period starts logged', unit: 'cycle' }
+];
+
+// A longer gap between logged starts means one was missed
+export const MAX_CYCLE_GAP = 45;
+
+// Streak lengths that earn a badge
+const BADGE_LEVELS = { day: [3, 7, 30, 100], cycle: [3, 6, 12] };
+
+const units = (unit, n) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+
+/**
+ * @typedef {Object} Badge
+ * @property {string} id - `<rule>-<length>` or 'perfect-day'
+ * @property {string} emoji
+ * @property {string} name
+ * @property {string} description
+ */
+
+/**
+ * Every badge, in display order
+ * @type {Badge[]}
+ */
+export const BADGES = [
+  ...STREAK_RULES.flatMap(rule => BADGE_LEVELS[rule.unit].map(n => ({
+    id: `${rule.id}-${n}`,
+    emoji: rule.emoji,
+    name: `${rule.label} · ${units(rule.unit, n)}`,
+    description: `${rule.label} ${n} ${rule.unit}s in a row`
+  }))),
+  { id: 'perfect-day', emoji: '🌟', name: 'Perfect day', description: 'Every daily streak kept on the same day' }
+];
+
+const BADGE_IDS = new Set(BADGES.map(b => b.id));
+
+/**
+ * @typedef {Object} Streak
+ * @property {string} id - A STREAK_RULES id
+ * @property {string} emoji
+ * @property {string} label
+ * @property {'day'|'cycle'} unit
+ * @property {number} current
+ * @property {number} best - Personal best
+ * @property {string} bestEnd - Date the best run reached its length ('' when none)
+ */
+
+/**
+ * @typedef {Object} Achievements
+ * @property {Streak[]} streaks - In STREAK_RULES order
+ * @property {string[]} wins - Day rules today already passed
+ * @property {(Badge & {earned: string})[]} badges - Every badge; `earned` is the date reached or ''
+ * @property {{badge: Badge, date: string}[]} history - Earned badges, latest first
+ */
+
+const addDays = (key, n) => { const d = parseDateKey(key); d.setDate(d.getDate() + n); return toDateKey(d); };
+const daysBetween = (from, to) => Math.round((parseDateKey(to) - parseDateKey(from)) / 86400000);
+
+function track(runs, id, length, date, reached) {
+  const run = runs[id];
+  run.current = length;
+  if (length > run.best) { run.best = length; run.bestEnd = date; }
+  const badge = `${id}-${length}`;
+  if (BADGE_IDS.has(badge) && !reached[badge]) reached[badge] = date;
+}
+
+/**
+ * Work out streaks and badges from day records and logged cycle starts
+ * @param {DayRecord[]} days - Stored days, ascending
+ * @param {string[]} cycleStarts - Logged period starts (YYYY-MM-DD)
+ * @param {string} [today]
+ * @returns {Achievements}
+ */
+export function computeAchievements(days, cycleStarts = [], today = toDateKey(new Date())) {
+  const byDate = new Map(days.map(day => [day.date, day]));
+  const dayRules = STREAK_RULES.filter(rule => rule.unit === 'day');
+  const runs = Object.fromEntries(STREAK_RULES.map(rule => [rule.id, { current: 0, best: 0, bestEnd: '' }]));
+  const reached = {};
+  let wins = [];
+
+  for (let date = days.length ? days[0].date : today; date <= today; date = addDays(date, 1)) {
+    const day = byDate.get(date);
+    const passed = day ? dayRules.filter(rule => rule.test(day)).map(rule => rule.id) : [];
+    if (date === today) wins = passed;
+    dayRules.forEach(rule => {
+      const met = passed.includes(rule.id);
+      // an unfinished today keeps yesterday's run
+      if (date === today && !met) return;
+      track(runs, rule.id, met ? runs[rule.id].current + 1 : 0, date, reached);
+    });
+    if (passed.length === dayRules.length && !reached['perfect-day']) reached['perfect-day'] = date;
+  }
+
+  const starts = [...new Set(cycleStarts)].filter(date => date <= today).sort();
+  starts.forEach((date, i) => {
+    const chained = i > 0 && daysBetween(starts[i - 1], date) <= MAX_CYCLE_GAP;
+    track(runs, 'cycle', chained ? runs.cycle.current + 1 : 1, date, reached);
+  });
+  // the run is over once the next start is overdue
+  if (starts.length && daysBetween(starts[starts.length - 1], today) > MAX_CYCLE_GAP) runs.cycle.current = 0;
+
+  // badges awarded before stay earned, on the date they were first reached
+  const stored = get('settings', 'achievements', null) || {};
+  const earned = { ...reached, ...Object.fromEntries(Object.entries(stored).filter(([id]) => BADGE_IDS.has(id))) };
+  const badges = BADGES.map(badge => ({ ...badge, earned: earned[badge.id] || '' }));
+
+  return {
+    streaks: STREAK_RULES.map(({ id, emoji, label, unit }) => ({ id, emoji, label, unit, ...runs[id] })),
+    wins,
+    badges,
+    history: badges.filter(b => b.earned).map(({ earned: date, ...badge }) => ({ badge, date })).sort((a, b) => b.date.localeCompare(a.date))
+  };
+}
+
+/**
+ * Streaks and badges from every stored day up to `today`
+ * @returns {Achievements}
+ */
+export function getAchievements(today = toDateKey(new Date())) {
+  return computeAchievements(getDays('', today), getCycleStarts(), today);
+}
+
+/**
+ * Store the earned badges and return the ones not awarded before. The first call
+ * only records what was already reached, so older history is not announced.
+ * @param {Achievements} achievements
+ * @returns {Badge[]}
+ */
+export function awardBadges(achievements) {
+  const stored = get('settings', 'achievements', null);
+  const fresh = achievements.history.filter(({ badge }) => stored && !stored[badge.id]);
+  if (!stored || fresh.length) {
+    set('settings', 'achievements', Object.fromEntries(achievements.history.map(({ badge, date }) => [badge.id, date])));
+  }
+  return fresh.map(({ badge }) => badge);
+}
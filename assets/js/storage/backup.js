@@ -0,0 +1,247 @@
+/**
+ * Cherry Planner - Backup Bundle
+ * One JSON file holding every planner module of the active profile, restorable in merge
+ * or replace mode (into any profile).
+ *
+ * {
+ *   format: 'cherry-planner-backup',
+ *   version: 1,                 // bundle layout
+ *   schema: 3,                  // repository SCHEMA_VERSION of the data
+ *   createdAt: '2025-01-31T08:00:00.000Z',
+ *   profile: { id: 'default', name: 'Me' },
+ *   checksum: 'sha256:<hex>',   // over the canonical JSON of `sections`
+ *   sections: { days: {<key>: value}, cycle: {...}, settings: {...}, premium: {...}, legacy: {...} }
+ * }
+ *
+ * Values are stored parsed so the file stays readable. Legacy keys that have not been
+ * migrated yet (`cherryPlanner_*`, `digitalPlanner_*`, `cherry_cycle_log`, ...) travel in
+ * `legacy` and are folded into the repository by `migrate()` after a restore.
+ * The AI API key, the statistics cache, the schema marker and the encryption vault are
+ * never exported. Bundles are plain JSON even when the store is encrypted.
+ */
+
+import { NAMESPACE, readRaw, writeRaw, removeRaw, rawKeys, remove, flush, getProfileId } from './store.js';
+import { DEFAULT_PROFILE, getProfile } from './profiles.js';
+import { SCHEMA_VERSION, migrate, getCycleEvents, saveCycleEvents } from './repository.js';
+
+export const BACKUP_FORMAT = 'cherry-planner-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * Restorable sections, in display order
+ */
+export const BACKUP_SECTIONS = {
+  days: 'Days, notes & recurring tasks',
+  cycle: 'Cycle settings & history',
+  settings: 'Planner settings',
+  premium: 'Premium (motivation, AI coach settings)',
+  legacy: 'Unmigrated legacy data'
+};
+
+const LEGACY_KEY = /^(cherryPlanner_.+|digitalPlanner_.+|cherry_cycle|cherry_cycle_log|cherry_globals|calendar_day_notes)$/;
+const EXCLUDED_KEYS = new Set([`${NAMESPACE}::ai::pplx_key`]);
+const EXCLUDED_DOMAINS = new Set(['system', 'stats', 'vault', 'sync']);
+const DOMAIN_SECTIONS = { day: 'days', notes: 'days', series: 'days', cycle: 'cycle', settings: 'settings', app: 'settings' };
+const CYCLE_LOG_KEY = `${NAMESPACE}::cycle::log`;
+
+/**
+ * Section a raw key belongs to, or null when it is not backed up
+ */
+export function sectionFor(key) {
+  if (LEGACY_KEY.test(key)) return 'legacy';
+  if (!key.startsWith(`${NAMESPACE}::`) || EXCLUDED_KEYS.has(key)) return null;
+  const domain = key.split('::')[1];
+  if (EXCLUDED_DOMAINS.has(domain)) return null;
+  return DOMAIN_SECTIONS[domain] || 'premium';
+}
+
+function parse(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+function serialize(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * JSON with object keys sorted, so equal data always hashes the same
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function hasSubtleCrypto() {
+  return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+// FNV-1a, used when WebCrypto is unavailable (e.g. pages opened over plain http)
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+async function digest(sections, algorithm) {
+  const text = canonical(sections);
+  if (algorithm === 'fnv1a') return `fnv1a:${fnv1a(text)}`;
+  const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  const hex = Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+  return `sha256:${hex}`;
+}
+
+/**
+ * Current stored values grouped by section: { days: {key: value}, ... }
+ */
+function collectSections() {
+  const sections = Object.fromEntries(Object.keys(BACKUP_SECTIONS).map(name => [name, {}]));
+  rawKeys().sort().forEach(key => {
+    const section = sectionFor(key);
+    const raw = section ? readRaw(key) : null;
+    if (raw !== null) sections[section][key] = parse(raw);
+  });
+  return sections;
+}
+
+/**
+ * Build a backup bundle of everything currently stored
+ */
+export async function createBackup() {
+  await flush();
+  const sections = collectSections();
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schema: SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    profile: { id: getProfileId(), name: getProfile(getProfileId())?.name || '' },
+    checksum: await digest(sections, hasSubtleCrypto() ? 'sha256' : 'fnv1a'),
+    sections
+  };
+}
+
+/**
+ * File name for a bundle of the active profile created today
+ */
+export function backupFileName(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  const id = getProfileId();
+  const slug = id === DEFAULT_PROFILE ? '' : `${(getProfile(id)?.name || id).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || id}-`;
+  return `cherry-planner-backup-${slug}${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.json`;
+}
+
+/**
+ * Parse and validate a backup file.
+ * Throws an Error with a user-facing message when the file cannot be restored.
+ * Resolves to the bundle with `verified` set: true (checksum matches) or
+ * null (a sha256 checksum that this context cannot compute).
+ */
+export async function readBackup(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (!bundle || bundle.format !== BACKUP_FORMAT || !bundle.sections || typeof bundle.sections !== 'object') {
+    throw new Error('The file is not a Cherry Planner backup.');
+  }
+  if (bundle.version > BACKUP_VERSION || bundle.schema > SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of the planner.');
+  }
+
+  const algorithm = String(bundle.checksum || '').split(':')[0];
+  let verified = null;
+  if (algorithm === 'fnv1a' || (algorithm === 'sha256' && hasSubtleCrypto())) {
+    if (await digest(bundle.sections, algorithm) !== bundle.checksum) {
+      throw new Error('Checksum mismatch: the backup file is damaged or was edited.');
+    }
+    verified = true;
+  } else if (algorithm !== 'sha256') {
+    throw new Error('The backup has no checksum.');
+  }
+
+  // Drop keys that do not belong to the section they are filed under
+  const sections = {};
+  Object.keys(BACKUP_SECTIONS).forEach(name => {
+    const entries = Object.entries(bundle.sections[name] || {}).filter(([key]) => sectionFor(key) === name);
+    sections[name] = Object.fromEntries(entries);
+  });
+
+  return { ...bundle, sections, verified };
+}
+
+/**
+ * What restoring a bundle would do, per section:
+ *   added     - keys not stored yet
+ *   changed   - stored keys the backup overwrites
+ *   unchanged - number of stored keys with identical values
+ *   removed   - stored keys missing from the backup (deleted in replace mode only)
+ */
+export function diffBackup(bundle) {
+  const current = collectSections();
+  const diff = {};
+  Object.keys(BACKUP_SECTIONS).forEach(name => {
+    const incoming = bundle.sections[name] || {};
+    const local = current[name];
+    const entry = { added: [], changed: [], unchanged: 0, removed: [] };
+
+    Object.entries(incoming).forEach(([key, value]) => {
+      if (!(key in local)) entry.added.push(key);
+      else if (canonical(local[key]) !== canonical(value)) entry.changed.push(key);
+      else entry.unchanged++;
+    });
+    entry.removed = Object.keys(local).filter(key => !(key in incoming));
+    diff[name] = entry;
+  });
+  return diff;
+}
+
+/**
+ * Restore a bundle returned by readBackup().
+ * mode 'merge'   - backup values overwrite matching keys, everything else is kept;
+ *                  the cycle history is combined with the stored one
+ * mode 'replace' - the chosen sections are cleared first, then written from the backup
+ * `sections` limits the restore to some modules (default: all).
+ */
+export async function restoreBackup(bundle, { mode = 'merge', sections = Object.keys(BACKUP_SECTIONS) } = {}) {
+  try {
+    const current = collectSections();
+    const storedLog = getCycleEvents();
+
+    sections.forEach(name => {
+      const incoming = bundle.sections[name] || {};
+      if (mode === 'replace') {
+        Object.keys(current[name]).filter(key => !(key in incoming)).forEach(removeRaw);
+      }
+      Object.entries(incoming).forEach(([key, value]) => writeRaw(key, serialize(value)));
+    });
+
+    if (mode === 'merge' && sections.includes('cycle') && bundle.sections.cycle?.[CYCLE_LOG_KEY]) {
+      saveCycleEvents([...storedLog, ...bundle.sections.cycle[CYCLE_LOG_KEY]]);
+    }
+
+    // Older data or legacy keys need the migration to run over them again
+    const hasLegacy = sections.includes('legacy') && Object.keys(bundle.sections.legacy || {}).length > 0;
+    if (bundle.schema !== SCHEMA_VERSION || hasLegacy) remove('system', 'schema');
+    migrate();
+
+    await flush();
+    console.log(`Backup restored (${mode}): ${sections.join(', ')}`);
+    return true;
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    return false;
+  }
+}
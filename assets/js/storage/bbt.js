@@ -0,0 +1,79 @@
+/**
+ * Cherry Planner - Basal body temperature
+ * Waking temperatures are logged in the cycle log as `bbt` events (see getTemperatures).
+ * After ovulation progesterone lifts them by a few tenths of a degree until the next
+ * period, so a lasting rise confirms that ovulation has happened, and when.
+ *
+ * detectThermalShift() applies the 3-over-6 rule: three readings in a row above the
+ * highest of the six before them (the coverline), the third at least 0.2 °C above it,
+ * or, when it falls short, a fourth reading above the coverline. Ovulation is taken as
+ * the day before the first high reading. Days without a reading are skipped, not
+ * counted as low or high.
+ */
+
+import { toDateKey, parseDateKey } from './repository.js';
+
+// Low readings the coverline is drawn over, and high readings in a row above it
+export const LOW_READINGS = 6;
+export const HIGH_READINGS = 3;
+
+// Rise of the last high reading over the coverline, in hundredths of a degree
+const SHIFT_RISE = 20;
+
+/**
+ * @typedef {Object} ThermalShift
+ * @property {string} ovulation - YYYY-MM-DD, the day before the shift
+ * @property {string} shift - First high reading
+ * @property {string} confirmed - Reading the rule was met on
+ * @property {number} coverline - °C, the highest of the six low readings
+ */
+
+const addDays = (key, n) => { const d = parseDateKey(key); d.setDate(d.getDate() + n); return toDateKey(d); };
+
+/**
+ * Find the first thermal shift in one cycle's readings.
+ *
+ * Worked examples (°C, one reading a day from cycle day 1):
+ *
+ *   36.3 36.4 36.3 36.2 36.4 36.3 | 36.5 36.6 36.7
+ *   → coverline 36.4, third high 0.3 above it: ovulation on day 6, confirmed on day 9
+ *
+ *   36.3 36.4 36.3 36.2 36.4 36.3 | 36.5 36.5 36.5 36.6
+ *   → the third high is only 0.1 above, the fourth is above too: confirmed on day 10
+ *
+ *   36.3 36.4 36.3 36.2 36.4 36.3 | 36.5 36.4 36.6 ...
+ *   → the second reading is not above the coverline: no shift there, the search moves on
+ *
+ * @param {{date: string, temp: number}[]} readings - Ascending by date
+ * @returns {ThermalShift|null}
+ */
+export function detectThermalShift(readings) {
+  const temps = readings.map(r => Math.round(r.temp * 100));
+  for (let i = LOW_READINGS; i + HIGH_READINGS <= readings.length; i++) {
+    const coverline = Math.max(...temps.slice(i - LOW_READINGS, i));
+    const highs = temps.slice(i, i + HIGH_READINGS);
+    if (!highs.every(t => t > coverline)) continue;
+    let confirmed = i + HIGH_READINGS - 1;
+    if (highs[HIGH_READINGS - 1] - coverline < SHIFT_RISE) {
+      if (!(temps[confirmed + 1] > coverline)) continue;
+      confirmed += 1;
+    }
+    return {
+      ovulation: addDays(readings[i].date, -1),
+      shift: readings[i].date,
+      confirmed: readings[confirmed].date,
+      coverline: coverline / 100
+    };
+  }
+  return null;
+}
+
+/**
+ * Readings of one cycle, from its start up to (not including) the next start
+ * @param {{date: string, temp: number}[]} readings
+ * @param {string} start
+ * @param {string} [end] - The next start; open-ended for the running cycle
+ */
+export function cycleReadings(readings, start, end = '') {
+  return readings.filter(r => r.date >= start && (!end || r.date < end));
+}
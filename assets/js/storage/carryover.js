@@ -0,0 +1,85 @@
+/**
+ * Cherry Planner - Carry-over
+ * Unfinished todos of earlier days move to today: they leave their own day (a todo
+ * tombstone there, so synced devices agree) and are appended to today's list with
+ * `postponed` one higher. Recurring occurrences belong to their day and stay.
+ *
+ * A review covers the days since the previous review (at most LOOKBACK_DAYS back);
+ * what was left behind then is not offered again.
+ */
+
+import { getDays, getDay, updateDay, getPlannerSettings, savePlannerSettings, normalizeDateKey, parseDateKey, toDateKey } from './repository.js';
+
+/**
+ * Carry-over modes with their labels
+ */
+export const CARRY_OVER_MODES = {
+  prompt: 'Ask me',
+  auto: 'Move them automatically',
+  off: 'Leave them where they are'
+};
+
+export const LOOKBACK_DAYS = 14;
+
+function addDays(key, days) {
+  const d = parseDateKey(key);
+  d.setDate(d.getDate() + days);
+  return toDateKey(d);
+}
+
+/**
+ * Whether opening `today` should still review earlier days
+ */
+export function needsReview(today, settings = getPlannerSettings()) {
+  return settings.carryOver !== 'off' && settings.carryOverReviewed < normalizeDateKey(today);
+}
+
+/**
+ * Unfinished todos of the days before `today`, oldest day first.
+ * `all` ignores the last review and looks at the whole LOOKBACK_DAYS window.
+ * @returns {{date: string, todo: Todo}[]}
+ */
+export function unfinishedBefore(today, all = false) {
+  const key = normalizeDateKey(today);
+  if (!key) return [];
+  const earliest = addDays(key, -LOOKBACK_DAYS);
+  const reviewed = getPlannerSettings().carryOverReviewed;
+  const from = !all && reviewed > earliest ? reviewed : earliest;
+  return getDays(from, addDays(key, -1)).flatMap(day =>
+    day.todos
+      .filter(todo => !todo.completed && !todo.seriesId && todo.text.trim())
+      .map(todo => ({ date: day.date, todo })));
+}
+
+/**
+ * Note that today's review is done, whatever was moved
+ */
+export function markReviewed(today) {
+  return savePlannerSettings({ carryOverReviewed: normalizeDateKey(today) });
+}
+
+/**
+ * Move todos ({date, todo} pairs from unfinishedBefore) to `today` and mark the review done.
+ * Returns how many were moved.
+ */
+export function carryOver(items, today) {
+  const key = normalizeDateKey(today);
+  if (!key) return 0;
+  const moving = items.filter(item => item.date < key);
+
+  const byDate = new Map();
+  moving.forEach(({ date, todo }) => byDate.set(date, [...(byDate.get(date) || []), todo.id]));
+  byDate.forEach((ids, date) => {
+    updateDay(date, { todos: getDay(date).todos.filter(todo => !ids.includes(todo.id)) });
+  });
+
+  const target = getDay(key);
+  const present = new Set(target.todos.map(todo => todo.id));
+  const added = moving
+    .filter(({ todo }) => !present.has(todo.id))
+    .map(({ todo }) => ({ ...todo, postponed: (todo.postponed || 0) + 1 }));
+  if (added.length) updateDay(key, { todos: [...target.todos, ...added] });
+
+  markReviewed(key);
+  return added.length;
+}
@@ -0,0 +1,73 @@
+/**
+ * Cherry Planner - Storage Encryption
+ * WebCrypto helpers for encryption at rest: a PBKDF2-SHA-256 key derived from the
+ * user's passphrase, AES-GCM (256 bit, random 96 bit IV per value) over each
+ * serialized storage value. Sealed values are stored as `{ sealed: 1, iv, ct }`.
+ */
+
+export const PBKDF2_ITERATIONS = 310000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Check if WebCrypto is available (it needs a secure context: https or localhost)
+ */
+export function hasWebCrypto() {
+  return typeof crypto !== 'undefined' && !!crypto.subtle && typeof crypto.getRandomValues === 'function';
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * Random salt for a new passphrase (base64)
+ */
+export function createSalt() {
+  return toBase64(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+/**
+ * Derive the AES-GCM key from a passphrase and the stored salt/iterations
+ */
+export async function deriveKey(passphrase, { salt, iterations = PBKDF2_ITERATIONS }) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Whether a stored value is an encrypted envelope
+ */
+export function isSealed(value) {
+  return !!value && typeof value === 'object' && value.sealed === 1 && typeof value.iv === 'string' && typeof value.ct === 'string';
+}
+
+/**
+ * Encrypt a string into an envelope
+ */
+export async function seal(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(text));
+  return { sealed: 1, iv: toBase64(iv), ct: toBase64(new Uint8Array(ct)) };
+}
+
+/**
+ * Decrypt an envelope back to its string. Rejects on a wrong key or tampered data.
+ */
+export async function unseal(key, envelope) {
+  const text = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.ct));
+  return decoder.decode(text);
+}
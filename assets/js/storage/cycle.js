@@ -0,0 +1,130 @@
+/**
+ * Cherry Planner - Cycle history
+ * Turns the cycle log into one entry per cycle for the prediction engine
+ * (calculator/prediction-engine.js): a cycle runs from a logged start to the day
+ * before the next one, so its length is the gap between consecutive starts. Its period
+ * length is the start day plus the logged period days (`period` events) that follow
+ * it without a break; null when none were logged, so callers fall back to the
+ * configured period length. Spotting days are not period days; heavy ones are counted
+ * for the analyzer's heavy bleeding warnings (calculator/cycle-analyzer.js).
+ *
+ * Logged basal body temperatures confirm a cycle's ovulation (the 3-over-6 rule, see
+ * bbt.js); a finished cycle with a confirmed ovulation has a measured luteal length,
+ * the days after ovulation up to the next start, which replaces the configured one.
+ * It is counted the way the predictions use it (ovulation on day length - luteal), so
+ * steady cycles are predicted to ovulate on the day they did.
+ *
+ * The cycle still running today has no length yet. It is kept as a censored entry
+ * with the days it has lasted so far, which is the least its length can turn out to
+ * be: statistics leave it out, predictions start from it and never before tomorrow.
+ */
+
+import { getCycleSettings, getCycleStarts, getPeriodDays, getTemperatures, toDateKey, parseDateKey } from './repository.js';
+import { detectThermalShift, cycleReadings } from './bbt.js';
+
+/**
+ * @typedef {Object} CycleEntry
+ * @property {string} start - YYYY-MM-DD
+ * @property {number|null} length - Days to the next start; null while the cycle is running
+ * @property {number|null} periodLength - Bleeding days from the start; null when not logged
+ * @property {number} heavyDays - Days of that period logged with heavy flow
+ * @property {boolean} censored - The running cycle
+ * @property {number} days - Days lasted up to today (the cycle day today), on the running cycle only
+ * @property {boolean} periodOngoing - Its period was logged up to yesterday or today, so may go on
+ * @property {string|null} ovulation - YYYY-MM-DD confirmed by a thermal shift; null when not (yet)
+ * @property {number|null} lutealLength - Days after the confirmed ovulation up to the next start;
+ *   null on the running cycle and without a confirmed ovulation
+ */
+
+const daysBetween = (from, to) => Math.round((parseDateKey(to) - parseDateKey(from)) / 86400000);
+const addDays = (key, n) => { const d = parseDateKey(key); d.setDate(d.getDate() + n); return toDateKey(d); };
+
+// Longest period the run of logged days is followed for
+const MAX_PERIOD_DAYS = 15;
+
+// The start day and the bleeding days after it, up to the first day without one
+function period(start, flows, end) {
+  const bleeding = key => flows.has(key) && flows.get(key) !== 'spotting';
+  let n = 1;
+  while (n < MAX_PERIOD_DAYS && addDays(start, n) < end && bleeding(addDays(start, n))) n++;
+  const days = Array.from({ length: n }, (_, i) => addDays(start, i));
+  return {
+    periodLength: n > 1 || bleeding(start) ? n : null,
+    heavyDays: days.filter(key => flows.get(key) === 'heavy').length
+  };
+}
+
+/**
+ * Build the cycle history from logged starts and period days, up to `today`.
+ * Starts after today are ignored.
+ *
+ * Worked examples, with today 2026-03-10:
+ *
+ *   starts 2026-01-01, 2026-01-29, 2026-02-28; period days 01-01 .. 01-04 (01-02 heavy) and 01-30
+ *   → { start: '2026-01-01', length: 28, periodLength: 4, heavyDays: 1, censored: false }
+ *     { start: '2026-01-29', length: 30, periodLength: 2, heavyDays: 0, censored: false }
+ *     { start: '2026-02-28', length: null, periodLength: null, heavyDays: 0, censored: true, days: 11, periodOngoing: false }
+ *
+ *   starts 2026-02-20 only (or only the configured start) → one censored entry,
+ *   { start: '2026-02-20', length: null, periodLength: null, heavyDays: 0, censored: true, days: 19, periodOngoing: false }
+ *
+ *   period days 02-28, 03-01, 03-03 after the 02-28 start → periodLength 2 (03-02 was not logged);
+ *   with 03-01 logged as spotting → periodLength 1
+ *
+ *   temperatures 01-29 .. 02-27 with a shift from 02-14 (cycle day 17) in the 01-29 cycle
+ *   → ovulation '2026-02-13', lutealLength 14 (02-14 .. 02-27, up to the 02-28 start)
+ *
+ * @param {string[]} starts - Logged period starts (YYYY-MM-DD)
+ * @param {({date: string, flow: string}|string)[]} [periodDays] - Logged bleeding days with
+ *   their flow (see getPeriodDays); a bare date counts as medium flow
+ * @param {string} [today]
+ * @param {{date: string, temp: number}[]} [temperatures] - Logged basal body temperatures (see getTemperatures)
+ * @returns {CycleEntry[]} Oldest first, the running cycle last
+ */
+export function buildCycleHistory(starts, periodDays = [], today = toDateKey(new Date()), temperatures = []) {
+  const sorted = [...new Set(starts)].filter(date => date && date <= today).sort();
+  const flows = new Map(periodDays.map(day => (typeof day === 'string' ? [day, 'medium'] : [day.date, day.flow])));
+  const readings = temperatures.filter(r => r.date <= today);
+  return sorted.map((start, i) => {
+    const next = sorted[i + 1];
+    const shift = detectThermalShift(cycleReadings(readings, start, next));
+    const ovulation = shift ? shift.ovulation : null;
+    if (next) return { start, length: daysBetween(start, next), ...period(start, flows, next), censored: false, ovulation, lutealLength: ovulation ? daysBetween(ovulation, next) - 1 : null };
+    const running = period(start, flows, addDays(today, 1)); const days = daysBetween(start, today) + 1;
+    return { start, length: null, ...running, censored: true, days, periodOngoing: running.periodLength !== null && running.periodLength >= days - 1, ovulation, lutealLength: null };
+  });
+}
+
+/**
+ * The stored cycle history; without any logged start the configured last start
+ * (cycle settings) begins it
+ * @returns {CycleEntry[]}
+ */
+export function getCycleHistory(today = toDateKey(new Date())) {
+  const logged = getCycleStarts();
+  const { start } = getCycleSettings();
+  return buildCycleHistory(logged.length ? logged : [start], getPeriodDays(), today, getTemperatures());
+}
+
+/**
+ * Average length and spread of the finished cycles, the average logged period, and the
+ * average luteal length of the cycles with a confirmed ovulation (within the 8-18 days
+ * the luteal setting allows)
+ * @param {CycleEntry[]} history
+ * @returns {{avgLen: number|null, stdev: number|null, samples: number, avgPeriod: number|null, avgLuteal: number|null, lutealSamples: number}}
+ */
+export function cycleStats(history) {
+  const lengths = history.filter(c => !c.censored).map(c => c.length);
+  const periods = history.filter(c => !c.periodOngoing).map(c => c.periodLength).filter(n => n);
+  const luteal = history.map(c => c.lutealLength).filter(n => n);
+  const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+  const avgLen = lengths.length ? mean(lengths) : null;
+  return {
+    avgLen: avgLen === null ? null : Math.round(avgLen),
+    stdev: avgLen === null ? null : Math.round(Math.sqrt(mean(lengths.map(n => (n - avgLen) ** 2)))),
+    samples: lengths.length,
+    avgPeriod: periods.length ? Math.round(mean(periods)) : null,
+    avgLuteal: luteal.length ? Math.min(18, Math.max(8, Math.round(mean(luteal)))) : null,
+    lutealSamples: luteal.length
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Cherry Planner - cycle history tests (node --test)
+ * The histories are the worked examples of buildCycleHistory, with today 2026-03-10.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCycleHistory, cycleStats } from './cycle.js';
+import { toDateKey } from './repository.js';
+
+const TODAY = '2026-03-10';
+const STARTS = ['2026-01-01', '2026-01-29', '2026-02-28'];
+const PERIOD_DAYS = [
+  { date: '2026-01-01', flow: 'medium' },
+  { date: '2026-01-02', flow: 'heavy' },
+  { date: '2026-01-03', flow: 'medium' },
+  { date: '2026-01-04', flow: 'light' },
+  { date: '2026-01-30', flow: 'medium' }
+];
+
+// the fields the worked examples spell out
+const summary = ({ start, length, periodLength, heavyDays, censored, days, periodOngoing }) =>
+  (censored ? { start, length, periodLength, heavyDays, censored, days, periodOngoing } : { start, length, periodLength, heavyDays, censored });
+
+test('cycles run from a logged start to the next, with their logged periods', () => {
+  assert.deepEqual(buildCycleHistory(STARTS, PERIOD_DAYS, TODAY).map(summary), [
+    { start: '2026-01-01', length: 28, periodLength: 4, heavyDays: 1, censored: false },
+    { start: '2026-01-29', length: 30, periodLength: 2, heavyDays: 0, censored: false },
+    { start: '2026-02-28', length: null, periodLength: null, heavyDays: 0, censored: true, days: 11, periodOngoing: false }
+  ]);
+});
+
+test('without logged period days the period lengths are unknown', () => {
+  const history = buildCycleHistory(STARTS, [], TODAY);
+  assert.deepEqual(history.map(c => c.length), [28, 30, null]);
+  assert.deepEqual(history.map(c => c.periodLength), [null, null, null]);
+  assert.deepEqual(history.map(c => c.heavyDays), [0, 0, 0]);
+});
+
+test('a period ends at the first day without bleeding, and spotting is not bleeding', () => {
+  const days = ['2026-02-28', '2026-03-01', '2026-03-03'];
+  assert.equal(buildCycleHistory(STARTS, days, TODAY)[2].periodLength, 2);
+  const spotting = [{ date: '2026-02-28', flow: 'medium' }, { date: '2026-03-01', flow: 'spotting' }, { date: '2026-03-03', flow: 'medium' }];
+  assert.equal(buildCycleHistory(STARTS, spotting, TODAY)[2].periodLength, 1);
+});
+
+test('the running cycle is censored at the days it has lasted', () => {
+  assert.deepEqual(buildCycleHistory(['2026-02-20'], [], TODAY).map(summary), [
+    { start: '2026-02-20', length: null, periodLength: null, heavyDays: 0, censored: true, days: 19, periodOngoing: false }
+  ]);
+  // a period logged up to today may still go on
+  const running = buildCycleHistory(['2026-03-08'], ['2026-03-08', '2026-03-09', '2026-03-10'], TODAY)[0];
+  assert.equal(running.periodLength, 3);
+  assert.equal(running.periodOngoing, true);
+});
+
+test('an overdue running cycle counts every day it has lasted', () => {
+  const history = buildCycleHistory(['2025-12-04', '2026-01-01', '2026-01-29'], [], '2026-03-05');
+  assert.deepEqual(history.map(c => c.length), [28, 28, null]);
+  assert.equal(history[2].days, 36);
+});
+
+test('starts after today are ignored', () => {
+  assert.deepEqual(buildCycleHistory([...STARTS, '2026-03-20'], [], TODAY).map(c => c.start), STARTS);
+});
+
+test('cycleStats averages the finished cycles and leaves the running one out', () => {
+  assert.deepEqual(cycleStats(buildCycleHistory(STARTS, PERIOD_DAYS, TODAY)), {
+    avgLen: 29, stdev: 1, samples: 2, avgPeriod: 3, avgLuteal: null, lutealSamples: 0
+  });
+  // the overdue cycle's 36 days are not a cycle length yet
+  const overdue = cycleStats(buildCycleHistory(['2025-12-04', '2026-01-01', '2026-01-29'], [], '2026-03-05'));
+  assert.equal(overdue.avgLen, 28);
+  assert.equal(overdue.samples, 2);
+  // nor is a period that may still go on a period length
+  assert.equal(cycleStats(buildCycleHistory(['2026-02-08', '2026-03-08'], ['2026-02-08', '2026-02-09', '2026-03-08', '2026-03-09', '2026-03-10'], TODAY)).avgPeriod, 2);
+});
+
+test('a confirmed ovulation gives the finished cycle a measured luteal length', () => {
+  // 01-29 .. 02-27, above the coverline from 02-14 (cycle day 17)
+  const temperatures = Array.from({ length: 30 }, (_, i) => ({ date: toDateKey(new Date(2026, 0, 29 + i)), temp: i < 16 ? 36.3 : 36.7 }));
+  const history = buildCycleHistory(STARTS, [], TODAY, temperatures);
+  assert.equal(history[1].ovulation, '2026-02-13');
+  assert.equal(history[1].lutealLength, 14);
+  assert.equal(cycleStats(history).avgLuteal, 14);
+});
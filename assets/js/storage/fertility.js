@@ -0,0 +1,148 @@
+/**
+ * Cherry Planner - Fertility awareness
+ * With the fertility-awareness mode on (cycle settings `fam`), the days of the logged
+ * cycles are classified as fertile or not from the body's signs instead of a fixed
+ * window around an estimated ovulation, in the manner of the sympto-thermal method:
+ *
+ * - The fertile phase opens with the first mucus wetter than dry or the first positive
+ *   LH test.
+ * - It closes once the temperature shift is confirmed (3-over-6, see bbt.js) and, when
+ *   a mucus peak (the last watery or egg-white day before the shift) was logged, three
+ *   full days after the peak: not fertile from the later of the two.
+ * - Days before the first sign that were observed dry are not fertile.
+ * - Days with nothing to go on fall back on the calendar estimate, five days before to
+ *   one day after the expected ovulation.
+ *
+ * Each day carries the reasons it was classified so, in words, for the planners to show.
+ * This reads the logged signs; it is not a method of contraception.
+ */
+
+import { MUCUS, LH_RESULTS, getTemperatures, getMucus, getLhTests, toDateKey, parseDateKey } from './repository.js';
+import { detectThermalShift } from './bbt.js';
+
+// Full days after the mucus peak before the fertile phase can close
+export const PEAK_DAYS = 3;
+
+// The calendar window around the expected ovulation
+const WINDOW_BEFORE = 5;
+const WINDOW_AFTER = 1;
+
+const PEAK_MUCUS = new Set(['watery', 'eggwhite']);
+
+/**
+ * @typedef {Object} FertilityDay
+ * @property {string} date - YYYY-MM-DD
+ * @property {boolean} fertile
+ * @property {'signs'|'calendar'} source - Whether logged signs or the calendar estimate decided
+ * @property {string[]} reasons - Why, in words
+ * @property {string[]} signs - The day's own logged mucus and LH test, in words
+ */
+
+/**
+ * @typedef {Object} FertilitySigns
+ * @property {{date: string, temp: number}[]} temperatures
+ * @property {{date: string, mucus: string}[]} mucus
+ * @property {{date: string, result: string}[]} lh
+ */
+
+const addDays = (key, n) => { const d = parseDateKey(key); d.setDate(d.getDate() + n); return toDateKey(d); };
+const formatDay = key => parseDateKey(key).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/**
+ * Every logged sign the classification reads
+ * @returns {FertilitySigns}
+ */
+export function getFertilitySigns() {
+  return { temperatures: getTemperatures(), mucus: getMucus(), lh: getLhTests() };
+}
+
+/**
+ * Classify the days of one cycle.
+ *
+ * Worked example, a cycle from 03-01 with the expected ovulation on day 14 (03-14):
+ *   dry 03-06 .. 03-08, sticky 03-09, egg white 03-12 .. 03-14, creamy 03-15, LH peak 03-13,
+ *   temperatures above the coverline from 03-15, the shift confirmed on 03-17
+ *   → 03-01 .. 03-05: nothing logged, outside the calendar window (03-09 .. 03-15): not fertile
+ *     03-06 .. 03-08: dry before any fertile sign: not fertile
+ *     03-09 .. 03-17: fertile, opened by the sticky mucus
+ *     from 03-18: not fertile, the shift is confirmed and three days have passed since the 03-14 peak
+ *
+ * @param {{start: string}} cycle
+ * @param {FertilitySigns} signs - All logged signs; the ones outside the cycle are ignored
+ * @param {{days: number, ovulationDay: number, today?: string}} options - Days of the cycle to classify,
+ *   the cycle day of the expected ovulation (for the calendar fallback) and today
+ * @returns {{days: FertilityDay[], shift: ThermalShift|null, peak: string|null, opened: string|null, closed: string|null}}
+ */
+export function classifyCycle(cycle, signs, { days, ovulationDay, today = toDateKey(new Date()) }) {
+  const dates = Array.from({ length: days }, (_, i) => addDays(cycle.start, i));
+  const within = list => list.filter(sign => sign.date >= dates[0] && sign.date <= dates[dates.length - 1]);
+  const mucus = new Map(within(signs.mucus).map(sign => [sign.date, sign.mucus]));
+  const lh = new Map(within(signs.lh).map(sign => [sign.date, sign.result]));
+  const shift = detectThermalShift(within(signs.temperatures));
+
+  const fertileSigns = [...[...mucus].filter(([, m]) => m !== 'dry'), ...[...lh].filter(([, r]) => r !== 'negative')];
+  const opened = fertileSigns.map(([date]) => date).sort()[0] || null;
+  const peak = [...mucus].filter(([date, m]) => PEAK_MUCUS.has(m) && (!shift || date <= shift.confirmed)).map(([date]) => date).sort().pop() || null;
+  const closed = shift ? [addDays(shift.confirmed, 1), peak ? addDays(peak, PEAK_DAYS + 1) : ''].sort().pop() : null;
+  const closing = shift ? [
+    `Temperature shift confirmed on ${formatDay(shift.confirmed)}`,
+    ...(peak ? [`${PEAK_DAYS} days past the mucus peak on ${formatDay(peak)}`] : [])
+  ] : [];
+
+  const ovulation = addDays(cycle.start, ovulationDay - 1);
+  const windowFrom = addDays(ovulation, -WINDOW_BEFORE);
+  const windowTo = addDays(ovulation, WINDOW_AFTER);
+
+  const classified = dates.map(date => {
+    const own = [
+      ...(mucus.has(date) ? [`${MUCUS[mucus.get(date)]} mucus`] : []),
+      ...(lh.has(date) ? [`LH ${LH_RESULTS[lh.get(date)].toLowerCase()}`] : [])
+    ];
+    const day = (fertile, source, reasons) => ({ date, fertile, source, reasons, signs: own });
+    if (closed && date >= closed) return day(false, 'signs', closing);
+    if (opened && date >= opened) {
+      const reasons = date === opened ? [`Fertile phase opened: ${own.filter(s => !s.startsWith('LH negative')).join(', ')}`] : [`Fertile phase open since ${formatDay(opened)}`];
+      if (!shift) reasons.push('No temperature shift confirmed yet');
+      else if (date > shift.confirmed) reasons.push(`Fewer than ${PEAK_DAYS} days past the mucus peak`);
+      return day(true, 'signs', reasons);
+    }
+    if (mucus.get(date) === 'dry') return day(false, 'signs', ['Dry, before any fertile sign']);
+    const fertile = date >= windowFrom && date <= windowTo;
+    return day(fertile, 'calendar', [fertile
+      ? `Calendar estimate: within ${WINDOW_BEFORE} days before to ${WINDOW_AFTER} after the expected ovulation (${formatDay(ovulation)})`
+      : `Calendar estimate: outside the window around the expected ovulation (${formatDay(ovulation)})`]);
+  });
+  // days still to come are not observed yet: a phase left open stays open until the signs close it
+  return { days: classified.map(day => (day.date > today && day.source === 'signs' && day.fertile ? { ...day, reasons: ['Fertile until a temperature shift confirms ovulation'] } : day)), shift, peak, opened, closed };
+}
+
+/**
+ * Cycle length and luteal length the calendar fallback expects, as the cycle calendar
+ * uses them: the average finished cycle (or the configured length) and the luteal length
+ * measured by temperature (or the configured one, 14 days without advanced estimation)
+ * @param {{avgLen: number|null, avgLuteal: number|null}} stats - See cycleStats in cycle.js
+ * @param {CycleSettings} settings
+ */
+export function expectedCycle(stats, settings) {
+  return {
+    cycleLength: Math.min(40, Math.max(20, stats.avgLen || settings.len)),
+    luteal: stats.avgLuteal || (settings.adv ? settings.luteal : 14)
+  };
+}
+
+/**
+ * Classify every day of the logged cycles. A finished cycle is classified over its
+ * length, the running one over the expected length (or longer, once it lasts longer).
+ * @param {CycleEntry[]} history - See cycle.js
+ * @param {FertilitySigns} signs
+ * @param {{cycleLength: number, luteal: number, today?: string}} options
+ * @returns {Map<string, FertilityDay>}
+ */
+export function fertilityDays(history, signs, { cycleLength, luteal, today = toDateKey(new Date()) }) {
+  const map = new Map();
+  history.forEach(cycle => {
+    const days = cycle.length || Math.max(cycleLength, cycle.days);
+    classifyCycle(cycle, signs, { days, ovulationDay: days - luteal, today }).days.forEach(day => map.set(day.date, day));
+  });
+  return map;
+}
@@ -0,0 +1,162 @@
+/**
+ * Cherry Planner - Habits
+ * User-defined habits next to the water counter. The definitions are one settings
+ * record (`cherry::settings::habits`, synced and backed up with the other settings);
+ * what was done on a day lives in that day record's `habits` map, so it travels with
+ * the day like `water` does.
+ *
+ *   boolean   done or not (value 1)
+ *   count     times per day, met at `target`
+ *   duration  minutes per day, met at `target`
+ *
+ * A habit is scheduled on some weekdays (every day when `days` is empty). Streaks count
+ * the scheduled days in a row that met the target; unscheduled days neither extend nor
+ * break them, and today only counts once it is met.
+ */
+
+import { get, set } from './store.js';
+import { getDays, newTodoId, toDateKey, parseDateKey } from './repository.js';
+
+/**
+ * Habit types with their labels
+ */
+export const HABIT_TYPES = { boolean: 'Yes / no', count: 'Count', duration: 'Minutes' };
+
+/**
+ * Weekday labels, indexed like Date#getDay()
+ */
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// How far back streaks and the heatmap read day records
+export const HABIT_HISTORY_DAYS = 366;
+
+const MAX_TARGET = { boolean: 1, count: 99, duration: 24 * 60 };
+
+/**
+ * @typedef {Object} Habit
+ * @property {string} id
+ * @property {string} name
+ * @property {string} emoji
+ * @property {string} type - A HABIT_TYPES key
+ * @property {number} target - Times (count), minutes (duration); 1 for yes/no
+ * @property {number[]} days - Scheduled weekdays (0 Sunday .. 6 Saturday), empty for every day
+ * @property {string} since - Date key the habit was added; earlier days are not scheduled
+ */
+
+/**
+ * Coerce a stored or edited habit into a Habit
+ */
+export function normalizeHabit(raw = {}, id = raw.id) {
+  const type = raw.type in HABIT_TYPES ? raw.type : 'boolean';
+  const target = Math.round(Number(raw.target));
+  const days = [...new Set((Array.isArray(raw.days) ? raw.days : []).map(Number).filter(d => d >= 0 && d <= 6))].sort();
+  return {
+    id: id ? String(id) : newTodoId().replace(/^t/, 'h'),
+    name: String(raw.name || '').trim().slice(0, 60),
+    emoji: String(raw.emoji || '').trim().slice(0, 8) || '✅',
+    type,
+    target: type === 'boolean' ? 1 : Math.min(MAX_TARGET[type], Math.max(1, Number.isFinite(target) ? target : type === 'count' ? 1 : 15)),
+    days: days.length === 7 ? [] : days,
+    since: /^\d{4}-\d{2}-\d{2}$/.test(raw.since || '') ? raw.since : toDateKey(new Date())
+  };
+}
+
+/**
+ * Get the habit definitions, in display order
+ * @returns {Habit[]}
+ */
+export function getHabits() {
+  const stored = get('settings', 'habits', []);
+  return (Array.isArray(stored) ? stored : []).filter(h => h && h.id).map(h => normalizeHabit(h)).filter(h => h.name);
+}
+
+/**
+ * Save the habit definitions
+ */
+export function saveHabits(habits) {
+  return set('settings', 'habits', habits.map(h => normalizeHabit(h)).filter(h => h.name));
+}
+
+/**
+ * Whether a habit is due on a date
+ */
+export function isScheduled(habit, date) {
+  if (date < habit.since) return false;
+  return !habit.days.length || habit.days.includes(parseDateKey(date).getDay());
+}
+
+/**
+ * Whether a day's value meets the habit's target
+ */
+export function isMet(habit, value) {
+  return (value || 0) >= habit.target;
+}
+
+/**
+ * Human-readable value ('✓', '3/5', '20/30 min')
+ */
+export function formatHabitValue(habit, value = 0) {
+  if (habit.type === 'boolean') return value ? '✓' : '–';
+  return `${value}/${habit.target}${habit.type === 'duration' ? ' min' : ''}`;
+}
+
+/**
+ * Stored habit values of every day in a range: date -> {habitId: value}
+ * @returns {Map<string, Object<string, number>>}
+ */
+export function habitValues(from, to) {
+  return new Map(getDays(from, to).map(day => [day.date, day.habits]));
+}
+
+const addDays = (key, n) => { const d = parseDateKey(key); d.setDate(d.getDate() + n); return toDateKey(d); };
+
+/**
+ * Current and longest streak of a habit up to `today`
+ * @param {Map<string, Object<string, number>>} values - As returned by habitValues()
+ * @returns {{current: number, best: number}}
+ */
+export function habitStreak(habit, values, today = toDateKey(new Date())) {
+  const from = habit.since > addDays(today, -HABIT_HISTORY_DAYS) ? habit.since : addDays(today, -HABIT_HISTORY_DAYS);
+  let run = 0; let best = 0; let current = 0;
+  for (let date = from; date <= today; date = addDays(date, 1)) {
+    if (!isScheduled(habit, date)) continue;
+    const met = isMet(habit, values.get(date)?.[habit.id]);
+    // an unmet today does not end the streak yet
+    if (date === today && !met) { current = run; break; }
+    run = met ? run + 1 : 0;
+    best = Math.max(best, run);
+    current = run;
+  }
+  return { current, best: Math.max(best, current) };
+}
+
+/**
+ * Per-habit summary over a list of dates, for statistics and the AI coach
+ * @param {string[]} dates - Sorted date keys
+ * @param {Map<string, Object<string, number>>} [values]
+ */
+export function habitSummary(dates, values = habitValues(dates[0], dates[dates.length - 1])) {
+  const last = dates[dates.length - 1];
+  const streakValues = last ? habitValues(addDays(last, -HABIT_HISTORY_DAYS), last) : new Map();
+  return getHabits().map(habit => {
+    const daily = dates.map(date => {
+      const value = values.get(date)?.[habit.id] || 0;
+      return { date, value, scheduled: isScheduled(habit, date), met: isMet(habit, value) };
+    });
+    const scheduled = daily.filter(d => d.scheduled);
+    const met = scheduled.filter(d => d.met).length;
+    return {
+      id: habit.id,
+      name: habit.name,
+      emoji: habit.emoji,
+      type: habit.type,
+      target: habit.target,
+      scheduledDays: scheduled.length,
+      metDays: met,
+      completionRate: scheduled.length ? Math.round((met / scheduled.length) * 100) : 0,
+      average: scheduled.length ? Math.round((scheduled.reduce((sum, d) => sum + d.value, 0) / scheduled.length) * 10) / 10 : 0,
+      streak: last ? habitStreak(habit, streakValues, last) : { current: 0, best: 0 },
+      daily
+    };
+  });
+}
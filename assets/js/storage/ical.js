@@ -0,0 +1,255 @@
+/**
+ * Cherry Planner - iCalendar (.ics)
+ * Writes the cycle forecast, scheduled tasks and dated todos as RFC 5545 events, and
+ * reads events from other calendars back in as todos.
+ *
+ *   cycle ranges      all-day, free-time events (uid `cycle-<kind>-<date>`)
+ *   scheduled tasks   `- [ ] HH:MM text` lines of a day note (uid `note-<date>-<line>`)
+ *   dated todos       at their due time for their duration, all-day without one (uid `todo-<id>`,
+ *                     a series occurrence `todo-<seriesId>-<date>`)
+ * UIDs stay the same between exports, so importing a newer file into a calendar updates
+ * the events instead of adding copies; a todo moved to another day keeps its UID and moves
+ * with it. Times are written floating (no time zone): they are local wall-clock times
+ * on whichever calendar shows them.
+ *
+ * An imported event becomes a todo on its start date with an id derived from its UID,
+ * so importing the same file twice (or after deleting the todo) adds nothing.
+ */
+
+import { getDay, getDays, updateDay, normalizeTodo, toDateKey, parseDateKey, timeToMinutes } from './repository.js';
+
+export const ICS_PRODID = '-//Cherry Planner//Planner//EN';
+const UID_HOST = 'cherry-planner';
+const DEFAULT_MINUTES = 30;
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid
+ * @property {string} summary
+ * @property {string} date - Start, YYYY-MM-DD
+ * @property {string} time - Start HH:MM, '' for an all-day event
+ * @property {number} duration - Minutes (timed events)
+ * @property {number} days - Length of an all-day event in days
+ * @property {string} [description]
+ * @property {string} [category]
+ * @property {boolean} [free] - Shown as free time (does not block the calendar)
+ * @property {boolean} [recurring] - Read from an event with an RRULE (only its first date is used)
+ */
+
+const pad = n => String(n).padStart(2, '0');
+const icsDate = key => key.replace(/-/g, '');
+const icsUtc = d => `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+const addDays = (key, n) => { const d = parseDateKey(key); d.setDate(d.getDate() + n); return toDateKey(d); };
+
+function escapeText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+// Content lines are folded at 75 octets, never inside a character
+function fold(line) {
+  const encoder = new TextEncoder();
+  const out = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const bytes = encoder.encode(ch).length;
+    if (size + bytes > (out.length ? 74 : 75)) { out.push(current); current = ''; size = 0; }
+    current += ch; size += bytes;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+/**
+ * Serialize events to an iCalendar file (CRLF line endings)
+ * @param {CalendarEvent[]} events
+ * @param {string} [name] - Calendar name shown by the importing app
+ */
+export function toICS(events, name = 'Cherry Planner', now = new Date()) {
+  const stamp = icsUtc(now);
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODID}`, 'CALSCALE:GREGORIAN', `X-WR-CALNAME:${escapeText(name)}`];
+  events.forEach(event => {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+    if (event.time) {
+      const start = parseDateKey(event.date);
+      const [h, m] = event.time.split(':').map(Number);
+      start.setHours(h, m);
+      const end = new Date(start.getTime() + (event.duration || DEFAULT_MINUTES) * 60000);
+      lines.push(`DTSTART:${icsDate(event.date)}T${event.time.replace(':', '')}00`, `DTEND:${icsDate(toDateKey(end))}T${pad(end.getHours())}${pad(end.getMinutes())}00`);
+    } else {
+      lines.push(`DTSTART;VALUE=DATE:${icsDate(event.date)}`, `DTEND;VALUE=DATE:${icsDate(addDays(event.date, event.days || 1))}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.category) lines.push(`CATEGORIES:${escapeText(event.category)}`);
+    if (event.free) lines.push('TRANSP:TRANSPARENT');
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+// 20261020 / 20261020T090000 / 20261020T070000Z -> { date, time }; UTC times are shown in local time,
+// TZID times are taken as local wall-clock time
+function parseDateValue(value, params) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!m) return null;
+  const [, y, mo, d, h, mi, , utc] = m;
+  if (h === undefined || /VALUE=DATE(;|$)/i.test(params)) return { date: `${y}-${mo}-${d}`, time: '' };
+  if (!utc) return { date: `${y}-${mo}-${d}`, time: `${h}:${mi}` };
+  const local = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi));
+  return { date: toDateKey(local), time: `${pad(local.getHours())}:${pad(local.getMinutes())}` };
+}
+
+// P1D, PT1H30M, P1W -> minutes
+function parseDuration(value) {
+  const m = /^[+]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/.exec(value.trim());
+  if (!m) return 0;
+  const [, w = 0, d = 0, h = 0, mi = 0] = m;
+  return ((+w * 7 + +d) * 24 + +h) * 60 + +mi;
+}
+
+// whole days count 1440 minutes, also over a daylight saving change
+const minutesBetween = (a, b) => Math.round((parseDateKey(b.date) - parseDateKey(a.date)) / 86400000) * 1440
+  + (b.time ? timeToMinutes(b.time) : 0) - (a.time ? timeToMinutes(a.time) : 0);
+
+/**
+ * Read the events of an iCalendar file
+ * @returns {CalendarEvent[]}
+ * @throws {Error} When the text is not an iCalendar file
+ */
+export function parseICS(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some(line => /^BEGIN:VCALENDAR/i.test(line))) throw new Error('This is not an iCalendar (.ics) file');
+  const events = [];
+  let props = null;
+  let nested = 0; // VALARM and other components inside an event have properties of their own
+  lines.forEach(line => {
+    if (/^BEGIN:VEVENT$/i.test(line)) { props = {}; nested = 0; return; }
+    if (!props) return;
+    if (/^BEGIN:/i.test(line)) { nested++; return; }
+    if (nested) { if (/^END:/i.test(line)) nested--; return; }
+    if (/^END:VEVENT$/i.test(line)) {
+      const start = props.DTSTART && parseDateValue(props.DTSTART.value, props.DTSTART.params);
+      if (start && props.STATUS?.value.toUpperCase() !== 'CANCELLED') {
+        const end = props.DTEND && parseDateValue(props.DTEND.value, props.DTEND.params);
+        const minutes = end ? minutesBetween(start, end) : props.DURATION ? parseDuration(props.DURATION.value) : 0;
+        events.push({
+          uid: props.UID ? props.UID.value : `${start.date}-${start.time}-${props.SUMMARY?.value || ''}`,
+          summary: unescapeText(props.SUMMARY?.value || '').replace(/\s+/g, ' ').trim() || '(no title)',
+          date: start.date,
+          time: start.time,
+          duration: start.time ? Math.max(0, minutes) : 0,
+          days: start.time ? 1 : Math.max(1, Math.round(minutes / 1440)),
+          description: unescapeText(props.DESCRIPTION?.value || ''),
+          recurring: !!props.RRULE
+        });
+      }
+      props = null;
+      return;
+    }
+    const m = /^([A-Za-z0-9-]+)((?:;[^:;=]+=(?:"[^"]*"|[^:;"]*))*):(.*)$/.exec(line);
+    if (m && !(m[1].toUpperCase() in props)) props[m[1].toUpperCase()] = { params: m[2], value: m[3] };
+  });
+  return events;
+}
+
+// Consecutive date keys -> [{ date, days }]
+function ranges(keys) {
+  const out = [];
+  [...new Set(keys)].sort().forEach(key => {
+    const last = out[out.length - 1];
+    if (last && addDays(last.date, last.days) === key) last.days++;
+    else out.push({ date: key, days: 1 });
+  });
+  return out;
+}
+
+/**
+ * Scheduled tasks of a day note: `- [ ] 09:30 text` lines ([x] when done)
+ */
+export function scheduledTasks(dayNote) {
+  return String(dayNote || '').split('\n')
+    .map((line, index) => ({ index, m: /^\s*- \[( |x|X)\]\s+(?:(\d{1,2}:\d{2})\s+)?(.+)$/.exec(line) }))
+    .filter(({ m }) => m && m[3].trim())
+    .map(({ index, m }) => ({ index, done: m[1] !== ' ', time: /^\d:/.test(m[2] || '') ? `0${m[2]}` : m[2] || '', text: m[3].trim() }));
+}
+
+/**
+ * Events for everything the planner has from `from` on: the cycle forecast (date sets
+ * as returned by computeCycleMarks, merged over the exported months), scheduled tasks
+ * and dated todos
+ * @param {{period: Iterable<string>, fertile: Iterable<string>, ovul: Iterable<string>}} marks
+ * @returns {CalendarEvent[]}
+ */
+export function plannerEvents(marks, from) {
+  const today = toDateKey(new Date());
+  const cycle = [
+    ...ranges([...marks.period]).map(r => ({ ...r, kind: 'period', summary: r.date > today ? '🌸 Period (predicted)' : '🌸 Period' })),
+    ...ranges([...marks.fertile]).map(r => ({ ...r, kind: 'fertile', summary: '🌱 Fertile window' })),
+    ...ranges([...marks.ovul]).map(r => ({ ...r, kind: 'ovulation', summary: r.date > today ? '🥚 Ovulation (predicted)' : '🥚 Ovulation' }))
+  ].map(({ kind, ...r }) => ({ ...r, uid: `cycle-${kind}-${r.date}@${UID_HOST}`, time: '', duration: 0, category: 'Cycle', free: true }));
+
+  const tasks = getDays(from).flatMap(day => [
+    ...scheduledTasks(day.dayNote).map(task => ({
+      uid: `note-${day.date}-${task.index}@${UID_HOST}`,
+      summary: `${task.done ? '✓ ' : ''}${task.text}`,
+      date: day.date, time: task.time, duration: DEFAULT_MINUTES, days: 1, category: 'Scheduled'
+    })),
+    ...day.todos.filter(todo => todo.text.trim()).map(todo => ({
+      uid: `todo-${todo.seriesId ? `${todo.seriesId}-${day.date}` : todo.id}@${UID_HOST}`,
+      summary: `${todo.completed ? '✓ ' : ''}${todo.text.trim()}`,
+      date: day.date, time: todo.due, duration: todo.duration || DEFAULT_MINUTES, days: 1,
+      description: todo.subtasks.map(st => `${st.completed ? '☑' : '☐'} ${st.text}`).join('\n'),
+      category: todo.tags.length ? todo.tags.join(',') : 'Tasks'
+    }))
+  ]);
+  return [...cycle, ...tasks].sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+}
+
+/**
+ * Todo id of an imported event, stable across imports
+ */
+export function importedTodoId(event) {
+  let hash = 0x811c9dc5;
+  for (const ch of `${event.uid}|${event.date}`) hash = Math.imul(hash ^ ch.codePointAt(0), 0x01000193);
+  return `ics${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * Whether an event was imported before (its todo is on its day, or was deleted from it)
+ */
+export function wasImported(event) {
+  const day = getDay(event.date);
+  const id = importedTodoId(event);
+  return day.todos.some(t => t.id === id) || id in day.deletedTodos;
+}
+
+/**
+ * Add events as todos on their start dates: at their time and for their length, tagged
+ * `calendar`. Events imported before (even when their todo was deleted since) are skipped.
+ * @returns {number} Todos added
+ */
+export function importEvents(events) {
+  const byDate = new Map();
+  events.forEach(event => byDate.set(event.date, [...(byDate.get(event.date) || []), event]));
+  let added = 0;
+  byDate.forEach((list, date) => {
+    const day = getDay(date);
+    const known = new Set([...day.todos.map(t => t.id), ...Object.keys(day.deletedTodos)]);
+    const todos = list
+      .map(event => normalizeTodo({
+        text: event.summary,
+        due: event.time,
+        duration: Math.min(event.duration, 24 * 60),
+        tags: ['calendar']
+      }, importedTodoId(event)))
+      .filter(todo => !known.has(todo.id) && known.add(todo.id));
+    if (todos.length && updateDay(date, { todos: [...day.todos, ...todos] })) added += todos.length;
+  });
+  return added;
+}
@@ -0,0 +1,194 @@
+/**
+ * Cherry Planner - IndexedDB Backend
+ * Promise wrappers around the planner database. Namespaced keys are routed
+ * to object stores by domain:
+ *   cherry::day::<date>    -> days     (indexed by date)
+ *   cherry::notes::<date>  -> notes    (indexed by date)
+ *   cherry::cycle::log     -> cycle    (one row per event, indexed by date;
+ *                                       a single row when the log is encrypted)
+ *   everything else        -> settings
+ * Each profile has its own database ('cherry-planner', 'cherry-planner--<profile>').
+ */
+
+const DB_NAME = 'cherry-planner';
+const DB_VERSION = 1;
+const CYCLE_LOG_KEY = 'cherry::cycle::log';
+
+export const STORES = ['days', 'notes', 'cycle', 'settings'];
+
+/**
+ * Check if IndexedDB is available
+ */
+export function hasIndexedDB() {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch {
+    return false;
+  }
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function databaseName(profile = '') {
+  return profile ? `${DB_NAME}--${profile}` : DB_NAME;
+}
+
+/**
+ * Open (and create or upgrade) a planner database; no profile means the default one
+ */
+export function openDatabase(profile = '') {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(databaseName(profile), DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      ['days', 'notes', 'cycle'].forEach(name => {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath: 'key' }).createIndex('date', 'date');
+        }
+      });
+      if (!db.objectStoreNames.contains('settings')) {
+        db.createObjectStore('settings', { keyPath: 'key' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+  });
+}
+
+/**
+ * Delete a profile's database
+ */
+export function deleteDatabase(profile) {
+  if (!hasIndexedDB() || !profile) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(databaseName(profile));
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => resolve();
+  });
+}
+
+/**
+ * Object store holding a namespaced key
+ */
+export function storeFor(key) {
+  const domain = key.split('::')[1];
+  if (domain === 'day') return 'days';
+  if (domain === 'notes') return 'notes';
+  if (key === CYCLE_LOG_KEY) return 'cycle';
+  return 'settings';
+}
+
+function dateOf(key) {
+  return key.split('::').pop();
+}
+
+/**
+ * Read every store into [key, value] pairs.
+ * Cycle event rows are folded back into the single `cherry::cycle::log` array.
+ */
+export async function readAll(db) {
+  const tx = db.transaction(STORES, 'readonly');
+  const [days, notes, cycle, settings] = await Promise.all(
+    STORES.map(name => promisify(tx.objectStore(name).getAll()))
+  );
+  const entries = [...days, ...notes, ...settings].map(row => [row.key, row.value]);
+  const sealedLog = cycle.find(row => row.key === CYCLE_LOG_KEY);
+  if (sealedLog) {
+    entries.push([CYCLE_LOG_KEY, sealedLog.value]);
+  } else if (cycle.length) {
+    const events = cycle.sort((a, b) => a.date.localeCompare(b.date)).map(row => row.value);
+    entries.push([CYCLE_LOG_KEY, events]);
+  }
+  return entries;
+}
+
+/**
+ * Write one value
+ */
+export async function putValue(db, key, value) {
+  const name = storeFor(key);
+  const tx = db.transaction(name, 'readwrite');
+  const store = tx.objectStore(name);
+
+  if (name === 'cycle') {
+    store.clear();
+    if (Array.isArray(value)) {
+      value.forEach(event => store.put({ key: `${event.type}:${event.date}`, date: event.date, value: event }));
+    } else {
+      store.put({ key: CYCLE_LOG_KEY, date: '', value });
+    }
+  } else if (name === 'settings') {
+    store.put({ key, value });
+  } else {
+    store.put({ key, date: dateOf(key), value });
+  }
+  return done(tx);
+}
+
+/**
+ * Delete one value
+ */
+export async function deleteValue(db, key) {
+  const name = storeFor(key);
+  const tx = db.transaction(name, 'readwrite');
+  if (name === 'cycle') {
+    tx.objectStore(name).clear();
+  } else {
+    tx.objectStore(name).delete(key);
+  }
+  return done(tx);
+}
+
+/**
+ * Empty every store
+ */
+export async function clearStores(db) {
+  const tx = db.transaction(STORES, 'readwrite');
+  STORES.forEach(name => tx.objectStore(name).clear());
+  return done(tx);
+}
+
+/**
+ * Walk the date index of a store between two YYYY-MM-DD bounds (inclusive, both optional)
+ * with a single cursor. Resolves to [key, value] pairs in date order.
+ */
+export function readRange(db, name, from = '', to = '') {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, 'readonly');
+    const index = tx.objectStore(name).index('date');
+    let range = null;
+    if (from && to) range = IDBKeyRange.bound(from, to);
+    else if (from) range = IDBKeyRange.lowerBound(from);
+    else if (to) range = IDBKeyRange.upperBound(to);
+
+    const out = [];
+    const request = index.openCursor(range);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(out);
+        return;
+      }
+      out.push([cursor.value.key, cursor.value.value]);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,222 @@
+/**
+ * Cherry Planner - Meals
+ * Recipe library, weekly meal plan and shopping list over the day records' meal fields.
+ * A day's meals stay its four `meal_*` text fields, so backups, sync, exports and stats
+ * read them as before. A meal whose text is a recipe's name (case and spacing aside)
+ * brings that recipe's ingredients to the shopping list of its week.
+ *
+ * The recipes are one settings record (`cherry::settings::recipes`), the items ticked
+ * off the shopping lists another (`cherry::settings::shopping`: week start -> item keys),
+ * both synced and backed up with the other settings.
+ */
+
+import { get, set } from './store.js';
+import { getDays, newTodoId, toDateKey, parseDateKey } from './repository.js';
+
+/**
+ * The meal fields of a day record, in display order
+ */
+export const MEALS = [
+  { field: 'meal_breakfast', label: 'Breakfast' },
+  { field: 'meal_lunch', label: 'Lunch' },
+  { field: 'meal_dinner', label: 'Dinner' },
+  { field: 'meal_snacks', label: 'Snacks' }
+];
+
+// How far back past meals are offered for re-use
+export const MEAL_HISTORY_DAYS = 180;
+
+// Ticked shopping lists kept, latest weeks first
+const SHOPPING_WEEKS = 8;
+
+// Unit spellings understood after a quantity ("200 g oats", "2 tbsp honey")
+const UNITS = {
+  g: 'g', gram: 'g', grams: 'g', kg: 'kg',
+  ml: 'ml', l: 'l', litre: 'l', liter: 'l', litres: 'l', liters: 'l', dl: 'dl', cl: 'cl',
+  tsp: 'tsp', teaspoon: 'tsp', teaspoons: 'tsp', tbsp: 'tbsp', tablespoon: 'tbsp', tablespoons: 'tbsp',
+  cup: 'cup', cups: 'cup', pinch: 'pinch', clove: 'clove', cloves: 'clove',
+  slice: 'slice', slices: 'slice', can: 'can', cans: 'can', pack: 'pack', packs: 'pack'
+};
+
+// Units added up in a smaller one on the shopping list
+const BASE_UNITS = { kg: ['g', 1000], l: ['ml', 1000], dl: ['ml', 100], cl: ['ml', 10] };
+
+/**
+ * @typedef {Object} Ingredient
+ * @property {string} name
+ * @property {number} qty - 0 when not given ("salt")
+ * @property {string} unit - A UNITS value, '' for a plain count ("2 eggs")
+ */
+
+/**
+ * @typedef {Object} Recipe
+ * @property {string} id
+ * @property {string} name - What a meal field says to use it
+ * @property {Ingredient[]} ingredients
+ * @property {string} notes - Method, link or anything else
+ */
+
+/**
+ * Comparison key of a meal or recipe name
+ */
+export const mealKey = text => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Read one ingredient line: "200 g oats", "1/2 tsp salt", "2 eggs", "basil"
+ * @returns {Ingredient}
+ */
+export function parseIngredient(line) {
+  const [, amount = '', rest] = String(line || '').trim().match(/^(\d+\/\d+|\d+(?:[.,]\d+)?)?\s*(.*)$/);
+  const qty = amount.includes('/') ? amount.split('/')[0] / amount.split('/')[1] : Number(amount.replace(',', '.'));
+  const [word = '', ...more] = rest.split(/\s+/);
+  const unit = qty && more.length ? UNITS[word.toLowerCase().replace(/\.$/, '')] : '';
+  return normalizeIngredient({ qty, unit, name: unit ? more.join(' ') : rest });
+}
+
+function normalizeIngredient(raw) {
+  if (typeof raw === 'string') return parseIngredient(raw);
+  const qty = Number(raw && raw.qty);
+  return {
+    name: String((raw && raw.name) || '').trim().slice(0, 80),
+    qty: Number.isFinite(qty) && qty > 0 ? Math.round(qty * 100) / 100 : 0,
+    unit: Object.values(UNITS).includes(raw && raw.unit) ? raw.unit : ''
+  };
+}
+
+const formatQty = n => String(Math.round(n * 100) / 100);
+
+/**
+ * An ingredient as a line again; grams and millilitres from 1000 up read as kg and l
+ */
+export function formatIngredient({ name, qty, unit }) {
+  if (!qty) return name;
+  if (unit === 'g' && qty >= 1000) return `${formatQty(qty / 1000)} kg ${name}`;
+  if (unit === 'ml' && qty >= 1000) return `${formatQty(qty / 1000)} l ${name}`;
+  return `${formatQty(qty)}${unit ? ` ${unit}` : ''} ${name}`;
+}
+
+/**
+ * Coerce a stored or edited recipe into a Recipe. Ingredients may be given as lines.
+ */
+export function normalizeRecipe(raw = {}, id = raw.id) {
+  return {
+    id: id ? String(id) : newTodoId().replace(/^t/, 'r'),
+    name: String(raw.name || '').trim().replace(/\s+/g, ' ').slice(0, 80),
+    ingredients: (Array.isArray(raw.ingredients) ? raw.ingredients : [])
+      .map(normalizeIngredient).filter(i => i.name).slice(0, 60),
+    notes: String(raw.notes || '').slice(0, 4000)
+  };
+}
+
+/**
+ * Get the recipe library, by name
+ * @returns {Recipe[]}
+ */
+export function getRecipes() {
+  const stored = get('settings', 'recipes', []);
+  return (Array.isArray(stored) ? stored : []).filter(r => r && r.id).map(r => normalizeRecipe(r))
+    .filter(r => r.name).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save the recipe library
+ */
+export function saveRecipes(recipes) {
+  return set('settings', 'recipes', recipes.map(r => normalizeRecipe(r)).filter(r => r.name));
+}
+
+/**
+ * The recipe a meal's text names, if any
+ * @returns {Recipe|undefined}
+ */
+export function findRecipe(text, recipes = getRecipes()) {
+  const key = mealKey(text);
+  return key ? recipes.find(r => mealKey(r.name) === key) : undefined;
+}
+
+const addDays = (key, n) => { const d = parseDateKey(key); d.setDate(d.getDate() + n); return toDateKey(d); };
+
+/**
+ * Monday of a date's week
+ */
+export function weekStart(date) {
+  return addDays(date, -((parseDateKey(date).getDay() + 6) % 7));
+}
+
+/**
+ * The seven dates of the week starting on `start`
+ */
+export function weekDates(start) {
+  return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+}
+
+/**
+ * Meal texts to offer while typing: recipe names first, then past meals, most eaten first
+ * @param {string} [today]
+ * @returns {string[]}
+ */
+export function mealSuggestions(today = toDateKey(new Date()), recipes = getRecipes()) {
+  const counts = new Map();
+  getDays(addDays(today, -MEAL_HISTORY_DAYS), today).forEach(day => MEALS.forEach(({ field }) => {
+    const text = day[field].trim(); const key = mealKey(text);
+    if (key) counts.set(key, { text, n: (counts.get(key)?.n || 0) + 1 });
+  }));
+  const names = new Set(recipes.map(r => mealKey(r.name)));
+  return [
+    ...recipes.map(r => r.name),
+    ...[...counts.entries()].filter(([key]) => !names.has(key)).sort((a, b) => b[1].n - a[1].n).map(([, v]) => v.text)
+  ];
+}
+
+/**
+ * @typedef {Object} ShoppingItem
+ * @property {string} key - Stable per ingredient name and unit
+ * @property {string} name
+ * @property {number} qty - Summed over the week, 0 when no meal gave one
+ * @property {string} unit
+ * @property {string[]} recipes - Names of the recipes that need it
+ */
+
+/**
+ * The ingredients a week's meals need, added up per name and unit
+ * @param {Object[]} days - Day records (or their meal fields) of the week
+ * @returns {{items: ShoppingItem[], unmatched: string[]}} unmatched: meals without a recipe
+ */
+export function shoppingList(days, recipes = getRecipes()) {
+  const items = new Map(); const unmatched = new Set();
+  days.forEach(day => MEALS.forEach(({ field }) => {
+    const text = String(day[field] || '').trim(); if (!text) return;
+    const recipe = findRecipe(text, recipes);
+    if (!recipe) { unmatched.add(text); return; }
+    recipe.ingredients.forEach(({ name, qty, unit }) => {
+      const [base, factor] = BASE_UNITS[unit] || [unit, 1];
+      const key = `${mealKey(name)}|${base}`;
+      const item = items.get(key) || { key, name, qty: 0, unit: base, recipes: [] };
+      item.qty += qty * factor;
+      if (!item.recipes.includes(recipe.name)) item.recipes.push(recipe.name);
+      items.set(key, item);
+    });
+  }));
+  return {
+    items: [...items.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    unmatched: [...unmatched]
+  };
+}
+
+/**
+ * Keys of the items ticked off a week's shopping list
+ * @returns {Set<string>}
+ */
+export function getShoppingChecks(week) {
+  const stored = get('settings', 'shopping', {}) || {};
+  return new Set(Array.isArray(stored[week]) ? stored[week] : []);
+}
+
+/**
+ * Store the ticked items of a week's list, keeping the latest SHOPPING_WEEKS weeks
+ */
+export function saveShoppingChecks(week, keys) {
+  const stored = { ...(get('settings', 'shopping', {}) || {}), [week]: [...keys] };
+  const kept = Object.keys(stored).filter(w => stored[w].length).sort().reverse().slice(0, SHOPPING_WEEKS);
+  return set('settings', 'shopping', Object.fromEntries(kept.map(w => [w, stored[w]])));
+}
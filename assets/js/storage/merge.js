@@ -0,0 +1,157 @@
+/**
+ * Cherry Planner - Sync Merges
+ * Conflict resolution for synced records, shared by the browser client (sync.js)
+ * and the reference server (server/sync-server.mjs). No browser or Node APIs here.
+ *
+ * A wire record is `{ key, rev, modified, device, deleted, value }`:
+ *   key       raw store key ('cherry::day::2024-03-05')
+ *   rev       server revision of the key (0 before the first push)
+ *   modified  last local change (ms since epoch)
+ *   device    id of the device that made the change
+ *   deleted   tombstone flag; value is null
+ *   value     the stored value (parsed JSON)
+ *
+ * Day and notes records merge field by field using their `edited` stamps (see
+ * repository.js); everything else is last-write-wins.
+ */
+
+const DAY_KEY = /^cherry::day::\d{4}-\d{2}-\d{2}$/;
+const NOTES_KEY = /^cherry::notes::\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * How a key is merged: 'day', 'notes' or 'lww'
+ */
+export function recordKind(key) {
+  if (DAY_KEY.test(key)) return 'day';
+  if (NOTES_KEY.test(key)) return 'notes';
+  return 'lww';
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deterministic order: later change first, then the higher device id
+function newer(a, b) {
+  if ((a.modified || 0) !== (b.modified || 0)) return (a.modified || 0) > (b.modified || 0);
+  return String(a.device || '') >= String(b.device || '');
+}
+
+function maxStamps(a = {}, b = {}) {
+  const out = { ...a };
+  Object.entries(b).forEach(([name, ts]) => {
+    if (typeof ts === 'number' && !(out[name] >= ts)) out[name] = ts;
+  });
+  return out;
+}
+
+// Pick a field from the side that edited it last; ties go to the newer record
+function pick(field, a, b, aFirst) {
+  const ta = a.edited?.[field] || 0;
+  const tb = b.edited?.[field] || 0;
+  if (ta !== tb) return ta > tb ? a[field] : b[field];
+  return aFirst ? (field in a ? a[field] : b[field]) : (field in b ? b[field] : a[field]);
+}
+
+// Todos or water intakes of both sides by id, `first` wins; removed ids stay out
+function uniteById(first, second, deleted) {
+  const seen = new Set();
+  const out = [];
+  [...(first || []), ...(second || [])].forEach(item => {
+    if (!item || !item.id || seen.has(item.id) || deleted[item.id]) return;
+    seen.add(item.id);
+    out.push(item);
+  });
+  return out;
+}
+
+/**
+ * Merge two day record values.
+ * Todos and water intakes are united by id (the later list wins order and wording,
+ * removals stick), mood and text fields come from the latest edit.
+ */
+export function mergeDay(a, b, aFirst = true) {
+  if (!isObject(a)) return b;
+  if (!isObject(b)) return a;
+
+  const out = {};
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach(field => {
+    out[field] = pick(field, a, b, aFirst);
+  });
+
+  const todosFromA = (a.edited?.todos || 0) !== (b.edited?.todos || 0)
+    ? (a.edited?.todos || 0) > (b.edited?.todos || 0)
+    : aFirst;
+  out.deletedTodos = maxStamps(a.deletedTodos, b.deletedTodos);
+  out.todos = todosFromA
+    ? uniteById(a.todos, b.todos, out.deletedTodos)
+    : uniteById(b.todos, a.todos, out.deletedTodos);
+
+  if (isObject(a.water) && isObject(b.water)) {
+    const hasA = Array.isArray(a.water.intakes);
+    const hasB = Array.isArray(b.water.intakes);
+    if (hasA && hasB) {
+      const removed = maxStamps(a.water.removed, b.water.removed);
+      const [first, second] = out.water === a.water ? [a, b] : [b, a];
+      const intakes = uniteById(first.water.intakes, second.water.intakes, removed)
+        .sort((x, y) => String(x.time || '').localeCompare(String(y.time || '')));
+      out.water = { ...out.water, intakes, removed };
+    } else if (hasA || hasB) {
+      // a device still counting glasses (before schema v6): the measured side wins
+      out.water = hasA ? a.water : b.water;
+    } else {
+      out.water = { ...out.water, count: Math.max(a.water.count || 0, b.water.count || 0) };
+    }
+  }
+
+  out.edited = maxStamps(a.edited, b.edited);
+  out.updatedAt = Math.max(a.updatedAt || 0, b.updatedAt || 0);
+  return out;
+}
+
+/**
+ * Merge two notes record values: the day note and free notes each come from their latest edit
+ */
+export function mergeNotes(a, b, aFirst = true) {
+  if (!isObject(a)) return b;
+  if (!isObject(b)) return a;
+  return {
+    ...(aFirst ? { ...b, ...a } : { ...a, ...b }),
+    text: pickValue('notes', 'text', a, b, aFirst),
+    dayNote: pickValue('dayNote', 'dayNote', a, b, aFirst),
+    edited: maxStamps(a.edited, b.edited)
+  };
+}
+
+// Value of a notes field from the side with the later stamp, falling back to the other side
+function pickValue(stamp, field, a, b, aFirst) {
+  const ta = a.edited?.[stamp] || 0;
+  const tb = b.edited?.[stamp] || 0;
+  const fromA = ta !== tb ? ta > tb : aFirst;
+  return (fromA ? a[field] : b[field]) ?? (fromA ? b[field] : a[field]) ?? '';
+}
+
+/**
+ * Merge two versions of the same key into the record both sides should keep.
+ * A deletion wins over edits that are not newer than it.
+ */
+export function mergeRecords(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const aFirst = newer(a, b);
+  const latest = aFirst ? a : b;
+  const base = { key: latest.key, rev: Math.max(a.rev || 0, b.rev || 0), modified: latest.modified, device: latest.device };
+
+  if (a.deleted || b.deleted) {
+    if (a.deleted && b.deleted) return { ...base, deleted: true, value: null };
+    const tomb = a.deleted ? a : b;
+    const live = a.deleted ? b : a;
+    return (tomb.modified || 0) >= (live.modified || 0) ? { ...tomb, rev: base.rev } : { ...live, rev: base.rev };
+  }
+
+  const kind = recordKind(latest.key);
+  let value = latest.value;
+  if (kind === 'day') value = mergeDay(a.value, b.value, aFirst);
+  if (kind === 'notes') value = mergeNotes(a.value, b.value, aFirst);
+  return { ...base, deleted: false, value };
+}
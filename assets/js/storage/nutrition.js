@@ -0,0 +1,142 @@
+/**
+ * Cherry Planner - Nutrition
+ * Optional food logging next to the meals. Each day record keeps what was eaten as
+ * `nutrition` entries (food id, meal, grams); the nutrient values come from the food
+ * table bundled with the app (assets/data/foods.json, per 100 g), so logging works
+ * offline and the table can be corrected without touching stored days.
+ *
+ * cycleNutrition() relates the logged intake to the cycle: iron on period days against
+ * the other days, and magnesium on luteal days against that day's mood.
+ */
+
+import { scoresFromMoods, getCyclePhase, getPeriodDays } from './repository.js';
+
+/**
+ * Tracked nutrients, with a daily reference intake for adult women where one is shown
+ */
+export const NUTRIENTS = {
+  kcal: { label: 'Energy', unit: 'kcal' },
+  protein: { label: 'Protein', unit: 'g' },
+  iron: { label: 'Iron', unit: 'mg', reference: 18 },
+  magnesium: { label: 'Magnesium', unit: 'mg', reference: 310 }
+};
+
+// Fewest days a comparison or correlation is shown for
+export const MIN_NUTRITION_DAYS = 5;
+
+/**
+ * @typedef {Object} Food
+ * @property {string} id
+ * @property {string} name
+ * @property {number} kcal - Per 100 g, like the other nutrients
+ * @property {number} protein - g
+ * @property {number} iron - mg
+ * @property {number} magnesium - mg
+ * @property {{label: string, grams: number}} portion - A usual serving
+ */
+
+let foods = null;
+
+/**
+ * The bundled food table, loaded once (precached by the service worker)
+ * @returns {Promise<Map<string, Food>>}
+ */
+export function loadFoods() {
+  foods = foods || fetch(new URL('../../data/foods.json', import.meta.url))
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then(table => new Map((table.foods || []).map(food => [food.id, food])))
+    .catch(error => {
+      foods = null;
+      throw error;
+    });
+  return foods;
+}
+
+const round = (n, places = 1) => Math.round(n * 10 ** places) / 10 ** places;
+
+/**
+ * Nutrient totals of some entries; entries of foods missing from the table count nothing
+ * @param {FoodEntry[]} entries
+ * @param {Map<string, Food>} table
+ * @returns {{kcal: number, protein: number, iron: number, magnesium: number}}
+ */
+export function nutrientTotals(entries, table) {
+  const totals = Object.fromEntries(Object.keys(NUTRIENTS).map(key => [key, 0]));
+  entries.forEach(entry => {
+    const food = table.get(entry.food); if (!food) return;
+    Object.keys(NUTRIENTS).forEach(key => { totals[key] += (food[key] || 0) * entry.grams / 100; });
+  });
+  return Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, key === 'kcal' ? Math.round(value) : round(value)]));
+}
+
+// As the premium statistics' balance index: positive minus negative feelings, -1..1
+function moodBalance(mood) {
+  const s = scoresFromMoods(mood.moods);
+  return ((s.happy + s.calm + s.loved + s.grateful) / 4 - (s.sad + s.tired + s.frustrated) / 3) / 10;
+}
+
+// A day's mood counts once a slider moved from its start or an emotion was picked
+const moodLogged = mood => !!mood.emotion || Object.values(mood.moods).some(value => value !== 5);
+
+const average = values => values.length ? round(values.reduce((a, b) => a + b, 0) / values.length, 2) : null;
+
+function pearson(pairs) {
+  const n = pairs.length;
+  const mx = pairs.reduce((s, [x]) => s + x, 0) / n;
+  const my = pairs.reduce((s, [, y]) => s + y, 0) / n;
+  let sxy = 0; let sxx = 0; let syy = 0;
+  pairs.forEach(([x, y]) => { sxy += (x - mx) * (y - my); sxx += (x - mx) ** 2; syy += (y - my) ** 2; });
+  return sxx && syy ? round(sxy / Math.sqrt(sxx * syy), 2) : 0;
+}
+
+/**
+ * @typedef {Object} CycleNutrition
+ * @property {{period: {days: number, average: number|null}, other: {days: number, average: number|null}}} iron
+ *   Average daily iron (mg) on period days and on the other days with food logged
+ * @property {{days: number, r: number|null, lower: number|null, higher: number|null}} magnesium
+ *   Luteal days with food and mood logged; `r` is the correlation of magnesium with the mood
+ *   balance (-1..1), `lower`/`higher` the average balance on the half with less / more magnesium.
+ *   null until MIN_NUTRITION_DAYS days are logged.
+ */
+
+/**
+ * Relate logged iron and magnesium to the cycle. Period days are the logged bleeding
+ * days (spotting aside); luteal days are the calendar estimate of getCyclePhase. Days
+ * without food entries, or neither logged as bleeding nor after a known cycle start,
+ * are left out.
+ * @param {DayRecord[]} days
+ * @param {Map<string, Food>} table
+ * @returns {CycleNutrition}
+ */
+export function cycleNutrition(days, table, phaseOf = getCyclePhase, periodDays = getPeriodDays()) {
+  const bleeding = new Set(periodDays.filter(day => day.flow !== 'spotting').map(day => day.date));
+  const iron = { period: [], other: [] };
+  const luteal = [];
+  days.forEach(day => {
+    if (!day.nutrition.length) return;
+    const period = bleeding.has(day.date);
+    const phase = phaseOf(day.date)?.phase;
+    if (!period && !phase) return;
+    const totals = nutrientTotals(day.nutrition, table);
+    iron[period ? 'period' : 'other'].push(totals.iron);
+    if (!period && phase === 'luteal' && moodLogged(day.mood)) luteal.push([totals.magnesium, moodBalance(day.mood)]);
+  });
+  const enough = luteal.length >= MIN_NUTRITION_DAYS;
+  const sorted = [...luteal].sort((a, b) => a[0] - b[0]);
+  const half = Math.floor(sorted.length / 2);
+  return {
+    iron: {
+      period: { days: iron.period.length, average: average(iron.period) },
+      other: { days: iron.other.length, average: average(iron.other) }
+    },
+    magnesium: {
+      days: luteal.length,
+      r: enough ? pearson(luteal) : null,
+      lower: enough ? average(sorted.slice(0, half).map(([, y]) => y)) : null,
+      higher: enough ? average(sorted.slice(-half).map(([, y]) => y)) : null
+    }
+  };
+}
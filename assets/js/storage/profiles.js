@@ -0,0 +1,142 @@
+/**
+ * Cherry Planner - Profiles
+ * Several people can keep separate planners in one browser. Each profile has its own
+ * key space, so days, cycle settings and log, water target, mood history, app state
+ * and the passphrase vault never mix:
+ *   IndexedDB     - one database per profile ('cherry-planner', 'cherry-planner--<id>')
+ *   localStorage  - namespaced keys carry the profile id ('cherry::…', 'cherry.<id>::…')
+ * The default profile keeps the original names, so existing data needs no migration.
+ * The registry lives in localStorage and is read once per page load; switching
+ * profiles means reloading the page.
+ */
+
+import { deleteDatabase } from './idb.js';
+
+export const DEFAULT_PROFILE = 'default';
+
+const REGISTRY_KEY = 'cherryProfiles';
+const DEFAULT_NAME = 'Me';
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id - 'default' or a generated id ([a-z0-9]+)
+ * @property {string} name - Display name
+ * @property {number} createdAt - ms since epoch (0 for the default profile)
+ */
+
+function readRegistry() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(REGISTRY_KEY) || 'null');
+    if (stored && Array.isArray(stored.profiles)) return stored;
+  } catch {
+    // unreadable or unavailable localStorage: single default profile
+  }
+  return { active: DEFAULT_PROFILE, profiles: [] };
+}
+
+function writeRegistry(registry) {
+  try {
+    localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+    return true;
+  } catch (error) {
+    console.error('Error saving profiles:', error);
+    return false;
+  }
+}
+
+function cleanName(name) {
+  return String(name || '').trim().slice(0, 40);
+}
+
+/**
+ * Whether a raw localStorage key is profile bookkeeping or another profile's data
+ */
+export function isProfileKey(key) {
+  return key === REGISTRY_KEY || /^cherry\.[a-z0-9]+::/.test(key);
+}
+
+/**
+ * All profiles, default first
+ */
+export function listProfiles() {
+  const { profiles } = readRegistry();
+  const stored = profiles.find(p => p.id === DEFAULT_PROFILE);
+  const others = profiles.filter(p => p.id !== DEFAULT_PROFILE);
+  return [{ id: DEFAULT_PROFILE, name: stored?.name || DEFAULT_NAME, createdAt: 0 }, ...others];
+}
+
+/**
+ * Get a profile by id (null when it does not exist)
+ */
+export function getProfile(id) {
+  return listProfiles().find(p => p.id === id) || null;
+}
+
+/**
+ * Id of the profile this page works on
+ */
+export function getActiveProfile() {
+  const { active } = readRegistry();
+  return getProfile(active) ? active : DEFAULT_PROFILE;
+}
+
+/**
+ * localStorage prefix of a profile's namespaced keys
+ */
+export function profilePrefix(id, namespace = 'cherry') {
+  return id === DEFAULT_PROFILE ? `${namespace}::` : `${namespace}.${id}::`;
+}
+
+/**
+ * Create a profile. Returns it, or null when the name is empty.
+ */
+export function createProfile(name) {
+  const clean = cleanName(name);
+  if (!clean) return null;
+  const registry = readRegistry();
+  const profile = { id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name: clean, createdAt: Date.now() };
+  registry.profiles = [...registry.profiles, profile];
+  return writeRegistry(registry) ? profile : null;
+}
+
+/**
+ * Rename a profile (the default one included)
+ */
+export function renameProfile(id, name) {
+  const clean = cleanName(name);
+  if (!clean || !getProfile(id)) return false;
+  const registry = readRegistry();
+  const exists = registry.profiles.some(p => p.id === id);
+  registry.profiles = exists
+    ? registry.profiles.map(p => (p.id === id ? { ...p, name: clean } : p))
+    : [{ id, name: clean, createdAt: 0 }, ...registry.profiles];
+  return writeRegistry(registry);
+}
+
+/**
+ * Make a profile active. The page must be reloaded to load its data.
+ */
+export function switchProfile(id) {
+  if (!getProfile(id)) return false;
+  return writeRegistry({ ...readRegistry(), active: id });
+}
+
+/**
+ * Delete a profile and all of its data. The default and the active profile cannot be deleted.
+ */
+export async function deleteProfile(id) {
+  if (id === DEFAULT_PROFILE || id === getActiveProfile() || !getProfile(id)) return false;
+
+  try {
+    const prefix = profilePrefix(id);
+    Object.keys(localStorage).filter(key => key.startsWith(prefix)).forEach(key => localStorage.removeItem(key));
+    await deleteDatabase(id);
+  } catch (error) {
+    console.error('Error deleting profile data:', error);
+    return false;
+  }
+
+  const registry = readRegistry();
+  registry.profiles = registry.profiles.filter(p => p.id !== id);
+  return writeRegistry(registry);
+}
@@ -0,0 +1,257 @@
+/**
+ * Cherry Planner - Recurring Tasks
+ * A series is a todo that repeats by rule. Occurrences are materialised into a day's
+ * todo list when the day is opened (`applyOccurrences`), as ordinary todos with the
+ * deterministic id `<seriesId>@<date>`, so completion is per occurrence and the same
+ * occurrence created on two devices merges into one when synced.
+ *
+ *   skip this occurrence  the date goes into `skipped`; deleting an occurrence from the
+ *                         list does the same through the day's `deletedTodos`
+ *   edit series           text, time and rule changes reach every open occurrence
+ *                         the next time its day is shown; completed ones keep their text
+ *   end series            sets `end`; later open occurrences disappear
+ *
+ * Stored one record per series: cherry::series::<id>
+ */
+
+import { get, set, remove, getKeys } from './store.js';
+import { normalizeDateKey, parseDateKey, toDateKey, getCyclePhase } from './repository.js';
+
+/**
+ * Rule types with their labels, in menu order
+ */
+export const RECURRENCE_TYPES = {
+  daily: 'Every day',
+  weekdays: 'Weekdays (Mon–Fri)',
+  interval: 'Every N days',
+  monthly: 'Monthly on day',
+  cycle: 'During cycle phase'
+};
+
+export const CYCLE_PHASES = {
+  menstrual: 'Period',
+  follicular: 'Follicular',
+  ovulation: 'Ovulation',
+  luteal: 'Luteal'
+};
+
+/**
+ * @typedef {Object} RecurrenceRule
+ * @property {'daily'|'weekdays'|'interval'|'monthly'|'cycle'} type
+ * @property {number} interval - Days between occurrences ('interval', 2-365)
+ * @property {number} day - Day of month ('monthly', 1-31; short months use their last day)
+ * @property {string} phase - Cycle phase ('cycle', see CYCLE_PHASES)
+ */
+
+/**
+ * @typedef {Object} Series
+ * @property {string} id
+ * @property {string} text
+ * @property {string} time - Optional HH:MM, the occurrences' due time
+ * @property {RecurrenceRule} rule
+ * @property {string} start - First possible date (YYYY-MM-DD)
+ * @property {string} end - Last possible date, '' for open-ended
+ * @property {string[]} skipped - Dates whose occurrence was skipped
+ * @property {number} updatedAt - Last edit (ms); occurrences refresh when it changes
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+/**
+ * Coerce a rule into a RecurrenceRule (unknown types become 'daily')
+ */
+export function normalizeRule(raw = {}) {
+  return {
+    type: raw.type in RECURRENCE_TYPES ? raw.type : 'daily',
+    interval: clampInt(raw.interval, 2, 365, 2),
+    day: clampInt(raw.day, 1, 31, 1),
+    phase: raw.phase in CYCLE_PHASES ? raw.phase : 'menstrual'
+  };
+}
+
+function normalizeSeries(raw = {}) {
+  const start = normalizeDateKey(raw.start) || toDateKey(new Date());
+  return {
+    id: String(raw.id || ''),
+    text: String(raw.text || '').trim(),
+    time: /^\d{2}:\d{2}$/.test(raw.time || '') ? raw.time : '',
+    rule: normalizeRule(raw.rule),
+    start,
+    end: normalizeDateKey(raw.end),
+    skipped: Array.isArray(raw.skipped) ? [...new Set(raw.skipped.map(normalizeDateKey).filter(Boolean))].sort() : [],
+    updatedAt: typeof raw.updatedAt === 'number' ? raw.updatedAt : 0
+  };
+}
+
+/**
+ * Human-readable rule, e.g. 'Every 3 days'
+ */
+export function describeRule(rule) {
+  const r = normalizeRule(rule);
+  switch (r.type) {
+    case 'interval': return `Every ${r.interval} days`;
+    case 'monthly': return `Monthly on day ${r.day}`;
+    case 'cycle': return `${CYCLE_PHASES[r.phase]} phase days`;
+    default: return RECURRENCE_TYPES[r.type];
+  }
+}
+
+/**
+ * One-line label of a series ('09:00 Pay rent')
+ */
+export function occurrenceText(series) {
+  return series.time ? `${series.time} ${series.text}` : series.text;
+}
+
+/**
+ * Id of a series' occurrence on a date
+ */
+export function occurrenceId(seriesId, date) {
+  return `${seriesId}@${date}`;
+}
+
+/**
+ * All series, oldest first
+ * @returns {Series[]}
+ */
+export function listSeries() {
+  return getKeys('series')
+    .map(key => normalizeSeries(get('series', key.split('::').pop())))
+    .filter(s => s.id && s.text)
+    .sort((a, b) => a.start.localeCompare(b.start) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Get a series by id (null when it does not exist)
+ * @returns {Series|null}
+ */
+export function getSeries(id) {
+  const stored = id ? get('series', id) : null;
+  return stored ? normalizeSeries({ ...stored, id }) : null;
+}
+
+/**
+ * Store a series. Returns the stored series, or null when it has no text.
+ */
+export function saveSeries(series) {
+  const next = normalizeSeries({ ...series, updatedAt: Date.now() });
+  if (!next.id || !next.text) return null;
+  return set('series', next.id, next) ? next : null;
+}
+
+/**
+ * Create a series starting on `start`
+ */
+export function createSeries({ text, time = '', rule, start }) {
+  const id = `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  return saveSeries({ id, text, time, rule, start });
+}
+
+/**
+ * Change text, time or rule of every open occurrence
+ */
+export function updateSeries(id, patch) {
+  const series = getSeries(id);
+  return series ? saveSeries({ ...series, ...patch, id }) : null;
+}
+
+/**
+ * Skip one occurrence without touching the rest of the series
+ */
+export function skipOccurrence(id, date) {
+  const series = getSeries(id);
+  const key = normalizeDateKey(date);
+  if (!series || !key) return false;
+  // skipping is not a series edit: other occurrences keep their revision
+  return set('series', id, { ...series, skipped: [...series.skipped, key] });
+}
+
+/**
+ * End a series after `lastDate` (the series is removed when it ends before its start)
+ */
+export function endSeries(id, lastDate) {
+  const series = getSeries(id);
+  const key = normalizeDateKey(lastDate);
+  if (!series || !key) return false;
+  if (key < series.start) return remove('series', id);
+  return !!saveSeries({ ...series, end: key });
+}
+
+/**
+ * Whether a series has an occurrence on a date.
+ * `phaseOf` returns the cycle phase info of a date (defaults to the stored cycle data).
+ */
+export function occursOn(series, date, phaseOf = getCyclePhase) {
+  const key = normalizeDateKey(date);
+  if (!key || key < series.start || (series.end && key > series.end) || series.skipped.includes(key)) return false;
+
+  const d = parseDateKey(key);
+  const { rule } = series;
+  switch (rule.type) {
+    case 'weekdays':
+      return d.getDay() >= 1 && d.getDay() <= 5;
+    case 'interval':
+      return Math.round((d - parseDateKey(series.start)) / DAY_MS) % rule.interval === 0;
+    case 'monthly': {
+      const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+      return d.getDate() === Math.min(rule.day, lastDay);
+    }
+    case 'cycle':
+      return phaseOf(key)?.phase === rule.phase;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Series with an occurrence on a date
+ */
+export function seriesOn(date, all = listSeries()) {
+  return all.filter(series => occursOn(series, date));
+}
+
+/**
+ * Bring a day's todo list in line with the series:
+ *  - adds missing occurrences, unless removed from this day before (`removed` = DayRecord.deletedTodos)
+ *  - refreshes open occurrences after an "edit series"
+ *  - drops open occurrences the series no longer has (skipped, ended, rule changed)
+ * Completed occurrences are history and stay as they are.
+ * @returns {{todos: Todo[], changed: boolean}}
+ */
+export function applyOccurrences(todos, date, removed = {}) {
+  const key = normalizeDateKey(date);
+  if (!key) return { todos, changed: false };
+
+  const all = listSeries();
+  const byId = new Map(all.map(s => [s.id, s]));
+  let changed = false;
+
+  const kept = todos.flatMap(todo => {
+    if (!todo.seriesId || todo.completed) return [todo];
+    const series = byId.get(todo.seriesId);
+    if (!series || !occursOn(series, key)) {
+      changed = true;
+      return [];
+    }
+    if (series.updatedAt > (todo.seriesRev || 0)) {
+      changed = true;
+      return [{ ...todo, text: series.text, due: series.time, seriesRev: series.updatedAt }];
+    }
+    return [todo];
+  });
+
+  const present = new Set(kept.map(t => t.id));
+  seriesOn(key, all).forEach(series => {
+    const id = occurrenceId(series.id, key);
+    if (present.has(id) || removed[id]) return;
+    kept.push({ id, text: series.text, due: series.time, completed: false, seriesId: series.id, seriesRev: series.updatedAt });
+    changed = true;
+  });
+
+  return { todos: kept, changed };
+}
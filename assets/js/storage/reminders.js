@@ -0,0 +1,173 @@
+/**
+ * Cherry Planner - Reminders
+ * What is due to be reminded of right now, read from the day records and the cycle
+ * settings, so both planners remind of the same things:
+ *   todos   an open todo of today with a due time (`lead` minutes early)
+ *   water   once an hour while today's hydration is below the goal
+ *   period  once, two days before the start the cycle card predicts (the cycle history
+ *           through the prediction engine, so an overdue cycle is not wrapped round)
+ * Nothing fires during quiet hours. Reminders already shown on this device are kept
+ * in `cherry::system::reminders` (never synced or backed up) so a reload does not
+ * repeat them.
+ */
+
+import { get, set } from './store.js';
+import { getDay, getCycleSettings, getPlannerSettings, timeToMinutes, toDateKey, parseDateKey } from './repository.js';
+import { getCycleHistory } from './cycle.js';
+import { hydrationMl, formatVolume } from './water.js';
+import { applyOccurrences } from './recurrence.js';
+import { CyclePredictionEngine } from '../calculator/prediction-engine.js';
+
+const engine = new CyclePredictionEngine();
+
+/**
+ * Reminder types with their labels
+ */
+export const REMINDER_TYPES = {
+  todos: 'Tasks at their due time',
+  water: 'Hourly water until the goal is met',
+  period: 'Period expected in 2 days'
+};
+
+/**
+ * Minutes before a todo's due time its reminder may fire
+ */
+export const REMINDER_LEADS = [0, 5, 10, 15, 30];
+
+export const PERIOD_NOTICE_DAYS = 2;
+
+// A todo reminder missed by more than this (page closed, quiet hours) is dropped
+const LATE_MINUTES = 30;
+
+/**
+ * @typedef {Object} ReminderSettings
+ * @property {boolean} enabled - Master switch (off until the user turns reminders on)
+ * @property {boolean} todos
+ * @property {boolean} water
+ * @property {boolean} period
+ * @property {number} lead - Minutes before the due time (one of REMINDER_LEADS)
+ * @property {string} quietStart - HH:MM, '' for no quiet hours
+ * @property {string} quietEnd - HH:MM (may be before quietStart: quiet over midnight)
+ */
+
+const DEFAULTS = { enabled: false, todos: true, water: true, period: true, lead: 0, quietStart: '22:00', quietEnd: '07:00' };
+
+/**
+ * @typedef {Object} Reminder
+ * @property {string} key - Unique per reminder and day; used to show it once
+ * @property {string} type - A REMINDER_TYPES key
+ * @property {string} title
+ * @property {string} body
+ */
+
+/**
+ * Get the reminder settings
+ * @returns {ReminderSettings}
+ */
+export function getReminderSettings() {
+  const stored = get('settings', 'reminders', {}) || {};
+  const time = value => Number.isNaN(timeToMinutes(value)) ? '' : value;
+  return {
+    enabled: !!stored.enabled,
+    todos: stored.todos !== false,
+    water: stored.water !== false,
+    period: stored.period !== false,
+    lead: REMINDER_LEADS.includes(stored.lead) ? stored.lead : DEFAULTS.lead,
+    quietStart: 'quietStart' in stored ? time(stored.quietStart) : DEFAULTS.quietStart,
+    quietEnd: 'quietEnd' in stored ? time(stored.quietEnd) : DEFAULTS.quietEnd
+  };
+}
+
+/**
+ * Merge into the reminder settings
+ */
+export function saveReminderSettings(patch) {
+  return set('settings', 'reminders', { ...getReminderSettings(), ...patch });
+}
+
+/**
+ * Whether `now` falls in the quiet hours (start inclusive, end exclusive)
+ */
+export function isQuiet(now, settings = getReminderSettings()) {
+  const start = timeToMinutes(settings.quietStart);
+  const end = timeToMinutes(settings.quietEnd);
+  if (Number.isNaN(start) || Number.isNaN(end) || start === end) return false;
+  const minute = now.getHours() * 60 + now.getMinutes();
+  return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+/**
+ * Reminders due at `now` that were not shown yet, per the settings
+ * @returns {Reminder[]}
+ */
+export function dueReminders(now = new Date(), settings = getReminderSettings()) {
+  if (!settings.enabled || isQuiet(now, settings)) return [];
+  const date = toDateKey(now);
+  const minute = now.getHours() * 60 + now.getMinutes();
+  const day = getDay(date);
+  const out = [];
+
+  if (settings.todos) {
+    applyOccurrences(day.todos, date, day.deletedTodos).todos
+      .filter(todo => !todo.completed && todo.due && todo.text.trim())
+      .forEach(todo => {
+        const due = timeToMinutes(todo.due);
+        if (minute < due - settings.lead || minute > due + LATE_MINUTES) return;
+        out.push({
+          key: `todo:${date}:${todo.id}:${todo.due}`,
+          type: 'todos',
+          title: `⏰ ${todo.text.trim()}`,
+          body: minute < due ? `Due at ${todo.due} (in ${due - minute} min)` : `Due at ${todo.due}`
+        });
+      });
+  }
+
+  const drunk = hydrationMl(day.water);
+  if (settings.water && drunk < day.water.target) {
+    const { waterUnit } = getPlannerSettings();
+    out.push({
+      key: `water:${date}:${now.getHours()}`,
+      type: 'water',
+      title: '💧 Time for a glass of water',
+      body: `${formatVolume(drunk, waterUnit)} of ${formatVolume(day.water.target, waterUnit)} so far today`
+    });
+  }
+
+  const notice = parseDateKey(date);
+  notice.setDate(notice.getDate() + PERIOD_NOTICE_DAYS);
+  const expected = settings.period ? predictedStart(date) : null;
+  if (expected && toDateKey(expected) === toDateKey(notice)) {
+    out.push({
+      key: `period:${toDateKey(expected)}`,
+      type: 'period',
+      title: `🌸 Period expected in ${PERIOD_NOTICE_DAYS} days`,
+      body: `Predicted start: ${expected.toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' })}`
+    });
+  }
+
+  const sent = sentToday(date);
+  return out.filter(reminder => !sent.includes(reminder.key));
+}
+
+// Next start as the cycle card predicts it on `date`; null without a known start
+function predictedStart(date) {
+  const history = getCycleHistory(date);
+  if (!history.length) return null;
+  const { len, luteal, adv } = getCycleSettings();
+  const cycles = history.map(cycle => ({ ...cycle, start: parseDateKey(cycle.start) }));
+  const { predictions } = engine.analyzeCycles(cycles, { lutealLength: adv ? luteal : 14, advancedEstimation: adv, cycleLength: len });
+  return predictions?.nextCycle?.startDate || null;
+}
+
+function sentToday(date) {
+  const log = get('system', 'reminders', {}) || {};
+  return log.date === date && Array.isArray(log.sent) ? log.sent : [];
+}
+
+/**
+ * Note reminders as shown on this device (the log only keeps today's)
+ */
+export function markSent(reminders, now = new Date()) {
+  const date = toDateKey(now);
+  return set('system', 'reminders', { date, sent: [...sentToday(date), ...reminders.map(r => r.key)] });
+}
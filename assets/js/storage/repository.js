@@ -0,0 +1,1236 @@
+/**
+ * Cherry Planner - Data Repository
+ * Typed day, cycle and settings records behind a single schema version.
+ * Both planners and the premium modules read and write through here;
+ * `migrate()` folds every legacy key family into these records once.
+ */
+
+import { get, set, remove, getKeys, readRaw, removeRaw, rawKeys, queryRange, getProfileId } from './store.js';
+import { DEFAULT_PROFILE } from './profiles.js';
+
+export const SCHEMA_VERSION = 6;
+
+/**
+ * @typedef {Object} DayRecord
+ * @property {string} date - Local date key (YYYY-MM-DD)
+ * @property {Todo[]} todos - In list order; the "top priorities" are a view over their `priority`
+ * @property {TimeBlock[]} blocks - Schedule, ordered by start time
+ * @property {string} meal_breakfast
+ * @property {string} meal_lunch
+ * @property {string} meal_dinner
+ * @property {string} meal_snacks
+ * @property {{intakes: WaterIntake[], target: number, activity: number, manual: boolean, removed: Object<string, number>}} water
+ *   What was drunk, the day's goal in ml of hydration (see DRINKS), active minutes (for the calculated
+ *   goal), whether the goal was set by hand while the calculator is on, and removed intake ids -> removal time
+ * @property {FoodEntry[]} nutrition - Foods logged per meal, when nutrition is tracked (see nutrition.js)
+ * @property {Object<string, number>} habits - Habit id -> the day's value: 1 for a yes/no habit,
+ *   times for a count habit, minutes for a duration habit (see habits.js); 0 is not stored
+ * @property {Object<string, number>} symptoms - SYMPTOMS key -> the day's severity, 0 (none) to 3;
+ *   symptoms not logged that day are missing
+ * @property {{moods: Object<string, number>, notes: string, emotion?: string, rating?: number}} mood
+ *   Emoji-keyed 0-10 intensities; `emotion`/`rating` hold the professional planner's single pick
+ * @property {string} grat1
+ * @property {string} grat2
+ * @property {string} grat3
+ * @property {{text: string}} notes
+ * @property {string} dayNote - Calendar note (scheduled tasks are `- [ ] HH:MM text` lines)
+ * @property {number} updatedAt - Last write (ms since epoch)
+ * @property {Object<string, number>} edited - Last change per field (ms), for field-level sync merges
+ * @property {Object<string, number>} deletedTodos - Removed todo ids -> removal time (kept 90 days)
+ *
+ * Stored as two records so the free-text payload can be queried and grown separately:
+ *   cherry::day::<date>    everything except `notes` and `dayNote`
+ *   cherry::notes::<date>  {date, text, dayNote, edited: {notes, dayNote}}
+ */
+
+/**
+ * @typedef {Object} Todo
+ * @property {string} id - Stable id; occurrences of a series use `<seriesId>@<date>`
+ * @property {string} text
+ * @property {boolean} completed
+ * @property {string} due - Due time (HH:MM) or ''
+ * @property {number} priority - 0 none, 1 high, 2 medium, 3 low (see TODO_PRIORITIES)
+ * @property {string[]} tags - Lowercase, without '#'
+ * @property {number} duration - Estimated minutes, 0 when not set
+ * @property {Subtask[]} subtasks
+ * @property {number} postponed - Times it was carried over to a later day (see carryover.js)
+ * @property {string} [seriesId] - Recurring series this todo is an occurrence of (see recurrence.js)
+ * @property {number} [seriesRev] - Series `updatedAt` the occurrence was last refreshed from
+ */
+
+/**
+ * @typedef {Object} WaterIntake
+ * @property {string} id
+ * @property {string} time - HH:MM, '' when not known (intakes migrated from glass counts)
+ * @property {number} ml - Volume drunk
+ * @property {string} drink - A DRINKS key
+ */
+
+/**
+ * @typedef {Object} FoodEntry
+ * @property {string} id
+ * @property {string} meal - The meal field it was eaten at (meal_breakfast, ...)
+ * @property {string} food - Id in the bundled food table (assets/data/foods.json)
+ * @property {number} grams - Portion eaten
+ */
+
+/**
+ * @typedef {Object} Subtask
+ * @property {string} id
+ * @property {string} text
+ * @property {boolean} completed
+ */
+
+/**
+ * @typedef {Object} TimeBlock
+ * @property {string} id
+ * @property {string} start - HH:MM
+ * @property {string} end - HH:MM after `start` ('24:00' is midnight)
+ * @property {string} text
+ * @property {string} todoId - Linked todo, '' when none
+ */
+
+/**
+ * @typedef {Object} CycleSettings
+ * @property {string} start - Last period start (YYYY-MM-DD) or ''
+ * @property {string} end - Optional end of that cycle (YYYY-MM-DD) or ''
+ * @property {number} len - Cycle length in days (20-40)
+ * @property {number} period - Period length in days (1-10)
+ * @property {number} luteal - Luteal phase length in days (8-18)
+ * @property {boolean} adv - Use luteal length for ovulation estimates
+ * @property {boolean} fam - Fertility-awareness mode: fertile days from the logged signs (see fertility.js)
+ */
+
+/**
+ * @typedef {Object} CycleEvent
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} type - 'start' (a period began), 'period' (a bleeding day), 'bbt' (a waking temperature),
+ *   'mucus' (a cervical mucus observation) or 'lh' (an LH test)
+ * @property {string} [flow] - A FLOWS key, on 'period' events
+ * @property {number} [temp] - °C to two decimals, on 'bbt' events
+ * @property {string} [mucus] - A MUCUS key, on 'mucus' events
+ * @property {string} [result] - An LH_RESULTS key, on 'lh' events
+ */
+
+/**
+ * @typedef {Object} PlannerSettings
+ * @property {number} waterGoal - Default daily goal (ml) for days without a record
+ * @property {'ml'|'oz'} waterUnit - Unit volumes are shown and typed in
+ * @property {number[]} glassSizes - Quick-add volumes (ml), smallest first
+ * @property {boolean} waterAuto - Work out each day's goal from weight, activity and cycle phase
+ * @property {number} weightKg - Body weight for the calculated goal, 0 when not given
+ * @property {boolean} trackNutrition - Show food logging with the meals
+ * @property {'prompt'|'auto'|'off'} carryOver - What opening today does with earlier unfinished todos
+ * @property {string} carryOverReviewed - Day of the last carry-over review (YYYY-MM-DD) or ''
+ */
+
+// Emoji keys used by the base mood sliders, mapped to the named keys used by premium
+const MOOD_KEYS = {
+  happy: '😊',
+  calm: '😌',
+  sad: '😔',
+  tired: '😴',
+  loved: '🥰',
+  frustrated: '😤',
+  grateful: '🙏'
+};
+
+const TEXT_FIELDS = [
+  'meal_breakfast', 'meal_lunch', 'meal_dinner', 'meal_snacks',
+  'grat1', 'grat2', 'grat3',
+  'dayNote'
+];
+
+const MEAL_FIELDS = TEXT_FIELDS.filter(field => field.startsWith('meal_'));
+
+// Professional planner field -> day record field
+export const PROFESSIONAL_FIELDS = {
+  breakfast: 'meal_breakfast',
+  lunch: 'meal_lunch',
+  dinner: 'meal_dinner',
+  snacks: 'meal_snacks',
+  gratitude1: 'grat1',
+  gratitude2: 'grat2',
+  gratitude3: 'grat3'
+};
+
+// Fields stamped in DayRecord.edited when they change
+const EDIT_FIELDS = ['todos', 'blocks', 'water', 'nutrition', 'habits', 'symptoms', 'mood', 'notes', ...TEXT_FIELDS];
+
+// Free-text priority slots of schema v3 and earlier, folded into prioritised todos
+const LEGACY_PRIORITIES = ['prio1', 'prio2', 'prio3'];
+
+// Free-text schedule slots of schema v4 and earlier (with the professional planner's ids),
+// folded into blocks over the part of the day their label named
+const LEGACY_SCHEDULE = {
+  time_morning: { from: 'morning', start: '06:00', end: '12:00' },
+  time_noon: { from: 'afternoon', start: '12:00', end: '18:00' },
+  time_evening: { from: 'evening', start: '18:00', end: '22:00' }
+};
+
+/**
+ * Todo priority levels with their labels, most important first
+ */
+export const TODO_PRIORITIES = { 1: 'High', 2: 'Medium', 3: 'Low' };
+
+/**
+ * Drink types with the share of their volume that counts toward the water goal
+ */
+export const DRINKS = {
+  water: { label: 'Water', emoji: '💧', factor: 1 },
+  tea: { label: 'Tea', emoji: '🍵', factor: 0.9 },
+  coffee: { label: 'Coffee', emoji: '☕', factor: 0.8 },
+  juice: { label: 'Juice', emoji: '🧃', factor: 0.85 },
+  milk: { label: 'Milk', emoji: '🥛', factor: 0.9 }
+};
+
+/**
+ * Volume of one of the former "glasses", used to migrate glass counts and goals
+ */
+export const DEFAULT_GLASS_ML = 250;
+
+/**
+ * Largest single intake (ml); larger amounts are logged as several
+ */
+export const INTAKE_MAX_ML = 2000;
+
+const TOMBSTONE_TTL = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Bleeding intensity of a logged period day, lightest first. Spotting is logged but
+ * does not count as a period day.
+ */
+export const FLOWS = { spotting: 'Spotting', light: 'Light', medium: 'Medium', heavy: 'Heavy' };
+
+/**
+ * Daily symptoms, each logged with a severity of 0 (none) to 3 (severe). Libido and sleep
+ * are logged as problems so that a higher number always reads as worse.
+ */
+export const SYMPTOMS = {
+  cramps: 'Cramps',
+  headache: 'Headache',
+  bloating: 'Bloating',
+  acne: 'Acne',
+  breasts: 'Breast tenderness',
+  libido: 'Low libido',
+  sleep: 'Poor sleep'
+};
+
+/**
+ * Cervical mucus observations, driest (least fertile) first
+ */
+export const MUCUS = { dry: 'Dry', sticky: 'Sticky', creamy: 'Creamy', watery: 'Watery', eggwhite: 'Egg white' };
+
+/**
+ * LH (ovulation) test results; the peak is the strongest line of the surge
+ */
+export const LH_RESULTS = { negative: 'Negative', positive: 'Positive', peak: 'Peak' };
+
+// Basal body temperatures accepted (°C)
+export const BBT_MIN = 35;
+export const BBT_MAX = 38.5;
+
+// Daily goal bounds (ml)
+export const WATER_GOAL_MIN = 500;
+export const WATER_GOAL_MAX = 6000;
+
+const PLANNER_DEFAULTS = { waterGoal: 2000, waterUnit: 'ml', glassSizes: [150, 250, 330, 500], waterAuto: false, weightKg: 0, trackNutrition: false, carryOver: 'prompt' };
+
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function stamps(raw) {
+  if (!raw || typeof raw !== 'object') return {};
+  return Object.fromEntries(Object.entries(raw).filter(([, ts]) => typeof ts === 'number' && ts > 0));
+}
+
+/**
+ * New unique todo id
+ */
+export function newTodoId() {
+  return `t${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Stable id for todos stored before ids existed, so every read yields the same one
+function legacyTodoId(date, index, text) {
+  let hash = 0x811c9dc5;
+  for (const ch of `${date}|${index}|${text}`) hash = Math.imul(hash ^ ch.codePointAt(0), 0x01000193);
+  return `l${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * Split tag input ('work, #Home errands') into normalized tags
+ */
+export function parseTags(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  const tags = list.map(t => String(t).trim().replace(/^#+/, '').toLowerCase().slice(0, 24)).filter(Boolean);
+  return [...new Set(tags)].slice(0, 8);
+}
+
+/**
+ * Coerce a stored or edited todo into a Todo. Subtasks without an id get one derived
+ * from the todo's, so repeated reads agree.
+ */
+export function normalizeTodo(raw = {}, id = raw.id) {
+  const todoId = id ? String(id) : newTodoId();
+  const todo = {
+    id: todoId,
+    text: typeof raw.text === 'string' ? raw.text : '',
+    completed: !!raw.completed,
+    due: /^([01]\d|2[0-3]):[0-5]\d$/.test(raw.due || '') ? raw.due : '',
+    priority: raw.priority in TODO_PRIORITIES ? Number(raw.priority) : 0,
+    tags: parseTags(raw.tags),
+    duration: clampInt(raw.duration, 0, 24 * 60, 0),
+    subtasks: (Array.isArray(raw.subtasks) ? raw.subtasks : [])
+      .filter(st => st && typeof st.text === 'string')
+      .map((st, i) => ({ id: st.id ? String(st.id) : `${todoId}.${i}`, text: st.text, completed: !!st.completed })),
+    postponed: clampInt(raw.postponed, 0, 999, 0)
+  };
+  if (raw.seriesId) Object.assign(todo, { seriesId: String(raw.seriesId), seriesRev: Number(raw.seriesRev) || 0 });
+  return todo;
+}
+
+/**
+ * The "top priorities" view: prioritised todos with text, open ones first, then by
+ * priority, then in list order
+ */
+export function topPriorities(todos, limit = 3) {
+  return todos
+    .map((todo, index) => ({ todo, index }))
+    .filter(({ todo }) => todo.priority && todo.text.trim())
+    .sort((a, b) => a.todo.completed - b.todo.completed || a.todo.priority - b.todo.priority || a.index - b.index)
+    .slice(0, limit)
+    .map(({ todo }) => todo);
+}
+
+/**
+ * Minutes since midnight of an 'HH:MM' time ('24:00' is 1440), NaN when invalid
+ */
+export function timeToMinutes(value) {
+  const m = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  if (m) return Number(m[1]) * 60 + Number(m[2]);
+  return value === '24:00' ? 24 * 60 : NaN;
+}
+
+/**
+ * 'HH:MM' for minutes since midnight (clamped to 00:00-24:00)
+ */
+export function minutesToTime(minutes) {
+  const m = Math.min(24 * 60, Math.max(0, Math.round(minutes)));
+  return `${pad(Math.floor(m / 60))}:${pad(m % 60)}`;
+}
+
+/**
+ * Coerce a stored or edited block into a TimeBlock. A block without a valid end
+ * lasts an hour (up to midnight); one that would end before it starts lasts 15 minutes.
+ */
+export function normalizeBlock(raw = {}, id = raw.id) {
+  const start = Math.min(24 * 60 - 15, timeToMinutes(raw.start) || 0);
+  const end = timeToMinutes(raw.end);
+  return {
+    id: id ? String(id) : newTodoId(),
+    start: minutesToTime(start),
+    end: minutesToTime(Number.isNaN(end) ? Math.min(24 * 60, start + 60) : Math.max(start + 15, end)),
+    text: typeof raw.text === 'string' ? raw.text : '',
+    todoId: typeof raw.todoId === 'string' ? raw.todoId : ''
+  };
+}
+
+/**
+ * Blocks in timeline order: by start, then end
+ */
+export function sortBlocks(blocks) {
+  return [...blocks].sort((a, b) => a.start.localeCompare(b.start) || a.end.localeCompare(b.end));
+}
+
+/**
+ * Format a Date as a local YYYY-MM-DD key
+ */
+export function toDateKey(date) {
+  const d = date instanceof Date ? date : new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Normalize any stored date form ('2024-3-5', '2024-03-05', ISO timestamp) to YYYY-MM-DD.
+ * Returns '' for unparseable input.
+ */
+export function normalizeDateKey(value) {
+  if (!value) return '';
+  if (value instanceof Date) return isNaN(value) ? '' : toDateKey(value);
+  const match = String(value).match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) return `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+  const parsed = new Date(value);
+  return isNaN(parsed) ? '' : toDateKey(parsed);
+}
+
+/**
+ * Parse a YYYY-MM-DD key as a local Date
+ */
+export function parseDateKey(key) {
+  const [y, m, d] = String(key).split('-').map(n => parseInt(n, 10));
+  return new Date(y, m - 1, d);
+}
+
+function defaultMoods() {
+  return Object.fromEntries(Object.values(MOOD_KEYS).map(emoji => [emoji, 5]));
+}
+
+/**
+ * Convert premium's named mood scores to emoji-keyed intensities
+ */
+export function moodsFromScores(scores = {}) {
+  const moods = defaultMoods();
+  Object.entries(MOOD_KEYS).forEach(([name, emoji]) => {
+    if (typeof scores[name] === 'number') moods[emoji] = scores[name];
+  });
+  return moods;
+}
+
+/**
+ * Convert emoji-keyed intensities to premium's named mood scores
+ */
+export function scoresFromMoods(moods = {}) {
+  const scores = {};
+  Object.entries(MOOD_KEYS).forEach(([name, emoji]) => {
+    scores[name] = typeof moods[emoji] === 'number' ? moods[emoji] : 5;
+  });
+  return scores;
+}
+
+function normalizeMood(raw = {}) {
+  const mood = { moods: defaultMoods(), notes: typeof raw.notes === 'string' ? raw.notes : '' };
+
+  if (raw.moods && typeof raw.moods === 'object') {
+    Object.keys(mood.moods).forEach(emoji => {
+      if (typeof raw.moods[emoji] === 'number') mood.moods[emoji] = clampInt(raw.moods[emoji], 0, 10, 5);
+    });
+  } else if (typeof raw.happy === 'number') {
+    // Premium named-score format
+    mood.moods = moodsFromScores(raw);
+  } else if (raw.mood && raw.score) {
+    // Legacy single mood ({mood: emoji|name, score})
+    const emoji = MOOD_KEYS[raw.mood] || raw.mood;
+    if (emoji in mood.moods) mood.moods[emoji] = clampInt(raw.score, 0, 10, 5);
+  }
+
+  if (raw.emotion) {
+    // Professional planner single pick; mirror it into the matching slider when one exists
+    mood.emotion = raw.emotion;
+    mood.rating = clampInt(raw.rating, 1, 10, 5);
+    if (!raw.moods && MOOD_KEYS[raw.emotion]) mood.moods[MOOD_KEYS[raw.emotion]] = mood.rating;
+  }
+
+  return mood;
+}
+
+/**
+ * Set the professional planner's single emotion pick on a mood entry,
+ * mirroring the rating into the matching slider when one exists
+ */
+export function applyEmotion(mood, emotion, rating) {
+  const next = { ...mood, moods: { ...mood.moods }, emotion: emotion || '', rating };
+  if (MOOD_KEYS[emotion]) next.moods[MOOD_KEYS[emotion]] = rating;
+  return next;
+}
+
+/**
+ * Create an empty day record
+ */
+export function createDay(date) {
+  const record = {
+    date: normalizeDateKey(date),
+    todos: [],
+    blocks: [],
+    water: { intakes: [], target: getPlannerSettings().waterGoal, activity: 0, manual: false, removed: {} },
+    nutrition: [],
+    habits: {},
+    symptoms: {},
+    mood: { moods: defaultMoods(), notes: '' },
+    notes: { text: '' },
+    updatedAt: 0,
+    edited: {},
+    deletedTodos: {}
+  };
+  TEXT_FIELDS.forEach(field => { record[field] = ''; });
+  return record;
+}
+
+/**
+ * Coerce a stored or collected object into a DayRecord.
+ * Accepts the legacy flat fields (waterCount, moodValues, notesText, ...) as fallbacks.
+ */
+export function normalizeDay(raw = {}, date = raw.date) {
+  const record = createDay(date);
+
+  TEXT_FIELDS.forEach(field => {
+    if (typeof raw[field] === 'string') record[field] = raw[field];
+  });
+
+  if (Array.isArray(raw.todos)) {
+    record.todos = raw.todos
+      .filter(t => t && typeof t.text === 'string')
+      .map((t, i) => normalizeTodo(t, t.id || legacyTodoId(record.date, i, t.text)));
+  }
+
+  record.water = normalizeWater(raw.water || { count: raw.waterCount, target: raw.waterTarget }, record);
+
+  if (Array.isArray(raw.nutrition)) {
+    record.nutrition = raw.nutrition.filter(e => e && typeof e.food === 'string').map(e => normalizeFoodEntry(e));
+  }
+
+  record.habits = normalizeHabitValues(raw.habits);
+  record.symptoms = normalizeSymptoms(raw.symptoms);
+
+  record.mood = normalizeMood(raw.mood || {
+    moods: raw.moodValues,
+    mood: raw.moodType,
+    score: raw.moodScore,
+    notes: raw.moodNotes
+  });
+
+  if (raw.notes && typeof raw.notes === 'object') {
+    record.notes = { text: raw.notes.text || '' };
+  } else {
+    record.notes = { text: typeof raw.notes === 'string' ? raw.notes : (raw.notesText || '') };
+  }
+
+  if (Array.isArray(raw.blocks)) {
+    record.blocks = raw.blocks.filter(b => b && typeof b === 'object').map(b => normalizeBlock(b, b.id || newTodoId()));
+  }
+
+  record.updatedAt = typeof raw.updatedAt === 'number' ? raw.updatedAt : 0;
+  record.edited = stamps(raw.edited);
+  record.deletedTodos = stamps(raw.deletedTodos);
+
+  // schedule slot text becomes a block, unless the blocks were edited after it (the block was removed)
+  Object.entries(LEGACY_SCHEDULE).forEach(([field, { start, end }]) => {
+    const text = typeof raw[field] === 'string' ? raw[field].trim() : '';
+    const id = legacyTodoId(record.date, field, text);
+    if (!text || record.blocks.some(b => b.id === id) || (record.edited.blocks || 0) > (record.edited[field] || 0)) return;
+    record.blocks.push(normalizeBlock({ start, end, text }, id));
+  });
+  record.blocks = sortBlocks(record.blocks);
+
+  // prio1..3 text (older records, or a device that has not updated yet) becomes a prioritised todo
+  LEGACY_PRIORITIES.forEach((field, i) => {
+    const text = typeof raw[field] === 'string' ? raw[field].trim() : '';
+    const id = legacyTodoId(record.date, field, text);
+    if (!text || record.deletedTodos[id] || record.todos.some(t => t.id === id)) return;
+    record.todos.push(normalizeTodo({ text, priority: i + 1 }, id));
+  });
+  return record;
+}
+
+/**
+ * Coerce a stored or edited intake into a WaterIntake
+ */
+export function normalizeIntake(raw = {}, id = raw.id) {
+  return {
+    id: id ? String(id) : newTodoId().replace(/^t/, 'w'),
+    time: /^([01]\d|2[0-3]):[0-5]\d$/.test(raw.time || '') ? raw.time : '',
+    ml: clampInt(raw.ml, 1, INTAKE_MAX_ML, DEFAULT_GLASS_ML),
+    drink: raw.drink in DRINKS ? raw.drink : 'water'
+  };
+}
+
+/**
+ * Coerce a stored or edited entry into a FoodEntry
+ */
+export function normalizeFoodEntry(raw = {}, id = raw.id) {
+  return {
+    id: id ? String(id) : newTodoId().replace(/^t/, 'f'),
+    meal: MEAL_FIELDS.includes(raw.meal) ? raw.meal : MEAL_FIELDS[0],
+    food: String(raw.food || '').slice(0, 40),
+    grams: clampInt(raw.grams, 1, 2000, 100)
+  };
+}
+
+// Records before schema v6 counted glasses ({count, target}); each glass becomes an untimed
+// DEFAULT_GLASS_ML intake with a stable id, so devices migrating the same day agree
+// (12 glasses against a goal of 10 → 12 × 250 ml intakes against 2500 ml)
+function normalizeWater(water, record) {
+  if (!Array.isArray(water.intakes)) {
+    const count = clampInt(water.count, 0, 99, 0);
+    const target = clampInt(water.target, 1, 24, 0);
+    return {
+      intakes: Array.from({ length: count }, (_, i) => normalizeIntake({ ml: DEFAULT_GLASS_ML }, legacyTodoId(record.date, 'water', `${i + 1}/${count}`))),
+      target: target ? target * DEFAULT_GLASS_ML : record.water.target,
+      activity: 0,
+      manual: false,
+      removed: {}
+    };
+  }
+  return {
+    intakes: water.intakes
+      .filter(i => i && typeof i === 'object')
+      .map(i => normalizeIntake(i, i.id || newTodoId().replace(/^t/, 'w')))
+      .sort((a, b) => a.time.localeCompare(b.time)),
+    target: clampInt(water.target, WATER_GOAL_MIN, WATER_GOAL_MAX, record.water.target),
+    activity: clampInt(water.activity, 0, 24 * 60, 0),
+    manual: water.manual === true,
+    removed: stamps(water.removed)
+  };
+}
+
+function normalizeHabitValues(values) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) return {};
+  return Object.fromEntries(Object.entries(values)
+    .map(([id, value]) => [id, clampInt(value, 0, 24 * 60, 0)])
+    .filter(([, value]) => value > 0));
+}
+
+export function normalizeSymptoms(values) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) return {};
+  return Object.fromEntries(Object.entries(values)
+    .filter(([key]) => SYMPTOMS[key])
+    .map(([key, value]) => [key, clampInt(value, 0, 3, 0)]));
+}
+
+// The notes record's own edit stamps win: sync may have merged it separately from the day
+function notesFields(notes, edited = {}) {
+  if (!notes) return {};
+  return {
+    notes: { text: notes.text || '' },
+    dayNote: notes.dayNote || '',
+    edited: { ...stamps(edited), ...stamps(notes.edited) }
+  };
+}
+
+function readDay(key) {
+  const stored = get('day', key);
+  const notes = get('notes', key);
+  if (stored === null && notes === null) return null;
+  return normalizeDay({ ...(stored || {}), ...notesFields(notes, stored?.edited) }, key);
+}
+
+function writeDay(day) {
+  const { notes, dayNote, ...rest } = day;
+  if (notes.text || dayNote) {
+    const edited = stamps({ notes: day.edited.notes, dayNote: day.edited.dayNote });
+    set('notes', day.date, { date: day.date, text: notes.text, dayNote, edited });
+  } else {
+    remove('notes', day.date);
+  }
+  return set('day', day.date, rest);
+}
+
+/**
+ * Check whether a day has a stored record
+ */
+export function hasDay(date) {
+  return readDay(normalizeDateKey(date)) !== null;
+}
+
+/**
+ * Get the record for a day (an empty record when none is stored)
+ */
+export function getDay(date) {
+  const key = normalizeDateKey(date);
+  return readDay(key) || createDay(key);
+}
+
+/**
+ * Store a day record
+ */
+export function saveDay(record) {
+  const day = normalizeDay(record);
+  if (!day.date) {
+    console.error('Cannot save day record without a date');
+    return false;
+  }
+  const now = Date.now();
+  stampEdits(readDay(day.date) || createDay(day.date), day, now);
+  day.updatedAt = now;
+  return writeDay(day);
+}
+
+/**
+ * Record which fields changed since the stored version, and which todos were removed
+ */
+function stampEdits(previous, day, now) {
+  const edited = {};
+  EDIT_FIELDS.forEach(field => {
+    const changed = JSON.stringify(previous[field]) !== JSON.stringify(day[field]);
+    const ts = changed ? now : Math.max(previous.edited[field] || 0, day.edited[field] || 0);
+    if (ts) edited[field] = ts;
+  });
+  day.edited = edited;
+
+  day.deletedTodos = tombstones(previous.todos, day.todos, { ...previous.deletedTodos, ...day.deletedTodos }, now);
+  day.water.removed = tombstones(previous.water.intakes, day.water.intakes, { ...previous.water.removed, ...day.water.removed }, now);
+}
+
+// Removal times of ids in `before` that are missing from `after`, merged into `known`
+function tombstones(before, after, known, now) {
+  const kept = new Set(after.map(item => item.id));
+  const removed = { ...known };
+  before.forEach(item => { if (!kept.has(item.id)) removed[item.id] = now; });
+  return Object.fromEntries(Object.entries(removed).filter(([id, ts]) => !kept.has(id) && now - ts < TOMBSTONE_TTL));
+}
+
+/**
+ * Patch selected fields of a day record.
+ * Object fields (water, habits, mood, notes) are merged one level deep so each planner
+ * only overwrites what it owns; a habit set to 0 is dropped.
+ */
+export function updateDay(date, patch) {
+  const current = getDay(date);
+  const next = { ...current, ...patch, date: current.date };
+  ['water', 'habits', 'mood', 'notes'].forEach(field => {
+    if (patch[field]) next[field] = { ...current[field], ...patch[field] };
+  });
+  return saveDay(next);
+}
+
+/**
+ * Move a stored todo to the end of another day's list, keeping its id (so sync sees
+ * a removal on one day and an addition on the other). A recurring occurrence becomes
+ * an ordinary todo, since it no longer sits on its series' date.
+ * Returns false when the todo is not stored on `from`.
+ */
+export function moveTodo(id, from, to) {
+  const source = getDay(from);
+  const target = getDay(to);
+  const todo = source.todos.find(t => t.id === id);
+  if (!todo || !target.date || source.date === target.date) return false;
+  const { seriesId, seriesRev, ...plain } = todo;
+  return saveDay({ ...source, todos: source.todos.filter(t => t.id !== id) })
+    && saveDay({ ...target, todos: [...target.todos.filter(t => t.id !== id), plain] });
+}
+
+/**
+ * Delete a day record
+ */
+export function removeDay(date) {
+  const key = normalizeDateKey(date);
+  remove('notes', key);
+  return remove('day', key);
+}
+
+/**
+ * List stored day keys in ascending order
+ */
+export function listDays() {
+  const dates = [...getKeys('day'), ...getKeys('notes')].map(key => key.split('::').pop());
+  return [...new Set(dates)].sort();
+}
+
+/**
+ * Get stored day records within [from, to] (inclusive YYYY-MM-DD bounds, both optional)
+ */
+export function getDays(from = '', to = '') {
+  const lo = normalizeDateKey(from);
+  const hi = normalizeDateKey(to);
+  return listDays()
+    .filter(key => (!lo || key >= lo) && (!hi || key <= hi))
+    .map(getDay);
+}
+
+/**
+ * Async range read of stored day records (inclusive bounds, both optional).
+ * Uses one date-index cursor per object store instead of a lookup per day.
+ */
+export async function queryDays(from = '', to = '') {
+  const lo = normalizeDateKey(from);
+  const hi = normalizeDateKey(to);
+  const [days, notes] = await Promise.all([queryRange('day', lo, hi), queryRange('notes', lo, hi)]);
+
+  const byDate = new Map(days);
+  notes.forEach(([date, value]) => {
+    const day = byDate.get(date) || {};
+    byDate.set(date, { ...day, ...notesFields(value, day.edited) });
+  });
+  return [...byDate.keys()].sort().map(date => normalizeDay(byDate.get(date), date));
+}
+
+/**
+ * Get named mood scores (premium format) for a day
+ */
+export function getMoodScores(date) {
+  const { mood } = getDay(date);
+  return { ...scoresFromMoods(mood.moods), notes: mood.notes };
+}
+
+/**
+ * Normalize cycle settings
+ */
+function normalizeCycleSettings(raw = {}) {
+  return {
+    start: normalizeDateKey(raw.start),
+    end: normalizeDateKey(raw.end),
+    len: clampInt(raw.len, 20, 40, 28),
+    period: clampInt(raw.period, 1, 10, 5),
+    luteal: clampInt(raw.luteal, 8, 18, 14),
+    adv: raw.adv !== false,
+    fam: raw.fam === true
+  };
+}
+
+/**
+ * Get cycle settings
+ */
+export function getCycleSettings() {
+  return normalizeCycleSettings(get('cycle', 'settings', {}));
+}
+
+/**
+ * Save cycle settings
+ */
+export function saveCycleSettings(settings) {
+  return set('cycle', 'settings', normalizeCycleSettings(settings));
+}
+
+function normalizeCycleEvents(events) {
+  if (!Array.isArray(events)) return [];
+  const seen = new Set();
+  return events
+    .map(e => (typeof e === 'string' ? { date: e, type: 'start' } : e))
+    .filter(e => e && e.date)
+    .map(e => ({ ...e, date: normalizeDateKey(e.date), type: e.type || 'start' }))
+    .map(e => (e.type === 'period' ? { ...e, flow: FLOWS[e.flow] ? e.flow : 'medium' } : e))
+    .map(e => (e.type === 'bbt' ? { ...e, temp: Math.round(Number(e.temp) * 100) / 100 } : e))
+    .filter(e => e.type !== 'bbt' || (e.temp >= BBT_MIN && e.temp <= BBT_MAX))
+    .filter(e => (e.type !== 'mucus' || MUCUS[e.mucus]) && (e.type !== 'lh' || LH_RESULTS[e.result]))
+    .filter(e => {
+      const id = `${e.type}:${e.date}`;
+      if (!e.date || seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get logged cycle events, optionally filtered by type
+ */
+export function getCycleEvents(type = '') {
+  const events = normalizeCycleEvents(get('cycle', 'log', []));
+  return type ? events.filter(e => e.type === type) : events;
+}
+
+/**
+ * Replace the cycle event log
+ */
+export function saveCycleEvents(events) {
+  return set('cycle', 'log', normalizeCycleEvents(events));
+}
+
+/**
+ * Logged period start dates (YYYY-MM-DD, ascending)
+ */
+export function getCycleStarts() {
+  return getCycleEvents('start').map(e => e.date);
+}
+
+/**
+ * Log or un-log a period start
+ */
+export function toggleCycleStart(date) {
+  const key = normalizeDateKey(date);
+  const events = getCycleEvents();
+  const exists = events.some(e => e.type === 'start' && e.date === key);
+  return saveCycleEvents(exists
+    ? events.filter(e => !(e.type === 'start' && e.date === key))
+    : [...events, { date: key, type: 'start' }]);
+}
+
+/**
+ * Logged period days with their flow (ascending)
+ * @returns {{date: string, flow: string}[]}
+ */
+export function getPeriodDays() {
+  return getCycleEvents('period').map(({ date, flow }) => ({ date, flow }));
+}
+
+/**
+ * Log a period day's flow (a FLOWS key), or un-log it with ''
+ */
+export function setPeriodDay(date, flow) {
+  const key = normalizeDateKey(date);
+  const events = getCycleEvents().filter(e => !(e.type === 'period' && e.date === key));
+  return saveCycleEvents(FLOWS[flow] ? [...events, { date: key, type: 'period', flow }] : events);
+}
+
+/**
+ * Logged basal body temperatures (ascending)
+ * @returns {{date: string, temp: number}[]}
+ */
+export function getTemperatures() {
+  return getCycleEvents('bbt').map(({ date, temp }) => ({ date, temp }));
+}
+
+/**
+ * Log a day's basal body temperature (°C), or un-log it with null
+ */
+export function setTemperature(date, temp) {
+  const key = normalizeDateKey(date);
+  const events = getCycleEvents().filter(e => !(e.type === 'bbt' && e.date === key));
+  return saveCycleEvents(temp === null || temp === '' ? events : [...events, { date: key, type: 'bbt', temp }]);
+}
+
+/**
+ * Logged cervical mucus observations (ascending)
+ * @returns {{date: string, mucus: string}[]}
+ */
+export function getMucus() {
+  return getCycleEvents('mucus').map(({ date, mucus }) => ({ date, mucus }));
+}
+
+/**
+ * Log a day's cervical mucus (a MUCUS key), or un-log it with ''
+ */
+export function setMucus(date, mucus) {
+  const key = normalizeDateKey(date);
+  const events = getCycleEvents().filter(e => !(e.type === 'mucus' && e.date === key));
+  return saveCycleEvents(MUCUS[mucus] ? [...events, { date: key, type: 'mucus', mucus }] : events);
+}
+
+/**
+ * Logged LH test results (ascending)
+ * @returns {{date: string, result: string}[]}
+ */
+export function getLhTests() {
+  return getCycleEvents('lh').map(({ date, result }) => ({ date, result }));
+}
+
+/**
+ * Log a day's LH test (an LH_RESULTS key), or un-log it with ''
+ */
+export function setLhTest(date, result) {
+  const key = normalizeDateKey(date);
+  const events = getCycleEvents().filter(e => !(e.type === 'lh' && e.date === key));
+  return saveCycleEvents(LH_RESULTS[result] ? [...events, { date: key, type: 'lh', result }] : events);
+}
+
+/**
+ * Clear the cycle event log
+ */
+export function clearCycleEvents() {
+  return remove('cycle', 'log');
+}
+
+/**
+ * Cycle phase of a date, projected from the latest logged start on or before it
+ * (or the configured start) with the average logged cycle length.
+ * Phases follow the calendar: period days, ovulation day ±1, follicular before, luteal after.
+ * @returns {{phase: 'menstrual'|'follicular'|'ovulation'|'luteal', cycleDay: number, length: number}|null}
+ *   null when no start is known before the date
+ */
+export function getCyclePhase(date) {
+  const key = normalizeDateKey(date);
+  const cfg = getCycleSettings();
+  const starts = getCycleStarts();
+  const seed = [...starts].reverse().find(s => s <= key) || (cfg.start && cfg.start <= key ? cfg.start : '');
+  if (!key || !seed) return null;
+
+  const day = 24 * 60 * 60 * 1000;
+  const gaps = starts.slice(1).map((s, i) => Math.round((parseDateKey(s) - parseDateKey(starts[i])) / day));
+  const length = gaps.length
+    ? Math.min(40, Math.max(20, Math.round(gaps.reduce((a, b) => a + b, 0) / gaps.length)))
+    : cfg.len;
+  const cycleDay = (Math.round((parseDateKey(key) - parseDateKey(seed)) / day) % length) + 1;
+  const ovulationDay = length - (cfg.adv ? cfg.luteal : 14);
+
+  let phase = 'luteal';
+  if (cycleDay <= cfg.period) phase = 'menstrual';
+  else if (Math.abs(cycleDay - ovulationDay) <= 1) phase = 'ovulation';
+  else if (cycleDay < ovulationDay) phase = 'follicular';
+  return { phase, cycleDay, length };
+}
+
+/**
+ * Get planner-wide settings
+ */
+export function getPlannerSettings() {
+  const stored = get('settings', 'planner', {});
+  // settings before schema v6 held the goal in glasses
+  const legacyGoal = stored.waterTarget ? clampInt(stored.waterTarget, 1, 24, 8) * DEFAULT_GLASS_ML : PLANNER_DEFAULTS.waterGoal;
+  const glassSizes = (Array.isArray(stored.glassSizes) ? stored.glassSizes : [])
+    .map(ml => clampInt(ml, 1, INTAKE_MAX_ML, 0)).filter(Boolean);
+  return {
+    waterGoal: clampInt(stored.waterGoal, WATER_GOAL_MIN, WATER_GOAL_MAX, legacyGoal),
+    waterUnit: stored.waterUnit === 'oz' ? 'oz' : 'ml',
+    glassSizes: glassSizes.length ? [...new Set(glassSizes)].sort((a, b) => a - b).slice(0, 6) : PLANNER_DEFAULTS.glassSizes,
+    waterAuto: stored.waterAuto === true,
+    weightKg: Number(stored.weightKg) >= 30 && Number(stored.weightKg) <= 300 ? Math.round(stored.weightKg * 10) / 10 : PLANNER_DEFAULTS.weightKg,
+    trackNutrition: stored.trackNutrition === true,
+    carryOver: ['prompt', 'auto', 'off'].includes(stored.carryOver) ? stored.carryOver : PLANNER_DEFAULTS.carryOver,
+    carryOverReviewed: normalizeDateKey(stored.carryOverReviewed)
+  };
+}
+
+/**
+ * Merge into planner-wide settings
+ */
+export function savePlannerSettings(patch) {
+  return set('settings', 'planner', { ...getPlannerSettings(), ...patch });
+}
+
+/**
+ * Get free-form per-app state (e.g. the professional planner's motivation panel)
+ */
+export function getAppState(name, defaultValue = {}) {
+  return get('app', name, defaultValue);
+}
+
+/**
+ * Save free-form per-app state
+ */
+export function saveAppState(name, state) {
+  return set('app', name, state);
+}
+
+/**
+ * Remove all planner data: days, recurring series, cycle settings and log, planner and
+ * reminder settings (with the log of reminders sent), habits, awarded badges, recipes,
+ * ticked shopping items and app state
+ */
+export function resetAll() {
+  ['day', 'notes', 'series', 'cycle', 'app'].forEach(domain => getKeys(domain).forEach(removeRaw));
+  ['planner', 'reminders', 'habits', 'achievements', 'recipes', 'shopping'].forEach(key => remove('settings', key));
+  remove('system', 'reminders');
+  return true;
+}
+
+/**
+ * ========= Migration =========
+ */
+
+function readLegacy(key, fallback = null) {
+  const raw = readRaw(key);
+  if (raw === null) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+function isBlank(field, value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (field === 'water') return !value.intakes.length;
+  if (field === 'notes') return !value.text;
+  if (field === 'mood') {
+    return !value.notes && !value.emotion && Object.values(value.moods || {}).every(v => v === 5);
+  }
+  return false;
+}
+
+/**
+ * Fill empty fields of a stored day with values from another source
+ */
+function fillDay(date, partial) {
+  const key = normalizeDateKey(date);
+  if (!key) return;
+  const target = readDay(key) || createDay(key);
+  const source = normalizeDay(partial, key);
+
+  Object.keys(partial).forEach(field => {
+    if (field in source && field !== 'date' && isBlank(field, target[field]) && !isBlank(field, source[field])) {
+      target[field] = source[field];
+    }
+  });
+  // priority slots come out of normalizeDay as todos; add the ones the day lacks
+  if (LEGACY_PRIORITIES.some(field => partial[field])) {
+    const known = new Set(target.todos.map(t => t.id));
+    target.todos.push(...source.todos.filter(t => t.priority && !known.has(t.id)));
+  }
+  // so do schedule slots, as blocks
+  if (Object.keys(LEGACY_SCHEDULE).some(field => partial[field])) {
+    const known = new Set(target.blocks.map(b => b.id));
+    target.blocks = sortBlocks([...target.blocks, ...source.blocks.filter(b => !known.has(b.id))]);
+  }
+  target.updatedAt = Math.max(target.updatedAt, source.updatedAt) || Date.now();
+  writeDay(target);
+}
+
+function fromProfessionalDay(data) {
+  const partial = {};
+  Object.entries(PROFESSIONAL_FIELDS).forEach(([from, to]) => {
+    if (typeof data[from] === 'string') partial[to] = data[from];
+  });
+  LEGACY_PRIORITIES.forEach((field, i) => {
+    if (typeof data[`priority${i + 1}`] === 'string') partial[field] = data[`priority${i + 1}`];
+  });
+  Object.entries(LEGACY_SCHEDULE).forEach(([field, { from }]) => {
+    if (typeof data[from] === 'string') partial[field] = data[from];
+  });
+  if (Array.isArray(data.todos)) partial.todos = data.todos;
+  if (data.waterCount !== undefined) partial.water = { count: data.waterCount, target: data.waterTarget };
+  if (data.moodData || data.moodNotes) partial.mood = { ...(data.moodData || {}), notes: data.moodNotes || '' };
+  if (typeof data.notes === 'string') partial.notes = { text: data.notes };
+  return partial;
+}
+
+function fromProfessionalCycle(cycleData = {}) {
+  return {
+    start: cycleData.lastPeriod,
+    end: cycleData.cycleEnd,
+    len: cycleData.cycleLength,
+    period: cycleData.periodLength,
+    luteal: cycleData.lutealLength,
+    adv: cycleData.advancedEstimation !== false
+  };
+}
+
+/**
+ * Bring stored data up to SCHEMA_VERSION. Safe to call on every load.
+ *   v2: legacy key families folded into day/cycle/settings records
+ *      (default profile only: legacy keys predate profiles)
+ *   v3: day notes split into their own `notes` records
+ *   v4: priority slots folded into prioritised todos
+ *   v5: schedule slots folded into time blocks
+ *   v6: glass counts turned into millilitre intakes, the glass goal into ml
+ */
+export function migrate() {
+  const current = get('system', 'schema', 0);
+  if (current >= SCHEMA_VERSION) return true;
+
+  console.log(`Migrating planner data from schema v${current} to v${SCHEMA_VERSION}`);
+
+  try {
+    if (current < 2 && getProfileId() === DEFAULT_PROFILE) migrateLegacyKeys();
+    if (current < 3) splitDayNotes();
+    if (current < 4) foldPriorities();
+    if (current < 5) foldSchedule();
+    if (current < 6) measureWater();
+
+    set('system', 'schema', SCHEMA_VERSION);
+    console.log('Planner data migration completed');
+    return true;
+  } catch (error) {
+    console.error('Planner data migration failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Turn v3 priority slots into prioritised todos (normalizeDay does the folding)
+ */
+function foldPriorities() {
+  getKeys('day').forEach(k => {
+    const date = k.split('::').pop();
+    const stored = get('day', date);
+    if (stored && LEGACY_PRIORITIES.some(field => field in stored)) writeDay(readDay(date));
+  });
+}
+
+/**
+ * Turn v4 schedule slots into time blocks (normalizeDay does the folding)
+ */
+function foldSchedule() {
+  getKeys('day').forEach(k => {
+    const date = k.split('::').pop();
+    const stored = get('day', date);
+    if (stored && Object.keys(LEGACY_SCHEDULE).some(field => field in stored)) writeDay(readDay(date));
+  });
+}
+
+/**
+ * Turn v5 glass counts into intakes (normalizeDay does the conversion) and the glass goal into ml
+ */
+function measureWater() {
+  getKeys('day').forEach(k => {
+    const date = k.split('::').pop();
+    const stored = get('day', date);
+    if (stored && stored.water && !Array.isArray(stored.water.intakes)) writeDay(readDay(date));
+  });
+  const planner = get('settings', 'planner');
+  if (planner && 'waterTarget' in planner) set('settings', 'planner', getPlannerSettings());
+}
+
+/**
+ * Move notes and calendar notes out of v2 day records
+ */
+function splitDayNotes() {
+  getKeys('day').forEach(k => {
+    const date = k.split('::').pop();
+    const stored = get('day', date);
+    if (stored && ('notes' in stored || 'dayNote' in stored)) writeDay(readDay(date));
+  });
+}
+
+/**
+ * Fold every legacy key family into day, cycle and settings records (schema v2).
+ * Sources, in priority order (earlier wins when both hold a value):
+ *   cherryPlanner_<date>, cherry_globals, cherry_cycle, cherry_cycle_log  (base planner)
+ *   cherry::mood|water|tasks::<date>, cherry::cycle::log                   (premium v1)
+ *   digitalPlanner_<date>, digitalPlanner_global, calendar_day_notes       (professional planner)
+ * Legacy keys are removed once their data has been written.
+ */
+function migrateLegacyKeys() {
+  const keys = rawKeys();
+  const consumed = [];
+
+  // Base planner days
+  keys.filter(k => k.startsWith('cherryPlanner_')).forEach(k => {
+    const data = readLegacy(k);
+    if (data) fillDay(data.date || k.slice('cherryPlanner_'.length), data);
+    consumed.push(k);
+  });
+
+  // Premium per-domain day keys
+  [['mood', 'mood'], ['water', 'water'], ['tasks', 'todos']].forEach(([domain, field]) => {
+    getKeys(domain).forEach(k => {
+      const date = k.split('::').pop();
+      if (!/^\d{4}-\d{1,2}-\d{1,2}$/.test(date)) return;
+      const value = get(domain, date);
+      if (value === null) return;
+      const partial = field === 'water'
+        ? { water: { count: value.drank, target: value.goal } }
+        : { [field]: value };
+      fillDay(date, partial);
+      consumed.push(k);
+    });
+  });
+
+  // Professional planner days
+  let latestMotivation = null;
+  keys.filter(k => /^digitalPlanner_\d{4}-\d{2}-\d{2}$/.test(k)).forEach(k => {
+    const data = readLegacy(k);
+    if (data) {
+      fillDay(data.date || k.slice('digitalPlanner_'.length), fromProfessionalDay(data));
+      if (data.motivation && (!latestMotivation || (data.motivation.lastOpenDate || '') > (latestMotivation.lastOpenDate || ''))) {
+        latestMotivation = data.motivation;
+      }
+    }
+    consumed.push(k);
+  });
+  if (latestMotivation && !get('app', 'professional')) saveAppState('professional', latestMotivation);
+
+  // Calendar day notes
+  const dayNotes = readLegacy('calendar_day_notes', {});
+  Object.entries(dayNotes || {}).forEach(([date, note]) => fillDay(date, { dayNote: note }));
+  consumed.push('calendar_day_notes');
+
+  // Cycle settings: base config, then base globals, then professional globals
+  const globals = readLegacy('cherry_globals', {}) || {};
+  const proGlobals = readLegacy('digitalPlanner_global', {}) || {};
+  if (!get('cycle', 'settings')) {
+    const legacyCycle = readLegacy('cherry_cycle') || globals.cycle
+      || (proGlobals.cycleData ? fromProfessionalCycle(proGlobals.cycleData) : null);
+    if (legacyCycle) saveCycleSettings(legacyCycle);
+  }
+
+  const waterTarget = globals.water?.target || proGlobals.waterTarget;
+  if (waterTarget && !get('settings', 'planner')) savePlannerSettings({ waterGoal: waterTarget * DEFAULT_GLASS_ML });
+
+  // Cycle log: base start strings merged with premium events
+  const premiumLog = get('cycle', 'log', []);
+  saveCycleEvents([
+    ...(Array.isArray(premiumLog) ? premiumLog : []),
+    ...(readLegacy('cherry_cycle_log', []) || [])
+  ]);
+
+  consumed.push('cherry_globals', 'cherry_cycle', 'cherry_cycle_log',
+    'digitalPlanner_global', 'digitalPlanner_motivation', 'cherry::system::version');
+  consumed.forEach(removeRaw);
+}
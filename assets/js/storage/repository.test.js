@@ -0,0 +1,37 @@
+/**
+ * Cherry Planner - repository tests (node --test)
+ * Run without a browser: the store falls back to memory when localStorage is missing.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeDay, DEFAULT_GLASS_ML, INTAKE_MAX_ML } from './repository.js';
+import { hydrationMl, waterGoalMet } from './water.js';
+
+test('a legacy glass count migrates as one glass-sized intake per glass', () => {
+  const { water } = normalizeDay({ date: '2026-01-05', water: { count: 12, target: 10 } });
+  assert.equal(water.intakes.length, 12);
+  assert.ok(water.intakes.every(intake => intake.ml === DEFAULT_GLASS_ML && intake.time === ''));
+  assert.equal(hydrationMl(water), 3000);
+  assert.equal(water.target, 2500);
+  assert.ok(waterGoalMet(water));
+});
+
+test('a day of more glasses than one intake can hold keeps its volume', () => {
+  const glasses = INTAKE_MAX_ML / DEFAULT_GLASS_ML + 1;
+  const { water } = normalizeDay({ date: '2026-01-06', water: { count: glasses, target: 8 } });
+  assert.equal(hydrationMl(water), glasses * DEFAULT_GLASS_ML);
+});
+
+test('migrating the same day twice gives the same intake ids', () => {
+  const raw = { date: '2026-01-05', water: { count: 9, target: 8 } };
+  const ids = normalizeDay(raw).water.intakes.map(intake => intake.id);
+  assert.equal(new Set(ids).size, 9);
+  assert.deepEqual(normalizeDay(raw).water.intakes.map(intake => intake.id), ids);
+});
+
+test('a legacy day without glasses has no intakes', () => {
+  const { water } = normalizeDay({ date: '2026-01-07', water: { count: 0, target: 8 } });
+  assert.deepEqual(water.intakes, []);
+  assert.equal(water.target, 8 * DEFAULT_GLASS_ML);
+});
@@ -0,0 +1,540 @@
+/**
+ * Cherry Planner - Key/Value Store
+ * Namespaced storage shared by the base planner, the professional planner and
+ * premium modules. Backends, best first:
+ *   indexeddb    - namespaced keys are served from an in-memory cache hydrated at
+ *                  `openStore()`; writes update the cache and persist asynchronously
+ *   localStorage - used until `openStore()` resolves, or when IndexedDB is unavailable
+ *   memory       - private mode fallback, nothing persists
+ * Keys outside the namespace (legacy `cherryPlanner_*` etc.) always stay in localStorage.
+ *
+ * Optional encryption at rest: once a passphrase is set, every namespaced value is
+ * persisted as an AES-GCM envelope (see crypto.js) and served from the cache, on either
+ * persistent backend. The store starts locked; nothing can be read or written until
+ * `unlock()` succeeds. The vault record (salt, check value, auto-lock) stays readable.
+ *
+ * The store works on the active profile (see profiles.js) for the lifetime of the page.
+ */
+
+import { hasIndexedDB, openDatabase, readAll, putValue, deleteValue, readRange, storeFor, clearStores } from './idb.js';
+import { hasWebCrypto, createSalt, deriveKey, isSealed, seal, unseal, PBKDF2_ITERATIONS } from './crypto.js';
+import { DEFAULT_PROFILE, getActiveProfile, profilePrefix, isProfileKey } from './profiles.js';
+
+export const NAMESPACE = 'cherry';
+
+const VAULT_KEY = `${NAMESPACE}::vault`;
+const VAULT_CHECK = 'cherry-planner-vault';
+
+const profile = getActiveProfile();
+const localPrefix = profilePrefix(profile, NAMESPACE);
+
+/**
+ * Check if localStorage is available
+ */
+export function hasLocalStorage() {
+  try {
+    const test = '__storage_test__';
+    localStorage.setItem(test, '1');
+    localStorage.removeItem(test);
+    return true;
+  } catch {
+    console.warn('localStorage is not available, using in-memory fallback');
+    return false;
+  }
+}
+
+/**
+ * In-memory fallback storage (also the read cache for the IndexedDB backend
+ * and for an unlocked encrypted store)
+ */
+const memoryStorage = new Map();
+
+// Encrypted values read at startup, decrypted into the cache by unlock()
+const sealedValues = new Map();
+
+let db = null;
+let ready = null;
+let pending = Promise.resolve();
+let vault = null;
+let cryptoKey = null;
+let release = () => {};
+const unlocked = new Promise(resolve => { release = resolve; });
+const listeners = new Set();
+
+/**
+ * Get namespaced key
+ */
+function getKey(domain, subkey = '') {
+  return subkey ? `${NAMESPACE}::${domain}::${subkey}` : `${NAMESPACE}::${domain}`;
+}
+
+// Tell subscribers about a successful write (value null on removal)
+function notify(key, value) {
+  listeners.forEach(listener => {
+    try {
+      listener(key, value);
+    } catch (error) {
+      console.error('Storage listener failed:', error);
+    }
+  });
+}
+
+function isNamespaced(key) {
+  return key.startsWith(`${NAMESPACE}::`);
+}
+
+// localStorage name of a key: namespaced keys carry the profile id outside the default profile
+function localName(key) {
+  return isNamespaced(key) ? localPrefix + key.slice(NAMESPACE.length + 2) : key;
+}
+
+// Namespaced keys of the active profile held in localStorage
+function localNamespacedKeys() {
+  return Object.keys(localStorage)
+    .filter(key => key.startsWith(localPrefix))
+    .map(key => `${NAMESPACE}::${key.slice(localPrefix.length)}`);
+}
+
+function serialize(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function deserialize(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Queue a persistent write behind the previous ones
+ */
+function enqueue(operation) {
+  pending = pending.then(operation).catch(error => {
+    console.error('Error persisting storage value:', error);
+  });
+  return pending;
+}
+
+// Namespaced keys are served from the cache with IndexedDB or encryption
+function isCached(key) {
+  return (db || vault) && isNamespaced(key);
+}
+
+/**
+ * Persist a cached value, sealed with the key active at call time
+ */
+function persist(key, value) {
+  const sealWith = cryptoKey;
+  return enqueue(async () => {
+    const stored = sealWith ? await seal(sealWith, value) : deserialize(value);
+    if (db) await putValue(db, key, stored);
+    else localStorage.setItem(localName(key), serialize(stored));
+  });
+}
+
+function unpersist(key) {
+  return enqueue(() => (db ? deleteValue(db, key) : localStorage.removeItem(localName(key))));
+}
+
+function writeVault() {
+  return enqueue(() => {
+    if (!db) return vault ? localStorage.setItem(localName(VAULT_KEY), JSON.stringify(vault)) : localStorage.removeItem(localName(VAULT_KEY));
+    return vault ? putValue(db, VAULT_KEY, vault) : deleteValue(db, VAULT_KEY);
+  });
+}
+
+function hydrate(entries) {
+  entries.forEach(([key, value]) => {
+    if (key === VAULT_KEY) vault = value;
+    else if (isSealed(value)) sealedValues.set(key, value);
+    else memoryStorage.set(key, serialize(value));
+  });
+}
+
+/**
+ * Id of the profile this page reads and writes
+ */
+export function getProfileId() {
+  return profile;
+}
+
+/**
+ * Name of the active backend: 'indexeddb', 'localStorage' or 'memory'
+ */
+export function getBackend() {
+  if (db) return 'indexeddb';
+  return hasLocalStorage() ? 'localStorage' : 'memory';
+}
+
+/**
+ * Open the IndexedDB backend and hydrate the cache.
+ * Safe to call repeatedly; resolves to the active backend name.
+ */
+export function openStore() {
+  if (!ready) ready = connect();
+  return ready;
+}
+
+async function connect() {
+  const local = hasLocalStorage() ? localNamespacedKeys() : [];
+  const localEntries = () => local.map(key => [key, deserialize(localStorage.getItem(localName(key)))]);
+
+  if (hasIndexedDB()) {
+    try {
+      const database = await openDatabase(profile === DEFAULT_PROFILE ? '' : profile);
+      hydrate(await readAll(database));
+      db = database;
+
+      // Namespaced keys still in localStorage (first run, or written by an older version), moved as stored
+      localEntries().forEach(([key, value]) => {
+        if (!memoryStorage.has(key) && !sealedValues.has(key) && !(key === VAULT_KEY && vault)) {
+          hydrate([[key, value]]);
+          enqueue(() => putValue(database, key, value));
+        }
+        localStorage.removeItem(localName(key));
+      });
+      if (local.length) console.log(`Moved ${local.length} keys from localStorage to IndexedDB`);
+    } catch (error) {
+      console.warn('IndexedDB unavailable, using localStorage:', error);
+    }
+  }
+
+  // Encrypted localStorage is served from the cache like IndexedDB
+  if (!db && local.includes(VAULT_KEY)) hydrate(localEntries());
+
+  if (!isLocked()) release();
+  return getBackend();
+}
+
+/**
+ * Resolve once every queued IndexedDB write has landed
+ */
+export function flush() {
+  return pending;
+}
+
+/**
+ * ========= Encryption =========
+ */
+
+/**
+ * Whether a passphrase protects the stored data
+ */
+export function isEncrypted() {
+  return !!vault;
+}
+
+/**
+ * Whether the store is encrypted and not unlocked yet
+ */
+export function isLocked() {
+  return !!vault && !cryptoKey;
+}
+
+/**
+ * Resolve once the store is readable (immediately when it is not encrypted)
+ */
+export async function whenUnlocked() {
+  await openStore();
+  return unlocked;
+}
+
+/**
+ * Auto-lock timeout in minutes (0 = off)
+ */
+export function getAutoLock() {
+  return vault ? vault.autoLock || 0 : 0;
+}
+
+export function setAutoLock(minutes) {
+  if (!vault || isLocked()) return false;
+  vault = { ...vault, autoLock: Math.max(0, parseInt(minutes, 10) || 0) };
+  writeVault();
+  return true;
+}
+
+/**
+ * Decrypt the store with a passphrase. Resolves to false when it is wrong.
+ */
+export async function unlock(passphrase) {
+  await openStore();
+  if (!isLocked()) return true;
+
+  const key = await deriveKey(passphrase, vault);
+  try {
+    if (await unseal(key, vault.check) !== VAULT_CHECK) return false;
+  } catch {
+    return false;
+  }
+
+  for (const [name, envelope] of sealedValues) {
+    try {
+      memoryStorage.set(name, await unseal(key, envelope));
+    } catch (error) {
+      console.error(`Could not decrypt ${name}:`, error);
+    }
+  }
+  sealedValues.clear();
+  cryptoKey = key;
+  release();
+  return true;
+}
+
+/**
+ * Set (or change) the passphrase and re-encrypt every stored value with it.
+ * Needs a persistent backend and WebCrypto; resolves to false otherwise.
+ */
+export async function setPassphrase(passphrase, autoLock = getAutoLock()) {
+  await openStore();
+  if (!passphrase || isLocked() || !hasWebCrypto() || getBackend() === 'memory') return false;
+
+  const meta = { salt: createSalt(), iterations: PBKDF2_ITERATIONS, autoLock };
+  const key = await deriveKey(passphrase, meta);
+  meta.check = await seal(key, VAULT_CHECK);
+
+  // localStorage values move into the cache before they are sealed in place
+  if (!db && !vault) localNamespacedKeys().forEach(name => memoryStorage.set(name, localStorage.getItem(localName(name))));
+
+  vault = meta;
+  cryptoKey = key;
+  writeVault();
+  memoryStorage.forEach((value, name) => persist(name, value));
+  await flush();
+  return true;
+}
+
+/**
+ * Remove the passphrase and store every value in plain text again
+ */
+export async function removePassphrase() {
+  if (!vault || isLocked()) return false;
+
+  cryptoKey = null;
+  memoryStorage.forEach((value, name) => persist(name, value));
+  vault = null;
+  writeVault();
+  await flush();
+  if (!db) memoryStorage.clear();
+  return true;
+}
+
+/**
+ * Forget the key and the decrypted cache. The page must be reloaded to unlock again.
+ */
+export async function lock() {
+  if (!vault) return false;
+  await flush();
+  cryptoKey = null;
+  memoryStorage.clear();
+  return true;
+}
+
+/**
+ * Delete every namespaced value and the vault (for a forgotten passphrase)
+ */
+export async function eraseAll() {
+  await openStore();
+  await flush();
+  if (db) await clearStores(db);
+  if (hasLocalStorage()) localNamespacedKeys().forEach(key => localStorage.removeItem(localName(key)));
+  memoryStorage.clear();
+  sealedValues.clear();
+  vault = null;
+  cryptoKey = null;
+  release();
+  return true;
+}
+
+/**
+ * Read a raw (un-namespaced, unparsed) value
+ */
+export function readRaw(key) {
+  try {
+    let value;
+    if (isCached(key)) {
+      value = memoryStorage.get(key);
+    } else if (hasLocalStorage()) {
+      value = localStorage.getItem(localName(key));
+    } else {
+      value = memoryStorage.get(key);
+    }
+    return value === undefined ? null : value;
+  } catch (error) {
+    console.error('Error reading from storage:', error);
+    return null;
+  }
+}
+
+/**
+ * Write a raw (un-namespaced, already serialized) value
+ */
+export function writeRaw(key, value) {
+  if (isLocked()) {
+    console.warn('Storage is locked; write ignored:', key);
+    return false;
+  }
+
+  try {
+    const changed = listeners.size > 0 && readRaw(key) !== value;
+    if (isCached(key)) {
+      memoryStorage.set(key, value);
+      persist(key, value);
+    } else if (hasLocalStorage()) {
+      localStorage.setItem(localName(key), value);
+    } else {
+      memoryStorage.set(key, value);
+    }
+    if (changed) notify(key, value);
+    return true;
+  } catch (error) {
+    console.error('Error writing to storage:', error);
+    return false;
+  }
+}
+
+/**
+ * Listen to raw writes that change a value, and to removals, made through this store.
+ * The listener gets (key, serializedValue | null). Returns an unsubscribe function.
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Remove a raw (un-namespaced) key
+ */
+export function removeRaw(key) {
+  if (isLocked()) {
+    console.warn('Storage is locked; remove ignored:', key);
+    return false;
+  }
+
+  try {
+    if (isCached(key)) {
+      if (memoryStorage.delete(key)) unpersist(key);
+    } else if (hasLocalStorage()) {
+      localStorage.removeItem(localName(key));
+    } else {
+      memoryStorage.delete(key);
+    }
+    notify(key, null);
+    return true;
+  } catch (error) {
+    console.error('Error removing from storage:', error);
+    return false;
+  }
+}
+
+/**
+ * List every raw key, namespaced or not
+ */
+export function rawKeys() {
+  try {
+    if (!hasLocalStorage()) return Array.from(memoryStorage.keys());
+    // Legacy un-namespaced keys belong to the default profile
+    const shared = profile === DEFAULT_PROFILE
+      ? Object.keys(localStorage).filter(key => !isNamespaced(key) && !isProfileKey(key))
+      : [];
+    if (db || vault) return [...memoryStorage.keys(), ...shared];
+    return [...localNamespacedKeys(), ...shared];
+  } catch (error) {
+    console.error('Error getting keys:', error);
+    return [];
+  }
+}
+
+/**
+ * Get value from storage with default fallback
+ */
+export function get(domain, subkey = '', defaultValue = null) {
+  const value = readRaw(getKey(domain, subkey));
+
+  if (value === null) {
+    return defaultValue;
+  }
+
+  // Try to parse as JSON, fallback to string
+  return deserialize(value);
+}
+
+/**
+ * Set value in storage
+ */
+export function set(domain, subkey = '', value = null) {
+  // Handle case where subkey is actually the value
+  if (value === null && typeof subkey !== 'string') {
+    value = subkey;
+    subkey = '';
+  }
+
+  try {
+    return writeRaw(getKey(domain, subkey), serialize(value));
+  } catch (error) {
+    console.error('Error writing to storage:', error);
+    return false;
+  }
+}
+
+/**
+ * Merge partial data with existing data
+ */
+export function merge(domain, subkey = '', partialData = null) {
+  // Handle case where subkey is actually the data
+  if (partialData === null && typeof subkey !== 'string') {
+    partialData = subkey;
+    subkey = '';
+  }
+
+  const existing = get(domain, subkey, {});
+  const merged = { ...existing, ...partialData };
+  return set(domain, subkey, merged);
+}
+
+/**
+ * Remove value from storage
+ */
+export function remove(domain, subkey = '') {
+  return removeRaw(getKey(domain, subkey));
+}
+
+/**
+ * Reset all data for a namespace prefix
+ */
+export function reset(nsPrefix = '') {
+  getKeys(nsPrefix).forEach(removeRaw);
+  return true;
+}
+
+/**
+ * Get all keys matching a prefix
+ */
+export function getKeys(nsPrefix = '') {
+  const prefix = nsPrefix ? `${NAMESPACE}::${nsPrefix}::` : `${NAMESPACE}::`;
+  return rawKeys().filter(key => key.startsWith(prefix));
+}
+
+/**
+ * Get [date, value] pairs of a date-keyed domain ('day' or 'notes') between two
+ * YYYY-MM-DD bounds (inclusive, both optional), in date order.
+ * With IndexedDB this is a single cursor over the store's date index.
+ */
+export async function queryRange(domain, from = '', to = '') {
+  await openStore();
+
+  // Sealed rows can only be filtered after decryption, so encrypted stores use the cache
+  const storeName = storeFor(`${NAMESPACE}::${domain}::`);
+  if (db && !vault && (storeName === 'days' || storeName === 'notes')) {
+    await flush();
+    const rows = await readRange(db, storeName, from, to);
+    return rows.map(([key, value]) => [key.split('::').pop(), value]);
+  }
+
+  return getKeys(domain)
+    .map(key => key.split('::').pop())
+    .filter(date => (!from || date >= from) && (!to || date <= to))
+    .sort()
+    .map(date => [date, get(domain, date)]);
+}
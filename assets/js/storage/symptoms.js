@@ -0,0 +1,121 @@
+/**
+ * Cherry Planner - Symptoms
+ * Daily symptoms on the day records (`symptoms`: SYMPTOMS key -> severity 0-3),
+ * summarised per cycle phase. symptomProfile() is what the cycle analyzer
+ * (calculator/cycle-analyzer.js) takes as its `symptoms` argument.
+ *
+ * A day counts as logged once any symptom was logged on it, 0 included; its other
+ * symptoms count as none. Days nothing was logged on are left out, so they do not
+ * pull the averages down.
+ *
+ * Phases come from the logged cycles (cycle.js), not a projection of the average
+ * length, so a long or overdue cycle keeps its days in the cycle they were in.
+ */
+
+import { SYMPTOMS, getCycleSettings, getPeriodDays, parseDateKey } from './repository.js';
+import { getCycleHistory, cycleStats } from './cycle.js';
+import { expectedCycle } from './fertility.js';
+
+export const SEVERITIES = ['None', 'Mild', 'Moderate', 'Severe'];
+
+export const PHASES = { menstrual: 'Period', follicular: 'Follicular', ovulation: 'Ovulation', luteal: 'Luteal' };
+
+// How far back the phase summary and the analyzer read
+export const SYMPTOM_HISTORY_DAYS = 180;
+
+// Fewest logged days of a phase its averages are compared on
+export const MIN_PHASE_DAYS = 3;
+
+/**
+ * @typedef {Object} PhaseSymptoms
+ * @property {number} days - Logged days in the phase
+ * @property {Object<string, {label: string, average: number, frequency: number}>} symptoms
+ *   Per SYMPTOMS key: the average severity over the logged days (0-3) and the share of
+ *   them it was logged on at all (0-1)
+ */
+
+/**
+ * @typedef {Object} SymptomProfile
+ * @property {number} logged - Logged days with a known cycle phase
+ * @property {Object<string, PhaseSymptoms>} phases - Per PHASES key
+ * @property {boolean} severePain - Severe cramps were logged in two or more cycles
+ */
+
+const round = (n, places = 1) => Math.round(n * 10 ** places) / 10 ** places;
+const daysBetween = (from, to) => Math.round((parseDateKey(to) - parseDateKey(from)) / 86400000);
+
+/**
+ * Phase of a date in its logged cycle, the one of the latest start on or before it.
+ * Its logged bleeding days (spotting aside) are the period, or the configured period
+ * length from the start in a cycle without any; ovulation ±1 day is the confirmed one
+ * or a luteal length before the cycle's end (the expected end while it runs),
+ * follicular before, luteal after.
+ *
+ *   starts 01-01 and 01-29, 01-01 .. 01-04 logged, no temperatures, luteal 14 →
+ *   01-03 menstrual (day 3), 01-14 ovulation (day 14), 01-20 luteal (day 20), 01-29 menstrual (day 1)
+ *
+ * @param {CycleEntry[]} [history] - See cycle.js
+ * @param {({date: string, flow: string})[]} [periodDays]
+ * @returns {(date: string) => ({phase: 'menstrual'|'follicular'|'ovulation'|'luteal', cycleDay: number, start: string}|null)}
+ *   null before the first start
+ */
+export function cyclePhases(history = getCycleHistory(), periodDays = getPeriodDays()) {
+  const settings = getCycleSettings();
+  const { cycleLength, luteal } = expectedCycle(cycleStats(history), settings);
+  const bleeding = new Set(periodDays.filter(day => day.flow !== 'spotting').map(day => day.date));
+  return date => {
+    const cycle = [...history].reverse().find(c => c.start <= date); if (!cycle) return null;
+    const cycleDay = daysBetween(cycle.start, date) + 1;
+    const length = cycle.censored ? Math.max(cycleLength, cycle.days) : cycle.length;
+    const ovulationDay = cycle.ovulation ? daysBetween(cycle.start, cycle.ovulation) + 1 : length - luteal;
+    let phase = 'luteal';
+    if (bleeding.has(date) || (cycle.periodLength === null && cycleDay <= settings.period)) phase = 'menstrual';
+    else if (Math.abs(cycleDay - ovulationDay) <= 1) phase = 'ovulation';
+    else if (cycleDay < ovulationDay) phase = 'follicular';
+    return { phase, cycleDay, start: cycle.start };
+  };
+}
+
+const logged = day => Object.keys(day.symptoms || {}).length > 0;
+
+function summarize(days) {
+  return {
+    days: days.length,
+    symptoms: Object.fromEntries(Object.entries(SYMPTOMS).map(([key, label]) => {
+      const values = days.map(day => day.symptoms[key] || 0);
+      return [key, {
+        label,
+        average: days.length ? round(values.reduce((a, b) => a + b, 0) / days.length) : 0,
+        frequency: days.length ? round(values.filter(Boolean).length / days.length, 2) : 0
+      }];
+    }))
+  };
+}
+
+/**
+ * Summarise logged symptoms per cycle phase. Days before any known cycle start are
+ * left out; phases are those of cyclePhases.
+ *
+ * Worked example: cramps 3 and 2 on two period days of one cycle and 3 on a period day
+ * of the next, plus two follicular days logged as cramps 0 →
+ *   phases.menstrual = { days: 3, symptoms: { cramps: { label: 'Cramps', average: 2.7, frequency: 1 }, ... } }
+ *   phases.follicular = { days: 2, symptoms: { cramps: { average: 0, frequency: 0 }, ... } }
+ *   severePain: true (severe cramps in two cycles)
+ *
+ * @param {DayRecord[]} days
+ * @returns {SymptomProfile}
+ */
+export function symptomProfile(days, phaseOf = cyclePhases()) {
+  const byPhase = Object.fromEntries(Object.keys(PHASES).map(phase => [phase, []]));
+  const severeCycles = new Set();
+  days.filter(logged).forEach(day => {
+    const cycle = phaseOf(day.date); if (!cycle) return;
+    byPhase[cycle.phase].push(day);
+    if (day.symptoms.cramps === 3) severeCycles.add(cycle.start);
+  });
+  return {
+    logged: Object.values(byPhase).reduce((n, list) => n + list.length, 0),
+    phases: Object.fromEntries(Object.entries(byPhase).map(([phase, list]) => [phase, summarize(list)])),
+    severePain: severeCycles.size >= 2
+  };
+}
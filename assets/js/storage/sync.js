@@ -0,0 +1,258 @@
+/**
+ * Cherry Planner - Sync Client
+ * Keeps the active profile's records in step with a sync server (see
+ * docs/SYNC_PROTOCOL.md and server/sync-server.mjs). Every syncable key carries
+ * local bookkeeping: the server revision it was last synced at, when it last changed
+ * here, and whether it still has to be pushed. Removals travel as tombstones.
+ *
+ * One round trip pushes the dirty records and pulls everything the server saw since
+ * the last sync. Records edited here while a request was in flight are merged with
+ * what comes back (merge.js) and pushed on the next round.
+ *
+ * Bookkeeping lives in `cherry::sync::state`, per profile, and is never backed up.
+ */
+
+import { readRaw, writeRaw, removeRaw, rawKeys, subscribe, isLocked } from './store.js';
+import { sectionFor } from './backup.js';
+import { mergeRecords } from './merge.js';
+
+export const SYNC_PROTOCOL = 1;
+
+const STATE_KEY = 'cherry::sync::state';
+const SYNCED_SECTIONS = new Set(['days', 'cycle', 'settings', 'premium']);
+
+let applying = false;
+let running = null;
+let onDirty = () => {};
+
+/**
+ * @typedef {Object} SyncState
+ * @property {boolean} enabled
+ * @property {string} server - Base URL of the sync server
+ * @property {string} space - Sync code shared by the user's devices
+ * @property {string} device - Random id of this browser profile
+ * @property {number} seq - Server sequence number of the last pull
+ * @property {number} lastSync - Time of the last successful round trip (ms)
+ * @property {string} lastError - Message of the last failed round trip
+ * @property {Object<string, {rev: number, modified: number, dirty: boolean}>} records
+ */
+
+function randomId(length) {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(bytes, b => alphabet[b % alphabet.length]).join('');
+}
+
+function parse(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+function isSyncable(key) {
+  return SYNCED_SECTIONS.has(sectionFor(key));
+}
+
+/**
+ * Current sync settings and bookkeeping
+ * @returns {SyncState}
+ */
+export function getSyncState() {
+  const stored = parse(readRaw(STATE_KEY));
+  const state = stored && typeof stored === 'object' ? stored : {};
+  return {
+    enabled: !!state.enabled,
+    server: state.server || '',
+    space: state.space || '',
+    device: state.device || '',
+    seq: state.seq || 0,
+    lastSync: state.lastSync || 0,
+    lastError: state.lastError || '',
+    records: state.records && typeof state.records === 'object' ? state.records : {}
+  };
+}
+
+function saveState(state) {
+  return writeRaw(STATE_KEY, JSON.stringify(state));
+}
+
+/**
+ * New random sync code. Anyone who knows it can read the synced data on that server.
+ */
+export function newSyncCode() {
+  return randomId(24);
+}
+
+/**
+ * Whether a sync code has the shape the server accepts
+ */
+export function isValidSyncCode(code) {
+  return /^[A-Za-z0-9_-]{16,128}$/.test(String(code || ''));
+}
+
+/**
+ * Turn sync on for a server and sync code. Every local record is queued for the
+ * first push; records without a known edit time lose against the server's copy.
+ */
+export function configureSync({ server, space }) {
+  const url = String(server || '').trim().replace(/\/+$/, '');
+  if (!/^https?:\/\//.test(url) || !isValidSyncCode(space)) return false;
+
+  const previous = getSyncState();
+  const records = {};
+  rawKeys().filter(isSyncable).forEach(key => {
+    const value = parse(readRaw(key));
+    records[key] = { rev: 0, modified: value?.updatedAt || 0, dirty: true };
+  });
+  return saveState({
+    enabled: true,
+    server: url,
+    space,
+    device: previous.device || randomId(12),
+    seq: 0,
+    lastSync: 0,
+    lastError: '',
+    records
+  });
+}
+
+/**
+ * Stop syncing. Local data stays; the bookkeeping is dropped.
+ */
+export function disableSync() {
+  const { device } = getSyncState();
+  return saveState({ enabled: false, device, records: {} });
+}
+
+/**
+ * Start tracking local changes. `changed` runs after each tracked change.
+ * Returns an unsubscribe function.
+ */
+export function trackChanges(changed) {
+  onDirty = changed || (() => {});
+  return subscribe((key, value) => {
+    if (applying || !isSyncable(key)) return;
+    const state = getSyncState();
+    if (!state.enabled) return;
+    const known = state.records[key];
+    if (!known && value === null) return;
+    state.records[key] = { rev: known?.rev || 0, modified: Date.now(), dirty: true };
+    saveState(state);
+    onDirty(key);
+  });
+}
+
+/**
+ * Number of local records waiting to be pushed
+ */
+export function pendingCount() {
+  return Object.values(getSyncState().records).filter(r => r.dirty).length;
+}
+
+function toWire(key, meta, device) {
+  const raw = readRaw(key);
+  return {
+    key,
+    baseRev: meta.rev || 0,
+    rev: meta.rev || 0,
+    modified: meta.modified || 0,
+    device,
+    deleted: raw === null,
+    value: raw === null ? null : parse(raw)
+  };
+}
+
+function applyLocal(record) {
+  applying = true;
+  try {
+    if (record.deleted) removeRaw(record.key);
+    else writeRaw(record.key, typeof record.value === 'string' ? record.value : JSON.stringify(record.value));
+  } finally {
+    applying = false;
+  }
+}
+
+/**
+ * Push pending changes and pull remote ones.
+ * Resolves to { ok, pulled: keys changed locally, conflicts, error }.
+ */
+export function syncNow() {
+  if (!running) running = roundTrip().finally(() => { running = null; });
+  return running;
+}
+
+async function roundTrip() {
+  const start = getSyncState();
+  if (!start.enabled) return { ok: false, pulled: [], conflicts: 0, error: 'Sync is off' };
+  if (isLocked()) return { ok: false, pulled: [], conflicts: 0, error: 'The planner is locked' };
+
+  const pushed = Object.entries(start.records)
+    .filter(([key, meta]) => meta.dirty && isSyncable(key))
+    .map(([key, meta]) => toWire(key, meta, start.device));
+
+  let reply;
+  try {
+    const response = await fetch(`${start.server}/sync`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ protocol: SYNC_PROTOCOL, space: start.space, device: start.device, since: start.seq, records: pushed })
+    });
+    reply = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(reply.error || `Server answered ${response.status}`);
+  } catch (error) {
+    console.error('Sync failed:', error);
+    const state = getSyncState();
+    saveState({ ...state, lastError: error.message || 'Sync failed' });
+    return { ok: false, pulled: [], conflicts: 0, error: error.message || 'Sync failed' };
+  }
+
+  // Settings may have changed while the request was in flight
+  const state = getSyncState();
+  if (!state.enabled || state.space !== start.space) return { ok: false, pulled: [], conflicts: 0, error: 'Sync settings changed' };
+
+  pushed.forEach(record => {
+    const meta = state.records[record.key];
+    if (meta && meta.modified === record.modified) meta.dirty = false;
+  });
+
+  const pulled = [];
+  const remoteKeys = new Set();
+  (reply.records || []).forEach(remote => {
+    if (!remote || !isSyncable(remote.key)) return;
+    remoteKeys.add(remote.key);
+    const meta = state.records[remote.key];
+    if (meta?.dirty) {
+      // Edited here during the round trip: keep both sides and push the result next time
+      const merged = mergeRecords(toWire(remote.key, meta, state.device), remote);
+      applyLocal(merged);
+      state.records[remote.key] = { rev: remote.rev, modified: Math.max(meta.modified, remote.modified || 0), dirty: true };
+    } else {
+      const current = readRaw(remote.key);
+      applyLocal(remote);
+      if (readRaw(remote.key) !== current) pulled.push(remote.key);
+      state.records[remote.key] = { rev: remote.rev, modified: remote.modified || 0, dirty: false };
+    }
+  });
+
+  // A full snapshot lists every live record; clean keys it lacks were removed elsewhere
+  if (reply.full) {
+    Object.entries(state.records).forEach(([key, meta]) => {
+      if (meta.dirty || remoteKeys.has(key) || !meta.rev) return;
+      if (readRaw(key) !== null) {
+        applyLocal({ key, deleted: true });
+        pulled.push(key);
+      }
+      delete state.records[key];
+    });
+  }
+
+  Object.keys(state.records).forEach(key => {
+    const meta = state.records[key];
+    if (!meta.dirty && readRaw(key) === null) delete state.records[key];
+  });
+
+  saveState({ ...state, seq: reply.seq || state.seq, lastSync: Date.now(), lastError: '' });
+  return { ok: true, pulled, conflicts: reply.conflicts || 0, error: '' };
+}
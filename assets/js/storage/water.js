@@ -0,0 +1,141 @@
+/**
+ * Cherry Planner - Hydration
+ * Volume-based water tracking over a day's `water` record: intakes in millilitres,
+ * each with its drink and time. What counts toward the goal is the volume times the
+ * drink's hydration factor (DRINKS in repository.js), so 200 ml of coffee adds 160 ml.
+ * Volumes are stored in ml and only converted for display and input (`waterUnit` in
+ * the planner settings).
+ *
+ * With `waterAuto` on, each day's goal is calculated (calculateWaterTarget) unless it
+ * was set by hand that day (`water.manual`).
+ */
+
+import { DRINKS, WATER_GOAL_MIN, WATER_GOAL_MAX, getPlannerSettings, getCyclePhase } from './repository.js';
+
+/**
+ * Display units with their labels
+ */
+export const WATER_UNITS = { ml: 'ml', oz: 'fl oz' };
+
+export const ML_PER_OZ = 29.5735;
+
+/**
+ * Millilitres from a value typed in `unit`
+ */
+export function toMl(value, unit = 'ml') {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return Math.round(unit === 'oz' ? n * ML_PER_OZ : n);
+}
+
+/**
+ * A volume in `unit`, rounded for display and input (whole ml, tenths of an ounce)
+ */
+export function fromMl(ml, unit = 'ml') {
+  return unit === 'oz' ? Math.round((ml / ML_PER_OZ) * 10) / 10 : Math.round(ml);
+}
+
+/**
+ * Human-readable volume ('1,250 ml', '8.5 fl oz')
+ */
+export function formatVolume(ml, unit = 'ml') {
+  return `${fromMl(ml, unit).toLocaleString()} ${WATER_UNITS[unit] || WATER_UNITS.ml}`;
+}
+
+/**
+ * Hydration (ml) one intake adds
+ */
+export function intakeHydration(intake) {
+  return intake.ml * (DRINKS[intake.drink] || DRINKS.water).factor;
+}
+
+/**
+ * Hydration (ml) of a day's intakes, rounded
+ */
+export function hydrationMl(water) {
+  return Math.round((water.intakes || []).reduce((sum, intake) => sum + intakeHydration(intake), 0));
+}
+
+/**
+ * Whether a day's hydration reached its goal
+ */
+export function waterGoalMet(water) {
+  return hydrationMl(water) >= water.target;
+}
+
+/**
+ * Share of the goal reached, 0..1
+ */
+export function waterProgress(water) {
+  return water.target > 0 ? Math.min(1, hydrationMl(water) / water.target) : 0;
+}
+
+/**
+ * Cumulative hydration through the day, one point per timed intake:
+ * [{minute, total}], starting at midnight with the untimed intakes
+ */
+export function waterCurve(water) {
+  const intakes = water.intakes || [];
+  let total = intakes.filter(i => !i.time).reduce((sum, i) => sum + intakeHydration(i), 0);
+  const points = [{ minute: 0, total: Math.round(total) }];
+  intakes.filter(i => i.time).sort((a, b) => a.time.localeCompare(b.time)).forEach(intake => {
+    const [h, m] = intake.time.split(':').map(Number);
+    total += intakeHydration(intake);
+    points.push({ minute: h * 60 + m, total: Math.round(total) });
+  });
+  return points;
+}
+
+/**
+ * Hydration and volume per drink of a day, largest first
+ * @returns {{drink: string, ml: number, hydration: number}[]}
+ */
+export function drinkBreakdown(water) {
+  const by = {};
+  (water.intakes || []).forEach(intake => {
+    const row = by[intake.drink] || (by[intake.drink] = { drink: intake.drink, ml: 0, hydration: 0 });
+    row.ml += intake.ml;
+    row.hydration += intakeHydration(intake);
+  });
+  return Object.values(by).map(row => ({ ...row, hydration: Math.round(row.hydration) })).sort((a, b) => b.ml - a.ml);
+}
+
+/**
+ * What the calculated goal adds up (ml): per kg of body weight, per active minute
+ * (about 350 ml for half an hour of exercise) and for a luteal day, when the higher
+ * progesterone raises body temperature and fluid loss
+ */
+export const TARGET_RULES = { perKg: 33, perActiveMinute: 12, luteal: 250 };
+
+export const KG_PER_LB = 0.453592;
+
+/**
+ * @typedef {Object} WaterTarget
+ * @property {number} target - Goal in ml, rounded to 50 and kept within WATER_GOAL_MIN..MAX
+ * @property {{id: 'weight'|'activity'|'luteal', ml: number}[]} parts - What it was built from
+ */
+
+/**
+ * A personal daily goal from body weight, the day's active minutes and cycle phase.
+ * 60 kg, 30 active minutes on a luteal day: 1980 + 360 + 250 = 2590 -> 2600 ml.
+ * @param {{weightKg: number, activity?: number, phase?: string}} input
+ * @returns {WaterTarget}
+ */
+export function calculateWaterTarget({ weightKg, activity = 0, phase = '' }) {
+  const parts = [{ id: 'weight', ml: Math.round(weightKg * TARGET_RULES.perKg) }];
+  if (activity > 0) parts.push({ id: 'activity', ml: activity * TARGET_RULES.perActiveMinute });
+  if (phase === 'luteal') parts.push({ id: 'luteal', ml: TARGET_RULES.luteal });
+  const total = parts.reduce((sum, part) => sum + part.ml, 0);
+  return { target: Math.min(WATER_GOAL_MAX, Math.max(WATER_GOAL_MIN, Math.round(total / 50) * 50)), parts };
+}
+
+/**
+ * The calculated goal of a date with its active minutes, or null while the
+ * calculator is off or no weight is set
+ * @returns {WaterTarget|null}
+ */
+export function waterTargetFor(date, activity = 0) {
+  const { waterAuto, weightKg } = getPlannerSettings();
+  if (!waterAuto || !weightKg) return null;
+  return calculateWaterTarget({ weightKg, activity, phase: getCyclePhase(date)?.phase });
+}
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * Cherry Planner - Reference Sync Server
+ * Minimal implementation of docs/SYNC_PROTOCOL.md for self-hosting. Node 20.19+,
+ * no dependencies. All spaces live in one JSON file that is rewritten atomically
+ * after every change, so it suits a handful of users, not a public service.
+ *
+ *   node server/sync-server.mjs [--port 8787] [--data ./sync-data.json]
+ *
+ * PORT and SYNC_DATA environment variables work as well. Data is stored as sent:
+ * serve it over https and keep the file private.
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { mergeRecords } from '../assets/js/storage/merge.js';
+
+const PROTOCOL = 1;
+const MAX_BODY = 8 * 1024 * 1024;
+const TOMBSTONE_TTL = 90 * 24 * 60 * 60 * 1000;
+const SPACE_ID = /^[A-Za-z0-9_-]{16,128}$/;
+const KEY = /^cherry::[\w.:-]+$/;
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const port = parseInt(option('port', process.env.PORT || '8787'), 10);
+const dataFile = path.resolve(option('data', process.env.SYNC_DATA || 'sync-data.json'));
+
+/**
+ * @typedef {Object} StoredRecord
+ * @property {string} key
+ * @property {number} rev - Revision of this key, +1 per accepted change
+ * @property {number} seq - Space sequence number of the last change
+ * @property {number} modified - Client edit time (ms)
+ * @property {string} device - Device that made the change
+ * @property {boolean} deleted - Tombstone
+ * @property {*} value
+ */
+
+function load() {
+  try {
+    const data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    if (data && data.spaces) return data;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Cannot read ${dataFile}:`, error.message);
+      process.exit(1);
+    }
+  }
+  return { version: 1, spaces: {} };
+}
+
+const data = load();
+
+function save() {
+  const tmp = `${dataFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, dataFile);
+}
+
+function getSpace(id) {
+  if (!data.spaces[id]) data.spaces[id] = { seq: 0, prunedSeq: 0, records: {} };
+  return data.spaces[id];
+}
+
+// Forget old tombstones; clients that synced before the last pruned one get a full snapshot
+function prune(space, now) {
+  Object.values(space.records).forEach(record => {
+    if (record.deleted && now - (record.modified || 0) > TOMBSTONE_TTL) {
+      delete space.records[record.key];
+      space.prunedSeq = Math.max(space.prunedSeq, record.seq);
+    }
+  });
+}
+
+function isValidRecord(record) {
+  return record && typeof record.key === 'string' && KEY.test(record.key) && record.key.length <= 200;
+}
+
+/**
+ * Store pushed records. A record whose baseRev matches the stored revision
+ * replaces it; otherwise both versions are merged and counted as a conflict.
+ * Returns the conflict count and the pushed keys.
+ */
+function push(space, records, device) {
+  let conflicts = 0;
+  const keys = new Set();
+  records.filter(isValidRecord).forEach(incoming => {
+    keys.add(incoming.key);
+    const stored = space.records[incoming.key];
+    const record = {
+      key: incoming.key,
+      rev: 0,
+      modified: Number(incoming.modified) || 0,
+      device: String(incoming.device || device || ''),
+      deleted: !!incoming.deleted,
+      value: incoming.deleted ? null : incoming.value ?? null
+    };
+
+    let next = record;
+    if (stored && stored.rev !== (Number(incoming.baseRev) || 0)) {
+      conflicts++;
+      next = mergeRecords(stored, { ...record, rev: stored.rev });
+    }
+    if (stored && JSON.stringify(stored.value) === JSON.stringify(next.value) && stored.deleted === !!next.deleted) return;
+
+    space.seq++;
+    space.records[incoming.key] = {
+      key: incoming.key,
+      rev: (stored?.rev || 0) + 1,
+      seq: space.seq,
+      modified: next.modified || 0,
+      device: next.device || '',
+      deleted: !!next.deleted,
+      value: next.deleted ? null : next.value
+    };
+  });
+  return { conflicts, keys };
+}
+
+/**
+ * Records changed after `since` plus the current version of every pushed key,
+ * or every record when the client is too far behind
+ */
+function pull(space, since, pushed = new Set()) {
+  const full = since < space.prunedSeq || since > space.seq;
+  const records = Object.values(space.records)
+    .filter(record => full || record.seq > since || pushed.has(record.key))
+    .sort((a, b) => a.seq - b.seq)
+    .map(({ seq, ...record }) => record);
+  return { seq: space.seq, full, records };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Cache-Control': 'no-store'
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(Object.assign(new Error('Request too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch {
+        reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  if (req.method === 'OPTIONS') return send(res, 204, {});
+  if (req.method === 'GET' && url.pathname === '/health') return send(res, 200, { ok: true, protocol: PROTOCOL });
+  if (url.pathname !== '/sync') return send(res, 404, { error: 'Not found' });
+
+  if (req.method === 'GET') {
+    const id = url.searchParams.get('space') || '';
+    if (!SPACE_ID.test(id)) return send(res, 400, { error: 'Invalid sync code' });
+    const space = data.spaces[id] || { seq: 0, prunedSeq: 0, records: {} };
+    return send(res, 200, { ...pull(space, parseInt(url.searchParams.get('since'), 10) || 0), conflicts: 0 });
+  }
+  if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+
+  const body = await readBody(req);
+  if (!SPACE_ID.test(body.space || '')) return send(res, 400, { error: 'Invalid sync code' });
+  if ((body.protocol || PROTOCOL) > PROTOCOL) return send(res, 400, { error: 'Please update the sync server' });
+  if (body.records !== undefined && !Array.isArray(body.records)) return send(res, 400, { error: 'records must be an array' });
+
+  const space = getSpace(body.space);
+  const before = space.seq;
+  const prunedBefore = space.prunedSeq;
+  const { conflicts, keys } = push(space, body.records || [], body.device);
+  prune(space, Date.now());
+  if (space.seq !== before || space.prunedSeq !== prunedBefore) save();
+  return send(res, 200, { ...pull(space, Number(body.since) || 0, keys), conflicts });
+}
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch(error => {
+    if (!error.status) console.error('Sync request failed:', error);
+    send(res, error.status || 500, { error: error.status ? error.message : 'Server error' });
+  });
+});
+
+server.listen(port, () => console.log(`Cherry Planner sync server on :${port}, data in ${dataFile}`));
+
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => server.close(() => process.exit(0))));
@@ -0,0 +1,172 @@
+/**
+ * Cherry Planner - Service Worker
+ * Precaches the app shell, the module graph, premium data and the vendored
+ * libraries so both planners work offline. Bump VERSION with every deploy that
+ * changes a precached file: the new worker installs in the background and the
+ * page offers a reload (assets/js/modules/pwa.js).
+ *
+ *   same-origin precached files  cache first (the cache is replaced per VERSION)
+ *   page navigations             network first, cached page when offline
+ *   fonts and icon CSS (CDN)     stale-while-revalidate in a runtime cache
+ * Everything else (sync server, AI API) goes straight to the network.
+ */
+
+const VERSION = '2026-10-19.31';
+const PRECACHE = `cherry-precache-${VERSION}`;
+const RUNTIME = 'cherry-runtime';
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'professional-digital-planner.html',
+  'ai-setup.html',
+  '404.html',
+  'manifest.webmanifest',
+  'assets/css/cherry.css',
+  'assets/data/foods.json',
+  'assets/icons/icon.svg',
+  'assets/vendor/html2canvas-1.4.1.min.js',
+  'assets/vendor/jspdf-2.5.1.umd.min.js',
+  'assets/vendor/chart-4.4.0.umd.js',
+  'assets/js/main.js',
+  'assets/js/calculator/cycle-analyzer.js',
+  'assets/js/calculator/prediction-engine.js',
+  'assets/js/modules/achievements.js',
+  'assets/js/modules/backup.js',
+  'assets/js/modules/bbt.js',
+  'assets/js/modules/carryover.js',
+  'assets/js/modules/cycle.js',
+  'assets/js/modules/exporter.js',
+  'assets/js/modules/fertility.js',
+  'assets/js/modules/habits.js',
+  'assets/js/modules/ical.js',
+  'assets/js/modules/lock.js',
+  'assets/js/modules/meals.js',
+  'assets/js/modules/mood.js',
+  'assets/js/modules/notes.js',
+  'assets/js/modules/nutrition.js',
+  'assets/js/modules/profiles.js',
+  'assets/js/modules/planview.js',
+  'assets/js/modules/pwa.js',
+  'assets/js/modules/recurrence.js',
+  'assets/js/modules/reminders.js',
+  'assets/js/modules/symptoms.js',
+  'assets/js/modules/sync.js',
+  'assets/js/modules/timeline.js',
+  'assets/js/modules/todo-editor.js',
+  'assets/js/modules/todos.js',
+  'assets/js/modules/utils.js',
+  'assets/js/modules/water.js',
+  'assets/js/storage/achievements.js',
+  'assets/js/storage/backup.js',
+  'assets/js/storage/bbt.js',
+  'assets/js/storage/carryover.js',
+  'assets/js/storage/crypto.js',
+  'assets/js/storage/cycle.js',
+  'assets/js/storage/fertility.js',
+  'assets/js/storage/habits.js',
+  'assets/js/storage/ical.js',
+  'assets/js/storage/idb.js',
+  'assets/js/storage/meals.js',
+  'assets/js/storage/merge.js',
+  'assets/js/storage/nutrition.js',
+  'assets/js/storage/profiles.js',
+  'assets/js/storage/recurrence.js',
+  'assets/js/storage/reminders.js',
+  'assets/js/storage/repository.js',
+  'assets/js/storage/store.js',
+  'assets/js/storage/symptoms.js',
+  'assets/js/storage/sync.js',
+  'assets/js/storage/water.js',
+  'assets/cherry-premium/cherry-theme.css',
+  'assets/cherry-premium/data/psalms.json',
+  'assets/cherry-premium/data/quotes.json',
+  'assets/cherry-premium/data/tips.json',
+  'assets/cherry-premium/js/ai.js',
+  'assets/cherry-premium/js/config.js',
+  'assets/cherry-premium/js/mood-coach.js',
+  'assets/cherry-premium/js/motivation.js',
+  'assets/cherry-premium/js/premium.js',
+  'assets/cherry-premium/js/stats.js',
+  'assets/cherry-premium/js/storage.js',
+  'assets/cherry-premium/js/ui.js'
+];
+
+const RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+
+self.addEventListener('install', event => {
+  // /assets/* is served as immutable, so bypass the HTTP cache to get this deploy's files
+  event.waitUntil(
+    caches.open(PRECACHE).then(cache =>
+      cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))
+    )
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith('cherry-precache-') && key !== PRECACHE).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Reminder notifications (assets/js/modules/reminders.js): a click brings the planner forward
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' })
+      .then(windows => windows.length ? windows[0].focus() : self.clients.openWindow('./'))
+  );
+});
+
+// The page asks a waiting worker to take over once the user accepts the update
+self.addEventListener('message', event => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (request.mode === 'navigate') event.respondWith(networkFirst(request));
+    else event.respondWith(cacheFirst(request));
+  } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  return cached || fetch(request);
+}
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(PRECACHE);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || caches.match('index.html');
+  }
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(RUNTIME);
+  const cached = await cache.match(request);
+  const update = fetch(request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || update;
+}